@@ -1,8 +1,21 @@
 import React from 'react';
 import PuppyDashboard from './PuppyDashboard';
+import AuthGate from './components/AuthGate';
+import UpdatePrompt from './components/UpdatePrompt';
+import { useLocale } from './i18n';
 
 function App() {
-  return <PuppyDashboard />;
+  // Everything re-renders in the new language when it is switched
+  useLocale();
+
+  return (
+    <>
+      <AuthGate>
+        {({ user, household }) => <PuppyDashboard key={household.id} user={user} household={household} />}
+      </AuthGate>
+      <UpdatePrompt />
+    </>
+  );
 }
 
 export default App;
@@ -1,8 +1,189 @@
-import { render, screen } from '@testing-library/react';
+import { act, fireEvent, render, screen } from '@testing-library/react';
 import App from './App';
+import { setLocale } from './i18n';
 
-test('renders learn react link', () => {
+// Weather requests never leave the test run; the card shows its error state instead
+jest.mock('axios', () => ({ get: jest.fn(() => Promise.reject(new Error('No network in tests'))) }));
+
+// No Firebase env vars in tests, so the dashboard runs on the local storage backend
+test('renders the dashboard for the default dog', async () => {
+  render(<App />);
+  expect(await screen.findByText(/Diza's History/i)).toBeInTheDocument();
+  expect(await screen.findByText(/No walks logged for this day/i)).toBeInTheDocument();
+  expect(await screen.findByText('Weather unavailable, retrying')).toBeInTheDocument();
+});
+
+test('rolls over to the new day at local midnight', async () => {
+  jest.useFakeTimers().setSystemTime(new Date(2025, 0, 14, 23, 59, 0));
+  render(<App />);
+  expect(await screen.findByText('Tue, Jan 14, 2025')).toBeInTheDocument();
+
+  await act(async () => {
+    jest.advanceTimersByTime(2 * 60 * 1000);
+  });
+
+  expect(screen.getByText('Wed, Jan 15, 2025')).toBeInTheDocument();
+  expect(screen.queryByText(/History:/)).not.toBeInTheDocument();
+  jest.useRealTimers();
+});
+
+test('logs a meal through the entry form', async () => {
+  localStorage.clear();
+  render(<App />);
+  fireEvent.click(await screen.findByText('Add Meal Now'));
+  fireEvent.change(screen.getByLabelText('Weight'), { target: { value: '120' } });
+  fireEvent.click(screen.getByText('Save'));
+
+  expect(await screen.findByText('120g')).toBeInTheDocument();
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+});
+
+test('the history calendar shows day counts and jumps to a date', async () => {
+  localStorage.clear();
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  fireEvent.click(await screen.findByText('Add Meal Now'));
+  fireEvent.change(screen.getByLabelText('Weight'), { target: { value: '120' } });
+  fireEvent.click(screen.getByText('Save'));
+  await screen.findByText('120g');
+
+  fireEvent.click(screen.getByTitle('History'));
+  expect(await screen.findByText('0w 1m')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Jump to date'), { target: { value: '2025-03-02' } });
+  expect(await screen.findByText('History: Sun, Mar 2, 2025')).toBeInTheDocument();
+});
+
+test('a deleted meal comes back with Undo, goes again with Redo and every change is in the day\'s history', async () => {
+  localStorage.clear();
+  render(<App />);
+  fireEvent.click(await screen.findByText('Add Meal Now'));
+  fireEvent.change(screen.getByLabelText('Weight'), { target: { value: '120' } });
+  fireEvent.click(screen.getByText('Save'));
+  await screen.findByText('120g');
+
+  fireEvent.click(screen.getByTitle('Delete'));
+  expect(await screen.findByText('No meals logged for this day.')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Undo'));
+  expect(await screen.findByText('120g')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Redo'));
+  expect(await screen.findByText('No meals logged for this day.')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Undo'));
+  expect(await screen.findByText('120g')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByTitle('Edit mode'));
+  fireEvent.click(screen.getByTitle('Change history'));
+  expect(await screen.findAllByText(/^Undid a deletion/)).toHaveLength(2);
+  expect(screen.getAllByText(/^Deleted meal at/)).toHaveLength(2);
+  expect(screen.getByText(/^Added meal at/)).toBeInTheDocument();
+});
+
+test('resetting the day asks first', async () => {
+  localStorage.clear();
+  const confirm = jest.spyOn(window, 'confirm').mockReturnValue(false);
+  render(<App />);
+  fireEvent.click(await screen.findByText('Add Meal Now'));
+  fireEvent.change(screen.getByLabelText('Weight'), { target: { value: '120' } });
+  fireEvent.click(screen.getByText('Save'));
+  await screen.findByText('120g');
+
+  fireEvent.click(screen.getByText('Reset'));
+  expect(confirm).toHaveBeenCalledWith('Reset ALL data for this day?');
+  expect(screen.getByText('120g')).toBeInTheDocument();
+
+  confirm.mockReturnValue(true);
+  fireEvent.click(screen.getByText('Reset'));
+  expect(await screen.findByText('No meals logged for this day.')).toBeInTheDocument();
+  expect(screen.getByText('Day reset')).toBeInTheDocument();
+  confirm.mockRestore();
+});
+
+test('backfills a past day and moves the entry to another day', async () => {
+  localStorage.clear();
+  jest.useFakeTimers().setSystemTime(new Date(2025, 4, 10, 12, 0, 0));
+  render(<App />);
+  fireEvent.click(await screen.findByTitle('History'));
+  fireEvent.change(screen.getByLabelText('Jump to date'), { target: { value: '2025-05-06' } });
+  await screen.findByText('History: Tue, May 6, 2025');
+
+  fireEvent.click(screen.getByTitle('Edit mode'));
+  expect(screen.queryByText('Add Meal Now')).not.toBeInTheDocument();
+  fireEvent.click(screen.getByText('Add Custom Meal'));
+  expect(screen.getByLabelText('Date')).toHaveValue('2025-05-06');
+  fireEvent.change(screen.getByLabelText('Weight'), { target: { value: '90' } });
+  fireEvent.click(screen.getByText('Save'));
+  expect(await screen.findByText('90g')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByLabelText('Select entry'));
+  fireEvent.change(screen.getByLabelText('Target day'), { target: { value: '2025-05-04' } });
+  fireEvent.click(screen.getByText('Move there'));
+  expect(await screen.findByText('No meals logged for this day.')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByTitle('History'));
+  fireEvent.change(screen.getByLabelText('Jump to date'), { target: { value: '2025-05-04' } });
+  expect(await screen.findByText('90g')).toBeInTheDocument();
+  jest.useRealTimers();
+});
+
+test('the walk timer survives a reload and logs the walk when stopped', async () => {
+  localStorage.clear();
+  jest.useFakeTimers().setSystemTime(new Date(2025, 4, 10, 8, 0, 0));
+  const { unmount } = render(<App />);
+  fireEvent.click(await screen.findByText('Start Walk'));
+  expect(await screen.findByText(/Stop Walk/)).toBeInTheDocument();
+  unmount();
+
+  await act(async () => {
+    jest.advanceTimersByTime(25 * 60 * 1000);
+  });
+  render(<App />);
+  fireEvent.click(await screen.findByText(/Stop Walk \(25:0\d\)/));
+  fireEvent.click(screen.getByText('Save'));
+
+  expect(await screen.findByText(/\(25 min\)/)).toBeInTheDocument();
+  expect(screen.getByText('Start Walk')).toBeInTheDocument();
+  jest.useRealTimers();
+});
+
+test('a scheduled medication shows as due until it is given', async () => {
+  localStorage.clear();
+  render(<App />);
+  fireEvent.click(await screen.findByTitle('Health'));
+  fireEvent.click(await screen.findByRole('tab', { name: 'Medications' }));
+  fireEvent.change(screen.getByLabelText('Medication'), { target: { value: 'Flea treatment' } });
+  fireEvent.click(screen.getByText('Add medication'));
+
+  expect(await screen.findByText('Flea treatment due')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Given today'));
+  expect(await screen.findByText(/in 30 days/)).toBeInTheDocument();
+  expect(screen.queryByText('Flea treatment due')).not.toBeInTheDocument();
+});
+
+test('logs a training session and shows where the command stands', async () => {
+  localStorage.clear();
+  render(<App />);
+  fireEvent.click(await screen.findByText('Add Training Now'));
+  fireEvent.change(await screen.findByLabelText('Command'), { target: { value: 'recall' } });
+  fireEvent.change(screen.getByLabelText('Successful'), { target: { value: '8' } });
+  fireEvent.click(screen.getByText('Save'));
+
+  expect(await screen.findByText('· 10 reps')).toBeInTheDocument();
+  fireEvent.click(screen.getByTitle('Training progress'));
+  expect(await screen.findByText('Reliable')).toBeInTheDocument();
+  expect(screen.getByText('80%')).toBeInTheDocument();
+});
+
+test('switching to Swedish changes the texts and the date format at once', async () => {
+  jest.useFakeTimers().setSystemTime(new Date(2025, 0, 14, 21, 5, 3));
+  render(<App />);
+  fireEvent.click(await screen.findByTitle('Language'));
+  fireEvent.click(screen.getByRole('radio', { name: 'Svenska' }));
+
+  expect(screen.getByRole('radio', { name: 'Svenska' })).toHaveAttribute('aria-checked', 'true');
+  expect(screen.getAllByText('Inget loggat den här dagen.')).toHaveLength(4);
+  expect(screen.getByText('21:05:03')).toBeInTheDocument();
+  expect(screen.getByText('tis 14 jan. 2025')).toBeInTheDocument();
+  expect(document.documentElement.lang).toBe('sv');
+
+  act(() => setLocale('en-US'));
+  jest.useRealTimers();
 });
@@ -1,593 +1,497 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import axios from 'axios';
-import { Utensils, Bone, CalendarDays, PawPrint, Edit } from 'lucide-react'; 
-import { db } from './firebase';
-import { doc, getDoc, setDoc, updateDoc, onSnapshot, collection as firestoreCollection, getDocs, query, orderBy, limit, startAfter } from 'firebase/firestore';
-
-
-// Helper: consistent YYYY-MM-DD formatting for Firestore document keys
-const formatDateToKey = (date) => {
-  if (!(date instanceof Date)) date = new Date(date);
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
-};
-
-
-// Helper function to map OpenWeatherMap icons to weather emojis, with night mode check
-const getWeatherEmoji = (icon) => {
-    const isNight = icon.endsWith('n');
-    
-    // Icon codes mapping to emojis
-    if (['01d', '01n'].includes(icon)) return isNight ? '🌙' : '☀️';
-    if (['02d', '02n'].includes(icon)) return isNight ? '☁️' : '🌤️';
-    if (['03d', '03n'].includes(icon)) return '☁️';
-    if (['04d', '04n'].includes(icon)) return '🌥️';
-    if (['09d', '09d'].includes(icon)) return '🌧️';
-    if (['10d', '10n'].includes(icon)) return '🌦️';
-    if (['11d', '11n'].includes(icon)) return '🌩️';
-    if (['13d', '13n'].includes(icon)) return '❄️';
-    if (['50d', '50n'].includes(icon)) return '🌫️';
-    return '❓';
-};
-
-export default function PuppyDashboard() {
-    const [currentTime, setCurrentTime] = useState(new Date());
-    const [walks, setWalks] = useState([]);
-    const [meals, setMeals] = useState([]);
-    const [snacks, setSnacks] = useState([]);
-    const [weatherData, setWeatherData] = useState(null);
-
-    const [availableDates, setAvailableDates] = useState(null); 
-    const [lastVisibleDate, setLastVisibleDate] = useState(null);
-    const [hasMoreHistory, setHasMoreHistory] = useState(true);
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { CalendarDays, Edit, CloudOff, Settings, Bell, BellOff, BarChart3, DatabaseBackup, Users, Package, HeartPulse, Pill, History, Monitor, Languages, GraduationCap } from 'lucide-react'; 
+import repository, { outbox } from './storage';
+import { createEntryId, collectSnackTypes } from './entries';
+import { formatDateToKey, parseDateKey, addDaysToKey, dateKeyForEntry, moveEntryToDay, migrateMainDocument, formatTime, formatClock, formatDate } from './days';
+import { subscribeDogs, saveDog, ensureDefaultDog, loadSelectedDogId, storeSelectedDogId, getMealPortion, startWalk, stopWalkTimer } from './dogs';
+import DogSwitcher from './components/DogSwitcher';
+import DogProfileModal from './components/DogProfileModal';
+import ScheduleSettingsModal from './components/ScheduleSettingsModal';
+import AlertSettingsModal from './components/AlertSettingsModal';
+import StatsModal from './components/StatsModal';
+import BackupModal from './components/BackupModal';
+import HouseholdModal from './components/HouseholdModal';
+import EntryFormModal from './components/EntryFormModal';
+import PantryModal from './components/PantryModal';
+import HealthModal from './components/HealthModal';
+import TrainingModal from './components/TrainingModal';
+import LocationModal from './components/LocationModal';
+import HistoryCalendar from './components/HistoryCalendar';
+import DayHistoryModal from './components/DayHistoryModal';
+import UndoToast from './components/UndoToast';
+import LogCard from './components/LogCard';
+import SelectionBar from './components/SelectionBar';
+import Clock from './components/Clock';
+import DayTimeline from './components/DayTimeline';
+import LanguageModal from './components/LanguageModal';
+import { ENTRY_TYPES, LOG_TYPES, entriesOf, entryName } from './entryTypes';
+import useClock from './hooks/useClock';
+import useStableCallback from './hooks/useStableCallback';
+import useTodayKey from './hooks/useTodayKey';
+import useDayLog from './hooks/useDayLog';
+import useWeather from './hooks/useWeather';
+import { getWalkStatus, getMealStatus } from './schedule';
+import { attribution } from './auth';
+import { dueMedications } from './health';
+import {
+    getWeatherEmoji, loadLocation, storeLocation, formatLocation,
+    findDryWindow, upcomingSlots, overlapsWindow, weatherStamp, FORECAST_SLOTS,
+} from './weather';
+import { loadKioskMode, storeKioskMode, enterFullscreen, startKiosk } from './kiosk';
+import { subscribePantry, applyStockChanges, stockChanges, dayStockChanges, entryKcal, isLowStock } from './pantry';
+import {
+    loadAlertSettings, storeAlertSettings, showDueNotification,
+    onNotificationAction, takeActionFromUrl, playChime, snooze, getSnoozeUntil,
+} from './notifications';
+import { t, useLocale, getLanguage } from './i18n';
+
+// How far back the snack and training forms look for snack types and commands used before
+const RECENT_DAYS = 60;
+const USES_RECENT_DAYS = ['snacks', 'training'];
+
+// Due reminders, the next walk/meal and the dry-window hint only need a coarse clock; the big
+// clock and the walk timer tick on their own (components/Clock.js, components/Elapsed.js)
+const DUE_CHECK_MS = 15 * 1000;
+
+export default function PuppyDashboard({ user, household }) {
+    const currentTime = useClock(DUE_CHECK_MS);
+    useLocale();
+    const [location, setLocation] = useState(loadLocation);
+    const { current: currentWeather, forecast: forecastWeather } = useWeather(location, getLanguage());
+    const [isLocationOpen, setIsLocationOpen] = useState(false);
 
     const [selectedDate, setSelectedDate] = useState(new Date());
-    const [selectedDateStr, setSelectedDateStr] = useState(new Date().toDateString());
-    const [isHistoryMode, setIsHistoryMode] = useState(false);
+    // At local midnight, follow the new day only if the old "today" was on screen
+    const todayKey = useTodayKey((previousKey) =>
+        setSelectedDate(current => (formatDateToKey(current) === previousKey ? new Date() : current)));
     const [editMode, setEditMode] = useState(false);
+    // Entries ticked in edit mode, { [entryId]: true }
+    const [selection, setSelection] = useState({});
     const [isSidebarOpen, setIsSidebarOpen] = useState(false);
 
-    const collectionName = 'puppyData';
-    const mainDocRef = doc(db, collectionName, 'main');
-    const historyCollectionRef = firestoreCollection(db, collectionName);
-    
-    const API_KEY = process.env.REACT_APP_WEATHER_API_KEY; 
-    
-    // Coordinates for Mölndal, SE
-    const LAT = 57.65;
-    const LON = 12.03;
-
-    // Use actual current time for date logic
-    const today = new Date();
-    const todayStr = today.toDateString();
-    const yesterday = new Date(today);
-    yesterday.setDate(today.getDate() - 1);
-    const yesterdayStr = yesterday.toDateString();
-    
-    // --- Helpers ---
-    const formatTime = (t) => {
-        if (!t) return '';
-        
-        const timeValue = t.time || t;
-        
-        if (!timeValue || typeof timeValue !== 'string') return ''; 
-
-        const d = new Date(timeValue);
-        
-        if (isNaN(d.getTime())) {
-             console.error("Invalid date value found:", timeValue);
-             return 'Error Time'; 
-        }
-
-        return d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
-    };
-    
-    const formatDate = (d) =>
-        d.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+    const [dogs, setDogs] = useState(null);
+    const [selectedDogId, setSelectedDogId] = useState(loadSelectedDogId);
+    const [editingDog, setEditingDog] = useState(null);
+    const [isScheduleOpen, setIsScheduleOpen] = useState(false);
+    const [alertSettings, setAlertSettings] = useState(loadAlertSettings);
+    const [isAlertSettingsOpen, setIsAlertSettingsOpen] = useState(false);
+    const [isStatsOpen, setIsStatsOpen] = useState(false);
+    const [isBackupOpen, setIsBackupOpen] = useState(false);
+    const [isHouseholdOpen, setIsHouseholdOpen] = useState(false);
+    const [isLanguageOpen, setIsLanguageOpen] = useState(false);
+    const [entryForm, setEntryForm] = useState(null);
+    const [pantry, setPantry] = useState([]);
+    const [isPantryOpen, setIsPantryOpen] = useState(false);
+    const [healthTab, setHealthTab] = useState(null);
+    const [isTrainingOpen, setIsTrainingOpen] = useState(false);
+    const [isDayHistoryOpen, setIsDayHistoryOpen] = useState(false);
+    const [undoToast, setUndoToast] = useState(null);
+    const [kioskMode, setKioskMode] = useState(loadKioskMode);
+    const alertedRef = useRef({});
+    const notificationActionRef = useRef(null);
+    const [pendingChanges, setPendingChanges] = useState(0);
+
+    // Only the profile that actually exists drives data loading, so nothing is read or
+    // written before the dog list (and the one-time legacy migration) is ready.
+    const dog = dogs ? dogs.find(d => d.id === selectedDogId) : null;
+    const dogId = dog ? dog.id : null;
+
+    const selectedKey = formatDateToKey(selectedDate);
+    const isHistoryMode = selectedKey !== todayKey;
+
+    // The selected day's entries per log card (see entryTypes.js)
+    const day = useDayLog(dogId, selectedKey);
+    const logs = useMemo(() => Object.fromEntries(LOG_TYPES.map(type => [type.kind, entriesOf(type, day)])), [day]);
+    const { walks, meals } = logs;
+    // The walk interval carries on from the day before's last walk
+    const previousDay = useDayLog(dogId, addDaysToKey(selectedKey, -1));
+    const previousWalks = useMemo(() => entriesOf(ENTRY_TYPES.walks, previousDay), [previousDay]);
 
-    const sortByTime = (arr) => {
-        return arr.slice().sort((a,b) => {
-            const ta = new Date(a.time || a);
-            const tb = new Date(b.time || b);
-            
-            const timeA = isNaN(ta.getTime()) ? 0 : ta.getTime();
-            const timeB = isNaN(tb.getTime()) ? 0 : tb.getTime();
-            
-            return timeA - timeB;
-        });
-    };
+    // =========================================================================
+    // --- Dog Profiles ---
+    // =========================================================================
+    useEffect(() => {
+        let unsub = () => {};
+        let cancelled = false;
+
+        ensureDefaultDog(user.uid, household.ownerId)
+            .catch(error => console.error("Error creating default dog profile:", error))
+            .then(() => {
+                if (cancelled) return;
+                unsub = subscribeDogs(setDogs, (error) => {
+                    console.error("Error loading dog profiles:", error);
+                    setDogs([]);
+                });
+            });
 
-    const getDocRefForDate = async (date) => {
-        const dateKey = date.toDateString() === todayStr 
-            ? 'main'
-            : date.toISOString().split('T')[0];
-            
-        const docRef = doc(db, collectionName, dateKey);
-        
-        const snap = await getDoc(docRef);
-        if (!snap.exists() && dateKey !== 'main') {
-            await setDoc(docRef, { walks: [], meals: [], snacks: [] });
-        }
-        
-        return docRef;
-    };
+        return () => {
+            cancelled = true;
+            unsub();
+        };
+    }, [user.uid, household.ownerId]);
 
-    const loadHistoryDates = useCallback(async (isInitialLoad = true) => {
-        const historyLimit = 15;
-        
-        let currentDates = new Set();
-        if (!isInitialLoad && availableDates) {
-            currentDates = new Set(availableDates);
-        }
+    useEffect(() => outbox.subscribe((changes) => setPendingChanges(changes.length)), []);
 
-        let baseQuery = query(
-            historyCollectionRef, 
-            orderBy("__name__", "desc"), 
-            limit(historyLimit)
-        );
+    useEffect(() => subscribePantry(setPantry, (error) => console.error("Error loading pantry:", error)), []);
 
-        if (!isInitialLoad && lastVisibleDate) {
-            baseQuery = query(
-                historyCollectionRef, 
-                orderBy("__name__", "desc"),
-                startAfter(lastVisibleDate),
-                limit(historyLimit)
-            );
+    // Fall back to the first profile if the remembered one was removed
+    useEffect(() => {
+        if (dogs && dogs.length > 0 && !dogs.some(d => d.id === selectedDogId)) {
+            setSelectedDogId(dogs[0].id);
         }
+    }, [dogs, selectedDogId]);
 
-        try {
-            const querySnapshot = await getDocs(baseQuery);
-            let lastDocKey = null;
+    const selectDog = (id) => {
+        if (id === selectedDogId) return;
+        storeSelectedDogId(id);
+        setSelectedDogId(id);
+        setSelectedDate(new Date());
+    };
 
-            querySnapshot.docs.forEach(d => {
-                const docId = d.id;
-                if (docId.match(/^\d{4}-\d{2}-\d{2}$/)) {
-                    currentDates.add(new Date(docId).toDateString());
-                    lastDocKey = docId;
-                }
-            });
-            
-            // Only add today to the list
-            currentDates.add(todayStr);
+    const handleSaveDog = async (profile) => {
+        const id = await saveDog(profile);
+        if (!profile.id) selectDog(id);
+    };
 
-            const sortedDates = Array.from(currentDates)
-                .map(d => new Date(d))
-                .filter(d => !isNaN(d.getTime()))
-                .sort((a, b) => b - a)
-                .map(d => d.toDateString());
+    // =========================================================================
+    // --- Kiosk Mode (screen stays on, no browser chrome) ---
+    // =========================================================================
+    useEffect(() => (kioskMode ? startKiosk() : undefined), [kioskMode]);
 
-            setAvailableDates(sortedDates);
-            setLastVisibleDate(lastDocKey);
-            
-            setHasMoreHistory(querySnapshot.docs.length >= historyLimit);
+    const toggleKioskMode = () => {
+        if (!kioskMode) enterFullscreen();
+        storeKioskMode(!kioskMode);
+        setKioskMode(!kioskMode);
+    };
 
-        } catch (error) {
-            console.error("Error fetching history dates:", error);
-            if (availableDates === null) {
-                setAvailableDates([todayStr, yesterdayStr].filter(d => !isNaN(new Date(d).getTime())).sort((a, b) => new Date(b) - new Date(a)));
-            }
-            setHasMoreHistory(false);
-        }
-    }, [historyCollectionRef, lastVisibleDate, availableDates, todayStr, yesterdayStr]); 
-
-    const archivePreviousDay = useCallback(async (previousDay) => {
-        const previousDayKey = previousDay.toISOString().split('T')[0];
-        const previousDocRef = doc(db, collectionName, previousDayKey);
-        
-        const mainSnap = await getDoc(mainDocRef);
-        if (!mainSnap.exists()) return;
-
-        const mainData = mainSnap.data();
-        
-        const hasData = (mainData.walks?.length > 0) || (mainData.meals?.length > 0) || (mainData.snacks?.length > 0);
-        
-        if (hasData) {
-            // Always save/overwrite the archive to ensure we have the latest data
-            console.log(`Archiving data from 'main' to history document: ${previousDayKey}`);
-            await setDoc(previousDocRef, mainData);
-            
-            console.log("Clearing 'main' document for new day.");
-            await setDoc(mainDocRef, { walks: [], meals: [], snacks: [] });
-            
-            loadHistoryDates(true);
-        } else {
-            console.log("No data to archive.");
-        }
-    }, [mainDocRef, loadHistoryDates]);
+    const changeLocation = (next) => {
+        storeLocation(next);
+        setLocation(next);
+    };
 
     // =========================================================================
-    // --- Weather Data Fetching ---
+    // --- Initial Setup: move a leftover 'main' document into its day documents ---
     // =========================================================================
     useEffect(() => {
-        if (!API_KEY) {
-            console.error("OpenWeatherMap API Key is missing. Check your .env file.");
-            return;
-        }
-
-        const fetchWeather = async () => {
-            const url = `https://api.openweathermap.org/data/2.5/weather?lat=${LAT}&lon=${LON}&appid=${API_KEY}&units=metric`;
-            try {
-                const response = await axios.get(url);
-                setWeatherData(response.data);
-            } catch (error) {
-                console.error("Error fetching weather data:", error);
-                setWeatherData({}); 
-            }
-        };
-
-        fetchWeather();
-        const intervalId = setInterval(fetchWeather, 300000); 
+        if (!dogId) return;
 
-        return () => clearInterval(intervalId); 
-    }, [API_KEY]); 
+        migrateMainDocument(repository, dogId)
+            .catch(error => console.error("Error migrating 'main' document:", error));
+    }, [dogId, todayKey]); 
 
-    // =========================================================================
-    // --- Clock Update (Every 100ms) ---
-    // =========================================================================
     useEffect(() => {
-        const t = setInterval(() => {
-            setCurrentTime(new Date());
-        }, 100); 
-        
-        return () => clearInterval(t);
-    }, []); 
+        // Reset edit mode when switching dates
+        setEditMode(false);
+    }, [selectedKey]);
 
-    // =========================================================================
-    // --- Day Change / Archiving Check (Every 10s) ---
-    // =========================================================================
     useEffect(() => {
-        let lastDay = new Date().getDate();
-        const t = setInterval(() => {
-            const now = new Date();
+        if (!editMode) setSelection({});
+    }, [editMode]);
 
-            if (now.getDate() !== lastDay) {
-                console.log("Day changed. Archiving previous day's data and reloading 'Today' page.");
-                
-                const previousDay = new Date(now);
-                previousDay.setDate(now.getDate() - 1);
-                
-                archivePreviousDay(previousDay); 
-                
-                setSelectedDate(now);
-                lastDay = now.getDate();
-            }
-        }, 10000);
-        
-        return () => clearInterval(t);
-    }, [archivePreviousDay, setSelectedDate]); 
+    // --- CRUD functions ---
+    // Changes go to the outbox first and are synced in the background, so taps are
+    // never lost when the tablet is offline.
+    // New entries are filed under the local date of their own timestamp.
+    const queueChange = (change) => {
+        const dateKey = change.dateKey || (change.action === 'add' ? dateKeyForEntry(change.entry) : selectedKey);
+        const loggedBy = attribution(user);
+        if (change.action === 'add' && loggedBy) change = { ...change, entry: { ...change.entry, loggedBy } };
+        // Walks remember what it was like outside (accidents happen indoors)
+        const stampWeather = change.action === 'add' && ENTRY_TYPES[change.kind]?.stampWeather;
+        const stamp = stampWeather && stampWeather(change.entry) && weatherStamp(weather, change.entry.time);
+        if (stamp) change = { ...change, entry: { ...change.entry, weather: stamp } };
+        // The day on screen follows through useDayLog, which overlays the outbox
+        outbox.enqueue({ dogId, ...change, dateKey, by: loggedBy });
+    }
     
-    // =========================================================================
-    // --- Initial Setup: Check for data that needs archiving on startup ---
-    // =========================================================================
-    useEffect(() => {
-        const checkAndArchiveOnStartup = async () => {
+    const addEntryNow = useStableCallback((kind) => {
+        queueChange({ kind, action: 'add', entry: { id: createEntryId(), time: new Date().toISOString() } });
+    });
+
+    // Everything else goes through the entry form
+    const openEntryForm = useStableCallback(async (kind, entry = null, withTime = true) => {
+        let recent = [logs];
+        if (USES_RECENT_DAYS.includes(kind)) {
             try {
-                const mainSnap = await getDoc(mainDocRef);
-                if (!mainSnap.exists()) {
-                    console.log("No 'main' document found on startup.");
-                    await loadHistoryDates(true);
-                    return;
-                }
-                
-                const mainData = mainSnap.data();
-                
-                const hasData = (mainData.walks?.length > 0) || (mainData.meals?.length > 0) || (mainData.snacks?.length > 0);
-                
-                if (!hasData) {
-                    console.log("Main document is empty, no archiving needed.");
-                    await loadHistoryDates(true);
-                    return;
-                }
-                
-                // Find the date of the most recent entry
-                let latestTime = null;
-                
-                const allEntries = [
-                    ...(mainData.walks || []).map(w => w.time || w),
-                    ...(mainData.meals || []).map(m => m.time),
-                    ...(mainData.snacks || []).map(s => s.time)
-                ].filter(t => t);
-                
-                if (allEntries.length > 0) {
-                    const times = allEntries.map(t => new Date(t).getTime()).filter(t => !isNaN(t));
-                    if (times.length > 0) {
-                        latestTime = new Date(Math.max(...times));
-                    }
-                }
-                
-                if (latestTime && latestTime.toDateString() !== todayStr) {
-                    console.log(`Found data from previous day (${latestTime.toDateString()}) on startup. Archiving...`);
-                    await archivePreviousDay(latestTime);
-                } else {
-                    console.log("Main document data is from today, no archiving needed.");
-                    await loadHistoryDates(true);
-                }
-                
+                const days = await repository.listDays(dogId, addDaysToKey(todayKey, -RECENT_DAYS), todayKey);
+                recent = [logs, ...days.map(d => d.data)];
             } catch (error) {
-                console.error("Error checking for archive on startup:", error);
-                await loadHistoryDates(true);
+                console.error("Error loading recent days:", error);
             }
-        };
-        
-        checkAndArchiveOnStartup();
-        // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, []); 
-
-    const loadForDate = useCallback(async (date) => {
-        const dateStr = date.toDateString();
-        const isToday = dateStr === todayStr;
-        
-        setIsHistoryMode(!isToday);
-        // Only reset edit mode when switching dates, not during refresh
-        // setEditMode(false); // REMOVED - let user control edit mode
-
-        if (isToday) {
-            const snap = await getDoc(mainDocRef);
-            if (snap.exists()) {
-                const data = snap.data();
-                setWalks(sortByTime(data.walks || []));
-                setMeals((data.meals || []).filter(m => m.weight)); 
-                setSnacks((data.snacks || []).filter(s => s.quantity)); 
-            } else {
-                await setDoc(mainDocRef, { walks: [], meals: [], snacks: [] });
-                setWalks([]);
-                setMeals([]);
-                setSnacks([]);
-            }
-            return;
         }
+        const type = ENTRY_TYPES[kind];
+        setEntryForm({
+            kind, entry, withTime,
+            snackTypes: kind === 'snacks' ? collectSnackTypes(recent) : [],
+            defaults: type.formDefaults ? type.formDefaults({ dog, entries: logs[kind], recent }) : {},
+        });
+    });
 
-        const dateKey = formatDateToKey(date);
-        const dateDocRef = doc(db, collectionName, dateKey);
-        const snap = await getDoc(dateDocRef);
-        if (snap.exists()) {
-            const data = snap.data();
-            setWalks(sortByTime(data.walks || []));
-            setMeals((data.meals || []).filter(m => m.weight)); 
-            setSnacks((data.snacks || []).filter(s => s.quantity));
-        } else {
-            setWalks([]);
-            setMeals([]);
-            setSnacks([]);
-        }
-    }, [todayStr, mainDocRef, collectionName]);
+    const addWithForm = useCallback((kind, withTime) => openEntryForm(kind, null, withTime), [openEntryForm]);
 
-    useEffect(() => {
-        // Reset edit mode when switching dates
-        setEditMode(false);
-        loadForDate(selectedDate);
-        setSelectedDateStr(selectedDate.toDateString());
-    }, [selectedDate, loadForDate]);
+    // kcal are stored on the entry as logged; pantry stock follows every add/edit/delete
+    const withKcal = (kind, entry) => {
+        const kcal = entryKcal(kind, entry, pantry.find(item => item.id === entry.foodId));
+        return { ...entry, kcal };
+    };
 
-    // --- Live sync for today ONLY ---
-    useEffect(() => {
-        // Only setup live sync if we're viewing today
-        if (selectedDateStr !== todayStr) {
-            console.log(`Not setting up live sync - viewing ${selectedDateStr}, today is ${todayStr}`);
+    // Entries are addressed by ID, never by position in the (sorted/filtered) rendered list.
+    // Only the changed fields are sent, so concurrent edits of other fields survive.
+    const saveEntryForm = ({ kind, entry, fromTimer }, values) => {
+        const type = ENTRY_TYPES[kind];
+        if (!entry) {
+            let newEntry = { id: createEntryId(), ...values };
+            if (type.pantryKind && values.foodId) {
+                newEntry = withKcal(kind, newEntry);
+                applyStockChanges(stockChanges(kind, null, newEntry));
+            }
+            queueChange({ kind, action: 'add', entry: type.prepare ? type.prepare(newEntry) : newEntry });
+            if (fromTimer) stopWalkTimer(dog).catch(error => console.error("Error stopping walk timer:", error));
             return;
         }
-        
-        console.log('Setting up live sync for today');
-        const unsub = onSnapshot(mainDocRef, (snap) => {
-            console.log('Live sync triggered');
-            if (!snap.exists()) return;
-            const data = snap.data();
-            setWalks(sortByTime(data.walks || []));
-            setMeals((data.meals || []).filter(m => m.weight));
-            setSnacks((data.snacks || []).filter(s => s.quantity));
-        });
-        
-        return () => {
-            console.log('Cleaning up live sync');
-            unsub();
-        };
-        // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [selectedDateStr, todayStr]);
-
-    // --- CRUD functions ---
-    const refresh = async () => loadForDate(selectedDate);
-
-    const handleAction = async (updateData, isNewDoc = false) => {
-        const docRef = await getDocRefForDate(selectedDate);
-        await updateDoc(docRef, updateData);
-        if (isNewDoc && selectedDate.toDateString() !== todayStr) {
-            loadHistoryDates(true); 
+        const before = { ...type.defaults, ...entry };
+        const changes = Object.fromEntries(Object.entries(values).filter(([field, value]) => (before[field] ?? null) !== value));
+        if (['weight', 'quantity', 'foodId'].some(field => field in changes)) {
+            const after = { ...entry, ...changes };
+            if (after.foodId || entry.kcal != null) changes.kcal = withKcal(kind, after).kcal;
+            applyStockChanges(stockChanges(kind, entry, after));
+        }
+        // A new date takes the entry to that day's document
+        const toKey = dateKeyForEntry(values);
+        if (toKey !== selectedKey) {
+            const moved = { ...entry, ...changes };
+            transferEntries({ [kind]: [type.prepare ? type.prepare(moved) : moved] }, selectedKey, toKey);
+        } else if (Object.keys(changes).length > 0) {
+            queueChange({ kind, action: 'edit', entryId: entry.id, changes });
         }
-        refresh();
-    }
-    
-    const addWalk = async () => {
-        const newWalk = { time: new Date().toISOString() };
-        const snap = await getDoc(await getDocRefForDate(selectedDate));
-        const current = snap.exists() ? snap.data().walks || [] : [];
-        await handleAction({ walks: sortByTime([...current, newWalk]) }, true);
     };
 
-    const addCustomWalk = async () => {
-        const timeInput = prompt('Enter custom walk time (HH:mm:ss):');
-        if (!timeInput) return;
-        const [h, m, s] = timeInput.split(':').map(Number);
-        const now = new Date();
-        const customTime = new Date(now.getFullYear(), now.getMonth(), now.getDate(), h, m||0, s||0).toISOString();
-        const snap = await getDoc(await getDocRefForDate(selectedDate));
-        const current = snap.exists() ? snap.data().walks || [] : [];
-        await handleAction({ walks: sortByTime([...current, {time:customTime}]) }, true);
-    };
+    // --- Moving, copying and deleting several entries (edit mode) ---
+    const idsOf = (entries) => Object.fromEntries(Object.entries(entries).map(([kind, list]) => [kind, list.map(e => e.id)]));
+    const countOf = (entries) => Object.values(entries).reduce((sum, list) => sum + list.length, 0);
+    const mapEntries = (entries, fn) => Object.fromEntries(Object.entries(entries).map(([kind, list]) => [kind, list.map(fn)]));
 
-    const addMeal = async () => {
-        const weight = prompt('Enter the weight (grams):');
-        if (weight === null || isNaN(parseInt(weight)) || parseInt(weight) <= 0) return alert('Invalid weight!');
-        const newMeal = { time: new Date().toISOString(), weight: parseInt(weight) };
-        const snap = await getDoc(await getDocRefForDate(selectedDate));
-        const current = snap.exists() ? snap.data().meals || [] : [];
-        await handleAction({ meals: [...current, newMeal] }, true);
-    };
-    
-    const addCustomMeal = async () => {
-        const timeInput = prompt('Enter meal time (HH:mm:ss):');
-        if (!timeInput) return;
-        const weightInput = prompt('Enter the weight (grams):');
-        if (weightInput === null || isNaN(parseInt(weightInput)) || parseInt(weightInput) <= 0) return alert('Invalid weight!');
-
-        const [h, m, s] = timeInput.split(':').map(Number);
-        const now = new Date();
-        const customTime = new Date(now.getFullYear(), now.getMonth(), now.getDate(), h, m||0, s||0).toISOString();
-        
-        const newMeal = { time: customTime, weight: parseInt(weightInput) };
-        const snap = await getDoc(await getDocRefForDate(selectedDate));
-        const current = snap.exists() ? snap.data().meals || [] : [];
-        await handleAction({ meals: [...current, newMeal] }, true);
+    // The new day gets the entries before the old one loses them (see outbox.js)
+    const transferEntries = (entries, fromKey, toKey) => {
+        queueChange({ action: 'move-in', entries, from: fromKey, dateKey: toKey });
+        queueChange({ action: 'move-out', ids: idsOf(entries), to: toKey, dateKey: fromKey });
     };
 
-    const addSnack = async () => {
-        const type = prompt('Enter snack type:');
-        if (!type) return;
-        const qty = prompt('Enter quantity:');
-        if (!qty || isNaN(parseInt(qty)) || parseInt(qty) <= 0) return alert('Invalid quantity!');
-        const newSnack = { time: new Date().toISOString(), type, quantity: parseInt(qty) };
-        const snap = await getDoc(await getDocRefForDate(selectedDate));
-        const current = snap.exists() ? snap.data().snacks || [] : [];
-        await handleAction({ snacks: [...current, newSnack] }, true);
+    const selectedEntries = Object.fromEntries(LOG_TYPES.map(type => [type.kind, logs[type.kind].filter(e => selection[e.id])]));
+    const selectedCount = countOf(selectedEntries);
+
+    const selectEntries = useCallback((entries, on) => setSelection(current => {
+        const next = { ...current };
+        entries.forEach(entry => {
+            if (on) next[entry.id] = true;
+            else delete next[entry.id];
+        });
+        return next;
+    }), []);
+
+    // Entries keep their clock time on the other day, which can't put them in the future
+    const landsInFuture = (entries) => Object.values(entries).flat().some(e => new Date(e.time) > new Date());
+
+    const moveSelected = (toKey) => {
+        const moved = mapEntries(selectedEntries, e => moveEntryToDay(e, toKey));
+        if (landsInFuture(moved)) {
+            window.alert(t('dashboard.inFuture'));
+            return;
+        }
+        transferEntries(moved, selectedKey, toKey);
+        setSelection({});
     };
-    
-    const addCustomSnack = async () => {
-        const timeInput = prompt('Enter snack time (HH:mm:ss):');
-        if (!timeInput) return;
-        const type = prompt('Enter snack type:');
-        if (!type) return;
-        const qty = prompt('Enter quantity:');
-        if (!qty || isNaN(parseInt(qty)) || parseInt(qty) <= 0) return alert('Invalid quantity!');
-
-        const [h, m, s] = timeInput.split(':').map(Number);
-        const now = new Date();
-        const customTime = new Date(now.getFullYear(), now.getMonth(), now.getDate(), h, m||0, s||0).toISOString();
-        
-        const newSnack = { time: customTime, type, quantity: parseInt(qty) };
-        const snap = await getDoc(await getDocRefForDate(selectedDate));
-        const current = snap.exists() ? snap.data().snacks || [] : [];
-        await handleAction({ snacks: [...current, newSnack] }, true);
+
+    // Copies are new entries: their own IDs, logged by whoever copied them, no walk weather
+    // from the other day, and taken from the pantry again
+    const copySelected = (toKey) => {
+        const loggedBy = attribution(user);
+        const copies = mapEntries(selectedEntries, ({ weather, loggedBy: original, ...e }) => ({
+            ...moveEntryToDay(e, toKey),
+            id: createEntryId(),
+            ...(loggedBy && { loggedBy }),
+        }));
+        if (landsInFuture(copies)) {
+            window.alert(t('dashboard.inFuture'));
+            return;
+        }
+        queueChange({ action: 'copy', entries: copies, from: selectedKey, dateKey: toKey });
+        applyStockChanges(dayStockChanges(null, copies));
+        setSelection({});
     };
 
-    const editEntry = async (i, type, promptMsg, updateFn) => {
-        const docRef = await getDocRefForDate(selectedDate);
-        const snap = await getDoc(docRef);
-        if (!snap.exists()) return;
-        const current = snap.data()[type] || [];
-        const old = current[i];
-        
-        const input = prompt(promptMsg, old[Object.keys(old).find(k => k !== 'time' && k !== 'date')] || '');
-        if (!input) return;
-        
-        const updatedEntry = updateFn(old, input);
-        if (!updatedEntry) return;
-
-        current[i] = updatedEntry;
-        await handleAction({ [type]: type === 'walks' ? sortByTime(current) : current });
+    const deleteSelected = () => {
+        const removed = selectedEntries;
+        removeWithUndo(t('dashboard.deletedEntries', { count: countOf(removed) }), { action: 'remove-many', ids: idsOf(removed) }, removed);
+        setSelection({});
     };
 
-    const editWalk = (i) => editEntry(i, 'walks', 'Edit time (HH:mm:ss):', (old, input) => {
-        const [h, m, s] = input.split(':').map(Number);
-        const date = new Date(old.time || old);
-        const updatedTime = new Date(date.getFullYear(), date.getMonth(), date.getDate(), h, m||0, s||0).toISOString();
-        return { ...old, time: updatedTime };
+    // --- Walk timer (kept on the dog profile, see dogs.js) ---
+    const handleStartWalk = useStableCallback(() => startWalk(dog, user).catch(error => console.error("Error starting walk:", error)));
+
+    const handleStopWalk = useStableCallback(() => setEntryForm({
+        kind: 'walks',
+        entry: null,
+        withTime: true,
+        fromTimer: true,
+        // The walk ends now, whichever day is on screen
+        day: new Date(),
+        defaults: { startTime: dog.activeWalk.startTime },
+    }));
+
+    const cancelWalk = useStableCallback(() => {
+        if (!window.confirm(t('dashboard.confirmDiscardWalk'))) return;
+        stopWalkTimer(dog).catch(error => console.error("Error stopping walk timer:", error));
     });
 
-    const editMeal = (i) => editEntry(i, 'meals', 'Edit weight (grams):', (old, input) => {
-        const weightNum = parseInt(input);
-        if (isNaN(weightNum) || weightNum <= 0) { alert('Invalid weight!'); return null; }
-        return { ...old, weight: weightNum };
-    });
+    const walkTimer = useMemo(() => ({ start: handleStartWalk, stop: handleStopWalk, discard: cancelWalk }),
+        [handleStartWalk, handleStopWalk, cancelWalk]);
+
+    // Deletes don't ask first: the toast undoes them, and redoes them after that (any earlier
+    // version can also be restored from the day's change history). A whole-day reset still asks.
+    const removeWithUndo = (message, change, entries) => {
+        const dateKey = selectedKey;
+        const remove = () => {
+            queueChange({ ...change, dateKey });
+            applyStockChanges(dayStockChanges(entries, null));
+        };
+        remove();
+        setUndoToast({
+            id: createEntryId(),
+            message,
+            undo: () => {
+                queueChange({ action: 'restore', entries, dateKey });
+                applyStockChanges(dayStockChanges(null, entries));
+            },
+            redo: remove,
+        });
+    };
+
+    const dismissUndo = useCallback(() => setUndoToast(null), []);
 
-    const editSnack = (i) => editEntry(i, 'snacks', 'Edit snack type/quantity (Type,Qty):', (old, input) => {
-        const parts = input.split(',');
-        const type = parts[0].trim();
-        const qtyNum = parseInt(parts[1]?.trim());
-        if (!type || isNaN(qtyNum) || qtyNum <= 0) { alert('Invalid input!'); return null; }
-        return { ...old, type, quantity: qtyNum };
+    const deleteEntry = useStableCallback((kind, entry) => {
+        removeWithUndo(t('dashboard.deleted', { name: entryName(ENTRY_TYPES[kind], entry) }), { kind, action: 'remove', entryId: entry.id }, { [kind]: [entry] });
     });
 
-    const deleteEntry = async (i, type) => {
-        if (!window.confirm(`Are you sure you want to delete this ${type.slice(0, -1)} entry?`)) return;
-        const docRef = await getDocRefForDate(selectedDate);
-        const snap = await getDoc(docRef);
-        if (!snap.exists()) return;
-        const current = snap.data()[type] || [];
-        current.splice(i,1);
-        await handleAction({ [type]: current });
+    const resetDay = () => {
+        if (!window.confirm(t('dashboard.confirmReset'))) return;
+        removeWithUndo(t('dashboard.dayReset'), { action: 'reset', ids: idsOf(logs) }, logs);
     };
 
-    const resetDay = async () => {
-        if (!window.confirm("Are you sure you want to reset ALL data for this day? This action is irreversible.")) return;
-        await handleAction({ walks: [], meals: [], snacks: [] });
+    const restoreVersion = (version) => {
+        queueChange({ action: 'replace', day: version });
+        applyStockChanges(dayStockChanges(logs, version));
     };
     
+    // Reminder rules from the dog's schedule (see schedule.js)
+    const walkStatus = useMemo(() => (dog ? getWalkStatus(dog.schedule, walks, currentTime, previousWalks) : null), [dog, walks, currentTime, previousWalks]);
+    const mealStatus = useMemo(() => (dog ? getMealStatus(dog.schedule, meals, currentTime) : null), [dog, meals, currentTime]);
+
     const getNextWalkTime = () => {
-        if (!walks.length) return 'Add first walk';
-        const last = new Date(walks[walks.length-1].time || walks[walks.length-1]);
-        const next = new Date(last.getTime() + 3 * 60 * 60 * 1000);
-        
-        if (isNaN(last.getTime())) return 'Time calculation error';
-        
-        return next.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+        if (!walkStatus.next) return t(walkStatus.first ? 'dashboard.addFirstWalk' : 'dashboard.noneToday');
+        return formatTime(walkStatus.next);
+    };
+
+    // =========================================================================
+    // --- Due Alerts (notification + chime) ---
+    // =========================================================================
+    const walkDue = Boolean(dog) && !isHistoryMode && walkStatus.due;
+    const mealDue = Boolean(dog) && !isHistoryMode && mealStatus.due;
+
+    // Alert once each time something becomes due, again after a snooze runs out
+    useEffect(() => {
+        if (!dog) return;
+
+        const check = (kind, due, title, body, canMarkDone) => {
+            const key = `${dog.id}:${kind}`;
+            if (!due) {
+                alertedRef.current[key] = false;
+                return;
+            }
+            if (alertedRef.current[key] || Date.now() < getSnoozeUntil(dog.id, kind)) return;
+
+            alertedRef.current[key] = true;
+            if (alertSettings.chime) playChime();
+            if (alertSettings.notifications) showDueNotification({ kind, dogId: dog.id, title, body, canMarkDone });
+        };
+
+        check('walk', walkDue, t('notification.walkDue', { name: dog.name }),
+            walkStatus.missed.length ? t('notification.scheduledAt', { times: walkStatus.missed.join(', ') }) : t('notification.timeForWalk'), true);
+        check('meal', mealDue, t('notification.mealDue', { name: dog.name }),
+            t('notification.scheduledAt', { times: mealStatus.missed.join(', ') }), getMealPortion(dog) > 0);
+    });
+
+    // Buttons on the notification: log the walk/meal right away, or snooze it
+    notificationActionRef.current = ({ action, kind, dogId: targetDogId }) => {
+        const target = dogs && dogs.find(d => d.id === targetDogId);
+        if (!target) return;
+
+        if (action === 'snooze') {
+            snooze(target.id, kind);
+            alertedRef.current[`${target.id}:${kind}`] = false;
+        } else if (action === 'done' && kind === 'walk') {
+            queueChange({ dogId: target.id, kind: 'walks', action: 'add', entry: { id: createEntryId(), time: new Date().toISOString() } });
+        } else if (action === 'done' && kind === 'meal' && getMealPortion(target) > 0) {
+            queueChange({ dogId: target.id, kind: 'meals', action: 'add', entry: { id: createEntryId(), time: new Date().toISOString(), weight: getMealPortion(target) } });
+        }
     };
 
-    const isWalkDue = () => {
-        if (isHistoryMode) return false;
-        if (!walks.length) return true;
-        const last = new Date(walks[walks.length-1].time || walks[walks.length-1]);
-        
-        if (isNaN(last.getTime())) return true; 
+    useEffect(() => onNotificationAction((data) => notificationActionRef.current(data)), []);
 
-        const hours = (currentTime - last) / (1000 * 60 * 60);
-        return hours >= 3;
+    // A notification clicked while no dashboard was open starts one with the action in the URL
+    useEffect(() => {
+        if (!dogs) return;
+        const request = takeActionFromUrl();
+        if (request) notificationActionRef.current(request);
+    }, [dogs]);
+
+    const updateAlertSettings = (settings) => {
+        storeAlertSettings(settings);
+        setAlertSettings(settings);
     };
 
+    const lowStock = pantry.filter(isLowStock);
+    const medsDue = dog ? dueMedications(dog, todayKey) : [];
+    const weather = currentWeather?.data;
+    const forecast = forecastWeather?.data || [];
+    const dryWindow = findDryWindow(forecast, currentTime);
+
+    // Handed to the entry types' renderers on the log cards; kept stable so the (memoized)
+    // cards only re-render when their day, dog or pantry changes
+    const logContext = useMemo(() => ({ dog, logs, pantry, walkTimer }), [dog, logs, pantry, walkTimer]);
+
+    if (!dog) {
+        return (
+            <div className="flex w-screen min-h-screen bg-black text-white items-center justify-center" style={{ height: '100dvh' }}>
+                <p className="text-gray-500">{dogs === null ? t('common.loading') : t('dashboard.noDogs')}</p>
+            </div>
+        );
+    }
+
     return (
         <div className="flex w-screen min-h-screen bg-black text-white overflow-hidden" style={{ height: '100dvh' }}>
             
             {/* Sidebar (History Panel) */}
-            <div className={`absolute top-0 bottom-0 w-48 bg-black border-r border-white/20 z-20 
+            <div className={`absolute top-0 bottom-0 w-72 bg-black border-r border-white/20 z-20 
                 transform transition-transform duration-300 overflow-y-auto 
                 ${isSidebarOpen ? 'translate-x-0' : '-translate-x-full'}`}>
                 
                 <div className="flex justify-between items-center p-2 border-b border-white/20 sticky top-0 bg-black">
-                     <p className="font-bold text-lg">History</p>
+                     <p className="font-bold text-lg truncate">{t('dashboard.history', { name: dog.name })}</p>
                      <button onClick={() => setIsSidebarOpen(false)} className="text-xl button p-1">X</button>
                 </div>
                 
-                <div className="overflow-y-auto" style={{ maxHeight: 'calc(100% - 100px)' }}>
-                    
-                    {availableDates === null && (
-                        <p className="p-2 text-center text-gray-500">Loading history...</p>
-                    )}
-
-                    {availableDates !== null && availableDates.length === 0 && (
-                        <p className="p-2 text-center text-gray-500">No past logs found.</p>
-                    )}
-                    
-                    {availableDates !== null && availableDates.map((d) => (
-                        <div
-                            key={d}
-                            className={`p-2 text-center cursor-pointer hover:bg-white/10 border-b border-white/10 text-sm ${d===selectedDate.toDateString()?'bg-white/20 font-bold':''}`}
-                            onClick={()=>{
-                                setSelectedDate(new Date(d));
-                                setIsSidebarOpen(false);
-                            }}
-                        >
-                            {d}
-                        </div>
-                    ))}
-                    
-                    {hasMoreHistory && availableDates !== null && availableDates.length > 0 && (
-                         <div className="p-2 pt-2">
-                            <button onClick={() => loadHistoryDates(false)} className="button w-full">
-                                Load More Days
-                            </button>
-                        </div>
-                    )}
-                </div>
+                {isSidebarOpen && (
+                    <HistoryCalendar
+                        dog={dog}
+                        selectedKey={selectedKey}
+                        todayKey={todayKey}
+                        onSelect={(key) => {
+                            setSelectedDate(parseDateKey(key));
+                            setIsSidebarOpen(false);
+                        }}
+                    />
+                )}
             </div>
 
             {/* Main content */}
@@ -600,34 +504,61 @@ export default function PuppyDashboard() {
                     <div className="flex flex-col justify-center border border-white/20 p-1 lg:p-4 text-center bg-black basis-1/2">
                         {isHistoryMode ? (
                             <p className="text-[clamp(1.2rem,6vw,3rem)] font-bold text-yellow-400 leading-tight">
-                                History: {formatDate(selectedDate)}
+                                {t('dashboard.historyDate', { date: formatDate(selectedDate) })}
                             </p>
                         ) : (
-                            <>
-                                <p className="text-[clamp(2.5rem,14vw,6rem)] lg:text-[clamp(3rem,12vw,6rem)] font-bold leading-none">
-                                    {currentTime.toLocaleTimeString()}
-                                </p>
-                                <p className="text-[clamp(0.8rem,4vw,2.5rem)] lg:text-[clamp(1.5rem,6vw,2.5rem)] text-gray-300 leading-tight">
-                                    {formatDate(currentTime)}
-                                </p>
-                            </>
+                            <Clock />
                         )}
                     </div>
                     
                     {/* Weather Card */}
                     <div className="flex flex-col justify-center border border-white/20 p-1 lg:p-4 text-center bg-black min-h-0 basis-1/2">
-                        <p className="text-[clamp(0.7rem,3vw,1.5rem)] mb-0.5 lg:mb-2 font-semibold leading-tight">Mölndal, SE</p>
+                        <button
+                            onClick={() => setIsLocationOpen(true)}
+                            title={t('dashboard.changeLocation')}
+                            className="text-[clamp(0.7rem,3vw,1.5rem)] mb-0.5 lg:mb-2 font-semibold leading-tight hover:text-yellow-400"
+                        >
+                            {formatLocation(location)}
+                        </button>
                         <div className="flex items-center justify-center gap-1 lg:gap-4 mb-0.5 lg:mb-2">
                             <p className="text-[clamp(2rem,10vw,7rem)] lg:text-[clamp(3rem,12vw,7rem)] leading-none"> 
-                                {weatherData && weatherData.weather ? getWeatherEmoji(weatherData.weather[0].icon) : '❓'}
+                                {weather ? getWeatherEmoji(weather.icon) : '❓'}
                             </p>
                             <p className="text-[clamp(1.5rem,8vw,5rem)] lg:text-[clamp(2rem,10vw,5rem)] font-bold leading-none">
-                                {weatherData && weatherData.main ? `${Math.round(weatherData.main.temp)}°C` : '...'}
+                                {weather ? `${Math.round(weather.temp)}°C` : '...'}
                             </p>
                         </div>
-                        {weatherData && weatherData.weather && <p className="capitalize text-[clamp(0.6rem,2.5vw,1.5rem)] text-gray-300 leading-tight">{weatherData.weather[0].description}</p>}
-                        {weatherData && weatherData.main && <p className="text-[clamp(0.6rem,2vw,1.2rem)] text-gray-400 mt-1 leading-tight">H: {weatherData.main.humidity}% | W: {weatherData.wind.speed} m/s</p>}
-                        {weatherData === {} && <p className="text-red-400 text-xs">Error</p>}
+                        {weather && <p className="capitalize text-[clamp(0.6rem,2.5vw,1.5rem)] text-gray-300 leading-tight">{weather.description}</p>}
+                        {weather && <p className="text-[clamp(0.6rem,2vw,1.2rem)] text-gray-400 mt-1 leading-tight">{t('dashboard.conditions', { humidity: weather.humidity, wind: weather.wind })}</p>}
+                        {currentWeather?.stale && (
+                            <p className="text-orange-400 text-xs" title={currentWeather.error}>
+                                {weather ? t('dashboard.notUpdatedSince', { time: formatTime(currentWeather.fetchedAt) }) : t('dashboard.weatherUnavailable')}
+                            </p>
+                        )}
+                        {forecast.length > 0 && (
+                            <>
+                                <p className="text-[clamp(0.55rem,1.8vw,1rem)] mt-1 leading-tight text-green-400">
+                                    {dryWindow
+                                        ? (new Date(dryWindow.from) <= currentTime
+                                            ? t('dashboard.dryNow', { time: formatTime(dryWindow.to) })
+                                            : t('dashboard.nextDryWindow', { from: formatTime(dryWindow.from), to: formatTime(dryWindow.to) }))
+                                        : t('dashboard.noDryWindow')}
+                                </p>
+                                <div className="flex justify-between gap-px mt-0.5 text-[clamp(0.5rem,1.6vw,0.9rem)] leading-tight">
+                                    {upcomingSlots(forecast, currentTime).slice(0, FORECAST_SLOTS).map(slot => (
+                                        <div
+                                            key={slot.time}
+                                            className={`flex-1 flex flex-col items-center ${overlapsWindow(slot, dryWindow) ? 'bg-green-900/40' : ''}`}
+                                            title={t('dashboard.slot', { description: slot.description, pop: Math.round((slot.pop || 0) * 100) })}
+                                        >
+                                            <span className="text-gray-400">{new Date(slot.time).getHours().toString().padStart(2, '0')}</span>
+                                            <span>{getWeatherEmoji(slot.icon)}</span>
+                                            <span>{Math.round(slot.temp)}°</span>
+                                        </div>
+                                    ))}
+                                </div>
+                            </>
+                        )}
                     </div>
                 </div>
 
@@ -637,6 +568,7 @@ export default function PuppyDashboard() {
                     <div className="flex items-center gap-1 lg:gap-4">
                         <button 
                             onClick={() => setIsSidebarOpen(true)} 
+                            title={t('dashboard.titles.history')}
                             className="w-7 h-7 lg:w-10 lg:h-10 flex items-center justify-center cursor-pointer border border-yellow-400 rounded bg-white/10 hover:bg-white/20 p-0"
                         >
                             <CalendarDays className="text-yellow-400 w-4 h-4 lg:w-6 lg:h-6" />
@@ -644,6 +576,7 @@ export default function PuppyDashboard() {
 
                         <button 
                             onClick={()=>setEditMode(!editMode)} 
+                            title={t('dashboard.titles.editMode')}
                             className={`w-7 h-7 lg:w-10 lg:h-10 flex items-center justify-center cursor-pointer border rounded p-0 
                                 ${editMode 
                                     ? 'bg-indigo-600 border-indigo-600 hover:bg-indigo-700 text-white' 
@@ -653,116 +586,276 @@ export default function PuppyDashboard() {
                             <Edit className="w-4 h-4 lg:w-6 lg:h-6" />
                         </button>
 
-                        <p className={`${isWalkDue() ? 'walk-due-alert text-yellow-400' : 'text-green-400'} font-bold text-xs lg:text-xl ml-1 leading-tight`}>
-                            {isWalkDue() ? 'WALK DUE! 🐾' : `Next walk: ${getNextWalkTime()}`}
+                        {editMode && (
+                            <button
+                                onClick={() => setIsDayHistoryOpen(true)}
+                                title={t('dashboard.titles.changeHistory')}
+                                className="w-7 h-7 lg:w-10 lg:h-10 flex items-center justify-center cursor-pointer border border-white/40 rounded bg-white/10 hover:bg-white/20 p-0 text-yellow-400"
+                            >
+                                <History className="w-4 h-4 lg:w-6 lg:h-6" />
+                            </button>
+                        )}
+
+                        <button 
+                            onClick={() => setIsStatsOpen(true)} 
+                            title={t('dashboard.titles.stats')}
+                            className="w-7 h-7 lg:w-10 lg:h-10 flex items-center justify-center cursor-pointer border border-white/40 rounded bg-white/10 hover:bg-white/20 p-0 text-yellow-400"
+                        >
+                            <BarChart3 className="w-4 h-4 lg:w-6 lg:h-6" />
+                        </button>
+
+                        <button 
+                            onClick={() => setHealthTab('weight')} 
+                            title={t('dashboard.titles.health')}
+                            className="w-7 h-7 lg:w-10 lg:h-10 flex items-center justify-center cursor-pointer border border-white/40 rounded bg-white/10 hover:bg-white/20 p-0 text-yellow-400"
+                        >
+                            <HeartPulse className="w-4 h-4 lg:w-6 lg:h-6" />
+                        </button>
+
+                        <button
+                            onClick={() => setIsTrainingOpen(true)}
+                            title={t('dashboard.titles.training')}
+                            className="w-7 h-7 lg:w-10 lg:h-10 flex items-center justify-center cursor-pointer border border-white/40 rounded bg-white/10 hover:bg-white/20 p-0 text-yellow-400"
+                        >
+                            <GraduationCap className="w-4 h-4 lg:w-6 lg:h-6" />
+                        </button>
+
+                        <button 
+                            onClick={() => setIsPantryOpen(true)} 
+                            title={t('dashboard.titles.pantry')}
+                            className="w-7 h-7 lg:w-10 lg:h-10 flex items-center justify-center cursor-pointer border border-white/40 rounded bg-white/10 hover:bg-white/20 p-0 text-yellow-400"
+                        >
+                            <Package className="w-4 h-4 lg:w-6 lg:h-6" />
+                        </button>
+
+                        <button 
+                            onClick={() => setIsBackupOpen(true)} 
+                            title={t('dashboard.titles.backup')}
+                            className="w-7 h-7 lg:w-10 lg:h-10 flex items-center justify-center cursor-pointer border border-white/40 rounded bg-white/10 hover:bg-white/20 p-0 text-yellow-400"
+                        >
+                            <DatabaseBackup className="w-4 h-4 lg:w-6 lg:h-6" />
+                        </button>
+
+                        <button 
+                            onClick={() => setIsScheduleOpen(true)} 
+                            title={t('dashboard.titles.schedule')}
+                            className="w-7 h-7 lg:w-10 lg:h-10 flex items-center justify-center cursor-pointer border border-white/40 rounded bg-white/10 hover:bg-white/20 p-0 text-yellow-400"
+                        >
+                            <Settings className="w-4 h-4 lg:w-6 lg:h-6" />
+                        </button>
+
+                        <button 
+                            onClick={() => setIsAlertSettingsOpen(true)} 
+                            title={t('dashboard.titles.reminders')}
+                            className="w-7 h-7 lg:w-10 lg:h-10 flex items-center justify-center cursor-pointer border border-white/40 rounded bg-white/10 hover:bg-white/20 p-0 text-yellow-400"
+                        >
+                            {(alertSettings.notifications || alertSettings.chime)
+                                ? <Bell className="w-4 h-4 lg:w-6 lg:h-6" />
+                                : <BellOff className="w-4 h-4 lg:w-6 lg:h-6" />}
+                        </button>
+
+                        <button 
+                            onClick={toggleKioskMode} 
+                            title={t(kioskMode ? 'dashboard.titles.kioskOn' : 'dashboard.titles.kiosk')}
+                            className={`w-7 h-7 lg:w-10 lg:h-10 flex items-center justify-center cursor-pointer border rounded p-0 
+                                ${kioskMode 
+                                    ? 'bg-indigo-600 border-indigo-600 hover:bg-indigo-700 text-white' 
+                                    : 'border-white/40 bg-white/10 hover:bg-white/20 text-yellow-400'
+                                }`}
+                        >
+                            <Monitor className="w-4 h-4 lg:w-6 lg:h-6" />
+                        </button>
+
+                        <button
+                            onClick={() => setIsLanguageOpen(true)}
+                            title={t('dashboard.titles.language')}
+                            className="w-7 h-7 lg:w-10 lg:h-10 flex items-center justify-center cursor-pointer border border-white/40 rounded bg-white/10 hover:bg-white/20 p-0 text-yellow-400"
+                        >
+                            <Languages className="w-4 h-4 lg:w-6 lg:h-6" />
+                        </button>
+
+                        <button 
+                            onClick={() => setIsHouseholdOpen(true)} 
+                            title={household.name}
+                            className="w-7 h-7 lg:w-10 lg:h-10 flex items-center justify-center cursor-pointer border border-white/40 rounded bg-white/10 hover:bg-white/20 p-0 text-yellow-400"
+                        >
+                            <Users className="w-4 h-4 lg:w-6 lg:h-6" />
+                        </button>
+
+                        <DogSwitcher
+                            dogs={dogs}
+                            selectedDogId={dogId}
+                            onSelect={selectDog}
+                            onEdit={() => setEditingDog(dog)}
+                            onAdd={() => setEditingDog({})}
+                            editMode={editMode}
+                        />
+
+                        <p className={`${walkDue ? 'walk-due-alert text-yellow-400' : 'text-green-400'} font-bold text-xs lg:text-xl ml-1 leading-tight`}>
+                            {walkDue ? t('dashboard.walkDue') : t('dashboard.nextWalk', { time: getNextWalkTime() })}
                         </p>
-                    </div>
-                    
-                    {(!isHistoryMode && walks.length > 0) && (
-                        <button onClick={resetDay} className="button border-red-500 text-red-400 hover:bg-red-900/50 text-xs p-1 lg:text-sm">Reset</button>
-                    )}
-                </div>
 
-                {/* Bottom: Logs */}
-                <div className="flex-1 flex flex-col lg:flex-row gap-1 lg:gap-2 overflow-y-auto">
-                    
-                    {/* Walks Card */}
-                    <div className="flex-1 flex flex-col border border-white/20 p-1 lg:p-2 overflow-hidden bg-black min-h-0 lg:min-h-[300px]">
-                        <p className="font-bold mb-1 text-center text-sm lg:text-xl border-b border-white/20 pb-0.5 flex-shrink-0">Walks ({walks.length})</p>
-                        <div className="flex-1 overflow-y-auto">
-                            {walks.map((w,i)=>(
-                                <div key={i} className="flex items-center justify-between mb-0.5 text-sm lg:text-base p-0.5 border-b border-white/10 last:border-b-0">
-                                    <div className="flex items-center gap-0.5 truncate">
-                                        <PawPrint className="w-3 h-3 lg:w-5 lg:h-5 text-yellow-400 flex-shrink-0" />
-                                        <p className="truncate text-[0.6rem] lg:text-sm leading-tight">Diza ended walk at <span className="font-bold text-white">{formatTime(w.time||w)}</span></p>
-                                    </div>
-                                    {(!isHistoryMode || editMode) && (
-                                        <div className="flex gap-0.5 flex-shrink-0">
-                                            <button onClick={()=>editWalk(i)} className="flex items-center justify-center border border-white/40 rounded bg-white/10 hover:bg-white/20 p-0 w-4 h-4">
-                                                <Edit className="w-3 h-3 text-yellow-400" />
-                                            </button>
-                                            <button onClick={()=>deleteEntry(i,'walks')} className="flex items-center justify-center border border-white/40 rounded bg-white/10 hover:bg-white/20 p-0 w-4 h-4">
-                                                <div className="text-[0.6rem] leading-none">🗑️</div>
-                                            </button>
-                                        </div>
-                                    )}
-                                </div>
-                            ))}
-                            {walks.length === 0 && <p className="text-center text-gray-400 mt-1 text-[0.6rem] lg:text-base">No walks logged for this day.</p>}
-                        </div>
-                        {(!isHistoryMode || editMode) && (
-                            <div className="flex gap-0.5 mt-1 pt-1 border-t border-white/20 flex-shrink-0">
-                                <button onClick={addWalk} className="button flex-1 bg-green-700 hover:bg-green-600 text-[0.6rem] lg:text-sm p-1">Add Walk Now</button>
-                                <button onClick={addCustomWalk} className="button flex-1 text-[0.6rem] lg:text-sm p-1">Add Custom Time</button>
-                            </div>
+                        {(!isHistoryMode && mealStatus.enabled) && (
+                            <p className={`${mealDue ? 'walk-due-alert text-pink-400' : 'text-green-400'} font-bold text-xs lg:text-xl ml-1 leading-tight`}>
+                                {mealDue
+                                    ? t('dashboard.mealDue', { times: mealStatus.missed.join(', ') })
+                                    : t('dashboard.nextMeal', { time: mealStatus.next ? formatClock(mealStatus.next) : t('dashboard.noneToday') })}
+                            </p>
                         )}
                     </div>
+                    
+                    <div className="flex items-center gap-2 ml-auto mr-1">
+                        {medsDue.length > 0 && (
+                            <button
+                                onClick={() => setHealthTab('medications')}
+                                className="flex items-center gap-1 text-orange-400 text-xs lg:text-sm"
+                                title={medsDue.map(med => med.name).join(', ')}
+                            >
+                                <Pill className="w-4 h-4 lg:w-5 lg:h-5" />
+                                {medsDue.length === 1 ? t('dashboard.medicationDue', { name: medsDue[0].name }) : t('dashboard.medicationsDue', { count: medsDue.length })}
+                            </button>
+                        )}
 
-                    {/* Meals Card */}
-                    <div className="flex-1 flex flex-col border border-white/20 p-1 lg:p-2 overflow-hidden bg-black min-h-0 lg:min-h-[300px]">
-                        <p className="font-bold mb-1 text-center text-sm lg:text-xl border-b border-white/20 pb-0.5 flex-shrink-0">Meals ({meals.length})</p>
-                        <div className="flex-1 overflow-y-auto">
-                            {meals.map((m,i)=>(
-                                <div key={i} className="flex items-center justify-between mb-0.5 text-sm lg:text-base p-0.5 border-b border-white/10 last:border-b-0">
-                                    <div className="flex items-center gap-0.5 truncate">
-                                        <Utensils className="w-3 h-3 lg:w-5 lg:h-5 text-pink-400 flex-shrink-0" />
-                                        <p className="truncate text-[0.6rem] lg:text-sm leading-tight">Ate at <span className="font-bold text-white">{formatTime(m.time)}</span> - <span className="font-bold text-white">{m.weight}g</span></p>
-                                    </div>
-                                    {(!isHistoryMode || editMode) && (
-                                        <div className="flex gap-0.5 flex-shrink-0">
-                                            <button onClick={()=>editMeal(i)} className="flex items-center justify-center border border-white/40 rounded bg-white/10 hover:bg-white/20 p-0 w-4 h-4">
-                                                <Edit className="w-3 h-3 text-yellow-400" />
-                                            </button>
-                                            <button onClick={()=>deleteEntry(i,'meals')} className="flex items-center justify-center border border-white/40 rounded bg-white/10 hover:bg-white/20 p-0 w-4 h-4">
-                                                <div className="text-[0.6rem] leading-none">🗑️</div>
-                                            </button>
-                                        </div>
-                                    )}
-                                </div>
-                            ))}
-                            {meals.length === 0 && <p className="text-center text-gray-400 mt-1 text-[0.6rem] lg:text-base">No meals logged for this day.</p>}
-                        </div>
-                        {(!isHistoryMode || editMode) && (
-                            <div className="flex gap-0.5 mt-1 pt-1 border-t border-white/20 flex-shrink-0">
-                                <button onClick={addMeal} className="button flex-1 bg-pink-700 hover:bg-pink-600 text-[0.6rem] lg:text-sm p-1">Add Meal Now</button>
-                                <button onClick={addCustomMeal} className="button flex-1 text-[0.6rem] lg:text-sm p-1">Add Custom Meal</button>
-                            </div>
+                        {lowStock.length > 0 && (
+                            <button
+                                onClick={() => setIsPantryOpen(true)}
+                                className="flex items-center gap-1 text-orange-400 text-xs lg:text-sm"
+                                title={lowStock.map(item => item.name).join(', ')}
+                            >
+                                <Package className="w-4 h-4 lg:w-5 lg:h-5" />
+                                {lowStock.length === 1 ? t('dashboard.runningLow', { name: lowStock[0].name }) : t('dashboard.itemsRunningLow', { count: lowStock.length })}
+                            </button>
                         )}
-                    </div>
 
-                    {/* Snacks Card */}
-                    <div className="flex-1 flex flex-col border border-white/20 p-1 lg:p-2 overflow-hidden bg-black min-h-0 lg:min-h-[300px]">
-                        <p className="font-bold mb-1 text-center text-sm lg:text-xl border-b border-white/20 pb-0.5 flex-shrink-0">Snacks ({snacks.length})</p>
-                        <div className="flex-1 overflow-y-auto">
-                            {snacks.map((s,i)=>(
-                                <div key={i} className="flex items-center justify-between mb-0.5 text-sm lg:text-base p-0.5 border-b border-white/10 last:border-b-0">
-                                    <div className="flex items-center gap-0.5 truncate">
-                                        <Bone className="w-3 h-3 lg:w-5 lg:h-5 text-orange-400 flex-shrink-0" />
-                                        <p className="truncate text-[0.6rem] lg:text-sm leading-tight">{s.quantity} x {s.type} at <span className="font-bold text-white">{formatTime(s.time)}</span></p>
-                                    </div>
-                                    {(!isHistoryMode || editMode) && (
-                                        <div className="flex gap-0.5 flex-shrink-0">
-                                            <button onClick={()=>editSnack(i)} className="flex items-center justify-center border border-white/40 rounded bg-white/10 hover:bg-white/20 p-0 w-4 h-4">
-                                                <Edit className="w-3 h-3 text-yellow-400" />
-                                            </button>
-                                            <button onClick={()=>deleteEntry(i,'snacks')} className="flex items-center justify-center border border-white/40 rounded bg-white/10 hover:bg-white/20 p-0 w-4 h-4">
-                                                <div className="text-[0.6rem] leading-none">🗑️</div>
-                                            </button>
-                                        </div>
-                                    )}
-                                </div>
-                            ))}
-                            {snacks.length === 0 && <p className="text-center text-gray-400 mt-1 text-[0.6rem] lg:text-base">No snacks logged for this day.</p>}
-                        </div>
-                        {(!isHistoryMode || editMode) && (
-                            <div className="flex gap-0.5 mt-1 pt-1 border-t border-white/20 flex-shrink-0">
-                                <button onClick={addSnack} className="button flex-1 bg-orange-700 hover:bg-orange-600 text-[0.6rem] lg:text-sm p-1">Add Snack Now</button>
-                                <button onClick={addCustomSnack} className="button flex-1 text-[0.6rem] lg:text-sm p-1">Add Custom Snack</button>
-                            </div>
+                        {pendingChanges > 0 && (
+                            <p className="flex items-center gap-1 text-orange-400 text-xs lg:text-sm" title={t('dashboard.pendingTitle')}>
+                                <CloudOff className="w-4 h-4 lg:w-5 lg:h-5" />
+                                {t('dashboard.pending', { count: pendingChanges })}
+                            </p>
                         )}
                     </div>
+
+                    {(!isHistoryMode && LOG_TYPES.some(type => logs[type.kind].length > 0)) && (
+                        <button onClick={resetDay} className="button border-red-500 text-red-400 hover:bg-red-900/50 text-xs p-1 lg:text-sm">{t('dashboard.reset')}</button>
+                    )}
+                </div>
+
+                <DayTimeline
+                    types={LOG_TYPES}
+                    logs={logs}
+                    dateKey={selectedKey}
+                    now={isHistoryMode ? null : currentTime}
+                    nextWalk={isHistoryMode ? null : walkStatus.next}
+                    canEdit={!isHistoryMode || editMode}
+                    onEdit={openEntryForm}
+                />
+
+                {(editMode && selectedCount > 0) && (
+                    <SelectionBar
+                        count={selectedCount}
+                        selectedKey={selectedKey}
+                        todayKey={todayKey}
+                        onMove={moveSelected}
+                        onCopy={copySelected}
+                        onDelete={deleteSelected}
+                        onClear={() => setSelection({})}
+                    />
+                )}
+
+                {/* Bottom: Logs */}
+                <div className="flex-1 flex flex-col lg:flex-row gap-1 lg:gap-2 overflow-y-auto">
+                    
+                    {LOG_TYPES.map(type => (
+                        <LogCard
+                            key={type.kind}
+                            type={type}
+                            entries={logs[type.kind]}
+                            ctx={logContext}
+                            canEdit={!isHistoryMode || editMode}
+                            pastDay={isHistoryMode}
+                            selected={editMode ? selection : null}
+                            onSelect={selectEntries}
+                            onAdd={addWithForm}
+                            onAddNow={addEntryNow}
+                            onEdit={openEntryForm}
+                            onDelete={deleteEntry}
+                        />
+                    ))}
                 </div>
             </div>
+
+            {editingDog && (
+                <DogProfileModal dog={editingDog} onSave={handleSaveDog} onClose={() => setEditingDog(null)} />
+            )}
+
+            {isAlertSettingsOpen && (
+                <AlertSettingsModal settings={alertSettings} onChange={updateAlertSettings} onClose={() => setIsAlertSettingsOpen(false)} />
+            )}
+
+            {isStatsOpen && (
+                <StatsModal dog={dog} todayKey={todayKey} onClose={() => setIsStatsOpen(false)} />
+            )}
+
+            {isLocationOpen && (
+                <LocationModal location={location} onSave={changeLocation} onClose={() => setIsLocationOpen(false)} />
+            )}
+
+            {healthTab && (
+                <HealthModal dog={dog} user={user} todayKey={todayKey} initialTab={healthTab} onClose={() => setHealthTab(null)} />
+            )}
+
+            {isTrainingOpen && (
+                <TrainingModal dog={dog} todayKey={todayKey} onClose={() => setIsTrainingOpen(false)} />
+            )}
+
+            {isPantryOpen && (
+                <PantryModal pantry={pantry} onClose={() => setIsPantryOpen(false)} />
+            )}
+
+            {isBackupOpen && (
+                <BackupModal dog={dog} user={user} onClose={() => setIsBackupOpen(false)} />
+            )}
+
+            {entryForm && (
+                <EntryFormModal
+                    kind={entryForm.kind}
+                    entry={entryForm.entry}
+                    day={entryForm.day || selectedDate}
+                    withTime={entryForm.withTime}
+                    defaults={entryForm.defaults}
+                    snackTypes={entryForm.snackTypes}
+                    pantry={pantry}
+                    title={entryForm.fromTimer ? t('dashboard.finishWalk') : undefined}
+                    onSave={(values) => saveEntryForm(entryForm, values)}
+                    onClose={() => setEntryForm(null)}
+                />
+            )}
+
+            {isLanguageOpen && (
+                <LanguageModal onClose={() => setIsLanguageOpen(false)} />
+            )}
+
+            {isHouseholdOpen && (
+                <HouseholdModal user={user} household={household} onClose={() => setIsHouseholdOpen(false)} />
+            )}
+
+            {isScheduleOpen && (
+                <ScheduleSettingsModal dog={dog} onSave={saveDog} onClose={() => setIsScheduleOpen(false)} />
+            )}
+
+            {isDayHistoryOpen && (
+                <DayHistoryModal
+                    dog={dog}
+                    dateKey={selectedKey}
+                    pendingChanges={pendingChanges}
+                    onRestore={restoreVersion}
+                    onClose={() => setIsDayHistoryOpen(false)}
+                />
+            )}
+
+            {undoToast && (
+                <UndoToast key={undoToast.id} message={undoToast.message} onUndo={undoToast.undo} onRedo={undoToast.redo} onDismiss={dismissUndo} />
+            )}
         </div>
     );
 }
\ No newline at end of file
@@ -0,0 +1,45 @@
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import App from './App';
+import { ENTRY_TYPES } from './entryTypes';
+
+jest.mock('axios', () => ({ get: jest.fn(() => Promise.reject(new Error('No network in tests'))) }));
+
+// The dashboard reads its days (the selected one and the one before) on every render, the walk card its heading
+const mockRenders = { dashboard: 0 };
+jest.mock('./hooks/useDayLog', () => {
+  const { default: useDayLog } = jest.requireActual('./hooks/useDayLog');
+  const useCountedDayLog = (...args) => {
+    mockRenders.dashboard += 1;
+    return useDayLog(...args);
+  };
+  return { __esModule: true, default: useCountedDayLog };
+});
+
+afterEach(() => jest.useRealTimers());
+
+test('the clock and the walk timer tick without re-rendering the dashboard or its cards', async () => {
+  localStorage.clear();
+  jest.useFakeTimers().setSystemTime(new Date(2025, 0, 14, 10, 0, 0));
+  render(<App />);
+  fireEvent.click(await screen.findByText('Start Walk'));
+  expect(await screen.findByText('Stop Walk (00:00)')).toBeInTheDocument();
+
+  const walkCard = jest.spyOn(ENTRY_TYPES.walks, 'heading');
+  mockRenders.dashboard = 0;
+  await act(async () => {
+    jest.advanceTimersByTime(10 * 1000);
+  });
+
+  expect(screen.getByText('10:00:10 AM')).toBeInTheDocument();
+  // Started a moment after 10:00:00, while the dashboard was loading
+  expect(screen.getByText(/^Stop Walk \(00:(09|10)\)$/)).toBeInTheDocument();
+  expect(mockRenders.dashboard).toBeLessThanOrEqual(2);
+  expect(walkCard).not.toHaveBeenCalled();
+
+  // The due status follows on its own, coarser timer
+  await act(async () => {
+    jest.advanceTimersByTime(60 * 1000);
+  });
+  expect(mockRenders.dashboard).toBeLessThanOrEqual(8);
+  expect(walkCard).not.toHaveBeenCalled();
+});
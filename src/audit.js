@@ -0,0 +1,97 @@
+// src/audit.js
+// Change history of day documents. Every change replayed from the outbox (and every backup
+// import) leaves an audit event next to the dog's days:
+//
+//   { id, dateKey, kind, action, entryId, by: uid | null, byName, at, before, after }
+//
+// where `before` and `after` are the whole day document around the change, so any earlier
+// version of a day can be put back. Events are never edited or deleted (the Firestore
+// rules refuse it).
+import repository from './storage';
+import { ENTRY_KINDS, normalizeDay } from './entries';
+import { ENTRY_TYPES } from './entryTypes';
+import { parseDateKey, formatClock, formatDay } from './days';
+import { t } from './i18n';
+
+// Entry fields that are bookkeeping rather than something the user typed
+const HIDDEN_FIELDS = ['id', 'loggedBy', 'weather', 'kcal'];
+
+// Newest first
+export const loadDayHistory = async (dogId, dateKey) => {
+  const events = await repository.listAuditEvents(dogId, dateKey);
+  return events.sort((a, b) => (a.at < b.at ? 1 : a.at > b.at ? -1 : 0));
+};
+
+const entryCount = (day) => {
+  const normalized = normalizeDay(day || {});
+  return ENTRY_KINDS.reduce((sum, kind) => sum + normalized[kind].length, 0);
+};
+
+const findEntry = (day, kind, id) => kind && normalizeDay(day || {})[kind].find(e => e.id === id);
+
+const dayLabel = (key) => formatDay(parseDateKey(key));
+
+const entriesText = (n) => t('audit.entries', { count: n });
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '-';
+  if (typeof value === 'boolean') return t(value ? 'audit.yes' : 'audit.no');
+  if (typeof value === 'string' && !isNaN(Date.parse(value)) && value.includes('T')) return formatClock(value);
+  return String(value);
+};
+
+// The form label of the field, without its '(optional)'; fields no form of the kind has
+// (snack types, the health record's) are labelled in audit.fields
+const fieldLabel = (kind, field) => {
+  if (field === 'time') return t('common.time');
+  const formField = (ENTRY_TYPES[kind]?.fields || []).find(f => f.name === field);
+  if (formField) return formField.label.replace(/\s*\(.*\)$/, '');
+  const label = t(`audit.fields.${field}`);
+  return label === `audit.fields.${field}` ? field : label;
+};
+
+// 'Weight 80 → 100, Note - → ate slowly'
+export const describeEdit = (kind, before, after) => [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+  .filter(field => !HIDDEN_FIELDS.includes(field) && typeof (after?.[field] ?? before?.[field]) !== 'object')
+  .filter(field => (before?.[field] ?? null) !== (after?.[field] ?? null))
+  .map(field => `${fieldLabel(kind, field)} ${formatValue(before?.[field])} → ${formatValue(after?.[field])}`)
+  .join(', ');
+
+export const describeEvent = (event) => {
+  const before = findEntry(event.before, event.kind, event.entryId);
+  const after = findEntry(event.after, event.kind, event.entryId);
+  const entry = after || before;
+  const label = entry?.event === 'accident' && event.action === 'add' ? t('audit.accident')
+    : t(event.kind ? `audit.kinds.${event.kind}` : 'audit.entry');
+  const what = entry?.time ? t('audit.at', { what: label, time: formatClock(entry.time) }) : label;
+  const added = entryCount(event.after) - entryCount(event.before);
+
+  switch (event.action) {
+    case 'add':
+      return t('audit.added', { what });
+    case 'edit': {
+      const edit = describeEdit(event.kind, before, after);
+      return `${t('audit.changed', { what })}${edit ? `: ${edit}` : ''}`;
+    }
+    case 'remove':
+      return t('audit.removed', { what });
+    case 'reset':
+      return t('audit.reset', { count: -added });
+    case 'restore':
+      return t('audit.restore', { count: added });
+    case 'replace':
+      return t('audit.replace');
+    case 'remove-many':
+      return t('audit.removeMany', { entries: entriesText(-added) });
+    case 'move-in':
+      return t('audit.moveIn', { entries: entriesText(added), day: dayLabel(event.from) });
+    case 'move-out':
+      return t('audit.moveOut', { entries: entriesText(-added), day: dayLabel(event.to) });
+    case 'copy':
+      return t('audit.copy', { entries: entriesText(added), day: dayLabel(event.from) });
+    case 'import':
+      return t('audit.import', { count: added });
+    default:
+      return event.action;
+  }
+};
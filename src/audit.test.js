@@ -0,0 +1,32 @@
+import { describeEvent, describeEdit } from './audit';
+
+const at = (h, m = 0) => new Date(2025, 4, 10, h, m).toISOString();
+const clock = (h, m = 0) => new Date(2025, 4, 10, h, m).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const meal = { id: 'm', time: at(8), weight: 80, kcal: 290 };
+const event = (action, before, after, extra) => ({ id: 'e', dateKey: '2025-05-10', kind: 'meals', entryId: 'm', action, before, after, ...extra });
+
+test('describes entry changes by kind and time', () => {
+  expect(describeEvent(event('add', null, { meals: [meal] }))).toBe(`Added meal at ${clock(8)}`);
+  expect(describeEvent(event('remove', { meals: [meal] }, { meals: [] }))).toBe(`Deleted meal at ${clock(8)}`);
+  expect(describeEvent(event('edit', { meals: [meal] }, { meals: [{ ...meal, weight: 100, kcal: 360 }] })))
+    .toBe(`Changed meal at ${clock(8)}: Weight 80 → 100`);
+  expect(describeEvent(event('add', null, { walks: [{ id: 'w', time: at(9), event: 'accident' }] }, { kind: 'walks', entryId: 'w' })))
+    .toBe(`Added accident at ${clock(9)}`);
+});
+
+test('describes whole-day changes by how many entries they moved', () => {
+  const day = { walks: [{ id: 'w', time: at(7) }], meals: [meal] };
+  expect(describeEvent(event('reset', day, { walks: [], meals: [] }, { kind: null }))).toBe('Reset the day (2 entries removed)');
+  expect(describeEvent(event('restore', { walks: [], meals: [] }, day, { kind: null }))).toBe('Undid a deletion (2 entries back)');
+  expect(describeEvent(event('replace', day, null, { kind: null }))).toBe('Restored an earlier version');
+  expect(describeEvent(event('remove-many', day, { walks: [], meals: [] }, { kind: null }))).toBe('Deleted 2 entries');
+  expect(describeEvent(event('move-out', day, { walks: day.walks }, { kind: null, to: '2025-05-06' })))
+    .toBe(`Moved 1 entry to ${new Date(2025, 4, 6).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })}`);
+});
+
+test('edits list changed fields by their form labels and skip bookkeeping ones', () => {
+  expect(describeEdit('walks', { note: '', pee: false, loggedBy: { name: 'A' } }, { note: 'rainy', pee: true })).toBe('Note - → rainy, Pee 💧 no → yes');
+  expect(describeEdit('meals', { time: at(8) }, { time: at(8, 30) })).toBe(`Time ${clock(8)} → ${clock(8, 30)}`);
+  expect(describeEdit('health', { kg: 4 }, { kg: 4.5 })).toBe('Weight 4 → 4.5');
+});
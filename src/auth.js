@@ -0,0 +1,37 @@
+// src/auth.js
+// Signed-in user for the Firebase backend (Google sign-in). The local storage backend
+// has no accounts: everything on the device belongs to one implicit local user.
+import { GoogleAuthProvider, onAuthStateChanged, signInWithPopup, signOut as firebaseSignOut } from 'firebase/auth';
+import { auth } from './firebase';
+import repository from './storage';
+import { t } from './i18n';
+
+export const LOCAL_USER = { uid: 'local', get name() { return t('auth.thisDevice'); }, email: '', isLocal: true };
+
+export const isAuthEnabled = () => repository.name === 'firestore' && Boolean(auth);
+
+const toUser = (firebaseUser) => firebaseUser && {
+  uid: firebaseUser.uid,
+  name: firebaseUser.displayName || firebaseUser.email || '',
+  email: (firebaseUser.email || '').toLowerCase(),
+  isLocal: false,
+};
+
+// Calls back with the user, or null when signed out
+export const subscribeUser = (onChange) => {
+  if (!isAuthEnabled()) {
+    onChange(LOCAL_USER);
+    return () => {};
+  }
+  return onAuthStateChanged(auth, (firebaseUser) => onChange(toUser(firebaseUser)));
+};
+
+export const signIn = () => signInWithPopup(auth, new GoogleAuthProvider());
+
+export const signOut = () => (isAuthEnabled() ? firebaseSignOut(auth) : Promise.resolve());
+
+// Names are stored as the account gives them, possibly empty, and put into words when shown
+export const displayName = (name) => name || t('auth.unknownUser');
+
+// Stored on every logged entry, so household members can see who logged what
+export const attribution = (user) => (user && !user.isLocal ? { uid: user.uid, name: user.name } : null);
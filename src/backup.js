@@ -0,0 +1,264 @@
+// src/backup.js
+// Export of a dog's whole log (CSV for people, JSON as a full backup) and the matching
+// import. Imported entries are merged into the existing day documents by ID, or by
+// content for rows without one, so importing the same file twice changes nothing.
+import { ENTRY_KINDS, WALK_DEFAULTS, HEALTH_TYPES, createEntryId, isSameEntry, normalizeDay } from './entries';
+import { dateKeyForEntry, isDateKey } from './days';
+import { t } from './i18n';
+
+export const BACKUP_VERSION = 1;
+export const CSV_COLUMNS = [
+  'date', 'kind', 'time', 'weight', 'type', 'quantity', 'start_time', 'event', 'pee', 'poop', 'note', 'food_id', 'kcal',
+  'name', 'kg', 'next_due', 'medication_id', 'command', 'reps', 'successes', 'weather', 'id', 'logged_by',
+];
+
+// --- Export ---
+export const loadAllDays = (repository, dogId) => repository.listDays(dogId, '0000-00-00', '9999-99-99');
+
+const csvField = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const formatCSV = (rows) => rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+
+export const toCSV = (days) => {
+  const rows = [CSV_COLUMNS];
+  days.forEach(({ key, data }) => {
+    const day = normalizeDay(data);
+    ENTRY_KINDS.forEach(kind => {
+      day[kind]
+        .slice()
+        .sort((a, b) => new Date(a.time) - new Date(b.time))
+        .forEach(e => rows.push([
+          key, kind, e.time, e.weight, e.type, e.quantity,
+          e.startTime, e.event, e.pee, e.poop, e.note, e.foodId, e.kcal,
+          e.name, e.kg, e.nextDueKey, e.medicationId, e.command, e.reps, e.successes,
+          e.weather && `${e.weather.temp}°C ${e.weather.description}`,
+          e.id, e.loggedBy?.name,
+        ]));
+    });
+  });
+  return formatCSV(rows);
+};
+
+export const toJSON = (dog, days, now = new Date()) => JSON.stringify({
+  version: BACKUP_VERSION,
+  exportedAt: now.toISOString(),
+  dog,
+  days: days.reduce((acc, { key, data }) => ({ ...acc, [key]: normalizeDay(data) }), {}),
+}, null, 2);
+
+export const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// --- Import ---
+const parseCSVRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+const flag = (value) => value === true || /^(true|yes|1)$/i.test(String(value ?? ''));
+
+const positiveInt = (value) => {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+};
+
+const importError = (key, value) => ({ error: t(`backup.errors.${key}`, { value: value ?? '' }) });
+
+// Returns the entry to store, or an error message
+export const validateEntry = (kind, raw) => {
+  if (!ENTRY_KINDS.includes(kind)) return importError('unknownKind', kind);
+  const time = new Date(raw.time);
+  if (!raw.time || isNaN(time.getTime())) return importError('invalidTime', raw.time);
+
+  const entry = { ...(raw.id && { id: String(raw.id) }), time: time.toISOString() };
+  // Attribution survives a JSON round trip; the CSV only carries the name, for reading
+  if (raw.loggedBy?.uid) entry.loggedBy = { uid: String(raw.loggedBy.uid), name: String(raw.loggedBy.name || '') };
+  if (kind === 'walks') {
+    // CSV columns are snake_case, the JSON backup uses the stored field names
+    const start = raw.startTime ?? raw.start_time;
+    const event = raw.event || WALK_DEFAULTS.event;
+    if (start && isNaN(new Date(start).getTime())) return importError('invalidStartTime', start);
+    if (!['walk', 'accident'].includes(event)) return importError('unknownWalkEvent', event);
+    if (start) entry.startTime = new Date(start).toISOString();
+    if (event !== WALK_DEFAULTS.event) entry.event = event;
+    if (flag(raw.pee)) entry.pee = true;
+    if (flag(raw.poop)) entry.poop = true;
+    if (raw.note) entry.note = String(raw.note);
+    // Only the JSON backup carries the weather stamp; the CSV column is for reading
+    if (raw.weather && typeof raw.weather === 'object' && Number.isFinite(Number(raw.weather.temp))) {
+      entry.weather = { ...raw.weather, temp: Number(raw.weather.temp) };
+    }
+  }
+  if (kind === 'meals') {
+    const weight = positiveInt(raw.weight);
+    if (!weight) return importError('invalidWeight', raw.weight);
+    entry.weight = weight;
+  }
+  if (kind === 'snacks') {
+    const type = String(raw.type || '').trim();
+    const quantity = positiveInt(raw.quantity);
+    if (!type) return importError('missingSnackType');
+    if (!quantity) return importError('invalidQuantity', raw.quantity);
+    Object.assign(entry, { type, quantity });
+  }
+  if (kind === 'training') {
+    const command = String(raw.command || '').trim();
+    const reps = positiveInt(raw.reps);
+    const successes = Number(raw.successes);
+    if (!command) return importError('missingCommand');
+    if (!reps) return importError('invalidReps', raw.reps);
+    if (raw.successes === '' || !Number.isInteger(successes) || successes < 0 || successes > reps) {
+      return importError('invalidSuccesses', raw.successes);
+    }
+    Object.assign(entry, { command, reps, successes });
+    if (raw.note) entry.note = String(raw.note);
+  }
+  if (kind === 'health') {
+    const type = String(raw.type || '');
+    const nextDue = raw.nextDueKey ?? raw.next_due;
+    if (!HEALTH_TYPES.includes(type)) return importError('unknownHealthType', type);
+    entry.type = type;
+    if (type === 'weight') {
+      const kg = Number(raw.kg);
+      if (!(kg > 0)) return importError('invalidKg', raw.kg);
+      entry.kg = kg;
+    } else {
+      const name = String(raw.name || '').trim();
+      if (!name) return { error: t('backup.errors.missingName', { type: t(`health.types.${type}`).toLowerCase() }) };
+      entry.name = name;
+    }
+    if (nextDue && !isDateKey(nextDue)) return importError('invalidNextDue', nextDue);
+    if (nextDue) entry.nextDueKey = nextDue;
+    const medicationId = raw.medicationId ?? raw.medication_id;
+    if (type === 'medication' && medicationId) entry.medicationId = String(medicationId);
+    if (raw.note) entry.note = String(raw.note);
+  }
+  if (kind === 'meals' || kind === 'snacks') {
+    // Pantry link and the kcal computed when the entry was logged
+    const foodId = raw.foodId ?? raw.food_id;
+    const kcal = raw.kcal === '' || raw.kcal == null ? null : Number(raw.kcal);
+    if (kcal !== null && !(kcal >= 0)) return importError('invalidKcal', raw.kcal);
+    if (foodId) entry.foodId = String(foodId);
+    if (kcal !== null) entry.kcal = Math.round(kcal);
+  }
+  return { entry };
+};
+
+// Both parsers return { entries: [{ kind, entry }], errors: [string] }
+export const parseCSV = (text) => {
+  // Spreadsheet apps like to prepend a byte order mark
+  const [header = [], ...rows] = parseCSVRows(text.replace(/^\uFEFF/, ''));
+  const columns = header.map(h => h.trim().toLowerCase());
+  const missing = ['kind', 'time'].filter(c => !columns.includes(c));
+  if (missing.length > 0) return { entries: [], errors: [t('backup.errors.missingColumns', { columns: missing.join(', ') })] };
+
+  const entries = [];
+  const errors = [];
+  rows.forEach((cells, i) => {
+    if (cells.every(c => c.trim() === '')) return;
+    const raw = columns.reduce((acc, col, j) => ({ ...acc, [col]: (cells[j] || '').trim() }), {});
+    const { entry, error } = validateEntry(raw.kind, raw);
+    // +2: the header is line 1
+    if (error) errors.push(t('backup.errors.line', { line: i + 2, error }));
+    else entries.push({ kind: raw.kind, entry });
+  });
+  return { entries, errors };
+};
+
+export const parseJSON = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (e) {
+    return { entries: [], errors: [t('backup.errors.notJson')] };
+  }
+  if (!backup || typeof backup.days !== 'object' || backup.days === null) {
+    return { entries: [], errors: [t('backup.errors.notBackup')] };
+  }
+
+  const entries = [];
+  const errors = [];
+  Object.entries(backup.days).forEach(([key, data]) => {
+    if (!isDateKey(key)) return errors.push(t('backup.errors.notADay', { day: key }));
+    const day = normalizeDay(data || {});
+    ENTRY_KINDS.forEach(kind => {
+      day[kind].forEach((raw, i) => {
+        const { entry, error } = validateEntry(kind, raw);
+        if (error) errors.push(t('backup.errors.entry', { day: key, kind, number: i + 1, error }));
+        else entries.push({ kind, entry });
+      });
+    });
+  });
+  return { entries, errors };
+};
+
+export const parseBackupFile = (filename, text) =>
+  (/\.json$/i.test(filename) || text.trim().startsWith('{') ? parseJSON(text) : parseCSV(text));
+
+// Entries go to the day of their own (local) time, as everywhere else
+export const importEntries = async (repository, dogId, entries, by = null) => {
+  const byDay = {};
+  entries.forEach(({ kind, entry }) => {
+    const key = dateKeyForEntry(entry);
+    byDay[key] = byDay[key] || [];
+    byDay[key].push({ kind, entry });
+  });
+
+  let added = 0;
+  for (const [key, incoming] of Object.entries(byDay)) {
+    let addedToDay = 0;
+    await repository.mutateDay(dogId, key, (existing) => {
+      const next = normalizeDay(existing || {});
+      addedToDay = 0;
+      incoming.forEach(({ kind, entry }) => {
+        const duplicate = next[kind].some(e => (entry.id && e.id === entry.id) || isSameEntry(e, entry));
+        if (duplicate) return;
+        next[kind].push(entry.id ? entry : { ...entry, id: createEntryId() });
+        addedToDay++;
+      });
+      return next;
+    }, { id: createEntryId(), dateKey: key, kind: null, action: 'import', entryId: null, by: by?.uid || null, byName: by?.name || null, at: new Date().toISOString() });
+    added += addedToDay;
+  }
+  return { added, duplicates: entries.length - added };
+};
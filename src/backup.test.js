@@ -0,0 +1,96 @@
+import { toCSV, toJSON, parseCSV, parseJSON, importEntries, loadAllDays } from './backup';
+import { createLocalRepository } from './storage/localRepository';
+import { setLocale } from './i18n';
+
+beforeEach(() => localStorage.clear());
+
+const at = (h, m = 0) => new Date(2025, 4, 10, h, m).toISOString();
+
+const day = {
+  walks: [{ id: 'w1', time: at(8), startTime: at(7, 30), pee: true, note: 'Park, then home' }],
+  meals: [{ id: 'm1', time: at(9), weight: 120, foodId: 'kibble', kcal: 432 }],
+  snacks: [{ id: 's1', time: at(10), type: 'Chew, "big"', quantity: 2 }],
+  training: [{ id: 't1', time: at(10, 30), command: 'recall', reps: 10, successes: 7, note: 'Garden' }],
+  health: [
+    { id: 'h1', time: at(11), type: 'weight', kg: 6.4 },
+    { id: 'h2', time: at(12), type: 'vaccination', name: 'Rabies', nextDueKey: '2026-05-10', note: 'Left leg' },
+  ],
+};
+
+test('CSV export round-trips through the import parser', () => {
+  const csv = toCSV([{ key: '2025-05-10', data: day }]);
+  expect(csv.split('\r\n')[0]).toBe('date,kind,time,weight,type,quantity,start_time,event,pee,poop,note,food_id,kcal,name,kg,next_due,medication_id,command,reps,successes,weather,id,logged_by');
+
+  const { entries, errors } = parseCSV(csv);
+  expect(errors).toEqual([]);
+  expect(entries).toEqual([
+    { kind: 'walks', entry: day.walks[0] },
+    { kind: 'meals', entry: day.meals[0] },
+    { kind: 'snacks', entry: day.snacks[0] },
+    { kind: 'training', entry: day.training[0] },
+    { kind: 'health', entry: day.health[0] },
+    { kind: 'health', entry: day.health[1] },
+  ]);
+});
+
+test('CSV import reports invalid rows and keeps the valid ones', () => {
+  const csv = [
+    'kind,time,weight,type,quantity',
+    `meals,${at(9)},abc,,`,
+    `snacks,${at(10)},,,3`,
+    `naps,${at(11)},,,`,
+    'walks,yesterday,,,',
+    '',
+    `meals,${at(12)},150,,`,
+  ].join('\n');
+
+  const { entries, errors } = parseCSV(csv);
+  expect(entries).toEqual([{ kind: 'meals', entry: { time: at(12), weight: 150 } }]);
+  expect(errors).toEqual([
+    'Line 2: Invalid weight "abc"',
+    'Line 3: Missing snack type',
+    'Line 4: Unknown kind "naps"',
+    'Line 5: Invalid time "yesterday"',
+  ]);
+  expect(parseCSV('date,weight\n').errors).toEqual(['Missing column(s): kind, time']);
+});
+
+test('import errors follow the language', () => {
+  setLocale('sv-SE');
+  expect(parseCSV(`kind,time,weight\nmeals,${at(12)},abc\n`).errors).toEqual(['Rad 2: Ogiltig vikt "abc"']);
+  expect(parseJSON(JSON.stringify({ days: { '2025-05-10': { health: [{ time: at(9), type: 'vet' }] } } })).errors)
+    .toEqual(['2025-05-10 health #1: Namn saknas för veterinärbesök']);
+  setLocale('en-US');
+});
+
+test('JSON backup round-trips, including legacy string walks', () => {
+  const json = toJSON({ id: 'diza', name: 'Diza' }, [{ key: '2025-05-10', data: { ...day, walks: [at(8)] } }]);
+  const { entries, errors } = parseJSON(json);
+  expect(errors).toEqual([]);
+  expect(entries[0].kind).toBe('walks');
+  expect(entries[0].entry.time).toBe(at(8));
+  expect(parseJSON(toJSON({}, [{ key: '2025-05-10', data: { walks: [{ id: 'w2', time: at(9), loggedBy: { uid: 'u1', name: 'Sam' } }] } }]))
+    .entries[0].entry.loggedBy).toEqual({ uid: 'u1', name: 'Sam' });
+  const stamped = { id: 'w3', time: at(9), weather: { temp: 14, icon: '10d', description: 'light rain' } };
+  expect(parseJSON(toJSON({}, [{ key: '2025-05-10', data: { walks: [stamped] } }])).entries[0].entry).toEqual(stamped);
+  expect(parseJSON('nope').errors).toEqual(['Not a valid JSON file']);
+});
+
+test('import merges into existing days without duplicating entries', async () => {
+  const repo = createLocalRepository();
+  await repo.setDay('diza', '2025-05-10', { walks: [{ id: 'w1', time: at(8) }], meals: [], snacks: [] });
+
+  const entries = [
+    { kind: 'walks', entry: { id: 'w1', time: at(8) } },
+    { kind: 'walks', entry: { time: at(12) } },
+    { kind: 'walks', entry: { time: at(12) } },
+    { kind: 'meals', entry: { time: new Date(2025, 4, 11, 9).toISOString(), weight: 100 } },
+  ];
+  expect(await importEntries(repo, 'diza', entries)).toEqual({ added: 2, duplicates: 2 });
+  expect(await importEntries(repo, 'diza', entries)).toEqual({ added: 0, duplicates: 4 });
+
+  const days = await loadAllDays(repo, 'diza');
+  expect(days.map(d => d.key)).toEqual(['2025-05-10', '2025-05-11']);
+  expect(days[0].data.walks.map(w => w.time)).toEqual([at(8), at(12)]);
+  expect(days[1].data.meals).toHaveLength(1);
+});
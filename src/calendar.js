@@ -0,0 +1,84 @@
+// src/calendar.js
+// Month grid for the history calendar and the per-month summary documents behind it.
+// Every write of a day document also updates its month's summary (see the repositories):
+//
+//   { complete: true, days: { '2025-05-10': { walks: 4, accidents: 1, meals: 2, snacks: 3,
+//                                             walkTimes: ['07:02', ...], mealTimes: ['08:00', ...] } } }
+//
+// so showing a month is a single read. Only the times are stored, not whether the
+// schedule was met: that is worked out when shown, against the dog's current schedule.
+// `complete` marks summaries built from all the month's day documents; months written
+// before summaries existed are rebuilt once, the first time they are shown.
+import { isAccident, normalizeDay } from './entries';
+import { addDaysToKey, atTimeOfDay, dateKeysBetween, formatDateToKey, parseDateKey } from './days';
+import { reviewDay } from './schedule';
+
+export const monthKeyOf = (dateKey) => dateKey.slice(0, 7);
+
+export const addMonths = (monthKey, months) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  return formatDateToKey(new Date(year, month - 1 + months, 1)).slice(0, 7);
+};
+
+export const monthDateKeys = (monthKey) =>
+  dateKeysBetween(`${monthKey}-01`, addDaysToKey(`${addMonths(monthKey, 1)}-01`, -1));
+
+const timeOfDay = (entry) => {
+  const date = new Date(entry.time);
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+};
+
+// null for a day without any walk, meal or snack
+export const summarizeDay = (data) => {
+  const day = normalizeDay(data || {});
+  const walks = day.walks.filter(w => !isAccident(w));
+  if (day.walks.length + day.meals.length + day.snacks.length === 0) return null;
+  return {
+    walks: walks.length,
+    accidents: day.walks.length - walks.length,
+    meals: day.meals.length,
+    snacks: day.snacks.length,
+    walkTimes: walks.map(timeOfDay).sort(),
+    mealTimes: day.meals.map(timeOfDay).sort(),
+  };
+};
+
+export const buildMonthSummary = (days) => ({
+  complete: true,
+  days: days.reduce((acc, { key, data }) => {
+    const summary = summarizeDay(data);
+    return summary ? { ...acc, [key]: summary } : acc;
+  }, {}),
+});
+
+// The month's summary, rebuilt from its day documents if it was never completed
+export const loadMonthSummary = async (repository, dogId, monthKey) => {
+  const stored = await repository.getMonthSummary(dogId, monthKey);
+  if (stored?.complete) return stored;
+  return repository.rebuildMonthSummary(dogId, monthKey, monthDateKeys(monthKey));
+};
+
+// Weeks (Monday first) of date keys, with null for the padding days of other months
+export const monthGrid = (monthKey) => {
+  const keys = monthDateKeys(monthKey);
+  const padding = (parseDateKey(keys[0]).getDay() + 6) % 7;
+  const cells = [...Array(padding).fill(null), ...keys];
+  while (cells.length % 7 !== 0) cells.push(null);
+
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) weeks.push(cells.slice(i, i + 7));
+  return weeks;
+};
+
+// 'met' | 'meals' (walks fine, a meal time missed) | 'missed' (walks missed), or null for
+// days without data and days that aren't over yet
+export const dayStatus = (summary, schedule, dateKey, todayKey) => {
+  if (!summary || dateKey >= todayKey) return null;
+  const day = parseDateKey(dateKey);
+  const asEntries = (times) => times.map(time => ({ time: atTimeOfDay(day, time).toISOString() }));
+  const end = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 23, 59, 59, 999);
+
+  const { missedWalks, missedMeals } = reviewDay(schedule, asEntries(summary.walkTimes), asEntries(summary.mealTimes), end);
+  if (missedWalks > 0) return 'missed';
+  return missedMeals.length > 0 ? 'meals' : 'met';
+};
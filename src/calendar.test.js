@@ -0,0 +1,53 @@
+import { addMonths, monthGrid, summarizeDay, buildMonthSummary, loadMonthSummary, dayStatus } from './calendar';
+import { createLocalRepository } from './storage/localRepository';
+import { defaultSchedule } from './schedule';
+
+const at = (day, h, m = 0) => new Date(2025, 4, day, h, m).toISOString();
+
+beforeEach(() => localStorage.clear());
+
+test('months roll over years and lay out Monday first', () => {
+  expect(addMonths('2025-12', 1)).toBe('2026-01');
+  expect(addMonths('2025-01', -1)).toBe('2024-12');
+
+  // May 2025 starts on a Thursday and has 31 days
+  const weeks = monthGrid('2025-05');
+  expect(weeks[0]).toEqual([null, null, null, '2025-05-01', '2025-05-02', '2025-05-03', '2025-05-04']);
+  expect(weeks.flat().filter(Boolean)).toHaveLength(31);
+  expect(weeks.every(week => week.length === 7)).toBe(true);
+});
+
+test('summarizes a day without counting accidents as walks', () => {
+  expect(summarizeDay({ walks: [], meals: [] })).toBeNull();
+  expect(summarizeDay({
+    walks: [{ time: at(10, 9) }, { time: at(10, 7, 30) }, { time: at(10, 8), event: 'accident' }],
+    meals: [{ time: at(10, 8), weight: 80 }],
+    snacks: [{ time: at(10, 12), quantity: 2 }],
+  })).toEqual({ walks: 2, accidents: 1, meals: 1, snacks: 1, walkTimes: ['07:30', '09:00'], mealTimes: ['08:00'] });
+});
+
+test('rebuilds a month summary from its day documents once', async () => {
+  const repo = createLocalRepository();
+  await repo.setDay('diza', '2025-05-10', { walks: [{ time: at(10, 7) }] });
+  // Written before summaries existed
+  localStorage.removeItem('diza:month:diza:2025-05');
+  await repo.setDay('diza', '2025-05-11', { walks: [{ time: at(11, 7) }] });
+
+  const summary = await loadMonthSummary(repo, 'diza', '2025-05');
+  expect(summary.complete).toBe(true);
+  expect(Object.keys(summary.days)).toEqual(['2025-05-10', '2025-05-11']);
+  expect(await repo.getMonthSummary('diza', '2025-05')).toEqual(summary);
+  expect(summary).toEqual(buildMonthSummary(await repo.listDays('diza', '2025-05-01', '2025-05-31')));
+});
+
+test('colours past days by how they went against the schedule', () => {
+  const rules = { ...defaultSchedule(3), meals: { fixedTimes: ['08:00'] } };
+  const day = (walkTimes, mealTimes = ['08:00']) => ({ walkTimes, mealTimes });
+  const everyThreeHours = ['07:00', '10:00', '13:00', '16:00', '19:00', '22:00'];
+
+  expect(dayStatus(day(everyThreeHours), rules, '2025-05-10', '2025-05-12')).toBe('met');
+  expect(dayStatus(day(everyThreeHours, []), rules, '2025-05-10', '2025-05-12')).toBe('meals');
+  expect(dayStatus(day(['07:00', '16:00']), rules, '2025-05-10', '2025-05-12')).toBe('missed');
+  expect(dayStatus(day(['07:00']), rules, '2025-05-12', '2025-05-12')).toBeNull();
+  expect(dayStatus(undefined, rules, '2025-05-10', '2025-05-12')).toBeNull();
+});
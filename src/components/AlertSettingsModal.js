@@ -0,0 +1,42 @@
+import React, { useState } from 'react';
+import Modal from './Modal';
+import { enableNotifications, isNotificationSupported, playChime, unlockChime } from '../notifications';
+import { t } from '../i18n';
+
+export default function AlertSettingsModal({ settings, onChange, onClose }) {
+    const [error, setError] = useState('');
+
+    const toggleNotifications = async (e) => {
+        const enabled = e.target.checked;
+        setError('');
+        if (enabled && !(await enableNotifications())) {
+            setError(t('reminders.blocked'));
+            return;
+        }
+        onChange({ ...settings, notifications: enabled });
+    };
+
+    const toggleChime = (e) => {
+        const enabled = e.target.checked;
+        // Enabling from this tap also unlocks audio for later, unattended chimes
+        if (enabled && unlockChime()) playChime();
+        onChange({ ...settings, chime: enabled });
+    };
+
+    return (
+        <Modal title={t('reminders.title')} onClose={onClose}>
+            <div className="flex flex-col gap-2 text-sm lg:text-base">
+                <p className="text-xs text-gray-400">{t('reminders.intro')}</p>
+                <label className="flex items-center gap-2">
+                    <input type="checkbox" checked={settings.notifications} onChange={toggleNotifications} disabled={!isNotificationSupported()} />
+                    {t('reminders.notifications')} {!isNotificationSupported() && <span className="text-gray-500">{t('reminders.notSupported')}</span>}
+                </label>
+                <label className="flex items-center gap-2">
+                    <input type="checkbox" checked={settings.chime} onChange={toggleChime} />
+                    {t('reminders.chime')}
+                </label>
+                {error && <p className="text-red-400 text-xs">{error}</p>}
+            </div>
+        </Modal>
+    );
+}
@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from 'react';
+import { subscribeUser, signIn, displayName } from '../auth';
+import { getUserHouseholdId, subscribeHousehold, selectHousehold, createHousehold, listInvites, acceptInvite } from '../households';
+import { t } from '../i18n';
+
+function Screen({ children }) {
+    return (
+        <div className="h-screen w-screen bg-black text-white flex items-center justify-center p-4">
+            <div className="w-full max-w-sm border border-white/20 p-4 flex flex-col gap-3 text-sm lg:text-base">
+                {children}
+            </div>
+        </div>
+    );
+}
+
+function SignIn() {
+    const [error, setError] = useState('');
+
+    const handleSignIn = async () => {
+        setError('');
+        try {
+            await signIn();
+        } catch (err) {
+            console.error('Error signing in:', err);
+            setError(t('auth.signInFailed'));
+        }
+    };
+
+    return (
+        <Screen>
+            <p className="font-bold text-lg">{t('auth.title')}</p>
+            <p className="text-gray-400">{t('auth.intro')}</p>
+            <button onClick={handleSignIn} className="button bg-green-700 hover:bg-green-600 p-1">{t('auth.signIn')}</button>
+            {error && <p className="text-red-400 text-xs">{error}</p>}
+        </Screen>
+    );
+}
+
+function HouseholdSetup({ user, onJoined }) {
+    const [invites, setInvites] = useState(null);
+    const [name, setName] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        listInvites(user)
+            .then(setInvites)
+            .catch(err => {
+                console.error('Error loading invites:', err);
+                setInvites([]);
+            });
+    }, [user]);
+
+    const run = async (action) => {
+        setBusy(true);
+        setError('');
+        try {
+            onJoined(await action());
+        } catch (err) {
+            console.error('Error joining household:', err);
+            setError(t('common.failed'));
+            setBusy(false);
+        }
+    };
+
+    return (
+        <Screen>
+            <p className="font-bold text-lg">{t('auth.welcome', { name: displayName(user.name) })}</p>
+            {invites === null && <p className="text-gray-400">{t('auth.lookingForInvites')}</p>}
+            {invites && invites.length > 0 && (
+                <div className="flex flex-col gap-1">
+                    <p>{t('auth.invitedTo')}</p>
+                    {invites.map(invite => (
+                        <button key={invite.id} onClick={() => run(() => acceptInvite(invite, user))} disabled={busy} className="button p-1">
+                            {t('auth.join', { household: invite.householdName, name: displayName(invite.invitedBy) })}
+                        </button>
+                    ))}
+                </div>
+            )}
+            <form
+                onSubmit={(e) => { e.preventDefault(); run(() => createHousehold(user, name)); }}
+                className="flex flex-col gap-1 border-t border-white/20 pt-2"
+            >
+                <label className="flex flex-col gap-0.5">
+                    {t('auth.newHousehold')}
+                    <input value={name} onChange={(e) => setName(e.target.value)} placeholder={t('auth.householdName', { name: displayName(user.name) })} className="bg-black border border-white/40 p-1" />
+                </label>
+                <button type="submit" disabled={busy} className="button bg-green-700 hover:bg-green-600 p-1">{t('auth.create')}</button>
+            </form>
+            {error && <p className="text-red-400 text-xs">{error}</p>}
+        </Screen>
+    );
+}
+
+// Renders `children({ user, household })` once someone is signed in and belongs to a household
+export default function AuthGate({ children }) {
+    const [user, setUser] = useState(undefined);
+    const [householdId, setHouseholdId] = useState(undefined);
+    const [household, setHousehold] = useState(null);
+
+    useEffect(() => subscribeUser(setUser), []);
+
+    useEffect(() => {
+        if (!user) {
+            setHouseholdId(user === null ? null : undefined);
+            return;
+        }
+        let cancelled = false;
+        getUserHouseholdId(user)
+            .then(id => { if (!cancelled) setHouseholdId(id); })
+            .catch(error => {
+                console.error('Error loading household:', error);
+                if (!cancelled) setHouseholdId(null);
+            });
+        return () => { cancelled = true; };
+    }, [user]);
+
+    useEffect(() => {
+        selectHousehold(householdId || null);
+        setHousehold(null);
+        if (!householdId) return;
+
+        return subscribeHousehold(householdId, (data) => {
+            // Removed from the household (or it was deleted): back to the setup screen
+            if (!data || !data.memberIds.includes(user.uid)) {
+                setHouseholdId(null);
+                return;
+            }
+            setHousehold(data);
+        }, (error) => {
+            console.error('Error loading household:', error);
+            setHouseholdId(null);
+        });
+    }, [householdId, user]);
+
+    if (user === undefined || householdId === undefined) return <Screen><p>{t('common.loading')}</p></Screen>;
+    if (user === null) return <SignIn />;
+    if (!householdId) return <HouseholdSetup user={user} onJoined={setHouseholdId} />;
+    if (!household) return <Screen><p>{t('common.loading')}</p></Screen>;
+
+    return children({ user, household });
+}
@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import Modal from './Modal';
+import repository from '../storage';
+import { formatDateToKey } from '../days';
+import { loadAllDays, toCSV, toJSON, downloadFile, parseBackupFile, importEntries } from '../backup';
+import { attribution } from '../auth';
+import { t } from '../i18n';
+
+export default function BackupModal({ dog, user, onClose }) {
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState('');
+    const [errors, setErrors] = useState([]);
+
+    const fileName = (ext) => `${dog.name.replace(/[^\w-]+/g, '_')}-log-${formatDateToKey(new Date())}.${ext}`;
+
+    const handleExport = async (format) => {
+        setBusy(true);
+        setMessage('');
+        setErrors([]);
+        try {
+            const days = await loadAllDays(repository, dog.id);
+            if (format === 'csv') downloadFile(fileName('csv'), toCSV(days), 'text/csv;charset=utf-8');
+            else downloadFile(fileName('json'), toJSON(dog, days), 'application/json');
+            setMessage(t('backup.exported', { count: days.length }));
+        } catch (err) {
+            console.error('Error exporting log:', err);
+            setMessage(t('backup.exportFailed'));
+        }
+        setBusy(false);
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setBusy(true);
+        setMessage('');
+        try {
+            const { entries, errors: invalid } = parseBackupFile(file.name, await file.text());
+            setErrors(invalid);
+            if (entries.length === 0) {
+                setMessage(t('backup.nothingToImport'));
+            } else {
+                const { added, duplicates } = await importEntries(repository, dog.id, entries, attribution(user));
+                setMessage(invalid.length
+                    ? t('backup.importedWithInvalid', { added, duplicates, invalid: invalid.length })
+                    : t('backup.imported', { added, duplicates }));
+            }
+        } catch (err) {
+            console.error('Error importing log:', err);
+            setMessage(t('backup.importFailed'));
+        }
+        setBusy(false);
+    };
+
+    return (
+        <Modal title={t('backup.title', { name: dog.name })} onClose={onClose}>
+            <div className="flex flex-col gap-2 text-sm lg:text-base">
+                <p className="text-xs text-gray-400">{t('backup.intro')}</p>
+                <div className="flex gap-1">
+                    <button onClick={() => handleExport('csv')} disabled={busy} className="button flex-1 p-1">{t('backup.exportCsv')}</button>
+                    <button onClick={() => handleExport('json')} disabled={busy} className="button flex-1 p-1">{t('backup.exportJson')}</button>
+                </div>
+                <label className="flex flex-col gap-0.5 border-t border-white/20 pt-2">
+                    {t('backup.importLabel')}
+                    <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleImport} disabled={busy} className="text-xs" />
+                </label>
+                {busy && <p className="text-gray-400">{t('backup.working')}</p>}
+                {message && <p>{message}</p>}
+                {errors.length > 0 && (
+                    <ul className="text-red-400 text-xs max-h-32 overflow-y-auto">
+                        {errors.map((error, i) => <li key={i}>{error}</li>)}
+                    </ul>
+                )}
+            </div>
+        </Modal>
+    );
+}
@@ -0,0 +1,24 @@
+import React, { memo } from 'react';
+import useClock from '../hooks/useClock';
+import { formatTime, formatDate } from '../days';
+import { useLocale } from '../i18n';
+
+// The big clock and today's date. It ticks on its own, once a second, so the rest of the
+// dashboard doesn't re-render with it.
+function Clock() {
+    const now = useClock(1000);
+    useLocale();
+
+    return (
+        <>
+            <p className="text-[clamp(2.5rem,14vw,6rem)] lg:text-[clamp(3rem,12vw,6rem)] font-bold leading-none">
+                {formatTime(now)}
+            </p>
+            <p className="text-[clamp(0.8rem,4vw,2.5rem)] lg:text-[clamp(1.5rem,6vw,2.5rem)] text-gray-300 leading-tight">
+                {formatDate(now)}
+            </p>
+        </>
+    );
+}
+
+export default memo(Clock);
@@ -0,0 +1,69 @@
+import React, { useState, useEffect } from 'react';
+import Modal from './Modal';
+import { loadDayHistory, describeEvent } from '../audit';
+import { formatDateTime } from '../days';
+import { displayName } from '../auth';
+import { t } from '../i18n';
+
+// Every recorded change of one day, newest first. Each row is the version of the day
+// right after that change and can be restored; the oldest row's `before` is the version
+// from before any recorded change.
+export default function DayHistoryModal({ dog, dateKey, pendingChanges, onRestore, onClose }) {
+    const [events, setEvents] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        loadDayHistory(dog.id, dateKey)
+            .then(result => { if (!cancelled) setEvents(result); })
+            .catch(err => {
+                console.error('Error loading change history:', err);
+                if (!cancelled) setError(t('dayHistory.loadFailed'));
+            });
+        return () => { cancelled = true; };
+    }, [dog.id, dateKey]);
+
+    const restore = (day) => {
+        if (!window.confirm(t('dayHistory.confirmRestore'))) return;
+        onRestore(day);
+        onClose();
+    };
+
+    const oldest = events && events[events.length - 1];
+
+    return (
+        <Modal title={t('dayHistory.title')} onClose={onClose}>
+            <div className="flex flex-col gap-1 text-sm">
+                {pendingChanges > 0 && (
+                    <p className="text-yellow-400 text-xs">{t('dayHistory.pending')}</p>
+                )}
+                {error && <p className="text-red-400">{error}</p>}
+                {!events && !error && <p className="text-gray-500">{t('common.loading')}</p>}
+                {events && events.length === 0 && <p className="text-gray-500">{t('dayHistory.empty')}</p>}
+
+                {events && events.map((event, i) => (
+                    <div key={event.id} className="flex items-start justify-between gap-2 border-b border-white/10 py-1">
+                        <div className="min-w-0">
+                            <p>{describeEvent(event)}</p>
+                            <p className="text-xs text-gray-500">
+                                {formatDateTime(event.at)}{event.by && ` · ${displayName(event.byName)}`}
+                            </p>
+                        </div>
+                        {i === 0 ? (
+                            <span className="text-xs text-gray-500 flex-shrink-0">{t('dayHistory.current')}</span>
+                        ) : (
+                            <button onClick={() => restore(event.after)} className="button text-xs p-1 flex-shrink-0">{t('common.restore')}</button>
+                        )}
+                    </div>
+                ))}
+
+                {oldest && (
+                    <div className="flex items-center justify-between gap-2 py-1">
+                        <p className="text-gray-400">{t('dayHistory.beforeFirst')}</p>
+                        <button onClick={() => restore(oldest.before)} className="button text-xs p-1 flex-shrink-0">{t('common.restore')}</button>
+                    </div>
+                )}
+            </div>
+        </Modal>
+    );
+}
@@ -0,0 +1,91 @@
+import React, { memo } from 'react';
+import { formatClock, formatDateToKey } from '../days';
+import { ENTRY_TYPES, entryName } from '../entryTypes';
+import { t, useLocale } from '../i18n';
+
+const HOUR_MARKS = [0, 3, 6, 9, 12, 15, 18, 21];
+const LANE_REM = 1.25;
+
+// Where a time falls on the 24h axis, in %. By local clock time, so a DST day still fits.
+const position = (value) => {
+    const d = new Date(value);
+    return ((d.getHours() * 60 + d.getMinutes() + d.getSeconds() / 60) / (24 * 60)) * 100;
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// The selected day on one 24h axis, a lane per entry type (see entryTypes.js), so the rhythm
+// of the day and its gaps show at a glance. Today also gets a "now" cursor and the planned
+// next walk as a ghost marker, unless that falls on another day. Tapping a marker opens
+// that entry in the form.
+function DayTimeline({ types, logs, dateKey, now, nextWalk, canEdit, onEdit }) {
+    useLocale();
+    const walkType = ENTRY_TYPES.walks;
+    const WalkIcon = walkType.icon;
+    const walkLane = types.indexOf(walkType);
+    const showNextWalk = nextWalk && walkLane >= 0 && formatDateToKey(nextWalk) === dateKey;
+
+    return (
+        <div className="border border-white/20 bg-black flex-shrink-0 px-3 pt-1 pb-4" role="group" aria-label={t('timeline.label')}>
+            <div className="relative" style={{ height: `${types.length * LANE_REM}rem` }}>
+                {HOUR_MARKS.map(hour => (
+                    <div key={hour} className="absolute top-0 bottom-0 border-l border-white/10" style={{ left: `${(hour / 24) * 100}%` }}>
+                        <span className="absolute top-full -translate-x-1/2 text-[0.5rem] lg:text-xs text-gray-500">
+                            {String(hour).padStart(2, '0')}
+                        </span>
+                    </div>
+                ))}
+
+                {types.map((type, lane) => {
+                    const Icon = type.icon;
+                    const top = `${lane * LANE_REM}rem`;
+                    return logs[type.kind].map(entry => {
+                        const color = (type.markerColor && type.markerColor(entry)) || type.color;
+                        const label = t('timeline.entry', { name: capitalize(entryName(type, entry)), time: formatClock(entry.time) });
+                        const start = entry.startTime && position(entry.startTime);
+                        return (
+                            <React.Fragment key={`${type.kind}:${entry.id}`}>
+                                {start != null && start < position(entry.time) && (
+                                    <div
+                                        className={`absolute h-1 rounded ${color} bg-current opacity-40`}
+                                        style={{ left: `${start}%`, width: `${position(entry.time) - start}%`, top: `calc(${top} + ${LANE_REM / 2}rem - 2px)` }}
+                                    />
+                                )}
+                                <button
+                                    onClick={() => onEdit(type.kind, entry)}
+                                    disabled={!canEdit}
+                                    title={label}
+                                    aria-label={label}
+                                    className="absolute -translate-x-1/2 flex items-center justify-center rounded-full bg-black p-0.5 hover:bg-white/20 disabled:hover:bg-black"
+                                    style={{ left: `${position(entry.time)}%`, top }}
+                                >
+                                    <Icon className={`w-3 h-3 lg:w-4 lg:h-4 ${color}`} />
+                                </button>
+                            </React.Fragment>
+                        );
+                    });
+                })}
+
+                {showNextWalk && (
+                    <div
+                        title={t('timeline.nextWalk', { time: formatClock(nextWalk) })}
+                        className="absolute -translate-x-1/2 flex items-center justify-center rounded-full border border-dashed border-yellow-400/60 p-0.5 opacity-50"
+                        style={{ left: `${position(nextWalk)}%`, top: `${walkLane * LANE_REM}rem` }}
+                    >
+                        <WalkIcon className={`w-3 h-3 lg:w-4 lg:h-4 ${walkType.color}`} />
+                    </div>
+                )}
+
+                {now && (
+                    <div
+                        title={t('timeline.now')}
+                        className="absolute -top-1 -bottom-1 w-0.5 bg-red-500 pointer-events-none"
+                        style={{ left: `${position(now)}%` }}
+                    />
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default memo(DayTimeline);
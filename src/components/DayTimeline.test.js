@@ -0,0 +1,68 @@
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import App from '../App';
+
+// Weather requests never leave the test run
+jest.mock('axios', () => ({ get: jest.fn(() => Promise.reject(new Error('No network in tests'))) }));
+
+beforeEach(() => localStorage.clear());
+afterEach(() => jest.useRealTimers());
+
+const timeline = () => screen.getByRole('group', { name: 'Day timeline' });
+
+const logMeal = async (time, weight) => {
+  fireEvent.click(await screen.findByText('Add Custom Meal'));
+  fireEvent.change(screen.getByLabelText('Time'), { target: { value: time } });
+  fireEvent.change(screen.getByLabelText('Weight'), { target: { value: weight } });
+  fireEvent.click(screen.getByText('Save'));
+  await screen.findByText(`${weight}g`);
+};
+
+test('places the day\'s entries on the 24h axis and opens them when tapped', async () => {
+  jest.useFakeTimers().setSystemTime(new Date(2025, 4, 10, 12, 0, 0));
+  render(<App />);
+  fireEvent.click(await screen.findByText('Add Walk Now'));
+  await logMeal('06:00', '80');
+
+  expect(within(timeline()).getByTitle('Walk at 12:00 PM')).toHaveStyle({ left: '50%' });
+  expect(within(timeline()).getByTitle('Meal at 06:00 AM')).toHaveStyle({ left: '25%' });
+
+  fireEvent.click(within(timeline()).getByTitle('Meal at 06:00 AM'));
+  expect(screen.getByText('Edit Meal')).toBeInTheDocument();
+  expect(screen.getByLabelText('Weight')).toHaveValue(80);
+});
+
+test('today shows the now cursor and the next walk as a ghost marker', async () => {
+  jest.useFakeTimers().setSystemTime(new Date(2025, 4, 10, 12, 0, 0));
+  render(<App />);
+  fireEvent.click(await screen.findByText('Add Walk Now'));
+
+  expect(await within(timeline()).findByTitle('Walk at 12:00 PM')).toBeInTheDocument();
+  expect(within(timeline()).getByTitle('Now')).toHaveStyle({ left: '50%' });
+  expect(within(timeline()).getByTitle('Next walk planned at 03:00 PM')).toHaveStyle({ left: '62.5%' });
+});
+
+test('a next walk due tomorrow is left off the axis', async () => {
+  jest.useFakeTimers().setSystemTime(new Date(2025, 4, 10, 23, 0, 0));
+  render(<App />);
+  fireEvent.click(await screen.findByText('Add Walk Now'));
+
+  expect(await within(timeline()).findByTitle('Walk at 11:00 PM')).toBeInTheDocument();
+  expect(within(timeline()).getByTitle('Now')).toBeInTheDocument();
+  expect(within(timeline()).queryByTitle(/Next walk planned/)).not.toBeInTheDocument();
+});
+
+test('a past day has neither, and its markers only open in edit mode', async () => {
+  jest.useFakeTimers().setSystemTime(new Date(2025, 4, 10, 12, 0, 0));
+  render(<App />);
+  fireEvent.click(await screen.findByTitle('History'));
+  fireEvent.change(screen.getByLabelText('Jump to date'), { target: { value: '2025-05-06' } });
+  await screen.findByText('History: Tue, May 6, 2025');
+  fireEvent.click(screen.getByTitle('Edit mode'));
+  await logMeal('08:00', '90');
+  fireEvent.click(screen.getByTitle('Edit mode'));
+
+  expect(within(timeline()).queryByTitle('Now')).not.toBeInTheDocument();
+  expect(within(timeline()).queryByTitle(/Next walk planned/)).not.toBeInTheDocument();
+  fireEvent.click(within(timeline()).getByTitle('Meal at 08:00 AM'));
+  expect(screen.queryByText('Edit Meal')).not.toBeInTheDocument();
+});
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import Modal from './Modal';
+import { DEFAULT_DOG } from '../dogs';
+import { withWalkInterval } from '../schedule';
+import { t } from '../i18n';
+
+const PHOTO_SIZE = 128;
+
+// Downscale the picked image so it fits comfortably inside the profile document
+const readPhoto = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onerror = () => reject(reader.error);
+    reader.onload = () => {
+        const img = new Image();
+        img.onerror = reject;
+        img.onload = () => {
+            const scale = Math.min(1, PHOTO_SIZE / Math.max(img.width, img.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(img.width * scale);
+            canvas.height = Math.round(img.height * scale);
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+            resolve(canvas.toDataURL('image/jpeg', 0.8));
+        };
+        img.src = reader.result;
+    };
+    reader.readAsDataURL(file);
+});
+
+export default function DogProfileModal({ dog, onSave, onClose }) {
+    const [form, setForm] = useState({ ...DEFAULT_DOG, name: '', ...dog });
+    const [error, setError] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    const setField = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+    const handlePhoto = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+            setForm({ ...form, photo: await readPhoto(file) });
+        } catch (err) {
+            console.error('Error reading photo:', err);
+            setError(t('profile.photoFailed'));
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const name = form.name.trim();
+        const walkIntervalHours = Number(form.walkIntervalHours);
+        const dailyFoodTarget = Number(form.dailyFoodTarget || 0);
+        const dailyKcalTarget = Number(form.dailyKcalTarget || 0);
+
+        if (!name) return setError(t('common.nameRequired'));
+        if (!(walkIntervalHours > 0)) return setError(t('profile.invalidInterval'));
+        if (dailyFoodTarget < 0 || isNaN(dailyFoodTarget)) return setError(t('profile.invalidRation'));
+        if (dailyKcalTarget < 0 || isNaN(dailyKcalTarget)) return setError(t('profile.invalidKcal'));
+
+        setSaving(true);
+        try {
+            const schedule = form.schedule ? withWalkInterval(form.schedule, walkIntervalHours) : undefined;
+            await onSave({ ...form, name, walkIntervalHours, dailyFoodTarget, dailyKcalTarget, ...(schedule && { schedule }) });
+            onClose();
+        } catch (err) {
+            console.error('Error saving dog profile:', err);
+            setError(t('common.savingFailed'));
+            setSaving(false);
+        }
+    };
+
+    return (
+        <Modal title={dog?.id ? t('profile.editTitle', { name: dog.name }) : t('profile.addTitle')} onClose={onClose}>
+            <form onSubmit={handleSubmit} className="flex flex-col gap-2 text-sm lg:text-base">
+                <label className="flex flex-col gap-0.5">
+                    {t('common.name')}
+                    <input value={form.name} onChange={setField('name')} className="bg-black border border-white/40 p-1" />
+                </label>
+                <div className="flex items-center gap-2">
+                    <label className="flex flex-col gap-0.5 w-20">
+                        {t('profile.emoji')}
+                        <input value={form.emoji} onChange={setField('emoji')} maxLength={4} className="bg-black border border-white/40 p-1 text-center" />
+                    </label>
+                    <label className="flex flex-col gap-0.5 flex-1">
+                        {t('profile.photo')}
+                        <input type="file" accept="image/*" onChange={handlePhoto} className="text-xs" />
+                    </label>
+                    {form.photo && (
+                        <div className="flex flex-col items-center">
+                            <img src={form.photo} alt="" className="w-10 h-10 rounded-full object-cover" />
+                            <button type="button" onClick={() => setForm({ ...form, photo: '' })} className="text-xs text-red-400">{t('common.remove')}</button>
+                        </div>
+                    )}
+                </div>
+                <label className="flex flex-col gap-0.5">
+                    {t('profile.walkInterval')}
+                    <input type="number" min="0.5" step="0.5" value={form.walkIntervalHours} onChange={setField('walkIntervalHours')} className="bg-black border border-white/40 p-1" />
+                </label>
+                <div className="flex gap-2">
+                    <label className="flex flex-col gap-0.5 flex-1">
+                        {t('profile.dailyRation')}
+                        <input type="number" min="0" step="1" value={form.dailyFoodTarget} onChange={setField('dailyFoodTarget')} className="bg-black border border-white/40 p-1" />
+                    </label>
+                    <label className="flex flex-col gap-0.5 flex-1">
+                        {t('profile.dailyKcal')}
+                        <input type="number" min="0" step="1" value={form.dailyKcalTarget} onChange={setField('dailyKcalTarget')} className="bg-black border border-white/40 p-1" />
+                    </label>
+                </div>
+                {error && <p className="text-red-400 text-xs">{error}</p>}
+                <button type="submit" disabled={saving} className="button bg-green-700 hover:bg-green-600 p-1">
+                    {saving ? t('common.saving') : t('common.save')}
+                </button>
+            </form>
+        </Modal>
+    );
+}
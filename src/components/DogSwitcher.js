@@ -0,0 +1,39 @@
+import React from 'react';
+import { Edit } from 'lucide-react';
+import { t } from '../i18n';
+
+export const DogAvatar = ({ dog, className = 'w-5 h-5 lg:w-8 lg:h-8' }) => (
+    dog.photo
+        ? <img src={dog.photo} alt={dog.name} className={`${className} rounded-full object-cover`} />
+        : <span className={`${className} flex items-center justify-center leading-none`} aria-hidden="true">{dog.emoji}</span>
+);
+
+// Row of dog buttons in the controls bar. Editing/adding is only offered in edit mode.
+export default function DogSwitcher({ dogs, selectedDogId, onSelect, onEdit, onAdd, editMode }) {
+    return (
+        <div className="flex items-center gap-0.5 lg:gap-1">
+            {dogs.map(dog => (
+                <button
+                    key={dog.id}
+                    onClick={() => onSelect(dog.id)}
+                    title={dog.name}
+                    className={`h-7 lg:h-10 flex items-center gap-1 px-1 cursor-pointer border rounded
+                        ${dog.id === selectedDogId ? 'border-yellow-400 bg-white/20' : 'border-white/20 bg-white/5 hover:bg-white/10 opacity-70'}`}
+                >
+                    <DogAvatar dog={dog} />
+                    <span className="hidden lg:inline text-sm font-bold">{dog.name}</span>
+                </button>
+            ))}
+            {editMode && selectedDogId && (
+                <button onClick={onEdit} title={t('dogs.edit')} className="w-7 h-7 lg:w-10 lg:h-10 flex items-center justify-center border border-white/40 rounded bg-white/10 hover:bg-white/20 p-0">
+                    <Edit className="w-4 h-4 text-yellow-400" />
+                </button>
+            )}
+            {editMode && (
+                <button onClick={onAdd} title={t('dogs.add')} className="w-7 h-7 lg:w-10 lg:h-10 flex items-center justify-center border border-white/40 rounded bg-white/10 hover:bg-white/20 p-0 text-yellow-400">
+                    +
+                </button>
+            )}
+        </div>
+    );
+}
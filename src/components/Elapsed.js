@@ -0,0 +1,8 @@
+import useClock from '../hooks/useClock';
+import { formatElapsed } from '../days';
+
+// Time since `since`, counting up every second (the running walk timer)
+export default function Elapsed({ since }) {
+    const now = useClock(1000);
+    return formatElapsed(now - new Date(since));
+}
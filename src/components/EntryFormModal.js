@@ -0,0 +1,189 @@
+import React, { useState } from 'react';
+import Modal from './Modal';
+import Stepper from './Stepper';
+import { atTimeOfDay, formatTimeOfDay, formatDateToKey, parseDateKey, isDateKey } from '../days';
+import { ENTRY_TYPES } from '../entryTypes';
+import { t } from '../i18n';
+
+const inputClass = 'bg-black border border-white/40 p-2';
+
+// One form field from the entry type's definition (see entryTypes.js)
+function Field({ field, value, onChange, form }) {
+    switch (field.input) {
+        case 'choice':
+            return (
+                <div className="flex gap-1" role="radiogroup" aria-label={field.label}>
+                    {field.options(form).map(([option, label]) => (
+                        <button
+                            key={option}
+                            type="button"
+                            role="radio"
+                            aria-checked={value === option}
+                            onClick={() => onChange(option)}
+                            className={`button flex-1 p-2 ${value === option ? 'bg-indigo-600 border-indigo-600' : ''}`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            );
+        case 'select':
+            return (
+                <label className="flex flex-col gap-0.5">
+                    {field.label}
+                    <select value={value} onChange={(e) => onChange(e.target.value)} className={inputClass}>
+                        {field.options(form).map(([option, label]) => <option key={option} value={option}>{label}</option>)}
+                    </select>
+                </label>
+            );
+        case 'date':
+            return (
+                <label className="flex flex-col gap-0.5">
+                    {field.label}
+                    <input type="date" max={field.max} value={value} onChange={(e) => onChange(e.target.value)} className={`${inputClass} text-lg`} />
+                </label>
+            );
+        case 'time':
+            return (
+                <label className="flex flex-col gap-0.5">
+                    {field.label}
+                    <input type="time" step="1" value={value} onChange={(e) => onChange(e.target.value)} className={`${inputClass} text-lg`} />
+                </label>
+            );
+        case 'text':
+            return (
+                <input
+                    value={value}
+                    onChange={(e) => onChange(e.target.value)}
+                    placeholder={field.placeholder}
+                    aria-label={field.label}
+                    className={inputClass}
+                />
+            );
+        case 'textarea':
+            return (
+                <label className="flex flex-col gap-0.5">
+                    {field.label}
+                    <textarea value={value} onChange={(e) => onChange(e.target.value)} rows={2} className="bg-black border border-white/40 p-1" />
+                </label>
+            );
+        case 'checkbox':
+            return (
+                <label className="button flex-1 p-2 flex items-center justify-center gap-2">
+                    <input type="checkbox" checked={value} onChange={(e) => onChange(e.target.checked)} className="w-5 h-5" />
+                    {field.label}
+                </label>
+            );
+        case 'stepper':
+            return <Stepper label={field.label} unit={field.unit} step={field.step} value={value} onChange={onChange} />;
+        default:
+            return null;
+    }
+}
+
+// Neighbouring checkboxes share a row
+const groupFields = (fields) => fields.reduce((rows, field) => {
+    const last = rows[rows.length - 1];
+    if (field.input === 'checkbox' && last?.[0].input === 'checkbox') last.push(field);
+    else rows.push([field]);
+    return rows;
+}, []);
+
+const DATE_FIELD = { name: 'date', input: 'date', get label() { return t('common.date'); } };
+const TIME_FIELD = { name: 'time', input: 'time' };
+
+// Add/edit form for any entry type. `day` is the day a new entry goes on (an edited entry
+// starts on its own day); date and time are only shown when `withTime` is set, otherwise the
+// entry is logged at "now". Picking another date moves the entry to that day.
+export default function EntryFormModal({ kind, entry, day, title, withTime = true, defaults = {}, snackTypes = [], pantry = [], onSave, onClose }) {
+    const type = ENTRY_TYPES[kind];
+    // Pantry items offered for this kind of entry; the field only exists when there are some
+    const foods = type.pantryKind ? pantry.filter(item => item.kind === type.pantryKind) : [];
+    const base = {
+        entry,
+        defaults,
+        foods,
+        tracksPantry: foods.length > 0 || Boolean(entry?.foodId),
+        otherTypes: snackTypes.filter(type => !foods.some(item => item.name === type)),
+    };
+    const fields = type.fields.flatMap(field => (field === 'time' ? [DATE_FIELD, TIME_FIELD] : [field]));
+    const isWhen = (field) => field === DATE_FIELD || field === TIME_FIELD;
+
+    const [values, setValues] = useState(() => {
+        const when = entry ? new Date(entry.time) : new Date();
+        return Object.fromEntries(fields.map(field => [
+            field.name,
+            field === DATE_FIELD ? formatDateToKey(entry ? when : day)
+                : field === TIME_FIELD ? formatTimeOfDay(when)
+                    : field.initial({ ...base, values: {} }),
+        ]));
+    });
+    const [errors, setErrors] = useState({});
+
+    const form = { ...base, values, time: null };
+    const isShown = (field) => (isWhen(field) ? withTime : !field.visible || field.visible(form));
+    const setValue = (name, value) => setValues(current => ({ ...current, [name]: value }));
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const found = {};
+
+        if (withTime) {
+            const at = isDateKey(values.date) && atTimeOfDay(parseDateKey(values.date), values.time);
+            if (!isDateKey(values.date)) found.date = t('form.invalidDate');
+            else if (!at) found.time = t('form.invalidTime');
+            else if (at > new Date()) found.time = t('form.futureTime');
+            else form.time = at;
+        } else {
+            form.time = new Date();
+        }
+
+        fields.filter(field => !isWhen(field) && field.validate && isShown(field)).forEach(field => {
+            const message = field.validate(values[field.name], form);
+            if (message) found[field.name] = message;
+        });
+
+        setErrors(found);
+        if (Object.keys(found).length > 0) return;
+
+        onSave(fields.reduce(
+            (saved, field) => (isWhen(field) ? saved : { ...saved, ...field.save(values[field.name], form) }),
+            { time: form.time.toISOString() }
+        ));
+        onClose();
+    };
+
+    const renderField = (field) => (
+        <Field
+            field={field === TIME_FIELD ? { ...field, label: type.timeLabel ? type.timeLabel(values) : t('common.time') }
+                : field === DATE_FIELD ? { ...field, max: formatDateToKey(new Date()) } : field}
+            value={values[field.name]}
+            onChange={(value) => setValue(field.name, value)}
+            form={form}
+        />
+    );
+
+    const error = (field) => errors[field.name] && <p className="text-red-400 text-xs">{errors[field.name]}</p>;
+
+    return (
+        <Modal title={title || t(entry ? 'form.editTitle' : 'form.addTitle', { title: type.title })} onClose={onClose}>
+            <form onSubmit={handleSubmit} noValidate className="flex flex-col gap-3 text-sm lg:text-base">
+                {groupFields(fields.filter(isShown)).map(row => (row.length > 1 ? (
+                    <div key={row[0].name} className="flex gap-1">
+                        {row.map(field => <React.Fragment key={field.name}>{renderField(field)}</React.Fragment>)}
+                    </div>
+                ) : (
+                    <div key={row[0].name}>
+                        {renderField(row[0])}
+                        {error(row[0])}
+                    </div>
+                )))}
+
+                <div className="flex gap-1">
+                    <button type="button" onClick={onClose} className="button flex-1 p-2">{t('common.cancel')}</button>
+                    <button type="submit" className="button flex-1 bg-green-700 hover:bg-green-600 p-2">{t('common.save')}</button>
+                </div>
+            </form>
+        </Modal>
+    );
+}
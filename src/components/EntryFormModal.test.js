@@ -0,0 +1,159 @@
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import App from '../App';
+import repository from '../storage';
+
+// Weather requests never leave the test run
+jest.mock('axios', () => ({ get: jest.fn(() => Promise.reject(new Error('No network in tests'))) }));
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.useFakeTimers().setSystemTime(new Date(2025, 4, 10, 18, 30, 0));
+});
+afterEach(() => jest.useRealTimers());
+
+const card = (plural) => screen.getByRole('group', { name: plural });
+
+const jumpTo = async (key, heading) => {
+  fireEvent.click(await screen.findByTitle('History'));
+  fireEvent.change(screen.getByLabelText('Jump to date'), { target: { value: key } });
+  await screen.findByText(`History: ${heading}`);
+};
+
+test('adds a meal at the picked time with the stepper amount', async () => {
+  render(<App />);
+  fireEvent.click(await screen.findByText('Add Custom Meal'));
+
+  expect(screen.getByLabelText('Time')).toHaveValue('18:30:00');
+  fireEvent.change(screen.getByLabelText('Time'), { target: { value: '08:15' } });
+  fireEvent.change(screen.getByLabelText('Weight'), { target: { value: '100' } });
+  fireEvent.click(screen.getByLabelText('More weight'));
+  fireEvent.click(screen.getByText('Save'));
+
+  await screen.findByText('105g');
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  expect(card('Meals')).toHaveTextContent('Meals (1)');
+  expect(card('Meals')).toHaveTextContent('Ate at 08:15:00 AM - 105g');
+});
+
+test('shows validation errors inline instead of saving', async () => {
+  render(<App />);
+  fireEvent.click(await screen.findByText('Add Custom Meal'));
+
+  fireEvent.change(screen.getByLabelText('Time'), { target: { value: '' } });
+  fireEvent.change(screen.getByLabelText('Weight'), { target: { value: '-5' } });
+  fireEvent.click(screen.getByText('Save'));
+  expect(screen.getByText('Enter a valid time.')).toBeInTheDocument();
+  expect(screen.getByText(/Weight must be/)).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Time'), { target: { value: '19:00' } });
+  fireEvent.change(screen.getByLabelText('Weight'), { target: { value: '80' } });
+  fireEvent.click(screen.getByText('Save'));
+  expect(screen.getByText('That time is in the future.')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Cancel'));
+  expect(card('Meals')).toHaveTextContent('No meals logged for this day.');
+});
+
+test('a different date moves the entry to that day', async () => {
+  render(<App />);
+  fireEvent.click(await screen.findByText('Add Custom Meal'));
+  fireEvent.change(screen.getByLabelText('Time'), { target: { value: '09:00' } });
+  fireEvent.change(screen.getByLabelText('Weight'), { target: { value: '80' } });
+  fireEvent.click(screen.getByText('Save'));
+  await screen.findByText('80g');
+
+  fireEvent.click(within(card('Meals')).getByTitle('Edit'));
+  expect(screen.getByLabelText('Date')).toHaveValue('2025-05-10');
+  fireEvent.change(screen.getByLabelText('Date'), { target: { value: '2025-05-06' } });
+  fireEvent.click(screen.getByText('Save'));
+  expect(await screen.findByText('No meals logged for this day.')).toBeInTheDocument();
+
+  await jumpTo('2025-05-06', 'Tue, May 6, 2025');
+  expect(await screen.findByText('80g')).toBeInTheDocument();
+  expect(card('Meals')).toHaveTextContent('Ate at 09:00:00 AM - 80g');
+});
+
+test('snack types used before are offered again, next to a new one', async () => {
+  render(<App />);
+  fireEvent.click(await screen.findByText('Add Snack Now'));
+  fireEvent.click(await screen.findByText('Save'));
+  expect(screen.queryByLabelText('Time')).not.toBeInTheDocument();
+  expect(screen.getByText('Choose or enter a snack type.')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('New snack type'), { target: { value: ' Carrot ' } });
+  fireEvent.click(screen.getByLabelText('More quantity'));
+  fireEvent.click(screen.getByText('Save'));
+  expect(await screen.findByText(/2 x Carrot/)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Add Snack Now'));
+  expect(await screen.findByLabelText('Type')).toHaveValue('Carrot');
+  expect(screen.getAllByRole('option').map(o => o.textContent)).toEqual(['Carrot', 'New type...']);
+  fireEvent.click(screen.getByText('Save'));
+  expect(await screen.findByText('Snacks (2)')).toBeInTheDocument();
+  expect(card('Snacks')).toHaveTextContent('1 x Carrot at 06:30:00 PM');
+});
+
+test('editing keeps the entry on its own day and prefills its values', async () => {
+  render(<App />);
+  await jumpTo('2025-05-08', 'Thu, May 8, 2025');
+  fireEvent.click(screen.getByTitle('Edit mode'));
+  fireEvent.click(screen.getByText('Add Custom Snack'));
+  fireEvent.change(await screen.findByLabelText('Time'), { target: { value: '09:00' } });
+  fireEvent.change(screen.getByLabelText('New snack type'), { target: { value: 'Chew' } });
+  fireEvent.change(screen.getByLabelText('Quantity'), { target: { value: '3' } });
+  fireEvent.click(screen.getByText('Save'));
+  await screen.findByText(/3 x Chew/);
+
+  fireEvent.click(within(card('Snacks')).getByTitle('Edit'));
+  expect(await screen.findByText('Edit Snack')).toBeInTheDocument();
+  expect(screen.getByLabelText('Date')).toHaveValue('2025-05-08');
+  expect(screen.getByLabelText('Quantity')).toHaveValue(3);
+  fireEvent.click(screen.getByLabelText('Less quantity'));
+  fireEvent.click(screen.getByText('Save'));
+
+  expect(await screen.findByText(/2 x Chew/)).toBeInTheDocument();
+  expect(card('Snacks')).toHaveTextContent('Snacks (1)2 x Chew at 09:00:00 AM');
+});
+
+test('walks record their start, potty outcomes and a note', async () => {
+  render(<App />);
+  fireEvent.click(await screen.findByText('Add Custom Time'));
+  fireEvent.change(screen.getByLabelText('Started (optional)'), { target: { value: '18:00' } });
+  fireEvent.click(screen.getByLabelText('Poop 💩'));
+  fireEvent.change(screen.getByLabelText('Note (optional)'), { target: { value: ' Met a cat ' } });
+  fireEvent.click(screen.getByText('Save'));
+
+  expect(await screen.findByText('Walks (1)')).toBeInTheDocument();
+  expect(card('Walks')).toHaveTextContent('Diza walked 06:00:00 PM - 06:30:00 PM (30 min) 💩 - Met a cat');
+});
+
+test('an accident indoors is logged without a start time', async () => {
+  render(<App />);
+  fireEvent.click(await screen.findByText('Add Custom Time'));
+  fireEvent.click(screen.getByRole('radio', { name: 'Accident indoors' }));
+  expect(screen.queryByLabelText('Started (optional)')).not.toBeInTheDocument();
+  fireEvent.click(screen.getByLabelText('Pee 💧'));
+  fireEvent.click(screen.getByText('Save'));
+
+  expect(await screen.findByText(/Accident indoors at/)).toBeInTheDocument();
+  expect(card('Walks')).toHaveTextContent('Accident indoors at 06:30:00 PM 💧');
+});
+
+test('meals and snacks can be taken from the pantry', async () => {
+  await repository.savePantryItem({ id: 'kibble', name: 'Kibble', kind: 'food' });
+  await repository.savePantryItem({ id: 'chew', name: 'Chew', kind: 'treat' });
+  render(<App />);
+
+  fireEvent.click(await screen.findByText('Add Meal Now'));
+  expect(await screen.findByLabelText('Food')).toHaveValue('kibble');
+  fireEvent.change(screen.getByLabelText('Weight'), { target: { value: '100' } });
+  fireEvent.click(screen.getByText('Save'));
+  expect(await screen.findByText(/100g/)).toBeInTheDocument();
+  expect(card('Meals')).toHaveTextContent('Ate at 06:30:00 PM - 100g Kibble');
+
+  fireEvent.click(screen.getByText('Add Snack Now'));
+  expect(await screen.findByLabelText('Type')).toHaveValue('pantry:chew');
+  fireEvent.click(screen.getByText('Save'));
+  expect(await screen.findByText(/1 x Chew/)).toBeInTheDocument();
+  expect(card('Snacks')).toHaveTextContent('1 x Chew at 06:30:00 PM');
+});
@@ -0,0 +1,345 @@
+import React, { useState, useEffect } from 'react';
+import Modal from './Modal';
+import { parseDateKey, addDaysToKey, formatShortDate } from '../days';
+import { formatCSV, downloadFile } from '../backup';
+import {
+    loadHealthLog, addHealthEntry, removeHealthEntry, weightSeries, timeForDateKey,
+    normalizeMedication, nextDueKey, medicationStatus, saveMedications, lastDoseKey,
+    VACCINATION_COLUMNS, vaccinationRows,
+} from '../health';
+import { displayName } from '../auth';
+import { t } from '../i18n';
+
+const TABS = ['weight', 'medications', 'vaccinations', 'vet'];
+
+const STATUS_STYLES = { overdue: 'text-red-400', due: 'text-orange-400', soon: 'text-yellow-400', ok: 'text-gray-400' };
+
+const dateLabel = (key) => formatShortDate(parseDateKey(key));
+
+// 'weigh-in', 'vet visit', ...
+const typeName = (type) => t(`health.types.${type}`).toLowerCase();
+
+const dueLabel = (med, todayKey) => {
+    const due = nextDueKey(med, todayKey);
+    const days = Math.round((parseDateKey(due) - parseDateKey(todayKey)) / (24 * 60 * 60 * 1000));
+    if (days < 0) return t('health.overdueSince', { date: dateLabel(due) });
+    if (days === 0) return t('health.dueToday');
+    return t('health.nextDue', { date: dateLabel(due), count: days });
+};
+
+// Weight over time: x follows the dates, so irregular weigh-ins are spaced correctly
+function GrowthChart({ series }) {
+    if (series.length < 2) {
+        return <p className="text-gray-400 text-xs">{t('health.chartEmpty')}</p>;
+    }
+    const times = series.map(p => new Date(p.time).getTime());
+    const kgs = series.map(p => p.kg);
+    const [minT, maxT] = [Math.min(...times), Math.max(...times)];
+    const [minKg, maxKg] = [Math.min(...kgs), Math.max(...kgs)];
+    const x = (time) => (maxT > minT ? ((time - minT) / (maxT - minT)) * 100 : 50);
+    const y = (kg) => (maxKg > minKg ? 38 - ((kg - minKg) / (maxKg - minKg)) * 36 : 20);
+    const points = series.map((p, i) => `${x(times[i])},${y(p.kg)}`).join(' ');
+
+    return (
+        <div className="flex flex-col gap-0.5">
+            <div className="flex gap-1">
+                <div className="flex flex-col justify-between text-xs text-gray-400 text-right">
+                    <span>{maxKg} kg</span>
+                    <span>{minKg} kg</span>
+                </div>
+                <svg viewBox="0 0 100 40" preserveAspectRatio="none" className="flex-1 h-32 lg:h-40 border-b border-l border-white/40" role="img" aria-label={t('health.chartLabel')}>
+                    <polyline points={points} fill="none" stroke="#f472b6" strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+                    {series.map((p, i) => (
+                        <circle key={p.time} cx={x(times[i])} cy={y(p.kg)} r="1" fill="#f472b6">
+                            <title>{`${dateLabel(p.key)}: ${p.kg} kg`}</title>
+                        </circle>
+                    ))}
+                </svg>
+            </div>
+            <div className="flex justify-between text-xs text-gray-400 pl-8">
+                <span>{dateLabel(series[0].key)}</span>
+                <span>{dateLabel(series[series.length - 1].key)}</span>
+            </div>
+        </div>
+    );
+}
+
+// Date plus the fields of one kind of health entry. Only vet visits may be in the future (appointments).
+function HealthEntryForm({ type, todayKey, onAdd }) {
+    const [form, setForm] = useState({ key: todayKey, kg: '', name: '', nextDueKey: '', note: '' });
+    const [error, setError] = useState('');
+
+    const setField = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const name = form.name.trim();
+        const kg = Number(form.kg);
+
+        if (!form.key) return setError(t('health.pickDate'));
+        if (type !== 'vet' && form.key > todayKey) return setError(t('health.futureDate'));
+        if (type === 'weight' && !(kg > 0)) return setError(t('health.invalidWeight'));
+        if (type !== 'weight' && !name) return setError(t(type === 'vet' ? 'health.reasonRequired' : 'health.vaccineRequired'));
+        if (form.nextDueKey && form.nextDueKey <= form.key) return setError(t('health.nextDoseAfter'));
+
+        setError('');
+        onAdd({
+            time: timeForDateKey(form.key, todayKey),
+            type,
+            ...(type === 'weight' ? { kg: Math.round(kg * 100) / 100 } : { name }),
+            ...(type === 'vaccination' && form.nextDueKey && { nextDueKey: form.nextDueKey }),
+            ...(form.note.trim() && { note: form.note.trim() }),
+        });
+        setForm({ ...form, kg: '', name: '', nextDueKey: '', note: '' });
+    };
+
+    return (
+        <form onSubmit={handleSubmit} noValidate className="flex flex-col gap-2 border border-white/20 p-2">
+            <div className="flex gap-2">
+                <label className="flex flex-col gap-0.5 flex-1">
+                    {t('common.date')}
+                    <input type="date" value={form.key} onChange={setField('key')} className="bg-black border border-white/40 p-1" />
+                </label>
+                {type === 'weight' && (
+                    <label className="flex flex-col gap-0.5 flex-1">
+                        {t('health.weightKg')}
+                        <input type="number" min="0" step="0.01" value={form.kg} onChange={setField('kg')} className="bg-black border border-white/40 p-1" />
+                    </label>
+                )}
+                {type === 'vaccination' && (
+                    <label className="flex flex-col gap-0.5 flex-1">
+                        {t('health.nextDueOptional')}
+                        <input type="date" value={form.nextDueKey} onChange={setField('nextDueKey')} className="bg-black border border-white/40 p-1" />
+                    </label>
+                )}
+            </div>
+            {type !== 'weight' && (
+                <label className="flex flex-col gap-0.5">
+                    {t(type === 'vet' ? 'health.reason' : 'health.vaccine')}
+                    <input value={form.name} onChange={setField('name')} className="bg-black border border-white/40 p-1" />
+                </label>
+            )}
+            <label className="flex flex-col gap-0.5">
+                {t('common.noteOptional')}
+                <input value={form.note} onChange={setField('note')} className="bg-black border border-white/40 p-1" />
+            </label>
+            {error && <p className="text-red-400 text-xs">{error}</p>}
+            <button type="submit" className="button bg-green-700 hover:bg-green-600 p-1">{t('health.addType', { type: typeName(type) })}</button>
+        </form>
+    );
+}
+
+function MedicationForm({ todayKey, onAdd }) {
+    const [form, setForm] = useState({ name: '', intervalDays: '30', lastGivenKey: '' });
+    const [error, setError] = useState('');
+
+    const setField = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!form.name.trim()) return setError(t('common.nameRequired'));
+        if (!(Number(form.intervalDays) >= 1)) return setError(t('health.invalidRepeat'));
+        if (form.lastGivenKey > todayKey) return setError(t('health.lastDoseFuture'));
+        setError('');
+        onAdd(normalizeMedication({ ...form, lastGivenKey: form.lastGivenKey || null }));
+        setForm({ name: '', intervalDays: '30', lastGivenKey: '' });
+    };
+
+    return (
+        <form onSubmit={handleSubmit} noValidate className="flex flex-col gap-2 border border-white/20 p-2">
+            <label className="flex flex-col gap-0.5">
+                {t('health.medication')}
+                <input value={form.name} onChange={setField('name')} placeholder={t('health.medicationPlaceholder')} className="bg-black border border-white/40 p-1" />
+            </label>
+            <div className="flex gap-2">
+                <label className="flex flex-col gap-0.5 flex-1">
+                    {t('health.everyDays')}
+                    <input type="number" min="1" step="1" value={form.intervalDays} onChange={setField('intervalDays')} className="bg-black border border-white/40 p-1" />
+                </label>
+                <label className="flex flex-col gap-0.5 flex-1">
+                    {t('health.lastGivenOptional')}
+                    <input type="date" value={form.lastGivenKey} onChange={setField('lastGivenKey')} className="bg-black border border-white/40 p-1" />
+                </label>
+            </div>
+            {error && <p className="text-red-400 text-xs">{error}</p>}
+            <button type="submit" className="button bg-green-700 hover:bg-green-600 p-1">{t('health.addMedication')}</button>
+        </form>
+    );
+}
+
+function EntryRow({ entry, children, onDelete }) {
+    return (
+        <div className="flex items-center justify-between gap-1 border-b border-white/10 pb-0.5">
+            <p className="truncate">
+                <span className="text-gray-400">{dateLabel(entry.key)}</span> {children}
+                {entry.note && <span className="text-gray-400"> - {entry.note}</span>}
+                {entry.loggedBy && <span className="text-gray-500"> · {displayName(entry.loggedBy.name)}</span>}
+            </p>
+            <button onClick={() => onDelete(entry)} className="text-xs text-red-400 flex-shrink-0">{t('common.delete')}</button>
+        </div>
+    );
+}
+
+export default function HealthModal({ dog, user, todayKey, initialTab = 'weight', onClose }) {
+    const [tab, setTab] = useState(initialTab);
+    const [log, setLog] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        loadHealthLog(dog.id)
+            .then(entries => { if (!cancelled) setLog(entries); })
+            .catch(err => {
+                console.error('Error loading health log:', err);
+                if (!cancelled) setError(t('health.loadFailed'));
+            });
+        return () => { cancelled = true; };
+    }, [dog.id]);
+
+    const updateMedications = (medications) =>
+        saveMedications(dog, medications).catch(err => {
+            console.error('Error saving medications:', err);
+            setError(t('health.medicationsFailed'));
+        });
+
+    const addEntry = (entry) => {
+        const added = addHealthEntry(dog.id, entry, user);
+        const next = [...(log || []), added].sort((a, b) => new Date(a.time) - new Date(b.time));
+        setLog(next);
+        return next;
+    };
+
+    const deleteEntry = (entry) => {
+        if (!window.confirm(t('health.confirmDelete', { type: typeName(entry.type) }))) return;
+        removeHealthEntry(dog.id, entry, user);
+        const next = log.filter(e => e.id !== entry.id);
+        setLog(next);
+        if (entry.type === 'medication' && dog.medications.some(m => m.id === entry.medicationId)) {
+            updateMedications(dog.medications.map(m =>
+                (m.id === entry.medicationId ? { ...m, lastGivenKey: lastDoseKey(next, m.id) } : m)));
+        }
+    };
+
+    const giveMedication = (med) => {
+        const next = addEntry({ time: new Date().toISOString(), type: 'medication', medicationId: med.id, name: med.name });
+        updateMedications(dog.medications.map(m => (m.id === med.id ? { ...m, lastGivenKey: lastDoseKey(next, m.id) } : m)));
+    };
+
+    // A known last dose is logged too, so the log stays the record of what was given
+    const addMedication = (med) => {
+        if (med.lastGivenKey) {
+            addEntry({ time: timeForDateKey(med.lastGivenKey, todayKey), type: 'medication', medicationId: med.id, name: med.name });
+        }
+        updateMedications([...dog.medications, med]);
+    };
+
+    const removeMedication = (med) => {
+        if (!window.confirm(t('health.confirmStop', { name: med.name }))) return;
+        updateMedications(dog.medications.filter(m => m.id !== med.id));
+    };
+
+    const exportVaccinations = () => {
+        const csv = formatCSV([VACCINATION_COLUMNS, ...vaccinationRows(log)]);
+        downloadFile(`${dog.name.toLowerCase().replace(/\s+/g, '-')}-vaccinations.csv`, csv, 'text/csv');
+    };
+
+    const ofType = (type) => (log || []).filter(e => e.type === type).slice().reverse();
+    const weights = weightSeries(log || []);
+    const latest = weights[weights.length - 1];
+    const upcomingVet = ofType('vet').filter(e => e.key > todayKey).reverse();
+
+    return (
+        <Modal title={t('health.title', { name: dog.name })} onClose={onClose} wide>
+            <div className="flex flex-col gap-3 text-sm lg:text-base">
+                <div className="flex gap-1" role="tablist">
+                    {TABS.map(value => (
+                        <button
+                            key={value}
+                            role="tab"
+                            aria-selected={tab === value}
+                            onClick={() => setTab(value)}
+                            className={`button flex-1 p-1 text-xs lg:text-sm ${tab === value ? 'bg-indigo-600 border-indigo-600' : ''}`}
+                        >
+                            {t(`health.tabs.${value}`)}
+                        </button>
+                    ))}
+                </div>
+
+                {error && <p className="text-red-400 text-xs">{error}</p>}
+                {!log && !error && <p className="text-gray-400">{t('common.loading')}</p>}
+
+                {log && tab === 'weight' && (
+                    <>
+                        {latest && (
+                            <p>
+                                {t('health.latest')} <span className="font-bold">{latest.kg} kg</span>
+                                <span className="text-gray-400"> {t('health.on', { date: dateLabel(latest.key) })}</span>
+                            </p>
+                        )}
+                        <GrowthChart series={weights} />
+                        <HealthEntryForm type="weight" todayKey={todayKey} onAdd={addEntry} />
+                        {ofType('weight').map(e => (
+                            <EntryRow key={e.id} entry={e} onDelete={deleteEntry}>{e.kg} kg</EntryRow>
+                        ))}
+                    </>
+                )}
+
+                {log && tab === 'medications' && (
+                    <>
+                        {dog.medications.length === 0 && <p className="text-gray-400">{t('health.noMedications')}</p>}
+                        {dog.medications.map(med => (
+                            <div key={med.id} className="flex items-center justify-between gap-1 border-b border-white/10 pb-1">
+                                <div className="truncate">
+                                    <p className="truncate">{med.name} <span className="text-gray-500 text-xs">{t('health.every', { count: med.intervalDays })}</span></p>
+                                    <p className={`text-xs ${STATUS_STYLES[medicationStatus(med, todayKey)]}`}>{dueLabel(med, todayKey)}</p>
+                                </div>
+                                <div className="flex gap-1 flex-shrink-0">
+                                    <button onClick={() => giveMedication(med)} className="button bg-green-700 hover:bg-green-600 text-xs p-1">{t('health.givenToday')}</button>
+                                    <button onClick={() => removeMedication(med)} className="text-xs text-red-400">{t('common.remove')}</button>
+                                </div>
+                            </div>
+                        ))}
+                        <MedicationForm todayKey={todayKey} onAdd={addMedication} />
+                        {ofType('medication').length > 0 && <p className="font-bold">{t('health.dosesGiven')}</p>}
+                        {ofType('medication').map(e => (
+                            <EntryRow key={e.id} entry={e} onDelete={deleteEntry}>{e.name}</EntryRow>
+                        ))}
+                    </>
+                )}
+
+                {log && tab === 'vaccinations' && (
+                    <>
+                        <HealthEntryForm type="vaccination" todayKey={todayKey} onAdd={addEntry} />
+                        {ofType('vaccination').length > 0 && (
+                            <button onClick={exportVaccinations} className="button p-1">{t('health.exportVaccinations')}</button>
+                        )}
+                        {ofType('vaccination').map(e => (
+                            <EntryRow key={e.id} entry={e} onDelete={deleteEntry}>
+                                {e.name}
+                                {e.nextDueKey && (
+                                    <span className={e.nextDueKey <= addDaysToKey(todayKey, 14) ? 'text-orange-400' : 'text-gray-400'}>
+                                        {' '}{t('health.nextDose', { date: dateLabel(e.nextDueKey) })}
+                                    </span>
+                                )}
+                            </EntryRow>
+                        ))}
+                    </>
+                )}
+
+                {log && tab === 'vet' && (
+                    <>
+                        {upcomingVet.length > 0 && (
+                            <p className="text-yellow-400">
+                                {t('health.nextAppointment', { date: dateLabel(upcomingVet[0].key), name: upcomingVet[0].name })}
+                            </p>
+                        )}
+                        <HealthEntryForm type="vet" todayKey={todayKey} onAdd={addEntry} />
+                        {ofType('vet').map(e => (
+                            <EntryRow key={e.id} entry={e} onDelete={deleteEntry}>{e.name}</EntryRow>
+                        ))}
+                    </>
+                )}
+            </div>
+        </Modal>
+    );
+}
@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import repository from '../storage';
+import { isDateKey, parseDateKey, formatMonth, formatWeekday } from '../days';
+import { addMonths, dayStatus, loadMonthSummary, monthGrid, monthKeyOf } from '../calendar';
+import { t } from '../i18n';
+
+// Two letters per weekday, Monday first ('Mo', 'Tu', ... / 'må', 'ti', ...); 2024-01-01 was a Monday
+const weekdays = () => [0, 1, 2, 3, 4, 5, 6].map(i => formatWeekday(new Date(2024, 0, 1 + i)).slice(0, 2));
+
+const STATUS_STYLES = {
+    met: 'bg-green-900/60',
+    meals: 'bg-yellow-900/60',
+    missed: 'bg-red-900/60',
+};
+
+const statusLabel = (status) => t(`calendar.status.${status}`);
+
+const monthLabel = (monthKey) => formatMonth(parseDateKey(`${monthKey}-01`));
+
+function DayCell({ dateKey, summary, status, isSelected, isToday, onSelect }) {
+    const counts = summary && [
+        t('calendar.walks', { count: summary.walks }),
+        t('calendar.meals', { count: summary.meals }),
+        summary.snacks > 0 && t('calendar.snacks', { count: summary.snacks }),
+    ].filter(Boolean);
+    const title = [dateKey, summary && counts.join(' '), status && statusLabel(status)].filter(Boolean).join(' · ');
+    return (
+        <button
+            onClick={() => onSelect(dateKey)}
+            title={title}
+            className={`flex flex-col items-center justify-start min-h-[2.5rem] p-0.5 border text-xs
+                ${STATUS_STYLES[status] || ''}
+                ${isSelected ? 'border-yellow-400' : 'border-white/10'}
+                hover:bg-white/10`}
+        >
+            <span className={isToday ? 'font-bold text-yellow-400' : ''}>{Number(dateKey.slice(8))}</span>
+            {counts && <span className="text-[0.6rem] leading-tight text-gray-300">{counts.join(' ')}</span>}
+        </button>
+    );
+}
+
+// Month grid of the dog's history: counts per day, coloured by how the day went against its schedule
+export default function HistoryCalendar({ dog, selectedKey, todayKey, onSelect }) {
+    const [monthKey, setMonthKey] = useState(() => monthKeyOf(selectedKey));
+    const [summary, setSummary] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        setSummary(null);
+        setError('');
+        loadMonthSummary(repository, dog.id, monthKey)
+            .then(result => { if (!cancelled) setSummary(result); })
+            .catch(err => {
+                console.error('Error loading month summary:', err);
+                if (!cancelled) setError(t('calendar.loadFailed'));
+            });
+        return () => { cancelled = true; };
+    }, [dog.id, monthKey]);
+
+    const jumpTo = (value) => {
+        if (!isDateKey(value) || value > todayKey) return;
+        setMonthKey(monthKeyOf(value));
+        onSelect(value);
+    };
+
+    const isCurrentMonth = monthKey >= monthKeyOf(todayKey);
+
+    return (
+        <div className="flex flex-col gap-1 p-1">
+            <div className="flex items-center justify-between gap-1">
+                <button onClick={() => setMonthKey(addMonths(monthKey, -1))} className="button px-2" aria-label={t('calendar.previous')}>‹</button>
+                <p className="font-bold text-sm text-center">{monthLabel(monthKey)}</p>
+                <button
+                    onClick={() => setMonthKey(addMonths(monthKey, 1))}
+                    disabled={isCurrentMonth}
+                    className="button px-2 disabled:opacity-30"
+                    aria-label={t('calendar.next')}
+                >
+                    ›
+                </button>
+            </div>
+
+            <div className="grid grid-cols-7 gap-px text-center">
+                {weekdays().map(day => <span key={day} className="text-[0.6rem] text-gray-500">{day}</span>)}
+                {monthGrid(monthKey).flat().map((dateKey, i) => (
+                    dateKey && dateKey <= todayKey ? (
+                        <DayCell
+                            key={dateKey}
+                            dateKey={dateKey}
+                            summary={summary?.days[dateKey]}
+                            status={summary && dayStatus(summary.days[dateKey], dog.schedule, dateKey, todayKey)}
+                            isSelected={dateKey === selectedKey}
+                            isToday={dateKey === todayKey}
+                            onSelect={onSelect}
+                        />
+                    ) : (
+                        <span key={dateKey || `pad-${i}`} className="min-h-[2.5rem] text-xs text-gray-700 p-0.5">
+                            {dateKey && Number(dateKey.slice(8))}
+                        </span>
+                    )
+                ))}
+            </div>
+
+            {!summary && !error && <p className="text-center text-gray-500 text-xs">{t('common.loading')}</p>}
+            {error && <p className="text-center text-red-400 text-xs">{error}</p>}
+
+            <div className="flex gap-1">
+                <button onClick={() => jumpTo(todayKey)} className="button px-2 text-sm">{t('calendar.today')}</button>
+                <input
+                    type="date"
+                    max={todayKey}
+                    value={selectedKey}
+                    onChange={(e) => jumpTo(e.target.value)}
+                    aria-label={t('calendar.jumpTo')}
+                    className="flex-1 min-w-0 bg-black border border-white/40 p-1 text-sm"
+                />
+            </div>
+
+            <div className="flex flex-wrap gap-x-2 text-[0.6rem] text-gray-400">
+                {Object.keys(STATUS_STYLES).map(status => (
+                    <span key={status} className="flex items-center gap-1">
+                        <span className={`inline-block w-2 h-2 ${STATUS_STYLES[status]}`} />{statusLabel(status)}
+                    </span>
+                ))}
+                <span>{t('calendar.legend')}</span>
+            </div>
+        </div>
+    );
+}
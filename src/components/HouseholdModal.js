@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import Modal from './Modal';
+import { signOut, displayName } from '../auth';
+import { inviteMember, cancelInvite, removeMember, leaveHousehold } from '../households';
+import { t } from '../i18n';
+
+export default function HouseholdModal({ user, household, onClose }) {
+    const [email, setEmail] = useState('');
+    const [error, setError] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    const isOwner = household.ownerId === user.uid;
+    const members = Object.entries(household.members || {}).filter(([uid]) => household.memberIds.includes(uid));
+
+    const run = async (action) => {
+        setBusy(true);
+        setError('');
+        try {
+            await action();
+        } catch (err) {
+            console.error('Error updating household:', err);
+            setError(err.message || t('common.failed'));
+        }
+        setBusy(false);
+    };
+
+    const handleInvite = (e) => {
+        e.preventDefault();
+        run(async () => {
+            await inviteMember(household, email, user);
+            setEmail('');
+        });
+    };
+
+    return (
+        <Modal title={household.name} onClose={onClose}>
+            <div className="flex flex-col gap-2 text-sm lg:text-base">
+                <p className="text-xs text-gray-400">{t('household.signedInAs', { name: displayName(user.name) })}{user.email && ` (${user.email})`}</p>
+
+                <div>
+                    <p className="font-bold">{t('household.members')}</p>
+                    {members.map(([uid, member]) => (
+                        <div key={uid} className="flex items-center justify-between border-b border-white/10 py-0.5">
+                            <span className="truncate">
+                                {displayName(member.name)}{uid === household.ownerId && <span className="text-gray-500"> · {t('household.owner')}</span>}
+                                {member.email && <span className="text-gray-500 text-xs"> {member.email}</span>}
+                            </span>
+                            {isOwner && uid !== user.uid && (
+                                <button onClick={() => run(() => removeMember(household, uid))} disabled={busy} className="text-xs text-red-400">{t('common.remove')}</button>
+                            )}
+                        </div>
+                    ))}
+                </div>
+
+                {!user.isLocal && (
+                    <>
+                        {household.invitedEmails?.length > 0 && (
+                            <div>
+                                <p className="font-bold">{t('household.invited')}</p>
+                                {household.invitedEmails.map(address => (
+                                    <div key={address} className="flex items-center justify-between border-b border-white/10 py-0.5">
+                                        <span className="truncate">{address}</span>
+                                        <button onClick={() => run(() => cancelInvite(household, address))} disabled={busy} className="text-xs text-red-400">{t('common.cancel')}</button>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+
+                        <form onSubmit={handleInvite} className="flex gap-1">
+                            <input
+                                type="email"
+                                value={email}
+                                onChange={(e) => setEmail(e.target.value)}
+                                placeholder={t('household.invitePlaceholder')}
+                                className="flex-1 bg-black border border-white/40 p-1"
+                            />
+                            <button type="submit" disabled={busy || !email} className="button bg-green-700 hover:bg-green-600 p-1">{t('household.invite')}</button>
+                        </form>
+                        <p className="text-xs text-gray-400">{t('household.joinNote')}</p>
+
+                        {error && <p className="text-red-400 text-xs">{error}</p>}
+
+                        <div className="flex gap-1 border-t border-white/20 pt-2">
+                            {!isOwner && (
+                                <button
+                                    onClick={() => window.confirm(t('household.confirmLeave', { name: household.name })) && run(() => leaveHousehold(household, user))}
+                                    disabled={busy}
+                                    className="button flex-1 p-1"
+                                >
+                                    {t('household.leave')}
+                                </button>
+                            )}
+                            <button onClick={() => signOut()} className="button flex-1 p-1">{t('household.signOut')}</button>
+                        </div>
+                    </>
+                )}
+
+                {user.isLocal && <p className="text-xs text-gray-400">{t('household.localNote')}</p>}
+            </div>
+        </Modal>
+    );
+}
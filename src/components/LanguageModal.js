@@ -0,0 +1,33 @@
+import React from 'react';
+import Modal from './Modal';
+import { LOCALES, setLocale, useLocale, t } from '../i18n';
+import { formatTime, formatDate } from '../days';
+
+// Language and date/time format for this device (see i18n/index.js). Takes effect at once.
+export default function LanguageModal({ onClose }) {
+    const locale = useLocale();
+    const now = new Date();
+
+    return (
+        <Modal title={t('language.title')} onClose={onClose}>
+            <p className="text-sm text-gray-400 mb-2">{t('language.intro')}</p>
+            <div className="flex flex-col gap-1" role="radiogroup" aria-label={t('language.title')}>
+                {LOCALES.map(({ id, label }) => (
+                    <button
+                        key={id}
+                        type="button"
+                        role="radio"
+                        aria-checked={locale === id}
+                        onClick={() => setLocale(id)}
+                        className={`button p-2 text-left ${locale === id ? 'bg-indigo-600 border-indigo-600' : ''}`}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+            <p className="text-sm text-gray-300 mt-2">
+                {t('language.example', { time: formatTime(now), date: formatDate(now) })}
+            </p>
+        </Modal>
+    );
+}
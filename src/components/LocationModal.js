@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import Modal from './Modal';
+import weatherService, { parseCoordinates, coordinatesLocation, formatLocation } from '../weather';
+import { t } from '../i18n';
+
+// Weather location for this device: a city search, typed coordinates or the device's position
+export default function LocationModal({ location, onSave, onClose }) {
+    const [query, setQuery] = useState('');
+    const [results, setResults] = useState(null);
+    const [error, setError] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    const choose = (next) => {
+        onSave(next);
+        onClose();
+    };
+
+    const handleSearch = async (e) => {
+        e.preventDefault();
+        setError('');
+        const coordinates = parseCoordinates(query);
+        if (coordinates) return choose(coordinatesLocation(coordinates));
+        if (!query.trim()) return setError(t('location.queryRequired'));
+
+        setBusy(true);
+        try {
+            setResults(await weatherService.searchCities(query.trim()));
+        } catch (err) {
+            console.error('Error searching cities:', err);
+            setError(t('location.searchFailed'));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const useDevicePosition = () => {
+        setError('');
+        navigator.geolocation.getCurrentPosition(
+            ({ coords }) => choose(coordinatesLocation({ lat: coords.latitude, lon: coords.longitude })),
+            () => setError(t('location.positionFailed')),
+        );
+    };
+
+    return (
+        <Modal title={t('location.title')} onClose={onClose}>
+            <div className="flex flex-col gap-2 text-sm lg:text-base">
+                <p className="text-gray-400">{t('location.now', { place: formatLocation(location) })}</p>
+                <form onSubmit={handleSearch} className="flex gap-1">
+                    <input
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        placeholder={t('location.placeholder')}
+                        aria-label={t('location.label')}
+                        className="flex-1 min-w-0 bg-black border border-white/40 p-1"
+                    />
+                    <button type="submit" disabled={busy} className="button p-1">{busy ? '...' : t('location.search')}</button>
+                </form>
+                {error && <p className="text-red-400 text-xs">{error}</p>}
+                {results && results.length === 0 && <p className="text-gray-400">{t('location.noResults')}</p>}
+                {results && results.map(place => (
+                    <button
+                        key={`${place.lat},${place.lon}`}
+                        onClick={() => choose(place)}
+                        className="button p-1 text-left"
+                    >
+                        {formatLocation(place)}
+                    </button>
+                ))}
+                {'geolocation' in navigator && (
+                    <button onClick={useDevicePosition} className="button p-1">{t('location.useDevice')}</button>
+                )}
+            </div>
+        </Modal>
+    );
+}
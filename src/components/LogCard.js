@@ -0,0 +1,98 @@
+import React, { memo } from 'react';
+import { Edit } from 'lucide-react';
+import { displayName } from '../auth';
+import { t, useLocale } from '../i18n';
+
+const actionClass = 'button flex-1 text-[0.6rem] lg:text-sm p-1';
+
+// Who logged the entry, for households with more than one member
+const loggedByLabel = (entry) =>
+    entry.loggedBy && <span className="text-gray-500"> · {displayName(entry.loggedBy.name)}</span>;
+
+// One day's entries of one type (see entryTypes.js) with their edit/delete buttons and the
+// buttons that add more. `ctx` is handed to the type's renderers ({ dog, logs, pantry, ... }).
+// On a past day only the custom add is offered ("now" is not on that day), and with
+// `selected`/`onSelect` set the entries get checkboxes for moving, copying or deleting them.
+// The card only re-renders when its props change: the handlers get the type's kind, so the
+// dashboard can hand every card the same functions.
+function LogCard({ type, entries, ctx, canEdit, pastDay, selected, onSelect, onAdd, onAddNow, onEdit, onDelete }) {
+    useLocale();
+    const Icon = type.icon;
+    const allSelected = selected && entries.length > 0 && entries.every(entry => selected[entry.id]);
+    const names = { title: type.title, plural: type.plural.toLowerCase() };
+
+    const customButton = (
+        <button onClick={() => onAdd(type.kind, true)} className={actionClass}>{type.customAddLabel || t('log.addCustom', names)}</button>
+    );
+    const buttons = (
+        <>
+            <button
+                onClick={() => (type.instantAdd ? onAddNow(type.kind) : onAdd(type.kind, false))}
+                className={`${actionClass} ${type.accent || ''}`}
+            >
+                {t('log.addNow', names)}
+            </button>
+            {customButton}
+        </>
+    );
+
+    return (
+        <div className="flex-1 flex flex-col border border-white/20 p-1 lg:p-2 overflow-hidden bg-black min-h-0 lg:min-h-[300px]" role="group" aria-label={type.plural}>
+            <p className="font-bold mb-1 text-center text-sm lg:text-xl border-b border-white/20 pb-0.5 flex-shrink-0">
+                {selected && entries.length > 0 && (
+                    <input
+                        type="checkbox"
+                        checked={allSelected}
+                        onChange={() => onSelect(entries, !allSelected)}
+                        aria-label={t('log.selectAll', names)}
+                        className="w-4 h-4 mr-1 align-middle"
+                    />
+                )}
+                {type.plural} ({type.count ? type.count(entries) : entries.length})
+                {type.heading && type.heading(entries, ctx)}
+            </p>
+            <div className="flex-1 overflow-y-auto">
+                {entries.map(entry => (
+                    <div key={entry.id} className="flex items-center justify-between mb-0.5 text-sm lg:text-base p-0.5 border-b border-white/10 last:border-b-0">
+                        <div className="flex items-center gap-0.5 truncate">
+                            {selected && (
+                                <input
+                                    type="checkbox"
+                                    checked={Boolean(selected[entry.id])}
+                                    onChange={() => onSelect([entry], !selected[entry.id])}
+                                    aria-label={t('log.selectEntry')}
+                                    className="w-3 h-3 lg:w-4 lg:h-4 flex-shrink-0"
+                                />
+                            )}
+                            <Icon className={`w-3 h-3 lg:w-5 lg:h-5 ${type.color} flex-shrink-0`} />
+                            <p className="truncate text-[0.6rem] lg:text-sm leading-tight" title={type.tooltip && type.tooltip(entry)}>
+                                {type.describe(entry, ctx)}
+                                {loggedByLabel(entry)}
+                            </p>
+                        </div>
+                        {canEdit && (
+                            <div className="flex gap-0.5 flex-shrink-0">
+                                <button onClick={() => onEdit(type.kind, entry)} title={t('common.edit')} className="flex items-center justify-center border border-white/40 rounded bg-white/10 hover:bg-white/20 p-0 w-4 h-4">
+                                    <Edit className="w-3 h-3 text-yellow-400" />
+                                </button>
+                                <button onClick={() => onDelete(type.kind, entry)} title={t('common.delete')} className="flex items-center justify-center border border-white/40 rounded bg-white/10 hover:bg-white/20 p-0 w-4 h-4">
+                                    <div className="text-[0.6rem] leading-none">🗑️</div>
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                ))}
+                {entries.length === 0 && (
+                    <p className="text-center text-gray-400 mt-1 text-[0.6rem] lg:text-base">{t('log.empty', names)}</p>
+                )}
+            </div>
+            {canEdit && (
+                <div className="flex gap-0.5 mt-1 pt-1 border-t border-white/20 flex-shrink-0">
+                    {pastDay ? customButton : type.renderActions ? type.renderActions(ctx, buttons) : buttons}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default memo(LogCard);
@@ -0,0 +1,68 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import App from '../App';
+
+// Weather requests never leave the test run
+jest.mock('axios', () => ({ get: jest.fn(() => Promise.reject(new Error('No network in tests'))) }));
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.useFakeTimers().setSystemTime(new Date(2025, 4, 10, 12, 0, 0));
+});
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+test('a card lists the day\'s entries and edits or deletes them in place', async () => {
+  render(<App />);
+  fireEvent.click(await screen.findByText('Add Meal Now'));
+  fireEvent.change(screen.getByLabelText('Weight'), { target: { value: '120' } });
+  fireEvent.click(screen.getByText('Save'));
+  expect(await screen.findByText('Meals (1)')).toBeInTheDocument();
+  expect(screen.getByText('120g')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByTitle('Edit'));
+  fireEvent.change(screen.getByLabelText('Weight'), { target: { value: '90' } });
+  fireEvent.click(screen.getByText('Save'));
+  expect(await screen.findByText('90g')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByTitle('Delete'));
+  expect(await screen.findByText('Meals (0)')).toBeInTheDocument();
+  expect(screen.getByText('No meals logged for this day.')).toBeInTheDocument();
+});
+
+test('walks count accidents apart and swap in the timer buttons', async () => {
+  jest.spyOn(window, 'confirm').mockReturnValue(true);
+  render(<App />);
+  fireEvent.click(await screen.findByText('Add Custom Time'));
+  fireEvent.click(screen.getByRole('radio', { name: 'Accident indoors' }));
+  fireEvent.click(screen.getByText('Save'));
+  expect(await screen.findByText('· 1 accident(s)')).toBeInTheDocument();
+  expect(screen.getByText('Walks (0)')).toBeInTheDocument();
+  expect(screen.getByText(/Accident indoors at/)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Add Walk Now'));
+  expect(await screen.findByText('Walks (1)')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Start Walk'));
+  expect(await screen.findByText(/^Stop Walk/)).toBeInTheDocument();
+  expect(screen.queryByText('Add Walk Now')).not.toBeInTheDocument();
+  fireEvent.click(screen.getByText('Discard'));
+  expect(await screen.findByText('Start Walk')).toBeInTheDocument();
+  expect(screen.getByText('Walks (1)')).toBeInTheDocument();
+});
+
+test('a past day is read-only until edit mode, which only offers adding at a chosen time', async () => {
+  render(<App />);
+  fireEvent.click(await screen.findByTitle('History'));
+  fireEvent.change(screen.getByLabelText('Jump to date'), { target: { value: '2025-05-06' } });
+  await screen.findByText('History: Tue, May 6, 2025');
+
+  expect(screen.getByText('No walks logged for this day.')).toBeInTheDocument();
+  expect(screen.queryByText('Add Custom Time')).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByTitle('Edit mode'));
+  expect(screen.getByText('Add Custom Time')).toBeInTheDocument();
+  expect(screen.queryByText('Add Walk Now')).not.toBeInTheDocument();
+  expect(screen.queryByText('Start Walk')).not.toBeInTheDocument();
+});
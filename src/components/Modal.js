@@ -0,0 +1,25 @@
+import React from 'react';
+import { t } from '../i18n';
+
+// Full-screen overlay used for the dashboard's forms and settings screens
+export default function Modal({ title, onClose, wide = false, children }) {
+    return (
+        <div
+            className="fixed inset-0 z-30 flex items-center justify-center bg-black/70 p-2"
+            onClick={onClose}
+        >
+            <div
+                role="dialog"
+                aria-label={title}
+                className={`w-full ${wide ? 'max-w-3xl' : 'max-w-md'} max-h-full overflow-y-auto border border-white/20 bg-black p-2 lg:p-4`}
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex justify-between items-center border-b border-white/20 pb-1 mb-2">
+                    <p className="font-bold text-lg">{title}</p>
+                    <button onClick={onClose} className="text-xl button p-1" aria-label={t('common.close')}>X</button>
+                </div>
+                {children}
+            </div>
+        </div>
+    );
+}
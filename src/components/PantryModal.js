@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import Modal from './Modal';
+import {
+    DEFAULT_PANTRY_ITEM, PANTRY_KINDS, PANTRY_UNITS, isLowStock, formatAmount,
+    savePantryItem, deletePantryItem, restock,
+} from '../pantry';
+import { t } from '../i18n';
+
+const kindLabel = (kind) => t(`pantry.kinds.${kind}`);
+const unitLabel = (unit) => t(`pantry.units.${unit}`);
+
+function PantryItemForm({ item, onDone }) {
+    const [form, setForm] = useState({ ...DEFAULT_PANTRY_ITEM, ...item });
+    const [error, setError] = useState('');
+
+    const setField = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const name = form.name.trim();
+        const numbers = ['kcalPerUnit', 'stock', 'lowStockThreshold'].map(f => Number(form[f]));
+
+        if (!name) return setError(t('common.nameRequired'));
+        if (numbers.some(n => isNaN(n) || n < 0)) return setError(t('pantry.invalidNumbers'));
+
+        try {
+            await savePantryItem({ ...form, name });
+            onDone();
+        } catch (err) {
+            console.error('Error saving pantry item:', err);
+            setError(t('common.savingFailed'));
+        }
+    };
+
+    const unit = unitLabel(form.unit);
+
+    return (
+        <form onSubmit={handleSubmit} className="flex flex-col gap-2 border border-white/20 p-2">
+            <label className="flex flex-col gap-0.5">
+                {t('common.name')}
+                <input value={form.name} onChange={setField('name')} className="bg-black border border-white/40 p-1" />
+            </label>
+            <div className="flex gap-2">
+                <label className="flex flex-col gap-0.5 flex-1">
+                    {t('pantry.kind')}
+                    <select value={form.kind} onChange={setField('kind')} className="bg-black border border-white/40 p-1">
+                        {PANTRY_KINDS.map(value => <option key={value} value={value}>{kindLabel(value)}</option>)}
+                    </select>
+                </label>
+                <label className="flex flex-col gap-0.5 flex-1">
+                    {t('pantry.countedIn')}
+                    <select value={form.unit} onChange={setField('unit')} className="bg-black border border-white/40 p-1">
+                        {PANTRY_UNITS.map(value => <option key={value} value={value}>{unitLabel(value)}</option>)}
+                    </select>
+                </label>
+            </div>
+            <label className="flex flex-col gap-0.5">
+                {t(`pantry.kcalPer.${form.unit}`)}
+                <input type="number" min="0" step="any" value={form.kcalPerUnit} onChange={setField('kcalPerUnit')} className="bg-black border border-white/40 p-1" />
+            </label>
+            <div className="flex gap-2">
+                <label className="flex flex-col gap-0.5 flex-1">
+                    {t('pantry.inStock', { unit })}
+                    <input type="number" min="0" step="any" value={form.stock} onChange={setField('stock')} className="bg-black border border-white/40 p-1" />
+                </label>
+                <label className="flex flex-col gap-0.5 flex-1">
+                    {t('pantry.warnBelow', { unit })}
+                    <input type="number" min="0" step="any" value={form.lowStockThreshold} onChange={setField('lowStockThreshold')} className="bg-black border border-white/40 p-1" />
+                </label>
+            </div>
+            {error && <p className="text-red-400 text-xs">{error}</p>}
+            <div className="flex gap-1">
+                <button type="button" onClick={onDone} className="button flex-1 p-1">{t('common.cancel')}</button>
+                <button type="submit" className="button flex-1 bg-green-700 hover:bg-green-600 p-1">{t('common.save')}</button>
+            </div>
+        </form>
+    );
+}
+
+function RestockForm({ item, onDone }) {
+    const [amount, setAmount] = useState('');
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!(Number(amount) > 0)) return;
+        restock(item, Number(amount)).catch(error => console.error('Error restocking:', error));
+        onDone();
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="flex gap-1">
+            <input
+                type="number"
+                min="0"
+                step="any"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                placeholder={t('pantry.restockPlaceholder', { unit: unitLabel(item.unit) })}
+                aria-label={t('pantry.restockLabel', { name: item.name })}
+                autoFocus
+                className="flex-1 min-w-0 bg-black border border-white/40 p-1"
+            />
+            <button type="submit" className="button bg-green-700 hover:bg-green-600 text-xs p-1">{t('common.add')}</button>
+            <button type="button" onClick={onDone} className="button text-xs p-1">{t('common.cancel')}</button>
+        </form>
+    );
+}
+
+export default function PantryModal({ pantry, onClose }) {
+    const [editing, setEditing] = useState(null);
+    const [restocking, setRestocking] = useState(null);
+
+    const handleDelete = (item) => {
+        if (!window.confirm(t('pantry.confirmRemove', { name: item.name }))) return;
+        deletePantryItem(item.id).catch(error => console.error('Error deleting pantry item:', error));
+    };
+
+    return (
+        <Modal title={t('pantry.title')} onClose={onClose}>
+            <div className="flex flex-col gap-2 text-sm lg:text-base">
+                {pantry.length === 0 && !editing && <p className="text-gray-400">{t('pantry.empty')}</p>}
+                {pantry.map(item => (
+                    <div key={item.id} className="flex flex-col gap-1 border-b border-white/10 pb-1">
+                        <div className="flex items-center justify-between gap-1">
+                            <div className="truncate">
+                                <p className="truncate">
+                                    {item.name} <span className="text-gray-500 text-xs">{kindLabel(item.kind)} · {item.kcalPerUnit} kcal/{t(`pantry.perUnit.${item.unit}`)}</span>
+                                </p>
+                                <p className={`text-xs ${isLowStock(item) ? 'text-orange-400' : 'text-gray-400'}`}>
+                                    {t(isLowStock(item) ? 'pantry.leftLow' : 'pantry.left', { amount: formatAmount(item.stock, item.unit) })}
+                                </p>
+                            </div>
+                            <div className="flex gap-1 flex-shrink-0">
+                                <button onClick={() => setRestocking(item.id)} className="button text-xs p-1">{t('pantry.restock')}</button>
+                                <button onClick={() => setEditing(item)} className="button text-xs p-1">{t('common.edit')}</button>
+                                <button onClick={() => handleDelete(item)} className="text-xs text-red-400">{t('common.remove')}</button>
+                            </div>
+                        </div>
+                        {restocking === item.id && <RestockForm item={item} onDone={() => setRestocking(null)} />}
+                    </div>
+                ))}
+                {editing
+                    ? <PantryItemForm key={editing.id || 'new'} item={editing} onDone={() => setEditing(null)} />
+                    : <button onClick={() => setEditing({})} className="button bg-green-700 hover:bg-green-600 p-1">{t('pantry.addItem')}</button>}
+            </div>
+        </Modal>
+    );
+}
@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import Modal from './Modal';
+import { normalizeSchedule, validateSchedule } from '../schedule';
+import { t } from '../i18n';
+
+const inputClass = 'bg-black border border-white/40 p-1';
+
+// Editable list of HH:mm times (fixed walks / meals)
+const TimeList = ({ label, times, onChange }) => (
+    <div className="flex flex-col gap-1">
+        <p className="font-bold">{label}</p>
+        {times.map((time, i) => (
+            <div key={i} className="flex gap-1 items-center">
+                <input
+                    type="time"
+                    aria-label={`${label} ${i + 1}`}
+                    value={time}
+                    onChange={(e) => onChange(times.map((time, j) => (j === i ? e.target.value : time)))}
+                    className={`${inputClass} flex-1`}
+                />
+                <button type="button" onClick={() => onChange(times.filter((_, j) => j !== i))} className="button text-red-400 p-1">{t('common.remove')}</button>
+            </div>
+        ))}
+        <button type="button" onClick={() => onChange([...times, '12:00'])} className="button p-1">{t('schedule.addTime')}</button>
+    </div>
+);
+
+export default function ScheduleSettingsModal({ dog, onSave, onClose }) {
+    const [schedule, setSchedule] = useState(dog.schedule);
+    const [errors, setErrors] = useState([]);
+    const [saving, setSaving] = useState(false);
+
+    const setWalks = (walks) => setSchedule({ ...schedule, walks: { ...schedule.walks, ...walks } });
+    const setQuiet = (quietHours) => setSchedule({ ...schedule, quietHours: { ...schedule.quietHours, ...quietHours } });
+
+    const updateInterval = (i, field, value) => setWalks({
+        intervals: schedule.walks.intervals.map((rule, j) => (j === i ? { ...rule, [field]: value } : rule)),
+    });
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const problems = validateSchedule(schedule);
+        setErrors(problems);
+        if (problems.length > 0) return;
+
+        setSaving(true);
+        try {
+            await onSave({ ...dog, schedule: normalizeSchedule(schedule, dog.walkIntervalHours) });
+            onClose();
+        } catch (err) {
+            console.error('Error saving schedule:', err);
+            setErrors([t('common.savingFailed')]);
+            setSaving(false);
+        }
+    };
+
+    return (
+        <Modal title={t('schedule.title', { name: dog.name })} onClose={onClose}>
+            <form onSubmit={handleSubmit} className="flex flex-col gap-3 text-sm lg:text-base">
+                <div className="flex flex-col gap-1">
+                    <p className="font-bold">{t('schedule.walkIntervals')}</p>
+                    <p className="text-xs text-gray-400">{t('schedule.intervalsHelp')}</p>
+                    {schedule.walks.intervals.map((rule, i) => (
+                        <div key={i} className="flex gap-1 items-center">
+                            <input type="time" aria-label={t('schedule.intervalFrom', { n: i + 1 })} value={rule.from} onChange={(e) => updateInterval(i, 'from', e.target.value)} className={inputClass} />
+                            <span>–</span>
+                            <input aria-label={t('schedule.intervalTo', { n: i + 1 })} value={rule.to} onChange={(e) => updateInterval(i, 'to', e.target.value)} placeholder="HH:mm" className={`${inputClass} w-16`} />
+                            <span>{t('schedule.every')}</span>
+                            <input type="number" min="0.5" step="0.5" aria-label={t('schedule.intervalHours', { n: i + 1 })} value={rule.everyHours} onChange={(e) => updateInterval(i, 'everyHours', e.target.value)} className={`${inputClass} w-14`} />
+                            <span>{t('schedule.hours')}</span>
+                            <button type="button" onClick={() => setWalks({ intervals: schedule.walks.intervals.filter((_, j) => j !== i) })} className="button text-red-400 p-1 ml-auto">{t('common.remove')}</button>
+                        </div>
+                    ))}
+                    <button type="button" onClick={() => setWalks({ intervals: [...schedule.walks.intervals, { from: '07:00', to: '22:00', everyHours: 2 }] })} className="button p-1">
+                        {t('schedule.addInterval')}
+                    </button>
+                </div>
+
+                <TimeList label={t('schedule.scheduledWalks')} times={schedule.walks.fixedTimes} onChange={(fixedTimes) => setWalks({ fixedTimes })} />
+                <TimeList label={t('schedule.mealTimes')} times={schedule.meals.fixedTimes} onChange={(fixedTimes) => setSchedule({ ...schedule, meals: { fixedTimes } })} />
+
+                <div className="flex flex-col gap-1">
+                    <label className="flex items-center gap-1 font-bold">
+                        <input type="checkbox" checked={schedule.quietHours.enabled} onChange={(e) => setQuiet({ enabled: e.target.checked })} />
+                        {t('schedule.quietHours')}
+                    </label>
+                    {schedule.quietHours.enabled && (
+                        <div className="flex gap-1 items-center">
+                            <input type="time" aria-label={t('schedule.quietFrom')} value={schedule.quietHours.from} onChange={(e) => setQuiet({ from: e.target.value })} className={inputClass} />
+                            <span>–</span>
+                            <input type="time" aria-label={t('schedule.quietTo')} value={schedule.quietHours.to} onChange={(e) => setQuiet({ to: e.target.value })} className={inputClass} />
+                        </div>
+                    )}
+                </div>
+
+                <label className="flex flex-col gap-0.5">
+                    {t('schedule.tolerance')}
+                    <input type="number" min="0" step="5" value={schedule.toleranceMinutes} onChange={(e) => setSchedule({ ...schedule, toleranceMinutes: e.target.value })} className={inputClass} />
+                </label>
+
+                {errors.map(error => <p key={error} className="text-red-400 text-xs">{error}</p>)}
+                <button type="submit" disabled={saving} className="button bg-green-700 hover:bg-green-600 p-1">
+                    {saving ? t('common.saving') : t('common.save')}
+                </button>
+            </form>
+        </Modal>
+    );
+}
@@ -0,0 +1,27 @@
+import React, { useState } from 'react';
+import { t } from '../i18n';
+
+// What can be done with the entries ticked on the log cards: move or copy them to another
+// day (keeping their clock times), or delete them together.
+export default function SelectionBar({ count, selectedKey, todayKey, onMove, onCopy, onDelete, onClear }) {
+    const [target, setTarget] = useState('');
+    const canTarget = Boolean(target) && target <= todayKey;
+
+    return (
+        <div className="flex flex-wrap items-center gap-1 p-1 border border-indigo-600 bg-black text-xs lg:text-sm flex-shrink-0">
+            <span className="font-bold mr-1">{t('selection.count', { count })}</span>
+            <input
+                type="date"
+                value={target}
+                max={todayKey}
+                onChange={(e) => setTarget(e.target.value)}
+                aria-label={t('selection.target')}
+                className="bg-black border border-white/40 p-1"
+            />
+            <button onClick={() => onMove(target)} disabled={!canTarget || target === selectedKey} className="button p-1 disabled:opacity-40">{t('selection.move')}</button>
+            <button onClick={() => onCopy(target)} disabled={!canTarget} className="button p-1 disabled:opacity-40">{t('selection.copy')}</button>
+            <button onClick={onDelete} className="button p-1 border-red-500 text-red-400 hover:bg-red-900/50">{t('common.delete')}</button>
+            <button onClick={onClear} className="button p-1 ml-auto">{t('common.clear')}</button>
+        </div>
+    );
+}
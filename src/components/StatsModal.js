@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from 'react';
+import Modal from './Modal';
+import { addDaysToKey, parseDateKey, formatNumericDate, formatClock } from '../days';
+import { STATS_RANGES, loadStats, formatMinutes } from '../stats';
+import { t } from '../i18n';
+
+const dayLabel = (key) => formatNumericDate(parseDateKey(key));
+
+// Plain div bars, one per day; an optional target draws a dashed line across the chart
+function BarChart({ data, valueKey, color, target = 0, unit = '' }) {
+    const max = Math.max(target, ...data.map(d => d[valueKey]), 1);
+    return (
+        <div className="relative flex items-end gap-px h-24 lg:h-32 border-b border-white/40">
+            {target > 0 && (
+                <div
+                    className="absolute left-0 right-0 border-t border-dashed border-green-400"
+                    style={{ bottom: `${(target / max) * 100}%` }}
+                    title={t('stats.target', { value: `${target}${unit}` })}
+                />
+            )}
+            {data.map(d => (
+                <div
+                    key={d.key}
+                    className={`flex-1 ${color}`}
+                    style={{ height: `${(d[valueKey] / max) * 100}%` }}
+                    title={`${dayLabel(d.key)}: ${d[valueKey]}${unit}`}
+                />
+            ))}
+        </div>
+    );
+}
+
+function Stat({ label, value }) {
+    return (
+        <div className="border border-white/20 p-1">
+            <p className="text-gray-400 text-xs">{label}</p>
+            <p className="font-bold text-lg">{value}</p>
+        </div>
+    );
+}
+
+export default function StatsModal({ dog, todayKey, onClose }) {
+    const [range, setRange] = useState(STATS_RANGES[0]);
+    const [stats, setStats] = useState(null);
+    const [error, setError] = useState('');
+
+    const fromKey = addDaysToKey(todayKey, -(range - 1));
+
+    useEffect(() => {
+        let cancelled = false;
+        setError('');
+        loadStats(dog.id, fromKey, todayKey, dog.dailyFoodTarget)
+            .then(result => {
+                if (!cancelled) setStats(result);
+            })
+            .catch(err => {
+                console.error('Error loading statistics:', err);
+                if (!cancelled) setError(t('stats.loadFailed'));
+            });
+        return () => { cancelled = true; };
+    }, [dog.id, dog.dailyFoodTarget, fromKey, todayKey]);
+
+    const maxSnack = stats ? Math.max(1, ...stats.snacksByType.map(s => s.quantity)) : 1;
+
+    return (
+        <Modal title={t('stats.title', { name: dog.name })} onClose={onClose} wide>
+            <div className="flex flex-col gap-3 text-sm lg:text-base">
+                <div className="flex gap-1">
+                    {STATS_RANGES.map(days => (
+                        <button
+                            key={days}
+                            onClick={() => setRange(days)}
+                            className={`button flex-1 p-1 ${range === days ? 'bg-indigo-600 border-indigo-600' : ''}`}
+                        >
+                            {t('stats.days', { count: days })}
+                        </button>
+                    ))}
+                </div>
+
+                {error && <p className="text-red-400 text-xs">{error}</p>}
+                {!stats && !error && <p className="text-gray-400">{t('common.loading')}</p>}
+
+                {stats && (
+                    <>
+                        <div className="grid grid-cols-2 lg:grid-cols-5 gap-1">
+                            <Stat label={t('stats.walksPerDay')} value={stats.averageWalksPerDay.toFixed(1)} />
+                            <Stat label={t('stats.averageGap')} value={formatMinutes(stats.averageGapMinutes)} />
+                            <Stat label={t('stats.longestGap')} value={formatMinutes(stats.longestGap?.minutes)} />
+                            <Stat label={t('stats.accidents')} value={stats.totalAccidents} />
+                            <Stat
+                                label={t(dog.dailyFoodTarget > 0 ? 'stats.daysOnTarget' : 'stats.averageFood')}
+                                value={dog.dailyFoodTarget > 0
+                                    ? `${stats.daysOnTarget}/${stats.perDay.length}`
+                                    : `${Math.round(stats.averageGrams)}g`}
+                            />
+                        </div>
+                        {stats.longestGap && (
+                            <p className="text-xs text-gray-400">
+                                {t('stats.longestGapOn', {
+                                    day: dayLabel(stats.longestGap.key),
+                                    from: formatClock(stats.longestGap.from),
+                                    to: formatClock(stats.longestGap.to),
+                                })}
+                            </p>
+                        )}
+
+                        <div>
+                            <p className="font-bold text-yellow-400">{t('stats.walksPerDay')}</p>
+                            <BarChart data={stats.perDay} valueKey="walks" color="bg-yellow-400" />
+                        </div>
+
+                        <div>
+                            <p className="font-bold text-pink-400">
+                                {dog.dailyFoodTarget > 0 ? t('stats.foodPerDayTarget', { grams: dog.dailyFoodTarget }) : t('stats.foodPerDay')}
+                            </p>
+                            <BarChart data={stats.perDay} valueKey="grams" color="bg-pink-400" target={dog.dailyFoodTarget} unit="g" />
+                        </div>
+
+                        <div className="flex justify-between text-xs text-gray-400 -mt-2">
+                            <span>{dayLabel(fromKey)}</span>
+                            <span>{dayLabel(todayKey)}</span>
+                        </div>
+
+                        <div>
+                            <p className="font-bold text-orange-400">{t('stats.snacksByType')}</p>
+                            {stats.snacksByType.length === 0 && <p className="text-gray-400 text-xs">{t('stats.noSnacks')}</p>}
+                            {stats.snacksByType.map(s => (
+                                <div key={s.type} className="flex items-center gap-2">
+                                    <span className="w-24 truncate">{s.type || t('stats.otherSnack')}</span>
+                                    <div className="flex-1">
+                                        <div className="bg-orange-400 h-3" style={{ width: `${(s.quantity / maxSnack) * 100}%` }} />
+                                    </div>
+                                    <span className="w-8 text-right">{s.quantity}</span>
+                                </div>
+                            ))}
+                        </div>
+                    </>
+                )}
+            </div>
+        </Modal>
+    );
+}
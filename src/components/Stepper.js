@@ -0,0 +1,31 @@
+import React from 'react';
+import { t } from '../i18n';
+
+// Number input with large -/+ buttons, so amounts can be set on the touch kiosk without a keyboard
+export default function Stepper({ label, value, onChange, step = 1, min = 0, unit = '' }) {
+    const nudge = (delta) => {
+        const current = Number(value) || 0;
+        onChange(String(Math.max(min, Math.round((current + delta) / step) * step)));
+    };
+
+    return (
+        <div className="flex flex-col gap-0.5">
+            <span>{label}</span>
+            <div className="flex items-stretch gap-1">
+                <button type="button" onClick={() => nudge(-step)} aria-label={t('stepper.less', { label: label.toLowerCase() })} className="button w-12 text-xl">-</button>
+                <input
+                    type="number"
+                    inputMode="numeric"
+                    min={min}
+                    step={step}
+                    value={value}
+                    onChange={(e) => onChange(e.target.value)}
+                    aria-label={label}
+                    className="flex-1 min-w-0 bg-black border border-white/40 p-2 text-center text-lg"
+                />
+                {unit && <span className="self-center text-gray-400">{unit}</span>}
+                <button type="button" onClick={() => nudge(step)} aria-label={t('stepper.more', { label: label.toLowerCase() })} className="button w-12 text-xl">+</button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,93 @@
+import React, { useState, useEffect } from 'react';
+import Modal from './Modal';
+import { parseDateKey, formatNumericDate, formatShortDate } from '../days';
+import { LEVELS, loadTrainingProgress, commandLabel } from '../training';
+import { t } from '../i18n';
+
+const LEVEL_STYLES = {
+    learning: 'text-orange-400 border-orange-400',
+    reliable: 'text-yellow-400 border-yellow-400',
+    mastered: 'text-green-400 border-green-400',
+};
+
+const [MASTERED, RELIABLE] = LEVELS;
+
+// A week's success rate in the colour of the level it would reach
+const rateClass = (rate) => {
+    if (rate >= MASTERED.rate) return 'text-green-400';
+    if (rate >= RELIABLE.rate) return 'text-yellow-400';
+    return 'text-orange-400';
+};
+
+const percent = (rate) => Math.round(rate * 100);
+
+// Per-command success rates over the last weeks and where each command stands (training.js)
+export default function TrainingModal({ dog, todayKey, onClose }) {
+    const [progress, setProgress] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        loadTrainingProgress(dog.id, todayKey)
+            .then(rows => { if (!cancelled) setProgress(rows); })
+            .catch(err => {
+                console.error('Error loading training progress:', err);
+                if (!cancelled) setError(t('training.loadFailed'));
+            });
+        return () => { cancelled = true; };
+    }, [dog.id, todayKey]);
+
+    const weeks = progress?.[0]?.weeks || [];
+
+    return (
+        <Modal title={t('training.title', { name: dog.name })} onClose={onClose} wide>
+            <div className="flex flex-col gap-2 text-sm lg:text-base">
+                <p className="text-xs text-gray-400">
+                    {t('training.intro', { reliable: percent(RELIABLE.rate), mastered: percent(MASTERED.rate) })}
+                </p>
+
+                {error && <p className="text-red-400 text-xs">{error}</p>}
+                {!progress && !error && <p className="text-gray-400">{t('common.loading')}</p>}
+                {progress && progress.length === 0 && <p className="text-gray-400">{t('training.empty')}</p>}
+
+                {progress && progress.length > 0 && (
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-center">
+                            <thead>
+                                <tr className="text-xs text-gray-400">
+                                    <th className="text-left font-normal">{t('training.command')}</th>
+                                    {weeks.map(week => (
+                                        <th key={week.key} className="font-normal" title={t('training.week', { date: formatShortDate(parseDateKey(week.key)) })}>
+                                            {formatNumericDate(parseDateKey(week.key))}
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {progress.map(row => (
+                                    <tr key={row.command} className="border-t border-white/10">
+                                        <td className="text-left py-1">
+                                            <p className="font-bold">{commandLabel(row.command)}</p>
+                                            <span className={`text-xs border rounded px-1 ${LEVEL_STYLES[row.level]}`}>
+                                                {t(`training.levels.${row.level}`)}
+                                            </span>
+                                        </td>
+                                        {row.weeks.map(week => (
+                                            <td
+                                                key={week.key}
+                                                className={week.rate == null ? 'text-gray-600' : rateClass(week.rate)}
+                                                title={t('training.reps', { successes: week.successes, reps: week.reps })}
+                                            >
+                                                {week.rate == null ? '–' : `${percent(week.rate)}%`}
+                                            </td>
+                                        ))}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </Modal>
+    );
+}
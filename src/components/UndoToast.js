@@ -0,0 +1,32 @@
+import React, { useEffect, useState } from 'react';
+import { t } from '../i18n';
+
+// How long the Undo (or Redo) button stays up after a delete or reset
+const UNDO_TIMEOUT_MS = 8000;
+
+// Undo puts the entries back, Redo removes them again; each click gives another full timeout
+export default function UndoToast({ message, onUndo, onRedo, onDismiss }) {
+    const [undone, setUndone] = useState(false);
+
+    useEffect(() => {
+        const timer = setTimeout(onDismiss, UNDO_TIMEOUT_MS);
+        return () => clearTimeout(timer);
+    }, [onDismiss, undone]);
+
+    const toggle = () => {
+        if (undone) onRedo();
+        else onUndo();
+        setUndone(!undone);
+    };
+
+    return (
+        <div
+            role="status"
+            className="fixed bottom-2 left-1/2 -translate-x-1/2 z-40 flex items-center gap-3 border border-white/40 bg-black px-3 py-2 text-sm"
+        >
+            <span>{message}</span>
+            <button onClick={toggle} className="button px-2 font-bold text-yellow-400">{t(undone ? 'undo.redo' : 'undo.undo')}</button>
+            <button onClick={onDismiss} className="text-gray-400 hover:text-white" aria-label={t('common.dismiss')}>X</button>
+        </div>
+    );
+}
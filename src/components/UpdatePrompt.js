@@ -0,0 +1,23 @@
+import React, { useState, useEffect } from 'react';
+import { onUpdateAvailable, applyUpdate } from '../serviceWorkerRegistration';
+import { t } from '../i18n';
+
+// Shown when a new build has been deployed and is waiting to take over
+export default function UpdatePrompt() {
+    const [registration, setRegistration] = useState(null);
+
+    useEffect(() => onUpdateAvailable(setRegistration), []);
+
+    if (!registration) return null;
+
+    return (
+        <div
+            role="alert"
+            className="fixed top-2 left-1/2 -translate-x-1/2 z-40 flex items-center gap-3 border border-yellow-400 bg-black px-3 py-2 text-sm text-white"
+        >
+            <span>{t('update.available')}</span>
+            <button onClick={() => applyUpdate(registration)} className="button px-2 font-bold text-yellow-400">{t('update.reload')}</button>
+            <button onClick={() => setRegistration(null)} className="text-gray-400 hover:text-white">{t('update.later')}</button>
+        </div>
+    );
+}
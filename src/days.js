@@ -0,0 +1,156 @@
+// src/days.js
+// Day documents are keyed by the LOCAL calendar date of their entries ('YYYY-MM-DD').
+// There is no rolling 'main' document any more, so nothing has to be archived at midnight.
+import { ENTRY_KINDS, emptyDay, normalizeDay } from './entries';
+import { getLocale } from './i18n';
+
+export const LEGACY_MAIN_KEY = 'main';
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const isDateKey = (key) => DATE_KEY_PATTERN.test(key);
+
+// Helper: consistent YYYY-MM-DD formatting for Firestore document keys
+export const formatDateToKey = (date) => {
+  if (!(date instanceof Date)) date = new Date(date);
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+// Local midnight of the key's day (new Date('YYYY-MM-DD') would be UTC midnight)
+export const parseDateKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+export const addDaysToKey = (key, days) => {
+  const date = parseDateKey(key);
+  return formatDateToKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() + days));
+};
+
+// Every date key from `fromKey` to `toKey`, inclusive
+export const dateKeysBetween = (fromKey, toKey) => {
+  const keys = [];
+  for (let key = fromKey; key <= toKey; key = addDaysToKey(key, 1)) keys.push(key);
+  return keys;
+};
+
+// 'HH:mm' or 'HH:mm:ss' (what <input type="time"> produces); anything out of range is rejected
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/;
+
+// The given day at a 'HH:mm[:ss]' time, or null when the time is not valid
+export const atTimeOfDay = (day, time) => {
+  const match = TIME_OF_DAY_PATTERN.exec(time || '');
+  if (!match) return null;
+  const [h, m, s] = match.slice(1).map(n => Number(n || 0));
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(), h, m, s);
+};
+
+export const formatTimeOfDay = (date) =>
+  [date.getHours(), date.getMinutes(), date.getSeconds()].map(n => String(n).padStart(2, '0')).join(':');
+
+export const dateKeyForEntry = (entry) => formatDateToKey(new Date(entry.time));
+
+// The entry on another day at the same clock time; a walk's `startTime` moves along with it.
+// Calendar arithmetic rather than adding 24h steps, so DST days keep the clock time too.
+export const moveEntryToDay = (entry, toKey) => {
+  const days = Math.round((parseDateKey(toKey) - parseDateKey(dateKeyForEntry(entry))) / (24 * 60 * 60 * 1000));
+  const shift = (iso) => {
+    const d = new Date(iso);
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate() + days, d.getHours(), d.getMinutes(), d.getSeconds(), d.getMilliseconds()).toISOString();
+  };
+  return { ...entry, time: shift(entry.time), ...(entry.startTime && { startTime: shift(entry.startTime) }) };
+};
+
+// --- Display ---
+// All in the locale chosen on this device (see i18n), so 12h/24h and day/month order agree
+// everywhere. Each takes a Date or an ISO string.
+const format = (value, options) => new Date(value).toLocaleString(getLocale(), options);
+
+// Clock time with seconds; '' for a missing or unreadable value
+export const formatTime = (value) => {
+  const d = value ? new Date(value) : null;
+  if (!d || isNaN(d.getTime())) return '';
+  return format(d, { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+};
+
+// Clock time without seconds
+export const formatClock = (value) => format(value, { hour: '2-digit', minute: '2-digit' });
+
+// 'Tue, Jan 14, 2025'
+export const formatDate = (value) => format(value, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+
+// 'Tue, Jan 14'
+export const formatDay = (value) => format(value, { weekday: 'short', month: 'short', day: 'numeric' });
+
+// 'Jan 14, 2025'
+export const formatShortDate = (value) => format(value, { month: 'short', day: 'numeric', year: 'numeric' });
+
+// '1/14'
+export const formatNumericDate = (value) => format(value, { month: 'numeric', day: 'numeric' });
+
+// 'Tue'
+export const formatWeekday = (value) => format(value, { weekday: 'short' });
+
+// 'January 2025'
+export const formatMonth = (value) => format(value, { month: 'long', year: 'numeric' });
+
+// 'Jan 14, 09:05 AM'
+export const formatDateTime = (value) => format(value, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+// '04:05', or '1:02:03' past an hour
+export const formatElapsed = (ms) => {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const pad = (n) => String(n).padStart(2, '0');
+  const h = Math.floor(total / 3600);
+  return `${h > 0 ? `${h}:` : ''}${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+};
+
+// Built from calendar fields rather than adding 24h, so DST days (23h/25h) work
+export const msUntilNextDay = (now = new Date()) =>
+  new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1) - now;
+
+// Splits a document holding entries from several days into per-day documents
+export const splitByDay = (day, fallbackKey) => {
+  const byDay = {};
+  const normalized = normalizeDay(day);
+
+  ENTRY_KINDS.forEach(kind => {
+    normalized[kind].forEach(entry => {
+      const time = new Date(entry.time);
+      const key = isNaN(time.getTime()) ? fallbackKey : formatDateToKey(time);
+      byDay[key] = byDay[key] || emptyDay();
+      byDay[key][kind].push(entry);
+    });
+  });
+
+  return byDay;
+};
+
+const mergeEntries = (existing, incoming) => {
+  const next = normalizeDay(existing || {});
+  ENTRY_KINDS.forEach(kind => {
+    incoming[kind].forEach(entry => {
+      if (!next[kind].some(e => e.id === entry.id)) next[kind].push(entry);
+    });
+  });
+  return next;
+};
+
+// One-time move of the old rolling 'main' document into the date-keyed documents.
+// Entries are merged by ID and 'main' is only deleted at the end, so running it twice
+// (two tabs, or a retry after a failure halfway through) never loses or duplicates data.
+export const migrateMainDocument = async (repository, dogId, now = new Date()) => {
+  const main = await repository.getDay(dogId, LEGACY_MAIN_KEY);
+  if (!main) return false;
+
+  const byDay = splitByDay(main, formatDateToKey(now));
+  for (const [key, entries] of Object.entries(byDay)) {
+    await repository.mutateDay(dogId, key, (existing) => mergeEntries(existing, entries));
+  }
+
+  await repository.deleteDay(dogId, LEGACY_MAIN_KEY);
+  return true;
+};
@@ -0,0 +1,94 @@
+import { formatDateToKey, parseDateKey, dateKeyForEntry, moveEntryToDay, msUntilNextDay, splitByDay, migrateMainDocument, atTimeOfDay, formatTimeOfDay } from './days';
+import { createLocalRepository } from './storage/localRepository';
+
+// Tests run with TZ=Europe/Stockholm (see testGlobalSetup.js): UTC+1 in winter,
+// UTC+2 in summer. DST starts 2025-03-30 and ends 2025-10-26.
+beforeEach(() => localStorage.clear());
+
+const HOUR = 60 * 60 * 1000;
+
+test('entries just after local midnight belong to the new local day, not the UTC day', () => {
+  // 00:30 in Sweden is still the previous day in UTC
+  const walk = { time: '2025-01-14T23:30:00.000Z' };
+  expect(walk.time.split('T')[0]).toBe('2025-01-14');
+  expect(dateKeyForEntry(walk)).toBe('2025-01-15');
+
+  // 23:30 local stays on the same day
+  expect(dateKeyForEntry({ time: '2025-06-14T21:30:00.000Z' })).toBe('2025-06-14');
+});
+
+test('date keys round-trip to local midnight', () => {
+  const date = parseDateKey('2025-03-30');
+  expect(date.getHours()).toBe(0);
+  expect(date.getDate()).toBe(30);
+  expect(formatDateToKey(date)).toBe('2025-03-30');
+});
+
+test('time until the next day accounts for 23h and 25h DST days', () => {
+  expect(msUntilNextDay(new Date(2025, 0, 15, 23, 59, 0))).toBe(60 * 1000);
+  expect(msUntilNextDay(new Date(2025, 2, 30, 0, 0, 0))).toBe(23 * HOUR);
+  expect(msUntilNextDay(new Date(2025, 9, 26, 0, 0, 0))).toBe(25 * HOUR);
+});
+
+test('DST switch nights keep entries on the right day', () => {
+  // 01:59 and 03:01 local on the spring-forward night, 02:30 twice in autumn
+  expect(dateKeyForEntry({ time: new Date(2025, 2, 30, 1, 59).toISOString() })).toBe('2025-03-30');
+  expect(dateKeyForEntry({ time: new Date(2025, 2, 30, 3, 1).toISOString() })).toBe('2025-03-30');
+  expect(dateKeyForEntry({ time: '2025-10-26T00:30:00.000Z' })).toBe('2025-10-26');
+  expect(dateKeyForEntry({ time: '2025-10-26T01:30:00.000Z' })).toBe('2025-10-26');
+  expect(dateKeyForEntry({ time: '2025-10-25T21:59:00.000Z' })).toBe('2025-10-25');
+});
+
+test('a document spanning midnight is split per local day', () => {
+  const byDay = splitByDay({
+    walks: ['2025-01-14T22:50:00.000Z', { id: 'w2', time: '2025-01-14T23:10:00.000Z' }],
+    meals: [{ id: 'm1', time: '2025-01-14T17:00:00.000Z', weight: 80 }],
+    snacks: [{ id: 's1', time: 'garbage', type: 'Chew', quantity: 1 }],
+  }, '2025-01-16');
+
+  expect(Object.keys(byDay).sort()).toEqual(['2025-01-14', '2025-01-15', '2025-01-16']);
+  expect(byDay['2025-01-14'].walks.map(w => w.time)).toEqual(['2025-01-14T22:50:00.000Z']);
+  expect(byDay['2025-01-14'].meals.map(m => m.id)).toEqual(['m1']);
+  expect(byDay['2025-01-15'].walks.map(w => w.id)).toEqual(['w2']);
+  expect(byDay['2025-01-16'].snacks.map(s => s.id)).toEqual(['s1']);
+});
+
+test('migrating main merges into existing days, deletes main and is safe to repeat', async () => {
+  const repo = createLocalRepository();
+  await repo.setDay('diza', '2025-01-14', { walks: [{ id: 'old', time: '2025-01-14T08:00:00.000Z' }], meals: [], snacks: [] });
+  const main = {
+    walks: [{ id: 'late', time: '2025-01-14T22:50:00.000Z' }, { id: 'early', time: '2025-01-14T23:10:00.000Z' }],
+    meals: [],
+    snacks: [],
+  };
+  await repo.setDay('diza', 'main', main);
+
+  expect(await migrateMainDocument(repo, 'diza')).toBe(true);
+
+  // A second tab that read 'main' before it was deleted replays the same migration
+  await repo.setDay('diza', 'main', main);
+  await migrateMainDocument(repo, 'diza');
+  expect(await migrateMainDocument(repo, 'diza')).toBe(false);
+
+  expect(await repo.getDay('diza', 'main')).toBeNull();
+  expect((await repo.getDay('diza', '2025-01-14')).walks.map(w => w.id)).toEqual(['old', 'late']);
+  expect((await repo.getDay('diza', '2025-01-15')).walks.map(w => w.id)).toEqual(['early']);
+});
+
+test('times of day are parsed strictly', () => {
+  const day = new Date(2025, 4, 10);
+  expect(atTimeOfDay(day, '07:05')).toEqual(new Date(2025, 4, 10, 7, 5));
+  expect(atTimeOfDay(day, '23:59:30')).toEqual(new Date(2025, 4, 10, 23, 59, 30));
+  ['25:99', '7:05', '12:60', '', 'noon', undefined].forEach(time => expect(atTimeOfDay(day, time)).toBeNull());
+  expect(formatTimeOfDay(new Date(2025, 4, 10, 7, 5, 3))).toBe('07:05:03');
+});
+
+test('moving an entry to another day keeps its clock times', () => {
+  const walk = { id: 'w', time: new Date(2025, 2, 3, 0, 20).toISOString(), startTime: new Date(2025, 2, 2, 23, 50).toISOString() };
+  const moved = moveEntryToDay(walk, '2025-03-30');
+
+  expect(moved.time).toBe(new Date(2025, 2, 30, 0, 20).toISOString());
+  expect(moved.startTime).toBe(new Date(2025, 2, 29, 23, 50).toISOString());
+  expect(moveEntryToDay({ id: 'm', time: new Date(2025, 2, 3, 8, 0).toISOString() }, '2025-02-27'))
+    .toEqual({ id: 'm', time: new Date(2025, 1, 27, 8, 0).toISOString() });
+});
@@ -0,0 +1,89 @@
+// src/dogs.js
+import repository from './storage';
+import { normalizeSchedule } from './schedule';
+import { normalizeMedication } from './health';
+
+const SELECTED_DOG_KEY = 'selectedDogId';
+
+export const DEFAULT_DOG_ID = 'diza';
+
+export const DEFAULT_DOG = {
+  name: 'Diza',
+  emoji: '🐶',
+  photo: '',
+  walkIntervalHours: 3,
+  dailyFoodTarget: 0,
+  dailyKcalTarget: 0,
+  medications: [],
+};
+
+export const normalizeDog = (id, data = {}) => {
+  const walkIntervalHours = Number(data.walkIntervalHours) > 0 ? Number(data.walkIntervalHours) : DEFAULT_DOG.walkIntervalHours;
+  return {
+    ...DEFAULT_DOG,
+    ...data,
+    id,
+    walkIntervalHours,
+    dailyFoodTarget: Number(data.dailyFoodTarget) > 0 ? Number(data.dailyFoodTarget) : 0,
+    dailyKcalTarget: Number(data.dailyKcalTarget) > 0 ? Number(data.dailyKcalTarget) : 0,
+    // Profiles without reminder rules keep the plain "every N hours" behaviour
+    schedule: normalizeSchedule(data.schedule, walkIntervalHours),
+    activeWalk: data.activeWalk || null,
+    medications: (data.medications || []).map(normalizeMedication),
+  };
+};
+
+// Grams per scheduled meal, used when a meal is logged without asking (e.g. from a notification)
+export const getMealPortion = (dog) => {
+  const mealsPerDay = dog.schedule.meals.fixedTimes.length;
+  return dog.dailyFoodTarget > 0 && mealsPerDay > 0 ? Math.round(dog.dailyFoodTarget / mealsPerDay) : 0;
+};
+
+export const subscribeDogs = (onChange, onError) =>
+  repository.subscribeDogs((dogs) => onChange(dogs.map(d => normalizeDog(d.id, d))), onError);
+
+// The walk timer is written on its own (below), so saving a profile never restarts or stops it
+export const saveDog = ({ activeWalk, ...dog }) => repository.saveDog({ ...DEFAULT_DOG, ...dog });
+
+// A running walk is kept on the profile: it survives reloads and shows on every device
+export const startWalk = (dog, user) =>
+  repository.saveDog({ id: dog.id, activeWalk: { startTime: new Date().toISOString(), startedBy: user?.name || '' } });
+
+export const stopWalkTimer = (dog) => repository.saveDog({ id: dog.id, activeWalk: null });
+
+// First run in a new household: start with Diza's profile. Only the account the old
+// single-household data belongs to (see legacyImportPending) copies it over instead, into
+// a household it owns, and only once: the profiles from before households existed or,
+// coming from the single-dog layout, the old top-level 'puppyData' documents.
+export const ensureDefaultDog = async (uid, householdOwnerId) => {
+  const existing = await repository.listDogs();
+  if (existing.length > 0) return;
+
+  const importLegacy = householdOwnerId === uid && await repository.legacyImportPending(uid);
+  if (importLegacy && await repository.importLegacyDogs() > 0) {
+    await repository.finishLegacyImport();
+    return;
+  }
+
+  await repository.saveDog({ id: DEFAULT_DOG_ID, ...DEFAULT_DOG });
+  if (importLegacy) {
+    await repository.importLegacyDays(DEFAULT_DOG_ID);
+    await repository.finishLegacyImport();
+  }
+};
+
+export const loadSelectedDogId = () => {
+  try {
+    return localStorage.getItem(SELECTED_DOG_KEY) || DEFAULT_DOG_ID;
+  } catch (e) {
+    return DEFAULT_DOG_ID;
+  }
+};
+
+export const storeSelectedDogId = (dogId) => {
+  try {
+    localStorage.setItem(SELECTED_DOG_KEY, dogId);
+  } catch (e) {
+    // Private mode / storage disabled: selection just won't survive a reload
+  }
+};
@@ -0,0 +1,100 @@
+// src/entries.js
+// Helpers for the entries stored in the day documents.
+
+// Every kind of entry is a list in the same per-day document, and every change to one goes
+// through the outbox (storage/outbox.js), whether it is a walk or a vet visit
+export const ENTRY_KINDS = ['walks', 'meals', 'snacks', 'training', 'health'];
+
+export const createEntryId = () =>
+  (typeof crypto !== 'undefined' && crypto.randomUUID)
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+const canonical = (entry) => JSON.stringify(
+  typeof entry === 'object' && entry !== null
+    ? Object.keys(entry).sort().reduce((acc, k) => ({ ...acc, [k]: entry[k] }), {})
+    : entry
+);
+
+const withoutId = (entry) => {
+  if (typeof entry !== 'object' || entry === null) return entry;
+  const { id, ...rest } = entry;
+  return rest;
+};
+
+// Content comparison, ignoring IDs. Only needed for entries written before IDs existed.
+export const isSameEntry = (a, b) => canonical(withoutId(a)) === canonical(withoutId(b));
+
+// Small stable string hash (djb2), enough to tell legacy entries apart within one day
+const hash = (str) => {
+  let h = 5381;
+  for (let i = 0; i < str.length; i++) h = ((h << 5) + h + str.charCodeAt(i)) | 0;
+  return (h >>> 0).toString(36);
+};
+
+// Old walks were stored as bare ISO strings and nothing had an ID. Legacy entries get an
+// ID derived from their content, so every device computes the same one until it is saved.
+export const normalizeEntries = (list = []) => {
+  const seen = {};
+  return list.map(raw => {
+    const entry = typeof raw === 'string' ? { time: raw } : raw;
+    if (entry.id) return entry;
+
+    const base = `legacy-${hash(canonical(entry))}`;
+    seen[base] = (seen[base] || 0) + 1;
+    return { ...entry, id: seen[base] > 1 ? `${base}-${seen[base]}` : base };
+  });
+};
+
+// Oldest first; entries without a readable time go to the top
+export const sortByTime = (list) => list.slice().sort((a, b) => {
+  const ta = new Date(a.time).getTime();
+  const tb = new Date(b.time).getTime();
+  return (isNaN(ta) ? 0 : ta) - (isNaN(tb) ? 0 : tb);
+});
+
+// --- Walks ---
+// A walk is { time } (when it ended) plus, when recorded with more detail, `startTime`,
+// `pee`/`poop` outcomes and a `note`. Accidents indoors are stored with the walks
+// (`event: 'accident'`) because they matter for house-training, but they are not walks.
+export const WALK_DEFAULTS = { startTime: null, event: 'walk', pee: false, poop: false, note: '' };
+
+export const isAccident = (entry) => entry?.event === 'accident';
+
+// Leaves out fields that are at their default, so plain walks stay { id, time }
+export const compactWalk = (walk) => Object.fromEntries(
+  Object.entries(walk).filter(([field, value]) => !(field in WALK_DEFAULTS) || value !== WALK_DEFAULTS[field])
+);
+
+export const isWalk = (entry) => !isAccident(entry);
+
+export const walkDurationMinutes = (walk) => {
+  if (!walk?.startTime) return null;
+  const ms = new Date(walk.time) - new Date(walk.startTime);
+  return ms >= 0 ? Math.round(ms / 60000) : null;
+};
+
+// --- Health ---
+// Kinds of entries in a day's health list (see health.js), labelled by health.types in i18n
+export const HEALTH_TYPES = ['weight', 'medication', 'vaccination', 'vet'];
+
+export const emptyDay = () => ({ walks: [], meals: [], snacks: [], training: [], health: [] });
+
+export const normalizeDay = (day) => {
+  if (!day) return day;
+  const next = { ...emptyDay(), ...day };
+  ENTRY_KINDS.forEach(kind => {
+    next[kind] = normalizeEntries(next[kind] || []);
+  });
+  return next;
+};
+
+// Snack types used before, most frequent first, for the snack form's dropdown
+export const collectSnackTypes = (days) => {
+  const counts = {};
+  days.forEach(day => (day?.snacks || []).forEach(s => {
+    const type = (s.type || '').trim();
+    if (type) counts[type] = (counts[type] || 0) + 1;
+  }));
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+};
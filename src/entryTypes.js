@@ -0,0 +1,395 @@
+// src/entryTypes.js
+// The activities logged on the dashboard, one definition per kind of day entry. The log cards
+// (components/LogCard.js) and the entry form (components/EntryFormModal.js) are built from
+// these definitions, so tracking something new means adding one here (and its list to
+// ENTRY_KINDS in entries.js, so day documents keep it).
+//
+//   kind           the day document list the entries are stored in
+//   title, plural  'Meal' / 'Meals', in the current language (getters reading i18n)
+//   icon, color    lucide icon and its text colour; `accent` colours the "Add ... Now" button
+//   fields         the form fields in order, with 'time' where the time input goes
+//   describe       the line shown for an entry on its card
+//
+// Optional: keep (which stored entries count), count and heading (card title), tooltip,
+// name (what one entry is called, e.g. in "Deleted walk"), defaults (field values an entry
+// leaves out), prepare (tidies a new entry before it is stored), formDefaults (gets the dog,
+// the day's entries and the recent days' documents), timeLabel,
+// pantryKind (entries can draw on pantry items of that kind), stampWeather, instantAdd
+// ("Add ... Now" logs right away instead of opening the form), customAddLabel,
+// renderActions (replaces the card's buttons) and markerColor (an entry's colour on the day
+// timeline, when it differs from `color`). Labels shown to the user are getters or
+// functions, so they follow a change of language.
+import React from 'react';
+import { PawPrint, Utensils, Bone, GraduationCap } from 'lucide-react';
+import { atTimeOfDay, formatTime, formatTimeOfDay } from './days';
+import { t, tParts } from './i18n';
+import { WALK_DEFAULTS, compactWalk, isWalk, isAccident, walkDurationMinutes, sortByTime } from './entries';
+import { getMealPortion } from './dogs';
+import { dailyKcal } from './pantry';
+import { COMMANDS, commandLabel, collectCommands, successRate } from './training';
+import { getWeatherEmoji } from './weather';
+import Elapsed from './components/Elapsed';
+
+// --- Form fields ---
+// { name, input, label, initial(form), validate(value, form), save(value, form), visible(form) }
+//
+// `input` is one of 'choice', 'select', 'time', 'text', 'textarea', 'checkbox' or 'stepper'.
+// `form` is { entry, defaults, values, time, foods, otherTypes, tracksPantry }: the entry being
+// edited (or null), the values typed so far, the entry's time as a Date once it is valid, and
+// the pantry items and earlier types offered. `validate` returns an error message or null and
+// only runs while the field is shown; `save` returns the fields it adds to the saved entry and
+// runs for hidden fields too, so they can store their empty value.
+export const NEW_TYPE = '__new__';
+export const TREAT_PREFIX = 'pantry:';
+const MAX_WALK_HOURS = 12;
+
+export const positiveInt = (value) => {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+};
+
+const stepperField = (name, labelKey, messageKey, options = {}) => ({
+  name,
+  get label() { return t(labelKey); },
+  input: 'stepper',
+  ...options,
+  validate: (value) => (positiveInt(value) ? null : t(messageKey)),
+  save: (value) => ({ [name]: positiveInt(value) }),
+});
+
+const walkValue = (form, field) => ({ ...WALK_DEFAULTS, ...form.defaults, ...form.entry })[field];
+
+// The start is on the end's day, or the day before when the walk went past midnight
+const walkStart = (value, end) => {
+  let start = atTimeOfDay(end, value);
+  if (start && start > end) start = atTimeOfDay(new Date(end.getFullYear(), end.getMonth(), end.getDate() - 1), value);
+  if (!start) return { error: t('entries.walks.invalidStart') };
+  if (end - start > MAX_WALK_HOURS * 60 * 60 * 1000) return { error: t('entries.walks.tooLong', { hours: MAX_WALK_HOURS }) };
+  return { start };
+};
+
+const walkFields = [
+  {
+    name: 'event',
+    input: 'choice',
+    get label() { return t('entries.walks.event'); },
+    options: () => [['walk', t('entries.walks.eventWalk')], ['accident', t('entries.walks.eventAccident')]],
+    initial: (form) => walkValue(form, 'event'),
+    save: (value) => ({ event: value }),
+  },
+  {
+    name: 'startTime',
+    input: 'time',
+    get label() { return t('entries.walks.started'); },
+    visible: (form) => form.values.event === 'walk',
+    initial: (form) => {
+      const startTime = walkValue(form, 'startTime');
+      return startTime ? formatTimeOfDay(new Date(startTime)) : '';
+    },
+    validate: (value, form) => (value && form.time ? walkStart(value, form.time).error || null : null),
+    save: (value, form) => ({
+      startTime: form.values.event === 'walk' && value && form.time ? walkStart(value, form.time).start.toISOString() : null,
+    }),
+  },
+  'time',
+  {
+    name: 'pee',
+    input: 'checkbox',
+    get label() { return t('entries.walks.pee'); },
+    initial: (form) => walkValue(form, 'pee'),
+    save: (value) => ({ pee: value }),
+  },
+  {
+    name: 'poop',
+    input: 'checkbox',
+    get label() { return t('entries.walks.poop'); },
+    initial: (form) => walkValue(form, 'poop'),
+    save: (value) => ({ poop: value }),
+  },
+  {
+    name: 'note',
+    input: 'textarea',
+    get label() { return t('common.noteOptional'); },
+    initial: (form) => walkValue(form, 'note'),
+    save: (value) => ({ note: value.trim() }),
+  },
+];
+
+const mealFields = [
+  'time',
+  {
+    name: 'foodId',
+    input: 'select',
+    get label() { return t('entries.meals.food'); },
+    visible: (form) => form.tracksPantry,
+    options: (form) => [...form.foods.map(item => [item.id, item.name]), ['', t('entries.meals.notFromPantry')]],
+    initial: (form) => (form.entry ? form.entry.foodId || '' : form.defaults.foodId ?? (form.foods[0]?.id || '')),
+    save: (value, form) => (form.tracksPantry ? { foodId: value || null } : {}),
+  },
+  stepperField('weight', 'entries.meals.weight', 'entries.meals.invalidWeight', {
+    unit: 'g',
+    step: 5,
+    initial: (form) => String(form.entry?.weight ?? form.defaults.weight ?? ''),
+  }),
+];
+
+const snackFields = [
+  'time',
+  {
+    // Pantry treats first, then types used before; a treat also sets the entry's foodId
+    name: 'typeChoice',
+    input: 'select',
+    get label() { return t('entries.snacks.type'); },
+    visible: (form) => form.foods.length > 0 || form.otherTypes.length > 0,
+    options: (form) => [
+      ...form.foods.map(item => [TREAT_PREFIX + item.id, item.name]),
+      ...form.otherTypes.map(type => [type, type]),
+      [NEW_TYPE, t('entries.snacks.newType')],
+    ],
+    initial: ({ entry, foods, otherTypes }) => {
+      if (entry?.foodId && foods.some(item => item.id === entry.foodId)) return TREAT_PREFIX + entry.foodId;
+      if (!entry && foods.length > 0) return TREAT_PREFIX + foods[0].id;
+      const type = entry?.type ?? otherTypes[0];
+      return type && otherTypes.includes(type) ? type : NEW_TYPE;
+    },
+    save: (value, form) => {
+      const treat = value.startsWith(TREAT_PREFIX) && form.foods.find(item => TREAT_PREFIX + item.id === value);
+      return {
+        type: treat ? treat.name : (value === NEW_TYPE ? form.values.newType : value).trim(),
+        ...(form.tracksPantry && { foodId: treat ? treat.id : null }),
+      };
+    },
+  },
+  {
+    name: 'newType',
+    input: 'text',
+    get label() { return t('entries.snacks.newTypeLabel'); },
+    get placeholder() { return t('entries.snacks.newTypePlaceholder'); },
+    visible: (form) => form.values.typeChoice === NEW_TYPE,
+    initial: ({ entry, otherTypes }) => (entry?.type && !entry.foodId && !otherTypes.includes(entry.type) ? entry.type : ''),
+    validate: (value) => (value.trim() ? null : t('entries.snacks.typeRequired')),
+    save: () => ({}),
+  },
+  stepperField('quantity', 'entries.snacks.quantity', 'entries.snacks.invalidQuantity', {
+    initial: (form) => String(form.entry?.quantity ?? 1),
+  }),
+];
+
+// The dashboard hands in the commands used before (collectCommands in training.js)
+const commandsOf = (form) => form.defaults.commands || COMMANDS;
+
+const trainingFields = [
+  'time',
+  {
+    name: 'command',
+    input: 'select',
+    get label() { return t('entries.training.command'); },
+    options: (form) => [...commandsOf(form).map(command => [command, commandLabel(command)]), [NEW_TYPE, t('entries.training.newCommand')]],
+    initial: (form) => {
+      const command = form.entry?.command ?? form.defaults.command ?? COMMANDS[0];
+      return commandsOf(form).includes(command) ? command : NEW_TYPE;
+    },
+    save: (value, form) => ({ command: (value === NEW_TYPE ? form.values.newCommand : value).trim() }),
+  },
+  {
+    name: 'newCommand',
+    input: 'text',
+    get label() { return t('entries.training.newCommandLabel'); },
+    get placeholder() { return t('entries.training.newCommandPlaceholder'); },
+    visible: (form) => form.values.command === NEW_TYPE,
+    initial: (form) => (form.entry?.command && !commandsOf(form).includes(form.entry.command) ? form.entry.command : ''),
+    validate: (value) => (value.trim() ? null : t('entries.training.commandRequired')),
+    save: () => ({}),
+  },
+  stepperField('reps', 'entries.training.reps', 'entries.training.invalidReps', {
+    initial: (form) => String(form.entry?.reps ?? form.defaults.reps ?? 10),
+  }),
+  {
+    name: 'successes',
+    input: 'stepper',
+    get label() { return t('entries.training.successes'); },
+    initial: (form) => String(form.entry?.successes ?? ''),
+    validate: (value, form) => {
+      const n = Number(value);
+      const valid = value !== '' && Number.isInteger(n) && n >= 0 && n <= (positiveInt(form.values.reps) || 0);
+      return valid ? null : t('entries.training.invalidSuccesses');
+    },
+    save: (value) => ({ successes: Number(value) }),
+  },
+  {
+    name: 'note',
+    input: 'textarea',
+    get label() { return t('common.noteOptional'); },
+    initial: (form) => form.entry?.note || '',
+    save: (value) => ({ note: value.trim() }),
+  },
+];
+
+// --- Card pieces ---
+const timeSpan = (text) => <span className="font-bold text-white">{text}</span>;
+
+const foodLabel = (entry, pantry) => {
+  const food = entry.foodId && pantry.find(item => item.id === entry.foodId);
+  return (food || entry.kcal != null) && (
+    <span className="text-gray-400"> {food && food.name}{entry.kcal != null && ` (${entry.kcal} kcal)`}</span>
+  );
+};
+
+// Walks recorded with the timer (or a start time) show their span, old { time } walks their end
+const walkLabel = (w, dog) => {
+  if (isAccident(w)) return tParts('entries.walks.accidentAt', { time: timeSpan(formatTime(w.time)) });
+  if (w.startTime) {
+    return tParts('entries.walks.walked', {
+      name: dog.name,
+      span: timeSpan(`${formatTime(w.startTime)} - ${formatTime(w.time)}`),
+      minutes: walkDurationMinutes(w),
+    });
+  }
+  return tParts('entries.walks.endedAt', { name: dog.name, time: timeSpan(formatTime(w.time)) });
+};
+
+const walkWeatherLabel = (w) =>
+  w.weather && <span className="text-gray-400" title={w.weather.description}> {getWeatherEmoji(w.weather.icon)} {w.weather.temp}°C</span>;
+
+const actionClass = 'button text-[0.6rem] lg:text-sm p-1';
+
+// --- Definitions ---
+export const ENTRY_TYPES = {
+  walks: {
+    kind: 'walks',
+    get title() { return t('entries.walks.title'); },
+    get plural() { return t('entries.walks.plural'); },
+    icon: PawPrint,
+    color: 'text-yellow-400',
+    fields: walkFields,
+    defaults: WALK_DEFAULTS,
+    prepare: compactWalk,
+    instantAdd: true,
+    get customAddLabel() { return t('entries.walks.customAdd'); },
+    stampWeather: isWalk,
+    name: (w) => t(isAccident(w) ? 'entries.walks.accident' : 'entries.walks.walk'),
+    timeLabel: (values) => t(values.event === 'walk' ? 'entries.walks.ended' : 'common.time'),
+    count: (walks) => walks.filter(isWalk).length,
+    heading: (walks) => walks.some(isAccident) && (
+      <span className="ml-1 font-normal text-red-400">· {t('entries.walks.accidents', { count: walks.filter(isAccident).length })}</span>
+    ),
+    tooltip: (w) => w.note || undefined,
+    markerColor: (w) => (isAccident(w) ? 'text-red-400' : undefined),
+    describe: (w, { dog }) => (
+      <>
+        {walkLabel(w, dog)}
+        {walkWeatherLabel(w)}
+        {w.pee && ' 💧'}{w.poop && ' 💩'}
+        {w.note && <span className="text-gray-400"> - {w.note}</span>}
+      </>
+    ),
+    // The walk timer lives on the dog profile (see dogs.js); only its button ticks
+    renderActions: ({ dog, walkTimer }, buttons) => (dog.activeWalk ? (
+      <>
+        <button onClick={walkTimer.stop} className={`${actionClass} flex-[2] bg-red-700 hover:bg-red-600`}>
+          {tParts('entries.walks.stop', { elapsed: <Elapsed since={dog.activeWalk.startTime} /> })}
+        </button>
+        <button onClick={walkTimer.discard} className={`${actionClass} flex-1`}>{t('entries.walks.discard')}</button>
+      </>
+    ) : (
+      <>
+        <button onClick={walkTimer.start} className={`${actionClass} flex-1 bg-green-700 hover:bg-green-600`}>{t('entries.walks.start')}</button>
+        {buttons}
+      </>
+    )),
+  },
+
+  meals: {
+    kind: 'meals',
+    get title() { return t('entries.meals.title'); },
+    get plural() { return t('entries.meals.plural'); },
+    icon: Utensils,
+    color: 'text-pink-400',
+    accent: 'bg-pink-700 hover:bg-pink-600',
+    fields: mealFields,
+    pantryKind: 'food',
+    keep: (m) => m.weight,
+    formDefaults: ({ dog, entries }) => {
+      const last = entries[entries.length - 1];
+      return { weight: getMealPortion(dog) || last?.weight, foodId: last?.foodId };
+    },
+    heading: (meals, { dog, logs }) => {
+      const grams = meals.reduce((sum, m) => sum + (Number(m.weight) || 0), 0);
+      const kcal = dailyKcal(meals, logs.snacks || []);
+      return (
+        <>
+          {dog.dailyFoodTarget > 0 && (
+            <span className={`ml-1 font-normal ${grams >= dog.dailyFoodTarget ? 'text-green-400' : 'text-gray-400'}`}>
+              · {grams}/{dog.dailyFoodTarget}g
+            </span>
+          )}
+          {kcal > 0 && (
+            <span className={`ml-1 font-normal ${dog.dailyKcalTarget > 0 && kcal > dog.dailyKcalTarget ? 'text-orange-400' : 'text-gray-400'}`}>
+              · {kcal}{dog.dailyKcalTarget > 0 && `/${dog.dailyKcalTarget}`} kcal
+            </span>
+          )}
+        </>
+      );
+    },
+    describe: (m, { pantry }) => (
+      <>
+        {tParts('entries.meals.ateAt', { time: timeSpan(formatTime(m.time)), weight: timeSpan(`${m.weight}g`) })}
+        {foodLabel(m, pantry)}
+      </>
+    ),
+  },
+
+  snacks: {
+    kind: 'snacks',
+    get title() { return t('entries.snacks.title'); },
+    get plural() { return t('entries.snacks.plural'); },
+    icon: Bone,
+    color: 'text-orange-400',
+    accent: 'bg-orange-700 hover:bg-orange-600',
+    fields: snackFields,
+    pantryKind: 'treat',
+    keep: (s) => s.quantity,
+    describe: (s) => tParts('entries.snacks.eaten', { quantity: s.quantity, type: s.type, time: timeSpan(formatTime(s.time)) }),
+  },
+
+  // Sessions practising one command (see training.js); progress over weeks is in TrainingModal
+  training: {
+    kind: 'training',
+    get title() { return t('entries.training.title'); },
+    get plural() { return t('entries.training.plural'); },
+    icon: GraduationCap,
+    color: 'text-sky-400',
+    accent: 'bg-sky-700 hover:bg-sky-600',
+    fields: trainingFields,
+    keep: (s) => s.command && s.reps,
+    name: () => t('entries.training.session'),
+    formDefaults: ({ entries, recent }) => {
+      const last = entries[entries.length - 1];
+      return { command: last?.command, reps: last?.reps, commands: collectCommands(recent) };
+    },
+    heading: (sessions) => sessions.length > 0 && (
+      <span className="ml-1 font-normal text-gray-400">
+        · {t('entries.training.repsToday', { count: sessions.reduce((sum, s) => sum + (Number(s.reps) || 0), 0) })}
+      </span>
+    ),
+    tooltip: (s) => s.note || undefined,
+    describe: (s) => tParts('entries.training.logged', {
+      command: timeSpan(commandLabel(s.command)),
+      successes: s.successes,
+      reps: s.reps,
+      rate: Math.round(successRate(s.successes, s.reps) * 100),
+      time: timeSpan(formatTime(s.time)),
+    }),
+  },
+};
+
+// The cards on the dashboard, left to right
+export const LOG_TYPES = [ENTRY_TYPES.walks, ENTRY_TYPES.meals, ENTRY_TYPES.snacks, ENTRY_TYPES.training];
+
+// A day's entries of one type as shown on its card: oldest first, without unusable ones
+export const entriesOf = (type, day) => {
+  const entries = sortByTime(day?.[type.kind] || []);
+  return type.keep ? entries.filter(type.keep) : entries;
+};
+
+export const entryName = (type, entry) => (type.name ? type.name(entry) : type.title.toLowerCase());
@@ -0,0 +1,89 @@
+// src/health.js
+// The dog's health record: weigh-ins, medication doses, vaccinations and vet visits, each a
+// 'health' entry of the day it happened on:
+//
+//   { id, time, type: 'weight', kg }
+//   { id, time, type: 'medication', medicationId, name }
+//   { id, time, type: 'vaccination', name, nextDueKey }
+//   { id, time, type: 'vet', name }            (reason for the visit)
+//
+// plus an optional `note`. Recurring medications are scheduled on the dog profile:
+//
+//   medications: [{ id, name, intervalDays: 30, lastGivenKey: '2025-05-01' }]
+//
+// `lastGivenKey` is kept up to date when a dose is logged or deleted, so the dashboard can
+// show what is due without reading the whole history. The dose entries stay the record.
+import repository, { outbox } from './storage';
+import { createEntryId, normalizeDay } from './entries';
+import { addDaysToKey, dateKeyForEntry, isDateKey, parseDateKey, atTimeOfDay } from './days';
+import { attribution } from './auth';
+
+// Days before the due date a medication is shown as coming up
+export const DUE_SOON_DAYS = 3;
+
+// --- Log ---
+// All health entries of the given days as [{ key, ...entry }], oldest first
+export const collectHealthLog = (days) => days
+  .flatMap(({ key, data }) => (normalizeDay(data || {}).health || []).map(entry => ({ ...entry, key })))
+  .sort((a, b) => new Date(a.time) - new Date(b.time));
+
+export const weightSeries = (log) => log
+  .filter(e => e.type === 'weight' && Number(e.kg) > 0)
+  .map(e => ({ key: e.key, time: e.time, kg: Number(e.kg) }));
+
+export const loadHealthLog = async (dogId) => {
+  const days = await repository.listDays(dogId, '0000-00-00', '9999-99-99');
+  return collectHealthLog(outbox.applyPendingToDays(dogId, days, '0000-00-00', '9999-99-99'));
+};
+
+// Health entries are logged by date: today's at the current time, other days' at noon
+export const timeForDateKey = (key, todayKey, now = new Date()) =>
+  (key === todayKey ? now : atTimeOfDay(parseDateKey(key), '12:00')).toISOString();
+
+export const addHealthEntry = (dogId, entry, user) => {
+  const loggedBy = attribution(user);
+  const stored = { id: createEntryId(), ...entry, ...(loggedBy && { loggedBy }) };
+  outbox.enqueue({ dogId, kind: 'health', action: 'add', entry: stored, dateKey: dateKeyForEntry(stored), by: loggedBy });
+  return { ...stored, key: dateKeyForEntry(stored) };
+};
+
+export const removeHealthEntry = (dogId, entry, user) =>
+  outbox.enqueue({ dogId, kind: 'health', action: 'remove', entryId: entry.id, dateKey: entry.key, by: attribution(user) });
+
+// --- Medication schedules ---
+export const normalizeMedication = (med) => ({
+  id: med.id || createEntryId(),
+  name: String(med.name || '').trim(),
+  intervalDays: Number(med.intervalDays) > 0 ? Math.round(Number(med.intervalDays)) : 30,
+  lastGivenKey: isDateKey(med.lastGivenKey) ? med.lastGivenKey : null,
+});
+
+// A medication that was never given is due straight away
+export const nextDueKey = (med, todayKey) =>
+  (med.lastGivenKey ? addDaysToKey(med.lastGivenKey, med.intervalDays) : todayKey);
+
+// 'overdue' | 'due' (today) | 'soon' | 'ok'
+export const medicationStatus = (med, todayKey) => {
+  const due = nextDueKey(med, todayKey);
+  if (due < todayKey) return 'overdue';
+  if (due === todayKey) return 'due';
+  return due <= addDaysToKey(todayKey, DUE_SOON_DAYS) ? 'soon' : 'ok';
+};
+
+export const dueMedications = (dog, todayKey) =>
+  (dog.medications || []).filter(med => ['overdue', 'due'].includes(medicationStatus(med, todayKey)));
+
+export const saveMedications = (dog, medications) =>
+  repository.saveDog({ id: dog.id, medications: medications.map(normalizeMedication) });
+
+// Latest logged dose, used after a dose was logged or deleted
+export const lastDoseKey = (log, medicationId) => log
+  .filter(e => e.type === 'medication' && e.medicationId === medicationId)
+  .reduce((latest, e) => (!latest || e.key > latest ? e.key : latest), null);
+
+// --- Vaccination record ---
+export const VACCINATION_COLUMNS = ['date', 'vaccine', 'next_due', 'note', 'logged_by'];
+
+export const vaccinationRows = (log) => log
+  .filter(e => e.type === 'vaccination')
+  .map(e => [e.key, e.name, e.nextDueKey, e.note, e.loggedBy?.name]);
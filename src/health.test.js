@@ -0,0 +1,65 @@
+import { collectHealthLog, weightSeries, medicationStatus, nextDueKey, dueMedications, lastDoseKey, normalizeMedication, timeForDateKey, vaccinationRows, loadHealthLog, addHealthEntry } from './health';
+import repository from './storage';
+import { LOCAL_USER } from './auth';
+
+const at = (key, h = 12) => {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(y, m - 1, d, h).toISOString();
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+const days = [
+  { key: '2025-05-10', data: { walks: [], health: [{ id: 'w2', time: at('2025-05-10'), type: 'weight', kg: 6.1 }] } },
+  {
+    key: '2025-04-01',
+    data: {
+      health: [
+        { id: 'w1', time: at('2025-04-01'), type: 'weight', kg: 4.2 },
+        { id: 'v1', time: at('2025-04-01', 9), type: 'vaccination', name: 'DHPPi', nextDueKey: '2025-05-01', loggedBy: { uid: 'u1', name: 'Sam' } },
+        { id: 'd1', time: at('2025-04-01', 8), type: 'medication', medicationId: 'flea', name: 'Flea treatment' },
+      ],
+    },
+  },
+  { key: '2025-04-02', data: null },
+];
+
+test('collects health entries from the day documents, oldest first', () => {
+  const log = collectHealthLog(days);
+  expect(log.map(e => e.id)).toEqual(['d1', 'v1', 'w1', 'w2']);
+  expect(log[0].key).toBe('2025-04-01');
+  expect(weightSeries(log).map(p => p.kg)).toEqual([4.2, 6.1]);
+  expect(lastDoseKey(log, 'flea')).toBe('2025-04-01');
+  expect(lastDoseKey(log, 'wormer')).toBeNull();
+  expect(vaccinationRows(log)).toEqual([['2025-04-01', 'DHPPi', '2025-05-01', undefined, 'Sam']]);
+});
+
+test('medications are due an interval after the last dose', () => {
+  const flea = normalizeMedication({ id: 'flea', name: ' Flea treatment ', intervalDays: 30, lastGivenKey: '2025-04-01' });
+  expect(flea.name).toBe('Flea treatment');
+  expect(nextDueKey(flea, '2025-04-10')).toBe('2025-05-01');
+
+  expect(medicationStatus(flea, '2025-04-10')).toBe('ok');
+  expect(medicationStatus(flea, '2025-04-28')).toBe('soon');
+  expect(medicationStatus(flea, '2025-05-01')).toBe('due');
+  expect(medicationStatus(flea, '2025-05-03')).toBe('overdue');
+
+  // Never given: due straight away
+  const wormer = normalizeMedication({ id: 'wormer', name: 'Wormer', intervalDays: 90 });
+  expect(dueMedications({ medications: [flea, wormer] }, '2025-04-10')).toEqual([wormer]);
+});
+
+test('entries logged for another day are placed at noon', () => {
+  const now = new Date(2025, 4, 10, 18, 30);
+  expect(timeForDateKey('2025-05-10', '2025-05-10', now)).toBe(now.toISOString());
+  expect(timeForDateKey('2025-05-01', '2025-05-10', now)).toBe(new Date(2025, 4, 1, 12).toISOString());
+});
+
+test('a weigh-in logged offline is in the log straight away', async () => {
+  localStorage.clear();
+  jest.spyOn(repository, 'mutateDay').mockRejectedValue(Object.assign(new Error('offline'), { code: 'unavailable' }));
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  const entry = addHealthEntry('diza', { time: at('2025-05-08'), type: 'weight', kg: 4.5 }, LOCAL_USER);
+  expect(await loadHealthLog('diza')).toEqual([entry]);
+});
@@ -0,0 +1,22 @@
+// src/hooks/useClock.js
+// The current time, updated every `intervalMs`. Ticks land on whole intervals of the wall
+// clock (every full second, every full minute), so a seconds display never lags behind.
+import { useEffect, useState } from 'react';
+
+export default function useClock(intervalMs = 1000) {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    let timer;
+    const schedule = () => {
+      timer = setTimeout(() => {
+        setNow(new Date());
+        schedule();
+      }, intervalMs - (Date.now() % intervalMs));
+    };
+    schedule();
+    return () => clearTimeout(timer);
+  }, [intervalMs]);
+
+  return now;
+}
@@ -0,0 +1,24 @@
+import { act, renderHook } from '@testing-library/react';
+import useClock from './useClock';
+
+afterEach(() => jest.useRealTimers());
+
+test('ticks at the given interval and stops when unmounted', () => {
+  jest.useFakeTimers().setSystemTime(new Date(2025, 4, 10, 8, 0, 0));
+  const { result, unmount } = renderHook(() => useClock(1000));
+  expect(result.current).toEqual(new Date(2025, 4, 10, 8, 0, 0));
+
+  act(() => { jest.advanceTimersByTime(3000); });
+  expect(result.current).toEqual(new Date(2025, 4, 10, 8, 0, 3));
+
+  unmount();
+  expect(jest.getTimerCount()).toBe(0);
+});
+
+test('ticks on whole seconds, however late in a second it started', () => {
+  jest.useFakeTimers().setSystemTime(new Date(2025, 4, 10, 8, 0, 0, 700));
+  const { result } = renderHook(() => useClock(1000));
+
+  act(() => { jest.advanceTimersByTime(300); });
+  expect(result.current).toEqual(new Date(2025, 4, 10, 8, 0, 1));
+});
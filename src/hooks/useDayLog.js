@@ -0,0 +1,30 @@
+// src/hooks/useDayLog.js
+// One day document of a dog, kept live: repository changes (other devices, other tabs) and
+// changes still waiting in the outbox both show up right away.
+import { useEffect, useState } from 'react';
+import repository, { outbox } from '../storage';
+import { emptyDay } from '../entries';
+
+export default function useDayLog(dogId, dateKey) {
+  const [day, setDay] = useState(emptyDay);
+
+  useEffect(() => {
+    if (!dogId) return undefined;
+
+    let stored = null;
+    const show = () => setDay(outbox.applyPending(dogId, dateKey, stored) || emptyDay());
+
+    const unsubDay = repository.subscribeDay(dogId, dateKey, (data) => {
+      stored = data;
+      show();
+    }, (error) => console.error(`Error loading ${dateKey}:`, error));
+    const unsubOutbox = outbox.subscribe(show);
+
+    return () => {
+      unsubDay();
+      unsubOutbox();
+    };
+  }, [dogId, dateKey]);
+
+  return day;
+}
@@ -0,0 +1,25 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import repository, { outbox } from '../storage';
+import useDayLog from './useDayLog';
+
+beforeEach(() => localStorage.clear());
+
+const at = (h, m) => new Date(2025, 4, 10, h, m).toISOString();
+
+test('follows the stored day and the changes queued for it', async () => {
+  await repository.setDay('diza', '2025-05-10', { walks: [{ id: 'w1', time: at(7, 0) }] });
+  const { result } = renderHook(() => useDayLog('diza', '2025-05-10'));
+  await waitFor(() => expect(result.current.walks.map(w => w.id)).toEqual(['w1']));
+
+  // Shown while queued, and still there once the outbox has written it
+  act(() => outbox.enqueue({ dogId: 'diza', kind: 'meals', action: 'add', entry: { id: 'm1', time: at(8, 0), weight: 100 }, dateKey: '2025-05-10' }));
+  expect(result.current.meals.map(m => m.id)).toEqual(['m1']);
+  await act(() => outbox.flush());
+  expect(outbox.pending()).toHaveLength(0);
+  expect(result.current.meals.map(m => m.id)).toEqual(['m1']);
+});
+
+test('an empty day until there is a dog', () => {
+  const { result } = renderHook(() => useDayLog(null, '2025-05-10'));
+  expect(result.current).toEqual({ walks: [], meals: [], snacks: [], training: [], health: [] });
+});
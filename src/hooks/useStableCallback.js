@@ -0,0 +1,14 @@
+// src/hooks/useStableCallback.js
+// A function that keeps its identity from render to render but always runs the latest
+// `fn`, for handlers handed to memoized components (see LogCard).
+import { useCallback, useLayoutEffect, useRef } from 'react';
+
+export default function useStableCallback(fn) {
+  const ref = useRef(fn);
+
+  useLayoutEffect(() => {
+    ref.current = fn;
+  });
+
+  return useCallback((...args) => ref.current(...args), []);
+}
@@ -0,0 +1,30 @@
+// src/hooks/useTodayKey.js
+// Today's date key, which changes at local midnight. `onDayChange(previousKey, key)` runs
+// just before it does.
+import { useEffect, useRef, useState } from 'react';
+import { formatDateToKey, msUntilNextDay } from '../days';
+
+export default function useTodayKey(onDayChange) {
+  const [todayKey, setTodayKey] = useState(() => formatDateToKey(new Date()));
+  const onDayChangeRef = useRef(onDayChange);
+  onDayChangeRef.current = onDayChange;
+
+  useEffect(() => {
+    let t;
+    const check = () => {
+      const key = formatDateToKey(new Date());
+      if (key === todayKey) {
+        // Woke up early (timer drift, DST): wait for the real midnight
+        t = setTimeout(check, msUntilNextDay() + 1000);
+        return;
+      }
+      onDayChangeRef.current?.(todayKey, key);
+      setTodayKey(key);
+    };
+
+    t = setTimeout(check, msUntilNextDay() + 1000);
+    return () => clearTimeout(t);
+  }, [todayKey]);
+
+  return todayKey;
+}
@@ -0,0 +1,34 @@
+// src/hooks/useWeather.js
+// Current conditions and forecast for a location, as the weather service's results
+// ({ data, fetchedAt, provider, stale, error }, null until the first answer), with the
+// descriptions in `language`.
+import { useEffect, useState } from 'react';
+import weatherService from '../weather';
+
+// The weather service answers from its cache until the data is due for a refresh
+const WEATHER_POLL_MS = 60 * 1000;
+
+export default function useWeather(location, language = 'en', service = weatherService) {
+  const [current, setCurrent] = useState(null);
+  const [forecast, setForecast] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const update = () => {
+      service.getCurrent(location, language).then(result => { if (!cancelled) setCurrent(result); });
+      service.getForecast(location, language).then(result => { if (!cancelled) setForecast(result); });
+    };
+
+    setCurrent(null);
+    setForecast(null);
+    update();
+    const timer = setInterval(update, WEATHER_POLL_MS);
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [location, language, service]);
+
+  return { current, forecast };
+}
@@ -0,0 +1,34 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import useWeather from './useWeather';
+
+afterEach(() => jest.useRealTimers());
+
+const fakeService = () => ({
+  getCurrent: jest.fn(async (location) => ({ data: { temp: 12, place: location.name }, stale: false })),
+  getForecast: jest.fn(async () => ({ data: [], stale: false })),
+});
+
+test('asks the service for the location and polls it again', async () => {
+  jest.useFakeTimers();
+  const service = fakeService();
+  const location = { name: 'Uppsala' };
+  const { result } = renderHook(() => useWeather(location, 'en', service));
+
+  await waitFor(() => expect(result.current.current.data.place).toBe('Uppsala'));
+  expect(result.current.forecast.data).toEqual([]);
+
+  await act(async () => { jest.advanceTimersByTime(60 * 1000); });
+  expect(service.getCurrent).toHaveBeenCalledTimes(2);
+  expect(service.getForecast).toHaveBeenCalledTimes(2);
+});
+
+test('starts over when the location changes', async () => {
+  const service = fakeService();
+  const { result, rerender } = renderHook(({ location }) => useWeather(location, 'en', service), {
+    initialProps: { location: { name: 'Uppsala' } },
+  });
+  await waitFor(() => expect(result.current.current.data.place).toBe('Uppsala'));
+
+  rerender({ location: { name: 'Visby' } });
+  await waitFor(() => expect(result.current.current.data.place).toBe('Visby'));
+});
@@ -0,0 +1,42 @@
+// src/households.js
+// A household is the group of people sharing the dogs' data. Members are listed on the
+// household document; the Firestore rules only let members read or write underneath it.
+import repository, { outbox } from './storage';
+import { displayName } from './auth';
+import { t } from './i18n';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Points the repository and the outbox at the household's data and replays changes queued
+// for it before sign-in
+export const selectHousehold = (householdId) => {
+  repository.setHousehold(householdId);
+  outbox.setHousehold(householdId);
+  if (householdId) outbox.flush();
+};
+
+export const getUserHouseholdId = (user) => repository.getUserHouseholdId(user.uid);
+
+export const subscribeHousehold = (householdId, onChange, onError) =>
+  repository.subscribeHousehold(householdId, onChange, onError);
+
+export const createHousehold = (user, name) => repository.createHousehold(user, name.trim() || t('auth.householdName', { name: displayName(user.name) }));
+
+export const listInvites = (user) => (user.email ? repository.listInvites(user.email) : Promise.resolve([]));
+
+export const acceptInvite = (invite, user) => repository.acceptInvite(invite, user);
+
+export const inviteMember = async (household, email, user) => {
+  const address = email.trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(address)) throw new Error(t('household.invalidEmail'));
+  if (Object.values(household.members || {}).some(m => m.email === address)) {
+    throw new Error(t('household.alreadyMember'));
+  }
+  await repository.inviteMember(household, address, user);
+};
+
+export const cancelInvite = (household, email) => repository.cancelInvite(household.id, email);
+
+export const removeMember = (household, uid) => repository.removeMember(household.id, uid);
+
+export const leaveHousehold = (household, user) => repository.leaveHousehold(household.id, user.uid);
@@ -0,0 +1,28 @@
+import { inviteMember } from './households';
+import { attribution, displayName, LOCAL_USER } from './auth';
+import { setLocale } from './i18n';
+
+const household = { id: 'h1', name: 'Home', members: { u1: { name: 'Sam', email: 'sam@example.com' } } };
+
+test('invites are validated before anything is written', async () => {
+  await expect(inviteMember(household, 'not-an-email', LOCAL_USER)).rejects.toThrow('valid email');
+  await expect(inviteMember(household, ' SAM@example.com ', LOCAL_USER)).rejects.toThrow('already a member');
+  // The local backend can't share at all
+  await expect(inviteMember(household, 'alex@example.com', LOCAL_USER)).rejects.toThrow('Firebase');
+});
+
+test('entries are only attributed to real accounts', () => {
+  expect(attribution(LOCAL_USER)).toBeNull();
+  expect(attribution({ uid: 'u1', name: 'Sam', email: 'sam@example.com', isLocal: false })).toEqual({ uid: 'u1', name: 'Sam' });
+});
+
+test('the device and accounts without a name are named in the current language', () => {
+  expect(LOCAL_USER.name).toBe('This device');
+  expect(displayName('')).toBe('Unknown');
+  expect(displayName('Sam')).toBe('Sam');
+
+  setLocale('sv-SE');
+  expect(LOCAL_USER.name).toBe('Den här enheten');
+  expect(displayName(null)).toBe('Okänd');
+  setLocale('en-US');
+});
@@ -0,0 +1,478 @@
+// src/i18n/en.js
+// English texts. Every key used in the app exists here; other languages may leave keys out.
+// `{name}` placeholders are filled in by t(), objects with `one`/`other` are plural forms.
+const en = {
+  common: {
+    cancel: 'Cancel',
+    save: 'Save',
+    saving: 'Saving...',
+    savingFailed: 'Saving failed, please try again.',
+    failed: 'That did not work, please try again.',
+    remove: 'Remove',
+    delete: 'Delete',
+    edit: 'Edit',
+    add: 'Add',
+    clear: 'Clear',
+    close: 'Close',
+    dismiss: 'Dismiss',
+    loading: 'Loading...',
+    restore: 'Restore',
+    name: 'Name',
+    nameRequired: 'Name is required.',
+    date: 'Date',
+    time: 'Time',
+    noteOptional: 'Note (optional)',
+  },
+
+  dashboard: {
+    noDogs: 'No dog profiles found.',
+    history: "{name}'s History",
+    historyDate: 'History: {date}',
+    changeLocation: 'Change location',
+    conditions: 'H: {humidity}% | W: {wind} m/s',
+    notUpdatedSince: 'Not updated since {time}',
+    weatherUnavailable: 'Weather unavailable, retrying',
+    dryNow: 'Dry now until {time}',
+    nextDryWindow: 'Next dry window {from} - {to}',
+    noDryWindow: 'No dry window in the forecast',
+    slot: '{description}, {pop}% chance of rain',
+    walkDue: 'WALK DUE! 🐾',
+    nextWalk: 'Next walk: {time}',
+    addFirstWalk: 'Add first walk',
+    noneToday: 'None today',
+    mealDue: 'MEAL DUE! 🍽️ ({times})',
+    nextMeal: 'Next meal: {time}',
+    medicationDue: '{name} due',
+    medicationsDue: '{count} medications due',
+    runningLow: '{name} running low',
+    itemsRunningLow: '{count} items running low',
+    pending: '{count} pending',
+    pendingTitle: 'Changes waiting to sync',
+    reset: 'Reset',
+    confirmReset: 'Reset ALL data for this day?',
+    dayReset: 'Day reset',
+    deleted: 'Deleted {name}',
+    deletedEntries: 'Deleted {count} entries',
+    inFuture: 'Some of these entries would be in the future on that day.',
+    confirmDiscardWalk: 'Discard the running walk without logging it?',
+    finishWalk: 'Finish Walk',
+    titles: {
+      history: 'History',
+      editMode: 'Edit mode',
+      changeHistory: 'Change history',
+      stats: 'Statistics',
+      health: 'Health',
+      pantry: 'Pantry',
+      backup: 'Export / import',
+      schedule: 'Walk & meal schedule',
+      reminders: 'Reminders',
+      language: 'Language',
+      kiosk: 'Kiosk mode',
+      kioskOn: 'Kiosk mode on (screen stays awake)',
+      training: 'Training progress',
+    },
+  },
+
+  notification: {
+    walkDue: '{name}: walk due 🐾',
+    mealDue: '{name}: meal due 🍽️',
+    scheduledAt: 'Scheduled at {times}',
+    timeForWalk: 'Time for a walk!',
+    markDone: 'Mark done',
+    snooze: 'Snooze {minutes} min',
+  },
+
+  entries: {
+    walks: {
+      title: 'Walk',
+      plural: 'Walks',
+      walk: 'walk',
+      accident: 'accident',
+      customAdd: 'Add Custom Time',
+      event: 'Event',
+      eventWalk: 'Walk',
+      eventAccident: 'Accident indoors',
+      started: 'Started (optional)',
+      ended: 'Ended',
+      pee: 'Pee 💧',
+      poop: 'Poop 💩',
+      invalidStart: 'Enter a valid start time, or leave it empty.',
+      tooLong: "A walk can't be longer than {hours} hours.",
+      accidents: '{count} accident(s)',
+      accidentAt: 'Accident indoors at {time}',
+      walked: '{name} walked {span} ({minutes} min)',
+      endedAt: '{name} ended walk at {time}',
+      start: 'Start Walk',
+      stop: 'Stop Walk ({elapsed})',
+      discard: 'Discard',
+    },
+    meals: {
+      title: 'Meal',
+      plural: 'Meals',
+      food: 'Food',
+      notFromPantry: 'Not from the pantry',
+      weight: 'Weight',
+      invalidWeight: 'Weight must be a whole number of grams above 0.',
+      ateAt: 'Ate at {time} - {weight}',
+    },
+    snacks: {
+      title: 'Snack',
+      plural: 'Snacks',
+      type: 'Type',
+      newType: 'New type...',
+      newTypeLabel: 'New snack type',
+      newTypePlaceholder: 'Snack type',
+      typeRequired: 'Choose or enter a snack type.',
+      quantity: 'Quantity',
+      invalidQuantity: 'Quantity must be a whole number above 0.',
+      eaten: '{quantity} x {type} at {time}',
+    },
+    training: {
+      title: 'Training',
+      plural: 'Training',
+      session: 'training session',
+      command: 'Command',
+      newCommand: 'New command...',
+      newCommandLabel: 'New command',
+      newCommandPlaceholder: 'e.g. paw',
+      commandRequired: 'Choose or enter a command.',
+      reps: 'Reps',
+      invalidReps: 'Reps must be a whole number above 0.',
+      successes: 'Successful',
+      invalidSuccesses: 'Successful reps must be between 0 and the number of reps.',
+      repsToday: '{count} reps',
+      logged: '{command} {successes}/{reps} ({rate}%) at {time}',
+    },
+  },
+
+  log: {
+    addNow: 'Add {title} Now',
+    addCustom: 'Add Custom {title}',
+    empty: 'No {plural} logged for this day.',
+    selectAll: 'Select all {plural}',
+    selectEntry: 'Select entry',
+  },
+
+  form: {
+    addTitle: 'Add {title}',
+    editTitle: 'Edit {title}',
+    invalidDate: 'Enter a valid date.',
+    invalidTime: 'Enter a valid time.',
+    futureTime: 'That time is in the future.',
+  },
+
+  stepper: {
+    less: 'Less {label}',
+    more: 'More {label}',
+  },
+
+  selection: {
+    count: '{count} selected',
+    target: 'Target day',
+    move: 'Move there',
+    copy: 'Copy there',
+  },
+
+  timeline: {
+    label: 'Day timeline',
+    entry: '{name} at {time}',
+    nextWalk: 'Next walk planned at {time}',
+    now: 'Now',
+  },
+
+  undo: {
+    undo: 'Undo',
+    redo: 'Redo',
+  },
+
+  update: {
+    available: 'A new version of the dashboard is available.',
+    reload: 'Reload',
+    later: 'Later',
+  },
+
+  language: {
+    title: 'Language',
+    intro: 'Language and date/time format on this device.',
+    example: 'Example: {time} · {date}',
+  },
+
+  auth: {
+    title: 'Puppy Dashboard',
+    intro: "Sign in to see and log your household's walks, meals and snacks.",
+    signIn: 'Sign in with Google',
+    signInFailed: 'Sign-in failed, please try again.',
+    welcome: 'Welcome, {name}',
+    lookingForInvites: 'Looking for invites...',
+    invitedTo: 'You have been invited to:',
+    join: 'Join {household} (from {name})',
+    newHousehold: 'Or start a new household',
+    householdName: "{name}'s household",
+    create: 'Create household',
+    thisDevice: 'This device',
+    unknownUser: 'Unknown',
+  },
+
+  household: {
+    signedInAs: 'Signed in as {name}',
+    members: 'Members',
+    owner: 'owner',
+    invited: 'Invited',
+    invitePlaceholder: 'Invite by email',
+    invite: 'Invite',
+    joinNote: 'They join by signing in with that address.',
+    confirmLeave: 'Leave {name}?',
+    leave: 'Leave household',
+    signOut: 'Sign out',
+    localNote: 'Data is stored on this device only. Sharing with other people needs the Firebase backend.',
+    invalidEmail: 'Enter a valid email address.',
+    alreadyMember: 'That person is already a member.',
+    sharingUnavailable: 'Sharing a household needs the Firebase backend.',
+  },
+
+  dogs: {
+    edit: 'Edit dog',
+    add: 'Add dog',
+  },
+
+  profile: {
+    addTitle: 'Add Dog',
+    editTitle: 'Edit {name}',
+    emoji: 'Emoji',
+    photo: 'Photo',
+    photoFailed: 'Could not read that image.',
+    walkInterval: 'Walk interval (hours)',
+    dailyRation: 'Daily ration (grams, 0 = none)',
+    dailyKcal: 'Daily kcal (0 = none)',
+    invalidInterval: 'Walk interval must be a positive number of hours.',
+    invalidRation: 'Daily ration must be 0 or more grams.',
+    invalidKcal: 'Daily kcal target must be 0 or more.',
+  },
+
+  schedule: {
+    title: "{name}'s Schedule",
+    walkIntervals: 'Walk intervals',
+    intervalsHelp: 'A walk is due this many hours after the last one, only between the given times.',
+    intervalFrom: 'Interval {n} from',
+    intervalTo: 'Interval {n} to',
+    intervalHours: 'Interval {n} hours',
+    every: 'every',
+    hours: 'h',
+    addInterval: 'Add interval',
+    addTime: 'Add time',
+    scheduledWalks: 'Scheduled walks',
+    mealTimes: 'Meal times',
+    quietHours: 'Quiet hours',
+    quietFrom: 'Quiet hours from',
+    quietTo: 'Quiet hours to',
+    tolerance: 'Counts as on time if logged up to (minutes) before',
+    errors: {
+      intervalTimes: 'Interval {n}: times must be HH:mm.',
+      intervalHours: 'Interval {n}: hours must be more than 0.',
+      invalidTime: '"{time}" is not a valid HH:mm time.',
+      quietHours: 'Quiet hours must be HH:mm.',
+    },
+  },
+
+  reminders: {
+    title: 'Reminders',
+    intro: 'Alerts fire when a walk or scheduled meal becomes due. These settings only apply to this device.',
+    blocked: 'Notifications are blocked for this site. Allow them in the browser settings and try again.',
+    notifications: 'Browser notifications',
+    notSupported: '(not supported here)',
+    chime: 'Play a chime on this device',
+  },
+
+  location: {
+    title: 'Weather Location',
+    now: 'Now: {place}',
+    placeholder: 'City or lat, lon',
+    label: 'City or coordinates',
+    search: 'Search',
+    noResults: 'No places found.',
+    queryRequired: 'Enter a city, or coordinates like 57.65, 12.03.',
+    searchFailed: 'Search failed, please try again.',
+    positionFailed: "Could not get this device's position.",
+    useDevice: "Use this device's position",
+  },
+
+  backup: {
+    title: "Export / Import {name}'s Log",
+    intro: 'CSV has one row per walk, meal and snack. JSON is a full backup that can be imported into another installation.',
+    exportCsv: 'Export CSV',
+    exportJson: 'Export JSON',
+    importLabel: 'Import CSV or JSON (entries already in the log are skipped)',
+    working: 'Working...',
+    exported: 'Exported {count} day(s).',
+    exportFailed: 'Export failed, please try again.',
+    nothingToImport: 'Nothing to import.',
+    imported: 'Imported {added} entries, skipped {duplicates} already in the log.',
+    importedWithInvalid: 'Imported {added} entries, skipped {duplicates} already in the log and {invalid} invalid row(s).',
+    importFailed: 'Import failed, please try again.',
+    errors: {
+      line: 'Line {line}: {error}',
+      entry: '{day} {kind} #{number}: {error}',
+      missingColumns: 'Missing column(s): {columns}',
+      notJson: 'Not a valid JSON file',
+      notBackup: 'Not a backup file (no "days")',
+      notADay: 'Day "{day}": not a date, skipped',
+      unknownKind: 'Unknown kind "{value}"',
+      invalidTime: 'Invalid time "{value}"',
+      invalidStartTime: 'Invalid start time "{value}"',
+      unknownWalkEvent: 'Unknown walk event "{value}"',
+      invalidWeight: 'Invalid weight "{value}"',
+      missingSnackType: 'Missing snack type',
+      invalidQuantity: 'Invalid quantity "{value}"',
+      missingCommand: 'Missing training command',
+      invalidReps: 'Invalid reps "{value}"',
+      invalidSuccesses: 'Invalid successful reps "{value}"',
+      unknownHealthType: 'Unknown health entry type "{value}"',
+      invalidKg: 'Invalid weight "{value}" kg',
+      missingName: 'Missing name for {type}',
+      invalidNextDue: 'Invalid next due date "{value}"',
+      invalidKcal: 'Invalid kcal "{value}"',
+    },
+  },
+
+  pantry: {
+    title: 'Pantry',
+    kinds: { food: 'Food', treat: 'Treat' },
+    units: { g: 'grams', piece: 'pieces' },
+    perUnit: { g: 'g', piece: 'pc' },
+    kind: 'Kind',
+    countedIn: 'Counted in',
+    kcalPer: { g: 'kcal per gram', piece: 'kcal per piece' },
+    inStock: 'In stock ({unit})',
+    warnBelow: 'Warn below ({unit})',
+    invalidNumbers: 'kcal, stock and threshold must be 0 or more.',
+    restockPlaceholder: 'Add {unit}',
+    restockLabel: 'Restock {name}',
+    restock: 'Restock',
+    confirmRemove: 'Remove {name} from the pantry? Logged entries keep their kcal.',
+    empty: 'No foods or treats yet.',
+    left: '{amount} left',
+    leftLow: '{amount} left - running low',
+    addItem: 'Add food or treat',
+    pieces: '{count} pcs',
+  },
+
+  health: {
+    title: "{name}'s Health",
+    tabs: { weight: 'Weight', medications: 'Medications', vaccinations: 'Vaccinations', vet: 'Vet visits' },
+    types: { weight: 'Weigh-in', medication: 'Medication', vaccination: 'Vaccination', vet: 'Vet visit' },
+    overdueSince: 'Overdue since {date}',
+    dueToday: 'Due today',
+    nextDue: { one: 'Next {date} (in {count} day)', other: 'Next {date} (in {count} days)' },
+    chartEmpty: 'Log at least two weigh-ins to see the growth curve.',
+    chartLabel: 'Weight chart',
+    pickDate: 'Pick a date.',
+    futureDate: 'That date is in the future.',
+    invalidWeight: 'Weight must be a number of kg above 0.',
+    reasonRequired: 'Enter the reason for the visit.',
+    vaccineRequired: 'Enter the vaccine.',
+    nextDoseAfter: 'The next dose must be after this one.',
+    weightKg: 'Weight (kg)',
+    nextDueOptional: 'Next due (optional)',
+    reason: 'Reason',
+    vaccine: 'Vaccine',
+    addType: 'Add {type}',
+    medication: 'Medication',
+    medicationPlaceholder: 'e.g. Flea treatment',
+    everyDays: 'Every (days)',
+    lastGivenOptional: 'Last given (optional)',
+    invalidRepeat: 'Repeat every 1 day or more.',
+    lastDoseFuture: "The last dose can't be in the future.",
+    addMedication: 'Add medication',
+    loadFailed: 'Could not load the health log.',
+    medicationsFailed: 'Saving the medication schedule failed.',
+    confirmDelete: 'Delete this {type}?',
+    confirmStop: 'Stop scheduling {name}? Logged doses are kept.',
+    latest: 'Latest:',
+    on: 'on {date}',
+    noMedications: 'No recurring medications.',
+    every: 'every {count} days',
+    givenToday: 'Given today',
+    dosesGiven: 'Doses given',
+    exportVaccinations: 'Export vaccination record (CSV)',
+    nextDose: '(next {date})',
+    nextAppointment: 'Next appointment: {date} - {name}',
+  },
+
+  calendar: {
+    status: { met: 'schedule met', meals: 'meal missed', missed: 'walks missed' },
+    walks: '{count}w',
+    meals: '{count}m',
+    snacks: '{count}s',
+    legend: 'w/m/s = walks/meals/snacks',
+    loadFailed: 'Could not load this month.',
+    today: 'Today',
+    jumpTo: 'Jump to date',
+    previous: 'Previous month',
+    next: 'Next month',
+  },
+
+  training: {
+    title: "{name}'s training",
+    intro: 'Success rate per week. A command is reliable from {reliable}% and mastered from {mastered}% over its last two weeks of practice.',
+    commands: { sit: 'Sit', stay: 'Stay', recall: 'Recall', 'loose-leash': 'Loose-leash walking' },
+    levels: { learning: 'Learning', reliable: 'Reliable', mastered: 'Mastered' },
+    empty: 'No training logged in these weeks.',
+    loadFailed: 'Could not load the training log.',
+    command: 'Command',
+    week: 'Week of {date}',
+    reps: '{successes}/{reps} reps',
+  },
+
+  stats: {
+    title: "{name}'s Stats",
+    days: '{count} days',
+    loadFailed: 'Could not load statistics.',
+    walksPerDay: 'Walks per day',
+    averageGap: 'Average gap',
+    longestGap: 'Longest gap',
+    accidents: 'Accidents indoors',
+    daysOnTarget: 'Days on food target',
+    averageFood: 'Average food/day',
+    longestGapOn: 'Longest gap on {day}, {from} - {to}. Gaps only count between walks on the same day.',
+    foodPerDay: 'Food per day',
+    foodPerDayTarget: 'Food per day (target {grams}g)',
+    target: 'Target {value}',
+    snacksByType: 'Snacks by type',
+    otherSnack: 'Other',
+    noSnacks: 'No snacks in this period.',
+  },
+
+  dayHistory: {
+    title: 'Change History',
+    pending: 'Changes still waiting to sync show up here once they are saved.',
+    loadFailed: 'Could not load the change history.',
+    empty: 'No changes recorded for this day.',
+    current: 'Current',
+    beforeFirst: 'Before the first recorded change',
+    confirmRestore: 'Put the day back the way it was at this point? This is recorded as a change too.',
+  },
+
+  audit: {
+    kinds: { walks: 'walk', meals: 'meal', snacks: 'snack', training: 'training session', health: 'health entry' },
+    entry: 'entry',
+    accident: 'accident',
+    at: '{what} at {time}',
+    added: 'Added {what}',
+    changed: 'Changed {what}',
+    removed: 'Deleted {what}',
+    reset: 'Reset the day ({count} entries removed)',
+    restore: 'Undid a deletion ({count} entries back)',
+    replace: 'Restored an earlier version',
+    entries: { one: '{count} entry', other: '{count} entries' },
+    removeMany: 'Deleted {entries}',
+    moveIn: 'Moved {entries} here from {day}',
+    moveOut: 'Moved {entries} to {day}',
+    copy: 'Copied {entries} from {day}',
+    import: 'Imported from a backup ({count} entries)',
+    yes: 'yes',
+    no: 'no',
+    fields: { type: 'Type', kg: 'Weight', name: 'Name', nextDueKey: 'Next due', note: 'Note' },
+  },
+};
+
+export default en;
@@ -0,0 +1,96 @@
+// src/i18n/index.js
+// UI language and date/time formats. One locale setting per device drives both: the
+// language of the texts (en.js, sv.js) and how Intl formats clock times and dates (12h or
+// 24h, day/month order), so the screen never mixes conventions.
+//
+//   t('log.empty', { plural: 'walks' })      -> 'No walks logged for this day.'
+//   t('audit.entries', { count: 2 })         -> '2 entries'  (plural forms via Intl.PluralRules)
+//   tParts('entries.meals.ateAt', { time: <b>08:00</b>, ... })  -> pieces to render in JSX
+//
+// Missing Swedish texts fall back to English, missing keys to the key itself.
+import { createElement, Fragment, useSyncExternalStore } from 'react';
+import en from './en';
+import sv from './sv';
+
+const LOCALE_KEY = 'diza:locale';
+
+export const LOCALES = [
+  { id: 'en-US', label: 'English (US)' },
+  { id: 'en-GB', label: 'English (UK)' },
+  { id: 'sv-SE', label: 'Svenska' },
+];
+
+const MESSAGES = { en, sv };
+
+const DEFAULT_LOCALE = LOCALES[0].id;
+
+const isSupported = (id) => LOCALES.some(locale => locale.id === id);
+
+// The browser's preferred languages, exact match first ('en-GB'), then by language ('sv' -> 'sv-SE')
+const browserLocale = () => {
+  const preferred = (typeof navigator !== 'undefined' && navigator.languages) || [];
+  for (const tag of preferred) {
+    if (isSupported(tag)) return tag;
+    const match = LOCALES.find(locale => locale.id.split('-')[0] === tag.split('-')[0]);
+    if (match) return match.id;
+  }
+  return DEFAULT_LOCALE;
+};
+
+const loadLocale = () => {
+  try {
+    const stored = localStorage.getItem(LOCALE_KEY);
+    return isSupported(stored) ? stored : browserLocale();
+  } catch (e) {
+    return browserLocale();
+  }
+};
+
+let current = loadLocale();
+let pluralRules = new Intl.PluralRules(current);
+const listeners = new Set();
+
+if (typeof document !== 'undefined') document.documentElement.lang = current.split('-')[0];
+
+export const getLocale = () => current;
+
+// 'en' or 'sv', also what the weather providers are asked for
+export const getLanguage = () => current.split('-')[0];
+
+export const setLocale = (id) => {
+  if (!isSupported(id) || id === current) return;
+  current = id;
+  pluralRules = new Intl.PluralRules(id);
+  localStorage.setItem(LOCALE_KEY, id);
+  document.documentElement.lang = getLanguage();
+  listeners.forEach(listener => listener(id));
+};
+
+export const subscribeLocale = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Re-renders the component when the locale changes
+export const useLocale = () => useSyncExternalStore(subscribeLocale, getLocale);
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+const message = (key, count) => {
+  const found = lookup(MESSAGES[getLanguage()], key) ?? lookup(en, key);
+  if (found == null) return key;
+  return typeof found === 'object' ? found[pluralRules.select(count)] ?? found.other : found;
+};
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+export const t = (key, params = {}) =>
+  message(key, params.count).replace(PLACEHOLDER, (match, name) => (name in params ? String(params[name]) : match));
+
+// Like t(), for values that are React elements: the text split around them, ready for JSX
+export const tParts = (key, params = {}) =>
+  message(key, params.count).split(/(\{\w+\})/).filter(Boolean).map((part, i) => {
+    const name = part.slice(1, -1);
+    if (!part.startsWith('{') || !(name in params)) return part;
+    return createElement(Fragment, { key: i }, params[name]);
+  });
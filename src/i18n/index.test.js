@@ -0,0 +1,56 @@
+import { t, tParts, setLocale, getLocale, getLanguage, subscribeLocale } from '.';
+import { formatTime, formatClock, formatDate } from '../days';
+import en from './en';
+import sv from './sv';
+
+const keys = (messages, prefix = '') => Object.entries(messages).flatMap(([key, value]) =>
+  (typeof value === 'object' && !('other' in value) ? keys(value, `${prefix}${key}.`) : [`${prefix}${key}`]));
+
+afterEach(() => setLocale('en-US'));
+
+test('texts are filled in and pick their plural form', () => {
+  expect(t('log.empty', { plural: 'walks' })).toBe('No walks logged for this day.');
+  expect(t('audit.entries', { count: 1 })).toBe('1 entry');
+  expect(t('audit.entries', { count: 3 })).toBe('3 entries');
+  expect(t('dashboard.nextWalk')).toBe('Next walk: {time}');
+});
+
+test('unknown keys show the key, missing Swedish texts fall back to English', () => {
+  expect(t('nothing.here')).toBe('nothing.here');
+  setLocale('sv-SE');
+  expect(t('audit.entries', { count: 3 })).toBe('3 poster');
+  expect(t('nothing.here')).toBe('nothing.here');
+});
+
+test('tParts keeps element values for JSX', () => {
+  const time = { type: 'b' };
+  const parts = tParts('notification.scheduledAt', { times: time });
+  expect(parts[0]).toBe('Scheduled at ');
+  expect(parts[1].props.children).toBe(time);
+});
+
+test('switching the locale notifies listeners, is remembered and changes the formats', () => {
+  const listener = jest.fn();
+  const unsubscribe = subscribeLocale(listener);
+  const d = new Date(2025, 0, 14, 9, 5, 3);
+  expect(formatTime(d)).toBe('09:05:03 AM');
+
+  setLocale('sv-SE');
+  expect(listener).toHaveBeenCalledWith('sv-SE');
+  expect(localStorage.getItem('diza:locale')).toBe('sv-SE');
+  expect([getLocale(), getLanguage()]).toEqual(['sv-SE', 'sv']);
+  expect(formatTime(d)).toBe('09:05:03');
+  expect(formatClock(d)).toBe('09:05');
+  expect(formatDate(d)).toBe('tis 14 jan. 2025');
+
+  setLocale('en-GB');
+  expect(formatDate(d)).toMatch(/^Tue,? 14 Jan 2025$/);
+  unsubscribe();
+  setLocale('nb-NO');
+  expect(getLocale()).toBe('en-GB');
+  expect(listener).toHaveBeenCalledTimes(2);
+});
+
+test('every Swedish text has an English original and vice versa', () => {
+  expect(keys(sv).sort()).toEqual(keys(en).sort());
+});
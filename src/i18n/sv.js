@@ -0,0 +1,477 @@
+// src/i18n/sv.js
+// Swedish texts, same keys as en.js.
+const sv = {
+  common: {
+    cancel: 'Avbryt',
+    save: 'Spara',
+    saving: 'Sparar...',
+    savingFailed: 'Det gick inte att spara, försök igen.',
+    failed: 'Det fungerade inte, försök igen.',
+    remove: 'Ta bort',
+    delete: 'Radera',
+    edit: 'Ändra',
+    add: 'Lägg till',
+    clear: 'Rensa',
+    close: 'Stäng',
+    dismiss: 'Stäng',
+    loading: 'Laddar...',
+    restore: 'Återställ',
+    name: 'Namn',
+    nameRequired: 'Namn måste anges.',
+    date: 'Datum',
+    time: 'Tid',
+    noteOptional: 'Anteckning (valfri)',
+  },
+
+  dashboard: {
+    noDogs: 'Inga hundprofiler hittades.',
+    history: '{name}s historik',
+    historyDate: 'Historik: {date}',
+    changeLocation: 'Byt plats',
+    conditions: 'Fukt: {humidity}% | Vind: {wind} m/s',
+    notUpdatedSince: 'Inte uppdaterat sedan {time}',
+    weatherUnavailable: 'Vädret är inte tillgängligt, försöker igen',
+    dryNow: 'Uppehåll nu till {time}',
+    nextDryWindow: 'Nästa uppehåll {from} - {to}',
+    noDryWindow: 'Inget uppehåll i prognosen',
+    slot: '{description}, {pop}% risk för regn',
+    walkDue: 'DAGS FÖR PROMENAD! 🐾',
+    nextWalk: 'Nästa promenad: {time}',
+    addFirstWalk: 'Logga första promenaden',
+    noneToday: 'Ingen mer i dag',
+    mealDue: 'DAGS ATT ÄTA! 🍽️ ({times})',
+    nextMeal: 'Nästa måltid: {time}',
+    medicationDue: 'Dags för {name}',
+    medicationsDue: '{count} mediciner att ge',
+    runningLow: '{name} tar snart slut',
+    itemsRunningLow: '{count} varor tar snart slut',
+    pending: '{count} väntar',
+    pendingTitle: 'Ändringar som väntar på att synkas',
+    reset: 'Nollställ',
+    confirmReset: 'Radera ALLT som loggats den här dagen?',
+    dayReset: 'Dagen nollställd',
+    deleted: 'Raderade {name}',
+    deletedEntries: { one: 'Raderade {count} post', other: 'Raderade {count} poster' },
+    inFuture: 'Några av posterna skulle hamna i framtiden den dagen.',
+    confirmDiscardWalk: 'Kasta den pågående promenaden utan att logga den?',
+    finishWalk: 'Avsluta promenad',
+    titles: {
+      history: 'Historik',
+      editMode: 'Redigeringsläge',
+      changeHistory: 'Ändringshistorik',
+      stats: 'Statistik',
+      health: 'Hälsa',
+      pantry: 'Skafferi',
+      backup: 'Exportera / importera',
+      schedule: 'Schema för promenader och mat',
+      reminders: 'Påminnelser',
+      language: 'Språk',
+      kiosk: 'Kioskläge',
+      kioskOn: 'Kioskläge på (skärmen hålls tänd)',
+      training: 'Träningsframsteg',
+    },
+  },
+
+  notification: {
+    walkDue: '{name}: dags för promenad 🐾',
+    mealDue: '{name}: dags att äta 🍽️',
+    scheduledAt: 'Planerad kl. {times}',
+    timeForWalk: 'Dags för en promenad!',
+    markDone: 'Klar',
+    snooze: 'Snooza {minutes} min',
+  },
+
+  entries: {
+    walks: {
+      title: 'Promenad',
+      plural: 'Promenader',
+      walk: 'promenad',
+      accident: 'olycka',
+      customAdd: 'Välj tid',
+      event: 'Händelse',
+      eventWalk: 'Promenad',
+      eventAccident: 'Olycka inomhus',
+      started: 'Började (valfritt)',
+      ended: 'Slutade',
+      pee: 'Kiss 💧',
+      poop: 'Bajs 💩',
+      invalidStart: 'Ange en giltig starttid, eller lämna fältet tomt.',
+      tooLong: 'En promenad kan inte vara längre än {hours} timmar.',
+      accidents: { one: '{count} olycka', other: '{count} olyckor' },
+      accidentAt: 'Olycka inomhus kl. {time}',
+      walked: '{name} gick ut {span} ({minutes} min)',
+      endedAt: '{name} kom hem kl. {time}',
+      start: 'Starta promenad',
+      stop: 'Stoppa promenad ({elapsed})',
+      discard: 'Kasta',
+    },
+    meals: {
+      title: 'Måltid',
+      plural: 'Måltider',
+      food: 'Mat',
+      notFromPantry: 'Inte från skafferiet',
+      weight: 'Vikt',
+      invalidWeight: 'Vikten måste vara ett helt antal gram över 0.',
+      ateAt: 'Åt kl. {time} - {weight}',
+    },
+    snacks: {
+      title: 'Godis',
+      plural: 'Godis',
+      type: 'Sort',
+      newType: 'Ny sort...',
+      newTypeLabel: 'Ny godissort',
+      newTypePlaceholder: 'Godissort',
+      typeRequired: 'Välj eller skriv en godissort.',
+      quantity: 'Antal',
+      invalidQuantity: 'Antalet måste vara ett heltal över 0.',
+      eaten: '{quantity} x {type} kl. {time}',
+    },
+    training: {
+      title: 'Träning',
+      plural: 'Träning',
+      session: 'träningspass',
+      command: 'Kommando',
+      newCommand: 'Nytt kommando...',
+      newCommandLabel: 'Nytt kommando',
+      newCommandPlaceholder: 't.ex. tassen',
+      commandRequired: 'Välj eller skriv ett kommando.',
+      reps: 'Repetitioner',
+      invalidReps: 'Antalet repetitioner måste vara ett heltal över 0.',
+      successes: 'Lyckade',
+      invalidSuccesses: 'Lyckade repetitioner måste vara mellan 0 och antalet repetitioner.',
+      repsToday: '{count} rep.',
+      logged: '{command} {successes}/{reps} ({rate} %) kl. {time}',
+    },
+  },
+
+  log: {
+    addNow: 'Logga nu',
+    addCustom: 'Välj tid',
+    empty: 'Inget loggat den här dagen.',
+    selectAll: 'Markera alla',
+    selectEntry: 'Markera post',
+  },
+
+  form: {
+    addTitle: 'Ny: {title}',
+    editTitle: 'Ändra: {title}',
+    invalidDate: 'Ange ett giltigt datum.',
+    invalidTime: 'Ange en giltig tid.',
+    futureTime: 'Tiden ligger i framtiden.',
+  },
+
+  stepper: {
+    less: 'Minska {label}',
+    more: 'Öka {label}',
+  },
+
+  selection: {
+    count: '{count} markerade',
+    target: 'Till dag',
+    move: 'Flytta dit',
+    copy: 'Kopiera dit',
+  },
+
+  timeline: {
+    label: 'Dagens tidslinje',
+    entry: '{name} kl. {time}',
+    nextWalk: 'Nästa promenad planerad kl. {time}',
+    now: 'Nu',
+  },
+
+  undo: {
+    undo: 'Ångra',
+    redo: 'Gör om',
+  },
+
+  update: {
+    available: 'En ny version av dashboarden finns.',
+    reload: 'Ladda om',
+    later: 'Senare',
+  },
+
+  language: {
+    title: 'Språk',
+    intro: 'Språk och datum-/tidsformat på den här enheten.',
+    example: 'Exempel: {time} · {date}',
+  },
+
+  auth: {
+    title: 'Valpdashboard',
+    intro: 'Logga in för att se och logga hushållets promenader, måltider och godis.',
+    signIn: 'Logga in med Google',
+    signInFailed: 'Inloggningen misslyckades, försök igen.',
+    welcome: 'Välkommen, {name}',
+    lookingForInvites: 'Letar efter inbjudningar...',
+    invitedTo: 'Du har bjudits in till:',
+    join: 'Gå med i {household} (från {name})',
+    newHousehold: 'Eller starta ett nytt hushåll',
+    householdName: '{name}s hushåll',
+    create: 'Skapa hushåll',
+    thisDevice: 'Den här enheten',
+    unknownUser: 'Okänd',
+  },
+
+  household: {
+    signedInAs: 'Inloggad som {name}',
+    members: 'Medlemmar',
+    owner: 'ägare',
+    invited: 'Inbjudna',
+    invitePlaceholder: 'Bjud in via e-post',
+    invite: 'Bjud in',
+    joinNote: 'De går med genom att logga in med den adressen.',
+    confirmLeave: 'Lämna {name}?',
+    leave: 'Lämna hushållet',
+    signOut: 'Logga ut',
+    localNote: 'Data sparas bara på den här enheten. För att dela med andra behövs Firebase.',
+    invalidEmail: 'Ange en giltig e-postadress.',
+    alreadyMember: 'Personen är redan medlem.',
+    sharingUnavailable: 'För att dela ett hushåll behövs Firebase.',
+  },
+
+  dogs: {
+    edit: 'Ändra hund',
+    add: 'Lägg till hund',
+  },
+
+  profile: {
+    addTitle: 'Ny hund',
+    editTitle: 'Ändra {name}',
+    emoji: 'Emoji',
+    photo: 'Foto',
+    photoFailed: 'Kunde inte läsa bilden.',
+    walkInterval: 'Promenadintervall (timmar)',
+    dailyRation: 'Dagsranson (gram, 0 = ingen)',
+    dailyKcal: 'Kcal per dag (0 = inget)',
+    invalidInterval: 'Promenadintervallet måste vara ett positivt antal timmar.',
+    invalidRation: 'Dagsransonen måste vara 0 gram eller mer.',
+    invalidKcal: 'Kcal per dag måste vara 0 eller mer.',
+  },
+
+  schedule: {
+    title: '{name}s schema',
+    walkIntervals: 'Promenadintervall',
+    intervalsHelp: 'En promenad behövs så här många timmar efter den förra, bara mellan de angivna tiderna.',
+    intervalFrom: 'Intervall {n} från',
+    intervalTo: 'Intervall {n} till',
+    intervalHours: 'Intervall {n} timmar',
+    every: 'var',
+    hours: 'h',
+    addInterval: 'Lägg till intervall',
+    addTime: 'Lägg till tid',
+    scheduledWalks: 'Fasta promenader',
+    mealTimes: 'Mattider',
+    quietHours: 'Tysta timmar',
+    quietFrom: 'Tysta timmar från',
+    quietTo: 'Tysta timmar till',
+    tolerance: 'Räknas som i tid om det loggas upp till (minuter) innan',
+    errors: {
+      intervalTimes: 'Intervall {n}: tiderna måste vara HH:mm.',
+      intervalHours: 'Intervall {n}: timmarna måste vara fler än 0.',
+      invalidTime: '"{time}" är inte en giltig tid (HH:mm).',
+      quietHours: 'Tysta timmar måste vara HH:mm.',
+    },
+  },
+
+  reminders: {
+    title: 'Påminnelser',
+    intro: 'Påminnelser kommer när en promenad eller planerad måltid är dags. Inställningarna gäller bara den här enheten.',
+    blocked: 'Notiser är blockerade för webbplatsen. Tillåt dem i webbläsarens inställningar och försök igen.',
+    notifications: 'Notiser i webbläsaren',
+    notSupported: '(stöds inte här)',
+    chime: 'Spela en signal på den här enheten',
+  },
+
+  location: {
+    title: 'Plats för vädret',
+    now: 'Nu: {place}',
+    placeholder: 'Ort eller lat, lon',
+    label: 'Ort eller koordinater',
+    search: 'Sök',
+    noResults: 'Inga platser hittades.',
+    queryRequired: 'Ange en ort, eller koordinater som 57.65, 12.03.',
+    searchFailed: 'Sökningen misslyckades, försök igen.',
+    positionFailed: 'Kunde inte hämta enhetens position.',
+    useDevice: 'Använd enhetens position',
+  },
+
+  backup: {
+    title: 'Exportera / importera {name}s logg',
+    intro: 'CSV har en rad per promenad, måltid och godis. JSON är en fullständig säkerhetskopia som kan importeras i en annan installation.',
+    exportCsv: 'Exportera CSV',
+    exportJson: 'Exportera JSON',
+    importLabel: 'Importera CSV eller JSON (poster som redan finns hoppas över)',
+    working: 'Arbetar...',
+    exported: { one: 'Exporterade {count} dag.', other: 'Exporterade {count} dagar.' },
+    exportFailed: 'Exporten misslyckades, försök igen.',
+    nothingToImport: 'Inget att importera.',
+    imported: 'Importerade {added} poster, hoppade över {duplicates} som redan fanns.',
+    importedWithInvalid: 'Importerade {added} poster, hoppade över {duplicates} som redan fanns och {invalid} ogiltiga rader.',
+    importFailed: 'Importen misslyckades, försök igen.',
+    errors: {
+      line: 'Rad {line}: {error}',
+      entry: '{day} {kind} #{number}: {error}',
+      missingColumns: 'Kolumn(er) saknas: {columns}',
+      notJson: 'Inte en giltig JSON-fil',
+      notBackup: 'Inte en säkerhetskopia (inga "days")',
+      notADay: 'Dag "{day}": inte ett datum, hoppades över',
+      unknownKind: 'Okänd typ "{value}"',
+      invalidTime: 'Ogiltig tid "{value}"',
+      invalidStartTime: 'Ogiltig starttid "{value}"',
+      unknownWalkEvent: 'Okänd promenadhändelse "{value}"',
+      invalidWeight: 'Ogiltig vikt "{value}"',
+      missingSnackType: 'Godistyp saknas',
+      invalidQuantity: 'Ogiltigt antal "{value}"',
+      missingCommand: 'Träningskommando saknas',
+      invalidReps: 'Ogiltigt antal repetitioner "{value}"',
+      invalidSuccesses: 'Ogiltigt antal lyckade repetitioner "{value}"',
+      unknownHealthType: 'Okänd typ av hälsopost "{value}"',
+      invalidKg: 'Ogiltig vikt "{value}" kg',
+      missingName: 'Namn saknas för {type}',
+      invalidNextDue: 'Ogiltigt datum för nästa gång "{value}"',
+      invalidKcal: 'Ogiltigt antal kcal "{value}"',
+    },
+  },
+
+  pantry: {
+    title: 'Skafferi',
+    kinds: { food: 'Mat', treat: 'Godis' },
+    units: { g: 'gram', piece: 'styck' },
+    perUnit: { g: 'g', piece: 'st' },
+    kind: 'Typ',
+    countedIn: 'Räknas i',
+    kcalPer: { g: 'kcal per gram', piece: 'kcal per styck' },
+    inStock: 'I lager ({unit})',
+    warnBelow: 'Varna under ({unit})',
+    invalidNumbers: 'Kcal, lager och gräns måste vara 0 eller mer.',
+    restockPlaceholder: 'Lägg till {unit}',
+    restockLabel: 'Fyll på {name}',
+    restock: 'Fyll på',
+    confirmRemove: 'Ta bort {name} från skafferiet? Loggade poster behåller sina kcal.',
+    empty: 'Ingen mat eller godis än.',
+    left: '{amount} kvar',
+    leftLow: '{amount} kvar - tar snart slut',
+    addItem: 'Lägg till mat eller godis',
+    pieces: '{count} st',
+  },
+
+  health: {
+    title: '{name}s hälsa',
+    tabs: { weight: 'Vikt', medications: 'Mediciner', vaccinations: 'Vaccinationer', vet: 'Veterinärbesök' },
+    types: { weight: 'Vägning', medication: 'Medicin', vaccination: 'Vaccination', vet: 'Veterinärbesök' },
+    overdueSince: 'Försenad sedan {date}',
+    dueToday: 'Ska ges i dag',
+    nextDue: { one: 'Nästa {date} (om {count} dag)', other: 'Nästa {date} (om {count} dagar)' },
+    chartEmpty: 'Logga minst två vägningar för att se tillväxtkurvan.',
+    chartLabel: 'Viktdiagram',
+    pickDate: 'Välj ett datum.',
+    futureDate: 'Datumet ligger i framtiden.',
+    invalidWeight: 'Vikten måste vara ett antal kg över 0.',
+    reasonRequired: 'Ange orsaken till besöket.',
+    vaccineRequired: 'Ange vaccinet.',
+    nextDoseAfter: 'Nästa dos måste komma efter den här.',
+    weightKg: 'Vikt (kg)',
+    nextDueOptional: 'Nästa dos (valfritt)',
+    reason: 'Orsak',
+    vaccine: 'Vaccin',
+    addType: 'Lägg till {type}',
+    medication: 'Medicin',
+    medicationPlaceholder: 't.ex. Loppmedel',
+    everyDays: 'Var (dagar)',
+    lastGivenOptional: 'Senast given (valfritt)',
+    invalidRepeat: 'Upprepa minst var 1 dag.',
+    lastDoseFuture: 'Senaste dosen kan inte ligga i framtiden.',
+    addMedication: 'Lägg till medicin',
+    loadFailed: 'Kunde inte läsa hälsologgen.',
+    medicationsFailed: 'Det gick inte att spara medicinschemat.',
+    confirmDelete: 'Radera den här posten ({type})?',
+    confirmStop: 'Sluta schemalägga {name}? Loggade doser sparas.',
+    latest: 'Senast:',
+    on: 'den {date}',
+    noMedications: 'Inga återkommande mediciner.',
+    every: 'var {count}:e dag',
+    givenToday: 'Given i dag',
+    dosesGiven: 'Givna doser',
+    exportVaccinations: 'Exportera vaccinationer (CSV)',
+    nextDose: '(nästa {date})',
+    nextAppointment: 'Nästa besök: {date} - {name}',
+  },
+
+  calendar: {
+    status: { met: 'schemat följt', meals: 'missad måltid', missed: 'missade promenader' },
+    walks: '{count}p',
+    meals: '{count}m',
+    snacks: '{count}g',
+    legend: 'p/m/g = promenader/måltider/godis',
+    loadFailed: 'Kunde inte läsa månaden.',
+    today: 'I dag',
+    jumpTo: 'Gå till datum',
+    previous: 'Föregående månad',
+    next: 'Nästa månad',
+  },
+
+  training: {
+    title: '{name}s träning',
+    intro: 'Andel lyckade per vecka. Ett kommando sitter från {reliable} % och är befäst från {mastered} % under de två senaste träningsveckorna.',
+    commands: { sit: 'Sitt', stay: 'Stanna', recall: 'Inkallning', 'loose-leash': 'Gå fint i koppel' },
+    levels: { learning: 'Lär sig', reliable: 'Sitter', mastered: 'Befäst' },
+    empty: 'Ingen träning loggad de här veckorna.',
+    loadFailed: 'Kunde inte läsa träningsloggen.',
+    command: 'Kommando',
+    week: 'Veckan från {date}',
+    reps: '{successes}/{reps} rep.',
+  },
+
+  stats: {
+    title: '{name}s statistik',
+    days: '{count} dagar',
+    loadFailed: 'Kunde inte läsa statistiken.',
+    walksPerDay: 'Promenader per dag',
+    averageGap: 'Snittuppehåll',
+    longestGap: 'Längsta uppehåll',
+    accidents: 'Olyckor inomhus',
+    daysOnTarget: 'Dagar med nått matmål',
+    averageFood: 'Mat per dag i snitt',
+    longestGapOn: 'Längsta uppehållet var {day}, {from} - {to}. Bara uppehåll mellan promenader samma dag räknas.',
+    foodPerDay: 'Mat per dag',
+    foodPerDayTarget: 'Mat per dag (mål {grams}g)',
+    target: 'Mål {value}',
+    snacksByType: 'Godis per sort',
+    otherSnack: 'Övrigt',
+    noSnacks: 'Inget godis under perioden.',
+  },
+
+  dayHistory: {
+    title: 'Ändringshistorik',
+    pending: 'Ändringar som väntar på att synkas syns här när de har sparats.',
+    loadFailed: 'Kunde inte läsa ändringshistoriken.',
+    empty: 'Inga ändringar registrerade den här dagen.',
+    current: 'Nuvarande',
+    beforeFirst: 'Före den första registrerade ändringen',
+    confirmRestore: 'Återställ dagen som den var vid den här tidpunkten? Det registreras också som en ändring.',
+  },
+
+  audit: {
+    kinds: { walks: 'promenad', meals: 'måltid', snacks: 'godis', training: 'träningspass', health: 'hälsopost' },
+    entry: 'post',
+    accident: 'olycka',
+    at: '{what} kl. {time}',
+    added: 'La till {what}',
+    changed: 'Ändrade {what}',
+    removed: 'Raderade {what}',
+    reset: 'Nollställde dagen ({count} poster borttagna)',
+    restore: 'Ångrade en radering ({count} poster tillbaka)',
+    replace: 'Återställde en tidigare version',
+    entries: { one: '{count} post', other: '{count} poster' },
+    removeMany: 'Raderade {entries}',
+    moveIn: 'Flyttade hit {entries} från {day}',
+    moveOut: 'Flyttade {entries} till {day}',
+    copy: 'Kopierade {entries} från {day}',
+    import: 'Importerade från en säkerhetskopia ({count} poster)',
+    yes: 'ja',
+    no: 'nej',
+    fields: { type: 'Typ', kg: 'Vikt', name: 'Namn', nextDueKey: 'Nästa gång', note: 'Anteckning' },
+  },
+};
+
+export default sv;
@@ -2,6 +2,7 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 import './styles.css';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
@@ -11,4 +12,7 @@ root.render(
   </React.StrictMode>
 );
 
+// Offline start, update prompt and reminder notifications (production builds only)
+serviceWorkerRegistration.register();
+
 reportWebVitals();
@@ -0,0 +1,53 @@
+// src/kiosk.js
+// Kiosk mode for the wall-mounted tablet, per device: the Wake Lock API keeps the screen
+// on and the Fullscreen API hides the browser chrome. Browsers drop the wake lock whenever
+// the page is hidden and only allow fullscreen from a tap, so both are taken again as
+// soon as they can be.
+
+const KIOSK_KEY = 'diza:kiosk';
+
+export const loadKioskMode = () => localStorage.getItem(KIOSK_KEY) === 'true';
+
+export const storeKioskMode = (enabled) => localStorage.setItem(KIOSK_KEY, String(enabled));
+
+export const isWakeLockSupported = () => typeof navigator !== 'undefined' && 'wakeLock' in navigator;
+
+// Must be called from a tap
+export const enterFullscreen = () => {
+  const root = document.documentElement;
+  if (document.fullscreenElement || !root.requestFullscreen) return;
+  root.requestFullscreen({ navigationUI: 'hide' }).catch(error => console.warn('Fullscreen refused:', error.message));
+};
+
+const exitFullscreen = () => {
+  if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+};
+
+// Keeps the screen awake (and fullscreen after the next tap) until the returned function is called
+export const startKiosk = () => {
+  let lock = null;
+  let stopped = false;
+
+  const acquire = async () => {
+    if (!isWakeLockSupported() || document.visibilityState !== 'visible' || lock) return;
+    try {
+      lock = await navigator.wakeLock.request('screen');
+      lock.addEventListener('release', () => { lock = null; });
+      if (stopped) lock.release();
+    } catch (error) {
+      console.warn('Wake lock refused:', error.message);
+    }
+  };
+
+  acquire();
+  document.addEventListener('visibilitychange', acquire);
+  document.addEventListener('pointerdown', enterFullscreen);
+
+  return () => {
+    stopped = true;
+    document.removeEventListener('visibilitychange', acquire);
+    document.removeEventListener('pointerdown', enterFullscreen);
+    if (lock) lock.release();
+    exitFullscreen();
+  };
+};
@@ -0,0 +1,47 @@
+import { startKiosk, loadKioskMode, storeKioskMode } from './kiosk';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const fakeLock = () => {
+  const listeners = [];
+  return {
+    released: false,
+    addEventListener: (type, fn) => listeners.push(fn),
+    release() {
+      this.released = true;
+      listeners.forEach(fn => fn());
+    },
+  };
+};
+
+afterEach(() => {
+  delete navigator.wakeLock;
+  localStorage.clear();
+});
+
+test('the setting is kept per device', () => {
+  expect(loadKioskMode()).toBe(false);
+  storeKioskMode(true);
+  expect(loadKioskMode()).toBe(true);
+});
+
+test('keeps a wake lock while running and takes it again after the page was hidden', async () => {
+  const locks = [];
+  navigator.wakeLock = { request: jest.fn(async () => { const lock = fakeLock(); locks.push(lock); return lock; }) };
+
+  const stop = startKiosk();
+  await flush();
+  expect(navigator.wakeLock.request).toHaveBeenCalledWith('screen');
+
+  // The browser releases the lock when the tab is hidden
+  locks[0].release();
+  document.dispatchEvent(new Event('visibilitychange'));
+  await flush();
+  expect(locks).toHaveLength(2);
+
+  stop();
+  expect(locks[1].released).toBe(true);
+  document.dispatchEvent(new Event('visibilitychange'));
+  await flush();
+  expect(locks).toHaveLength(2);
+});
@@ -0,0 +1,121 @@
+// src/notifications.js
+// Opt-in reminders for due walks/meals: Web Notifications shown through a service
+// worker (works with the tab in the background) and an optional chime for the kiosk.
+// Both settings are per device, so they live in localStorage rather than the database.
+import { getRegistration } from './serviceWorkerRegistration';
+import { t } from './i18n';
+
+const SETTINGS_KEY = 'diza:alerts';
+const SNOOZE_KEY = 'diza:snoozeUntil';
+
+export const SNOOZE_MINUTES = 15;
+
+export const isNotificationSupported = () =>
+  typeof window !== 'undefined' && 'Notification' in window && 'serviceWorker' in navigator;
+
+const readJSON = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || fallback;
+  } catch (e) {
+    return fallback;
+  }
+};
+
+export const loadAlertSettings = () => ({ notifications: false, chime: false, ...readJSON(SETTINGS_KEY, {}) });
+
+export const storeAlertSettings = (settings) => localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+
+// --- Snooze (per dog and kind, shared by all tabs on this device) ---
+export const getSnoozeUntil = (dogId, kind) => readJSON(SNOOZE_KEY, {})[`${dogId}:${kind}`] || 0;
+
+export const snooze = (dogId, kind, minutes = SNOOZE_MINUTES) => {
+  const all = readJSON(SNOOZE_KEY, {});
+  localStorage.setItem(SNOOZE_KEY, JSON.stringify({ ...all, [`${dogId}:${kind}`]: Date.now() + minutes * 60 * 1000 }));
+};
+
+// --- Web Notifications ---
+// Shown through the app's service worker (see service-worker.js), which handles the buttons
+
+// Must be called from a tap (browsers only show the permission prompt on user gestures)
+export const enableNotifications = async () => {
+  if (!isNotificationSupported()) return false;
+  return (await Notification.requestPermission()) === 'granted';
+};
+
+export const showDueNotification = async ({ kind, dogId, title, body, canMarkDone }) => {
+  if (!isNotificationSupported() || Notification.permission !== 'granted') return;
+  try {
+    const reg = await getRegistration();
+    if (!reg) {
+      // No service worker (dev server): a plain notification without buttons
+      new Notification(title, { body, tag: `${dogId}:${kind}` });
+      return;
+    }
+    await reg.showNotification(title, {
+      body,
+      tag: `${dogId}:${kind}`,
+      renotify: true,
+      requireInteraction: true,
+      data: { kind, dogId },
+      actions: [
+        ...(canMarkDone ? [{ action: 'done', title: t('notification.markDone') }] : []),
+        { action: 'snooze', title: t('notification.snooze', { minutes: SNOOZE_MINUTES }) },
+      ],
+    });
+  } catch (error) {
+    console.error('Error showing notification:', error);
+  }
+};
+
+// Listens for notification button clicks forwarded by the service worker
+export const onNotificationAction = (handler) => {
+  if (!isNotificationSupported()) return () => {};
+  const listener = (event) => {
+    if (event.data?.type === 'notification-action') handler(event.data);
+  };
+  navigator.serviceWorker.addEventListener('message', listener);
+  return () => navigator.serviceWorker.removeEventListener('message', listener);
+};
+
+// Action requested through the URL when a notification click had to open a new window
+export const takeActionFromUrl = () => {
+  const params = new URLSearchParams(window.location.search);
+  const action = params.get('notificationAction');
+  if (!action) return null;
+
+  const request = { action, kind: params.get('kind'), dogId: params.get('dog') };
+  ['notificationAction', 'kind', 'dog'].forEach(p => params.delete(p));
+  const query = params.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+  return request;
+};
+
+// --- Chime ---
+let audioContext = null;
+
+// Browsers keep audio locked until a tap; call this from the "enable chime" toggle
+export const unlockChime = () => {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return false;
+  if (!audioContext) audioContext = new AudioContext();
+  audioContext.resume();
+  return true;
+};
+
+// Two soft rising tones, generated so no audio asset has to be shipped or cached
+export const playChime = () => {
+  if (!audioContext && !unlockChime()) return;
+  const start = audioContext.currentTime;
+  [660, 880].forEach((frequency, i) => {
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.type = 'sine';
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.0001, start + i * 0.35);
+    gain.gain.exponentialRampToValueAtTime(0.4, start + i * 0.35 + 0.05);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + i * 0.35 + 0.6);
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(start + i * 0.35);
+    oscillator.stop(start + i * 0.35 + 0.65);
+  });
+};
@@ -0,0 +1,86 @@
+// src/pantry.js
+// Foods and treats on hand. Each item has an energy density per gram or per piece and a
+// stock level that goes down as meals/snacks using it are logged (and back up when such
+// an entry is edited or deleted). Entries store the kcal computed when they were logged,
+// so changing an item later does not rewrite history. Kinds and units are stored as these
+// keys; their labels are translated (pantry.kinds / pantry.units in i18n).
+import repository from './storage';
+import { t } from './i18n';
+
+export const PANTRY_KINDS = ['food', 'treat'];
+export const PANTRY_UNITS = ['g', 'piece'];
+
+export const DEFAULT_PANTRY_ITEM = {
+  name: '',
+  kind: 'food',
+  unit: 'g',
+  kcalPerUnit: 0,
+  stock: 0,
+  lowStockThreshold: 0,
+};
+
+export const normalizePantryItem = (item) => ({
+  ...DEFAULT_PANTRY_ITEM,
+  ...item,
+  kcalPerUnit: Number(item.kcalPerUnit) || 0,
+  stock: Number(item.stock) || 0,
+  lowStockThreshold: Number(item.lowStockThreshold) || 0,
+});
+
+export const isLowStock = (item) => item.lowStockThreshold > 0 && item.stock <= item.lowStockThreshold;
+
+export const formatAmount = (amount, unit) => {
+  if (unit === 'piece') return t('pantry.pieces', { count: Math.round(amount) });
+  return Math.abs(amount) >= 1000 ? `${(amount / 1000).toFixed(1)} kg` : `${Math.round(amount)} g`;
+};
+
+// How much of which pantry item an entry used: meals use grams, snacks their quantity
+export const usageOf = (kind, entry) => {
+  if (!entry?.foodId) return null;
+  const amount = kind === 'meals' ? Number(entry.weight) : Number(entry.quantity);
+  return amount > 0 ? { foodId: entry.foodId, amount } : null;
+};
+
+export const entryKcal = (kind, entry, item) => {
+  const usage = usageOf(kind, entry);
+  return usage && item ? Math.round(usage.amount * item.kcalPerUnit) : null;
+};
+
+// Stock deltas for an entry going from `before` to `after` (either may be null)
+export const stockChanges = (kind, before, after) => {
+  const deltas = {};
+  const old = usageOf(kind, before);
+  const next = usageOf(kind, after);
+  if (old) deltas[old.foodId] = (deltas[old.foodId] || 0) + old.amount;
+  if (next) deltas[next.foodId] = (deltas[next.foodId] || 0) - next.amount;
+  return Object.entries(deltas)
+    .filter(([, delta]) => delta !== 0)
+    .map(([foodId, delta]) => ({ foodId, delta }));
+};
+
+// Stock deltas for a whole day's meals and snacks going from one version to another,
+// entries paired by ID (undo, restoring an earlier version)
+export const dayStockChanges = (before, after) => ['meals', 'snacks'].flatMap(kind => {
+  const old = before?.[kind] || [];
+  const next = after?.[kind] || [];
+  const ids = [...new Set([...old, ...next].map(e => e.id))];
+  return ids.flatMap(id => stockChanges(kind, old.find(e => e.id === id), next.find(e => e.id === id)));
+});
+
+export const dailyKcal = (meals, snacks) =>
+  [...meals, ...snacks].reduce((sum, e) => sum + (Number(e.kcal) || 0), 0);
+
+// --- Storage ---
+export const subscribePantry = (onChange, onError) =>
+  repository.subscribePantry((items) => onChange(items.map(normalizePantryItem)), onError);
+
+export const savePantryItem = (item) => repository.savePantryItem(normalizePantryItem(item));
+
+export const deletePantryItem = (id) => repository.deletePantryItem(id);
+
+export const restock = (item, amount) => repository.adjustStock(item.id, amount);
+
+// Stock bookkeeping never blocks logging: an item deleted meanwhile just logs an error
+export const applyStockChanges = (changes) => Promise.all(changes.map(({ foodId, delta }) =>
+  repository.adjustStock(foodId, delta).catch(error => console.error(`Error updating stock of ${foodId}:`, error))
+));
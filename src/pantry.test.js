@@ -0,0 +1,43 @@
+import { stockChanges, dayStockChanges, entryKcal, dailyKcal, isLowStock, normalizePantryItem, formatAmount } from './pantry';
+
+const kibble = normalizePantryItem({ id: 'kibble', name: 'Kibble', unit: 'g', kcalPerUnit: 3.6, stock: 900, lowStockThreshold: 1000 });
+const chew = normalizePantryItem({ id: 'chew', name: 'Chew', kind: 'treat', unit: 'piece', kcalPerUnit: 25, stock: 12 });
+
+test('logging, editing and deleting entries move the stock', () => {
+  const meal = { id: 'm1', weight: 120, foodId: 'kibble' };
+
+  expect(stockChanges('meals', null, meal)).toEqual([{ foodId: 'kibble', delta: -120 }]);
+  expect(stockChanges('meals', meal, { ...meal, weight: 100 })).toEqual([{ foodId: 'kibble', delta: 20 }]);
+  expect(stockChanges('meals', meal, null)).toEqual([{ foodId: 'kibble', delta: 120 }]);
+  expect(stockChanges('snacks', { quantity: 2, foodId: 'chew' }, { quantity: 2, foodId: 'other' })).toEqual([
+    { foodId: 'chew', delta: 2 },
+    { foodId: 'other', delta: -2 },
+  ]);
+  // Entries without a pantry item don't touch stock
+  expect(stockChanges('meals', null, { weight: 100 })).toEqual([]);
+  expect(stockChanges('meals', meal, meal)).toEqual([]);
+});
+
+test('kcal come from the item used, and snacks count toward the day', () => {
+  expect(entryKcal('meals', { weight: 120, foodId: 'kibble' }, kibble)).toBe(432);
+  expect(entryKcal('snacks', { quantity: 2, foodId: 'chew' }, chew)).toBe(50);
+  expect(entryKcal('meals', { weight: 120 }, null)).toBeNull();
+  expect(dailyKcal([{ kcal: 432 }, { weight: 50 }], [{ kcal: 50 }])).toBe(482);
+});
+
+test('low stock uses the item threshold', () => {
+  expect(isLowStock(kibble)).toBe(true);
+  expect(isLowStock(chew)).toBe(false);
+  expect(formatAmount(1250, 'g')).toBe('1.3 kg');
+  expect(formatAmount(3, 'piece')).toBe('3 pcs');
+});
+
+test('a whole day version moves the stock by the entries that differ', () => {
+  const meal = { id: 'm1', weight: 120, foodId: 'kibble' };
+  const snack = { id: 's1', quantity: 2, foodId: 'chew' };
+  const current = { walks: [], meals: [meal], snacks: [] };
+  const version = { meals: [{ ...meal, weight: 100 }], snacks: [snack] };
+
+  expect(dayStockChanges(current, version)).toEqual([{ foodId: 'kibble', delta: 20 }, { foodId: 'chew', delta: -2 }]);
+  expect(dayStockChanges(current, null)).toEqual([{ foodId: 'kibble', delta: 120 }]);
+});
@@ -0,0 +1,202 @@
+// src/schedule.js
+// Walk/meal reminder rules. A schedule lives on the dog profile:
+//
+//   walks:      { intervals: [{ from: '07:00', to: '22:00', everyHours: 2 }], fixedTimes: ['07:00', '18:00'] }
+//   meals:      { fixedTimes: ['08:00', '17:00'] }
+//   quietHours: { enabled: true, from: '22:30', to: '06:30' }
+//   toleranceMinutes: 45
+//
+// Interval rules only apply inside their window (none overnight if no window covers it).
+// A fixed time counts as done when an entry is logged from `toleranceMinutes` before it
+// up to the next fixed time. Nothing is reported as due during quiet hours.
+
+import { isWalk } from './entries';
+import { t } from './i18n';
+
+export const DEFAULT_TOLERANCE_MINUTES = 45;
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+export const isValidTime = (value) => /^([01]\d|2[0-3]):[0-5]\d$/.test(value) || value === '24:00';
+
+const toMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + (m || 0);
+};
+
+const minutesOfDay = (date) => date.getHours() * 60 + date.getMinutes();
+
+// Clock time `hhmm` on the calendar day of `day` ('24:00' is the following midnight)
+const atTime = (day, hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(), h, m || 0);
+};
+
+// [from, to), wrapping past midnight when `to` is not after `from`
+const inRange = (minutes, from, to) => {
+  const start = toMinutes(from);
+  const end = toMinutes(to);
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+const sortTimes = (times) => [...times].sort((a, b) => toMinutes(a) - toMinutes(b));
+
+export const defaultSchedule = (walkIntervalHours = 3) => ({
+  walks: { intervals: [{ from: '00:00', to: '24:00', everyHours: walkIntervalHours }], fixedTimes: [] },
+  meals: { fixedTimes: [] },
+  quietHours: { enabled: false, from: '22:00', to: '06:00' },
+  toleranceMinutes: DEFAULT_TOLERANCE_MINUTES,
+});
+
+// Fills in missing parts so older profiles (interval only) keep their behaviour
+export const normalizeSchedule = (schedule, walkIntervalHours) => {
+  const base = defaultSchedule(walkIntervalHours);
+  if (!schedule) return base;
+  return {
+    walks: {
+      intervals: (schedule.walks?.intervals || []).map(rule => ({ ...rule, everyHours: Number(rule.everyHours) })),
+      fixedTimes: sortTimes(schedule.walks?.fixedTimes || []),
+    },
+    meals: { fixedTimes: sortTimes(schedule.meals?.fixedTimes || []) },
+    quietHours: { ...base.quietHours, ...schedule.quietHours },
+    toleranceMinutes: Number(schedule.toleranceMinutes) >= 0 ? Number(schedule.toleranceMinutes) : DEFAULT_TOLERANCE_MINUTES,
+  };
+};
+
+// Keeps the profile's "walk interval" field meaningful for dogs on the plain all-day rule
+export const withWalkInterval = (schedule, walkIntervalHours) => {
+  const [rule, ...rest] = schedule.walks.intervals;
+  if (!rule || rest.length > 0 || rule.from !== '00:00' || rule.to !== '24:00') return schedule;
+  return { ...schedule, walks: { ...schedule.walks, intervals: [{ ...rule, everyHours: walkIntervalHours }] } };
+};
+
+// Returns a list of human readable problems; empty when the schedule can be saved
+export const validateSchedule = (schedule) => {
+  const errors = [];
+  schedule.walks.intervals.forEach((rule, i) => {
+    if (!isValidTime(rule.from) || !isValidTime(rule.to)) errors.push(t('schedule.errors.intervalTimes', { n: i + 1 }));
+    if (!(Number(rule.everyHours) > 0)) errors.push(t('schedule.errors.intervalHours', { n: i + 1 }));
+  });
+  [...schedule.walks.fixedTimes, ...schedule.meals.fixedTimes].forEach(time => {
+    if (!isValidTime(time)) errors.push(t('schedule.errors.invalidTime', { time }));
+  });
+  if (schedule.quietHours.enabled && (!isValidTime(schedule.quietHours.from) || !isValidTime(schedule.quietHours.to))) {
+    errors.push(t('schedule.errors.quietHours'));
+  }
+  return errors;
+};
+
+export const isQuietTime = (schedule, date) =>
+  Boolean(schedule.quietHours?.enabled) && inRange(minutesOfDay(date), schedule.quietHours.from, schedule.quietHours.to);
+
+const intervalAt = (schedule, date) =>
+  schedule.walks.intervals.find(rule => inRange(minutesOfDay(date), rule.from, rule.to));
+
+// Earliest start of an interval window after `date` (today or tomorrow)
+const nextWindowStart = (schedule, date) => {
+  const tomorrow = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+  const starts = schedule.walks.intervals
+    .flatMap(rule => [atTime(date, rule.from), atTime(tomorrow, rule.from)])
+    .filter(start => start > date)
+    .sort((a, b) => a - b);
+  return starts[0] || null;
+};
+
+const quietEnd = (schedule, date) => {
+  const end = atTime(date, schedule.quietHours.to);
+  return end > date ? end : atTime(new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1), schedule.quietHours.to);
+};
+
+// Pushes a reminder that would fire outside the allowed hours to the next allowed moment
+const deferToAllowed = (schedule, date) => {
+  let result = date;
+  if (schedule.walks.intervals.length > 0 && !intervalAt(schedule, result)) result = nextWindowStart(schedule, result);
+  if (result && isQuietTime(schedule, result)) result = quietEnd(schedule, result);
+  return result;
+};
+
+const entryTimes = (entries) => entries
+  .map(e => new Date(e.time || e))
+  .filter(d => !isNaN(d.getTime()))
+  .sort((a, b) => a - b);
+
+// Fixed-time slots of `now`'s day that are not yet covered by an entry
+const openSlots = (fixedTimes, times, now, toleranceMinutes) => {
+  const slots = sortTimes(fixedTimes).map(time => ({ label: time, at: atTime(now, time) }));
+  return slots.filter((slot, i) => {
+    const from = slot.at.getTime() - toleranceMinutes * MINUTE;
+    const until = slots[i + 1] ? slots[i + 1].at.getTime() - toleranceMinutes * MINUTE : Infinity;
+    return !times.some(time => time.getTime() >= from && time.getTime() < until);
+  });
+};
+
+const buildStatus = (schedule, candidates, now) => {
+  const quiet = isQuietTime(schedule, now);
+  const overdue = candidates.filter(c => c.at <= now);
+  const upcoming = candidates.filter(c => c.at > now).sort((a, b) => a.at - b.at);
+  return {
+    due: !quiet && overdue.length > 0,
+    quiet,
+    next: upcoming.length > 0 ? upcoming[0].at : null,
+    missed: overdue.filter(c => c.label).map(c => c.label),
+  };
+};
+
+// `earlierWalks` are the previous day's: the interval runs on from its last walk, so a new
+// day doesn't make a walk due at midnight.
+// { due, quiet, next: Date|null, missed: ['07:00', ...], first: bool }
+export const getWalkStatus = (schedule, walks, now = new Date(), earlierWalks = []) => {
+  const times = entryTimes([...earlierWalks, ...walks].filter(isWalk)).filter(time => time <= now);
+  const last = times[times.length - 1];
+  const candidates = [];
+
+  if (schedule.walks.intervals.length > 0) {
+    if (last) {
+      const rule = intervalAt(schedule, last);
+      const at = deferToAllowed(schedule, rule ? new Date(last.getTime() + rule.everyHours * HOUR) : last);
+      if (at) candidates.push({ at });
+    } else if (intervalAt(schedule, now)) {
+      // Nothing logged yet today and an interval rule is active: first walk is due now
+      candidates.push({ at: now });
+    } else {
+      const at = deferToAllowed(schedule, now);
+      if (at) candidates.push({ at });
+    }
+  }
+
+  openSlots(schedule.walks.fixedTimes, entryTimes(walks), now, schedule.toleranceMinutes)
+    .forEach(slot => candidates.push(slot));
+
+  return { ...buildStatus(schedule, candidates, now), first: !walks.some(isWalk) };
+};
+
+export const getMealStatus = (schedule, meals, now = new Date()) => {
+  const slots = openSlots(schedule.meals.fixedTimes, entryTimes(meals), now, schedule.toleranceMinutes);
+  return { ...buildStatus(schedule, slots, now), enabled: schedule.meals.fixedTimes.length > 0 };
+};
+
+// Looking back over a day up to `end` (its last moment, or now for today): fixed times
+// nobody covered, plus interval walks that came later than the rule allowed. A long gap
+// counts once, and a day without any walk counts once when interval rules apply.
+// { missedWalks: number, missedMeals: ['08:00', ...] }
+export const reviewDay = (schedule, walks, meals, end) => {
+  const times = entryTimes(walks.filter(isWalk)).filter(time => time <= end);
+  const tolerance = schedule.toleranceMinutes * MINUTE;
+  const passed = (slot) => slot.at <= end;
+
+  let lateWalks = 0;
+  times.forEach((time, i) => {
+    const rule = intervalAt(schedule, time);
+    const due = rule && deferToAllowed(schedule, new Date(time.getTime() + rule.everyHours * HOUR));
+    const next = times[i + 1] || end;
+    if (due && due.getTime() + tolerance < next.getTime()) lateWalks++;
+  });
+  if (times.length === 0 && schedule.walks.intervals.length > 0) lateWalks = 1;
+
+  const missedFixed = openSlots(schedule.walks.fixedTimes, times, end, schedule.toleranceMinutes).filter(passed);
+  const missedMeals = openSlots(schedule.meals.fixedTimes, entryTimes(meals), end, schedule.toleranceMinutes).filter(passed);
+  return { missedWalks: lateWalks + missedFixed.length, missedMeals: missedMeals.map(slot => slot.label) };
+};
@@ -0,0 +1,108 @@
+import { defaultSchedule, normalizeSchedule, getWalkStatus, getMealStatus, validateSchedule, withWalkInterval, reviewDay } from './schedule';
+
+const at = (h, m = 0) => new Date(2025, 4, 10, h, m);
+const entry = (h, m = 0) => ({ id: `${h}:${m}`, time: at(h, m).toISOString() });
+
+const schedule = (overrides) => normalizeSchedule({ ...defaultSchedule(3), ...overrides });
+
+test('default schedule keeps the plain "every N hours" behaviour', () => {
+  const rules = defaultSchedule(3);
+  expect(getWalkStatus(rules, [], at(9)).due).toBe(true);
+  expect(getWalkStatus(rules, [], at(9)).first).toBe(true);
+
+  const status = getWalkStatus(rules, [entry(8)], at(10));
+  expect(status.due).toBe(false);
+  expect(status.next).toEqual(at(11));
+  expect(getWalkStatus(rules, [entry(8)], at(11, 1)).due).toBe(true);
+});
+
+test('a new day carries the interval on from the day before instead of a walk due at midnight', () => {
+  const rules = defaultSchedule(3);
+  const midnight = new Date(2025, 4, 11, 0, 0);
+
+  const status = getWalkStatus(rules, [], midnight, [entry(22)]);
+  expect(status.due).toBe(false);
+  expect(status.next).toEqual(new Date(2025, 4, 11, 1, 0));
+  expect(status.first).toBe(true);
+  expect(getWalkStatus(rules, [], new Date(2025, 4, 11, 1, 1), [entry(22)]).due).toBe(true);
+
+  // Once walked today, the interval runs from that walk
+  const night = { id: 'night', time: new Date(2025, 4, 11, 0, 30).toISOString() };
+  expect(getWalkStatus(rules, [night], new Date(2025, 4, 11, 1, 0), [entry(22)]).next).toEqual(new Date(2025, 4, 11, 3, 30));
+});
+
+test('interval rules depend on the time of day and skip the night', () => {
+  const rules = schedule({
+    walks: { intervals: [{ from: '07:00', to: '22:00', everyHours: 2 }], fixedTimes: [] },
+  });
+
+  expect(getWalkStatus(rules, [entry(12)], at(13)).next).toEqual(at(14));
+  // 21:00 + 2h lands outside the window: next walk is when the window opens tomorrow
+  expect(getWalkStatus(rules, [entry(21)], at(22, 30)).next).toEqual(new Date(2025, 4, 11, 7, 0));
+  expect(getWalkStatus(rules, [entry(21)], at(23, 30)).due).toBe(false);
+  // Nothing logged before the window opens is not "due"
+  expect(getWalkStatus(rules, [], at(6)).due).toBe(false);
+});
+
+test('fixed walk times are due until a walk covers them', () => {
+  const rules = schedule({ walks: { intervals: [], fixedTimes: ['07:00', '12:00', '18:00'] } });
+
+  expect(getWalkStatus(rules, [], at(6)).due).toBe(false);
+  expect(getWalkStatus(rules, [], at(6)).next).toEqual(at(7));
+  expect(getWalkStatus(rules, [], at(7, 5)).missed).toEqual(['07:00']);
+
+  // A late walk still covers the slot, an early one within the tolerance does too
+  expect(getWalkStatus(rules, [entry(9)], at(10)).due).toBe(false);
+  expect(getWalkStatus(rules, [entry(6, 30)], at(8)).due).toBe(false);
+  expect(getWalkStatus(rules, [entry(6, 30)], at(8)).next).toEqual(at(12));
+});
+
+test('quiet hours suppress due walks', () => {
+  const rules = schedule({ quietHours: { enabled: true, from: '22:00', to: '06:00' } });
+  expect(getWalkStatus(rules, [entry(18)], at(23)).due).toBe(false);
+  expect(getWalkStatus(rules, [entry(18)], at(23)).quiet).toBe(true);
+  expect(getWalkStatus(rules, [entry(18)], at(21, 30)).due).toBe(true);
+  // Interval walk that would fall inside quiet hours is moved to the end of them
+  expect(getWalkStatus(rules, [entry(20)], at(21)).next).toEqual(new Date(2025, 4, 11, 6, 0));
+});
+
+test('meal rules report missed meal times', () => {
+  const rules = schedule({ meals: { fixedTimes: ['17:00', '08:00'] } });
+
+  expect(getMealStatus(rules, [], at(7)).enabled).toBe(true);
+  expect(getMealStatus(rules, [], at(7)).next).toEqual(at(8));
+  expect(getMealStatus(rules, [], at(9)).missed).toEqual(['08:00']);
+  expect(getMealStatus(rules, [{ time: at(8, 10).toISOString(), weight: 80 }], at(9)).due).toBe(false);
+  expect(getMealStatus(defaultSchedule(3), [], at(9)).enabled).toBe(false);
+});
+
+test('validation and the profile interval shortcut', () => {
+  const bad = schedule({ walks: { intervals: [{ from: '25:99', to: '22:00', everyHours: 0 }], fixedTimes: ['7'] } });
+  expect(validateSchedule(bad)).toHaveLength(3);
+  expect(validateSchedule(defaultSchedule(3))).toEqual([]);
+
+  expect(withWalkInterval(defaultSchedule(3), 4).walks.intervals[0].everyHours).toBe(4);
+  const custom = schedule({ walks: { intervals: [{ from: '07:00', to: '22:00', everyHours: 2 }], fixedTimes: [] } });
+  expect(withWalkInterval(custom, 4)).toBe(custom);
+});
+
+test('accidents indoors do not count as walks', () => {
+  const accident = { ...entry(9), event: 'accident' };
+  expect(getWalkStatus(defaultSchedule(3), [entry(8), accident], at(10)).next).toEqual(at(11));
+});
+
+test('reviewing a past day counts late interval walks and uncovered fixed times', () => {
+  const endOfDay = new Date(2025, 4, 10, 23, 59, 59, 999);
+  const rules = schedule({ meals: { fixedTimes: ['08:00', '17:00'] } });
+  const meal = { time: at(8, 5).toISOString(), weight: 80 };
+
+  expect(reviewDay(rules, [entry(7), entry(10), entry(13), entry(16), entry(19), entry(22)], [meal], endOfDay))
+    .toEqual({ missedWalks: 0, missedMeals: ['17:00'] });
+  // 10:00 -> 16:00 is one long gap
+  expect(reviewDay(rules, [entry(7), entry(10), entry(16), entry(19), entry(22)], [], endOfDay).missedWalks).toBe(1);
+  expect(reviewDay(rules, [], [], endOfDay).missedWalks).toBe(1);
+
+  const fixed = schedule({ walks: { intervals: [], fixedTimes: ['07:00', '18:00'] } });
+  expect(reviewDay(fixed, [entry(7)], [], endOfDay).missedWalks).toBe(1);
+  expect(reviewDay(fixed, [entry(7)], [], at(12)).missedWalks).toBe(0);
+});
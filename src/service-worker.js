@@ -0,0 +1,71 @@
+/* eslint-disable no-restricted-globals */
+// src/service-worker.js
+// Built by react-scripts (workbox InjectManifest) into service-worker.js next to index.html.
+// It precaches the app shell so an installed kiosk starts without a network, and shows the
+// walk/meal reminder notifications. Day data doesn't go through here: Firestore keeps its
+// own persistent cache (see firebase.js) and the local backend lives in localStorage, so the
+// last known day is on screen offline either way.
+//
+// A new build installs in the background and waits; the page offers a reload and then
+// sends SKIP_WAITING (see serviceWorkerRegistration.js).
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// --- App shell ---
+// Page navigations get index.html; URLs of files (with an extension) are left alone
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate'
+    && url.origin === self.location.origin
+    && !url.pathname.startsWith('/_')
+    && !fileExtension.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Same-origin images and icons that aren't part of the build
+registerRoute(
+  ({ url, request }) => url.origin === self.location.origin && request.destination === 'image',
+  new StaleWhileRevalidate({
+    cacheName: 'images',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  })
+);
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// --- Reminder notifications ---
+// The page shows them through this worker (so they appear while the tab is in the
+// background and can carry action buttons); clicks on those buttons are handled here.
+self.addEventListener('notificationclick', (event) => {
+  const notification = event.notification;
+  const { kind, dogId } = notification.data || {};
+  const action = event.action || 'open';
+  notification.close();
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+    if (windows.length > 0) {
+      const client = windows[0];
+      client.postMessage({ type: 'notification-action', action, kind, dogId });
+      if ('focus' in client) await client.focus();
+      return;
+    }
+
+    // No dashboard open: start one and let it perform the action on load
+    const url = new URL(self.registration.scope);
+    url.searchParams.set('notificationAction', action);
+    url.searchParams.set('kind', kind);
+    url.searchParams.set('dog', dogId);
+    await self.clients.openWindow(url.href);
+  })());
+});
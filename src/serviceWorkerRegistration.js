@@ -0,0 +1,63 @@
+// src/serviceWorkerRegistration.js
+// Registers the service worker built from src/service-worker.js. Production builds only:
+// the dev server doesn't serve one, so offline start, updates and notifications need a build.
+// A new deployment installs in the background and waits until the page applies it.
+
+const WORKER_URL = `${process.env.PUBLIC_URL}/service-worker.js`;
+
+// The kiosk never reloads by itself, so it looks for a new build now and then
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+export const isServiceWorkerSupported = () => typeof window !== 'undefined' && 'serviceWorker' in navigator;
+
+let waiting = null;
+const listeners = new Set();
+
+const announceUpdate = (registration) => {
+  waiting = registration;
+  listeners.forEach(fn => fn(registration));
+};
+
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !isServiceWorkerSupported()) return;
+
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register(WORKER_URL, { scope: `${process.env.PUBLIC_URL}/` });
+      // Only an update if a previous version controls the page (not on the first install)
+      const check = () => {
+        if (registration.waiting && navigator.serviceWorker.controller) announceUpdate(registration);
+      };
+
+      check();
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker?.addEventListener('statechange', () => {
+          if (worker.state === 'installed') check();
+        });
+      });
+      setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_MS);
+    } catch (error) {
+      console.error('Service worker registration failed:', error);
+    }
+  });
+};
+
+// Calls `fn(registration)` when a new build is waiting (right away if one already is)
+export const onUpdateAvailable = (fn) => {
+  listeners.add(fn);
+  if (waiting) fn(waiting);
+  return () => listeners.delete(fn);
+};
+
+// Lets the waiting build take over and reloads into it
+export const applyUpdate = (registration) => {
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  registration.waiting?.postMessage({ type: 'SKIP_WAITING' });
+};
+
+// The active registration, or null without one (dev server, unsupported browser)
+export const getRegistration = async () => {
+  if (!isServiceWorkerSupported()) return null;
+  return (await navigator.serviceWorker.getRegistration(`${process.env.PUBLIC_URL}/`)) || null;
+};
@@ -0,0 +1,83 @@
+// src/stats.js
+// Aggregates the per-day documents over a date range for the statistics view.
+// Works on the stored shape ({ walks, meals, snacks } with ISO `time`s), so it needs
+// nothing beyond what the dashboard already writes.
+import { normalizeDay, isWalk, isAccident } from './entries';
+import { dateKeysBetween } from './days';
+import repository, { outbox } from './storage';
+
+export const STATS_RANGES = [7, 30, 90];
+
+const timeOf = (entry) => new Date(entry.time).getTime();
+
+// Gaps only count between walks on the same day: the night is not a missed walk
+const walkGaps = (key, walks) => {
+  const times = walks.map(timeOf).filter(time => !isNaN(time)).sort((a, b) => a - b);
+  const gaps = [];
+  for (let i = 1; i < times.length; i++) {
+    gaps.push({ key, from: new Date(times[i - 1]), to: new Date(times[i]), minutes: (times[i] - times[i - 1]) / 60000 });
+  }
+  return gaps;
+};
+
+// `days` is a list of { key, data } as returned by repository.listDays
+export const computeStats = (days, { fromKey, toKey, dailyFoodTarget = 0 }) => {
+  const byKey = {};
+  days.forEach(({ key, data }) => {
+    byKey[key] = normalizeDay(data);
+  });
+
+  const gaps = [];
+  const snacksByType = {};
+
+  const perDay = dateKeysBetween(fromKey, toKey).map(key => {
+    const day = byKey[key] || { walks: [], meals: [], snacks: [] };
+    const walks = day.walks.filter(isWalk);
+    gaps.push(...walkGaps(key, walks));
+    day.snacks.forEach(s => {
+      // Snacks without a type are counted under '', shown as "Other"
+      const type = (s.type || '').trim();
+      snacksByType[type] = (snacksByType[type] || 0) + (Number(s.quantity) || 0);
+    });
+
+    return {
+      key,
+      walks: walks.length,
+      accidents: day.walks.filter(isAccident).length,
+      grams: day.meals.reduce((sum, m) => sum + (Number(m.weight) || 0), 0),
+      snacks: day.snacks.reduce((sum, s) => sum + (Number(s.quantity) || 0), 0),
+    };
+  });
+
+  const totalWalks = perDay.reduce((sum, d) => sum + d.walks, 0);
+  const totalAccidents = perDay.reduce((sum, d) => sum + d.accidents, 0);
+  const daysWithMeals = perDay.filter(d => d.grams > 0);
+
+  return {
+    perDay,
+    totalWalks,
+    totalAccidents,
+    averageWalksPerDay: perDay.length ? totalWalks / perDay.length : 0,
+    averageGapMinutes: gaps.length ? gaps.reduce((sum, g) => sum + g.minutes, 0) / gaps.length : null,
+    longestGap: gaps.reduce((longest, g) => (!longest || g.minutes > longest.minutes ? g : longest), null),
+    averageGrams: daysWithMeals.length ? daysWithMeals.reduce((sum, d) => sum + d.grams, 0) / daysWithMeals.length : 0,
+    daysOnTarget: dailyFoodTarget > 0 ? daysWithMeals.filter(d => d.grams >= dailyFoodTarget).length : null,
+    snacksByType: Object.entries(snacksByType)
+      .map(([type, quantity]) => ({ type, quantity }))
+      .sort((a, b) => b.quantity - a.quantity || a.type.localeCompare(b.type)),
+  };
+};
+
+// Changes still in the outbox count too, so a walk logged offline shows up straight away
+export const loadStats = async (dogId, fromKey, toKey, dailyFoodTarget) => {
+  const days = await repository.listDays(dogId, fromKey, toKey);
+  return computeStats(outbox.applyPendingToDays(dogId, days, fromKey, toKey), { fromKey, toKey, dailyFoodTarget });
+};
+
+export const formatMinutes = (minutes) => {
+  if (minutes == null) return '-';
+  const rounded = Math.round(minutes);
+  const h = Math.floor(rounded / 60);
+  const m = rounded % 60;
+  return h > 0 ? `${h}h ${m}m` : `${m}m`;
+};
@@ -0,0 +1,77 @@
+import { computeStats, formatMinutes, loadStats } from './stats';
+import repository, { outbox } from './storage';
+
+const at = (day, h, m = 0) => new Date(2025, 4, day, h, m).toISOString();
+
+afterEach(() => jest.restoreAllMocks());
+
+const days = [
+  {
+    key: '2025-05-10',
+    data: {
+      walks: [
+        { id: 'a', time: at(10, 8) }, { id: 'b', time: at(10, 11) }, { id: 'c', time: at(10, 12) },
+        // Not a walk: neither counted nor splitting the 08-11 gap
+        { id: 'x', time: at(10, 10), event: 'accident', pee: true },
+      ],
+      meals: [{ id: 'm1', time: at(10, 8), weight: 120 }, { id: 'm2', time: at(10, 18), weight: 100 }],
+      snacks: [{ id: 's1', time: at(10, 9), type: 'Chew', quantity: 2 }],
+    },
+  },
+  {
+    key: '2025-05-12',
+    data: {
+      // Legacy string walk
+      walks: [at(12, 7), { id: 'd', time: at(12, 9) }],
+      meals: [{ id: 'm3', time: at(12, 8), weight: 150 }],
+      snacks: [{ id: 's2', time: at(12, 9), type: 'chew ', quantity: 1 }, { id: 's3', time: at(12, 9), type: 'Chew', quantity: 3 }],
+    },
+  },
+];
+
+test('aggregates every day in the range, including empty ones', () => {
+  const stats = computeStats(days, { fromKey: '2025-05-10', toKey: '2025-05-12', dailyFoodTarget: 200 });
+
+  expect(stats.perDay).toEqual([
+    { key: '2025-05-10', walks: 3, accidents: 1, grams: 220, snacks: 2 },
+    { key: '2025-05-11', walks: 0, accidents: 0, grams: 0, snacks: 0 },
+    { key: '2025-05-12', walks: 2, accidents: 0, grams: 150, snacks: 4 },
+  ]);
+  expect(stats.averageWalksPerDay).toBeCloseTo(5 / 3);
+  expect(stats.totalAccidents).toBe(1);
+  expect(stats.averageGrams).toBe(185);
+  expect(stats.daysOnTarget).toBe(1);
+  expect(stats.snacksByType).toEqual([{ type: 'Chew', quantity: 5 }, { type: 'chew', quantity: 1 }]);
+});
+
+test('walk gaps are measured within a day, not across the night', () => {
+  const stats = computeStats(days, { fromKey: '2025-05-10', toKey: '2025-05-12' });
+
+  // 3h, 1h and 2h
+  expect(stats.averageGapMinutes).toBe(120);
+  expect(stats.longestGap.key).toBe('2025-05-10');
+  expect(stats.longestGap.minutes).toBe(180);
+  expect(stats.daysOnTarget).toBeNull();
+});
+
+test('no data gives empty stats', () => {
+  const stats = computeStats([], { fromKey: '2025-05-10', toKey: '2025-05-16' });
+  expect(stats.perDay).toHaveLength(7);
+  expect(stats.averageGapMinutes).toBeNull();
+  expect(stats.longestGap).toBeNull();
+  expect(formatMinutes(stats.averageGapMinutes)).toBe('-');
+  expect(formatMinutes(185)).toBe('3h 5m');
+});
+
+test('a meal still waiting in the outbox is counted', async () => {
+  localStorage.clear();
+  await repository.setDay('diza', '2025-05-10', days[0].data);
+  // Offline: the change stays queued
+  jest.spyOn(repository, 'mutateDay').mockRejectedValue(Object.assign(new Error('offline'), { code: 'unavailable' }));
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  outbox.enqueue({ dogId: 'diza', dateKey: '2025-05-11', kind: 'meals', action: 'add', entry: { id: 'm9', time: at(11, 8), weight: 90 } });
+  await outbox.flush();
+
+  const stats = await loadStats('diza', '2025-05-10', '2025-05-11', 200);
+  expect(stats.perDay.map(d => d.grams)).toEqual([220, 90]);
+});
@@ -0,0 +1,294 @@
+import {
+  doc, getDoc, setDoc, updateDoc, deleteDoc, onSnapshot, getDocs, query, runTransaction,
+  where, documentId, writeBatch, arrayUnion, arrayRemove, deleteField, increment,
+  collection as firestoreCollection,
+} from 'firebase/firestore';
+import { isDateKey } from '../days';
+import { buildMonthSummary, monthKeyOf, summarizeDay } from '../calendar';
+
+const HOUSEHOLDS_COLLECTION = 'households';
+const USERS_COLLECTION = 'users';
+const INVITES_COLLECTION = 'invites';
+const DOGS_COLLECTION = 'dogs';
+const DAYS_COLLECTION = 'puppyData';
+const PANTRY_COLLECTION = 'pantry';
+const MONTHS_COLLECTION = 'monthSummaries';
+const AUDIT_COLLECTION = 'audit';
+const MIGRATIONS_COLLECTION = 'migrations';
+
+// One invite per household and address, so the rules can look it up without a query
+const inviteId = (householdId, email) => `${householdId}_${email}`;
+
+export const createFirestoreRepository = (db) => {
+  // All dog data lives under the household selected after sign-in
+  let currentHouseholdId = null;
+
+  const scope = () => {
+    if (!currentHouseholdId) throw new Error('No household selected yet');
+    return [HOUSEHOLDS_COLLECTION, currentHouseholdId];
+  };
+
+  const dogsRef = () => firestoreCollection(db, ...scope(), DOGS_COLLECTION);
+  const dogRef = (dogId) => doc(db, ...scope(), DOGS_COLLECTION, dogId);
+  // Every dog keeps its own 'YYYY-MM-DD' day documents
+  const daysRef = (dogId) => firestoreCollection(db, ...scope(), DOGS_COLLECTION, dogId, DAYS_COLLECTION);
+  const dayRef = (dogId, dateKey) => doc(db, ...scope(), DOGS_COLLECTION, dogId, DAYS_COLLECTION, dateKey);
+
+  const monthRef = (dogId, monthKey) => doc(db, ...scope(), DOGS_COLLECTION, dogId, MONTHS_COLLECTION, monthKey);
+
+  const auditRef = (dogId) => firestoreCollection(db, ...scope(), DOGS_COLLECTION, dogId, AUDIT_COLLECTION);
+
+  // Writes the day's line of its month summary (see calendar.js) in the same batch or
+  // transaction as the day document, so the two can't drift apart
+  const summarize = (writer, dogId, dateKey, data) => {
+    if (!isDateKey(dateKey)) return;
+    writer.set(
+      monthRef(dogId, monthKeyOf(dateKey)),
+      { days: { [dateKey]: summarizeDay(data) || deleteField() } },
+      { merge: true }
+    );
+  };
+
+  // Foods and treats are shared by all the household's dogs
+  const pantryRef = () => firestoreCollection(db, ...scope(), PANTRY_COLLECTION);
+
+  const householdRef = (id) => doc(db, HOUSEHOLDS_COLLECTION, id);
+  const userRef = (uid) => doc(db, USERS_COLLECTION, uid);
+
+  // Names the one account allowed to copy the pre-household data, and records that it did.
+  // Created by hand in the console: { ownerId: '<uid>' } (see firestore.rules).
+  const legacyMigrationRef = () => doc(db, MIGRATIONS_COLLECTION, 'legacy');
+
+  return {
+    name: 'firestore',
+
+    // --- Households ---
+    setHousehold: (householdId) => {
+      currentHouseholdId = householdId;
+    },
+
+    getUserHouseholdId: async (uid) => {
+      const snap = await getDoc(userRef(uid));
+      return snap.exists() ? snap.data().householdId || null : null;
+    },
+
+    createHousehold: async (user, name) => {
+      const ref = doc(firestoreCollection(db, HOUSEHOLDS_COLLECTION));
+      const batch = writeBatch(db);
+      batch.set(ref, {
+        name,
+        ownerId: user.uid,
+        memberIds: [user.uid],
+        members: { [user.uid]: { name: user.name, email: user.email } },
+        invitedEmails: [],
+        createdAt: new Date().toISOString(),
+      });
+      batch.set(userRef(user.uid), { householdId: ref.id }, { merge: true });
+      await batch.commit();
+      return ref.id;
+    },
+
+    subscribeHousehold: (id, onChange, onError) =>
+      onSnapshot(householdRef(id), (snap) => onChange(snap.exists() ? { ...snap.data(), id: snap.id } : null), onError),
+
+    listInvites: async (email) => {
+      const snap = await getDocs(query(firestoreCollection(db, INVITES_COLLECTION), where('email', '==', email)));
+      return snap.docs.map(d => ({ ...d.data(), id: d.id }));
+    },
+
+    inviteMember: async (household, email, invitedBy) => {
+      const batch = writeBatch(db);
+      batch.set(doc(db, INVITES_COLLECTION, inviteId(household.id, email)), {
+        householdId: household.id,
+        householdName: household.name,
+        email,
+        invitedBy: invitedBy.name,
+      });
+      batch.update(householdRef(household.id), { invitedEmails: arrayUnion(email) });
+      await batch.commit();
+    },
+
+    cancelInvite: async (householdId, email) => {
+      const batch = writeBatch(db);
+      batch.delete(doc(db, INVITES_COLLECTION, inviteId(householdId, email)));
+      batch.update(householdRef(householdId), { invitedEmails: arrayRemove(email) });
+      await batch.commit();
+    },
+
+    // The rules only let an invited user add themselves, so this is a blind update
+    acceptInvite: async (invite, user) => {
+      const batch = writeBatch(db);
+      batch.update(householdRef(invite.householdId), {
+        memberIds: arrayUnion(user.uid),
+        [`members.${user.uid}`]: { name: user.name, email: user.email },
+      });
+      batch.set(userRef(user.uid), { householdId: invite.householdId }, { merge: true });
+      await batch.commit();
+      // Separate writes: the update above is only allowed while the invite still exists
+      await Promise.all([
+        deleteDoc(doc(db, INVITES_COLLECTION, invite.id)),
+        updateDoc(householdRef(invite.householdId), { invitedEmails: arrayRemove(user.email) }),
+      ]);
+      return invite.householdId;
+    },
+
+    removeMember: async (householdId, uid) => {
+      await updateDoc(householdRef(householdId), {
+        memberIds: arrayRemove(uid),
+        [`members.${uid}`]: deleteField(),
+      });
+    },
+
+    leaveHousehold: async (householdId, uid) => {
+      await updateDoc(householdRef(householdId), {
+        memberIds: arrayRemove(uid),
+        [`members.${uid}`]: deleteField(),
+      });
+      await setDoc(userRef(uid), { householdId: null }, { merge: true });
+    },
+
+    // --- Dog profiles ---
+    listDogs: async () => {
+      const snap = await getDocs(dogsRef());
+      return snap.docs.map(d => ({ ...d.data(), id: d.id }));
+    },
+
+    subscribeDogs: (onChange, onError) =>
+      onSnapshot(dogsRef(), (snap) => onChange(snap.docs.map(d => ({ ...d.data(), id: d.id }))), onError),
+
+    saveDog: async ({ id, ...data }) => {
+      const ref = id ? dogRef(id) : doc(dogsRef());
+      await setDoc(ref, data, { merge: true });
+      return ref.id;
+    },
+
+    // Whether `uid` may still copy the pre-household data: only the account named in
+    // migrations/legacy, and only until that copy has been made. Nobody else can read it.
+    legacyImportPending: async (uid) => {
+      try {
+        const snap = await getDoc(legacyMigrationRef());
+        return snap.exists() && snap.data().ownerId === uid && !snap.data().importedAt;
+      } catch (error) {
+        if (error.code === 'permission-denied') return false;
+        throw error;
+      }
+    },
+
+    // Closes the migration; the rules then lock the old collections for good
+    finishLegacyImport: () => updateDoc(legacyMigrationRef(), {
+      importedAt: new Date().toISOString(),
+      householdId: currentHouseholdId,
+    }),
+
+    // One-off copy of the pre-profile top-level 'puppyData' documents
+    importLegacyDays: async (dogId) => {
+      const legacy = await getDocs(firestoreCollection(db, DAYS_COLLECTION));
+      await Promise.all(legacy.docs.map(d => setDoc(dayRef(dogId, d.id), d.data())));
+    },
+
+    // One-off copy of the pre-household top-level 'dogs' profiles and their days.
+    // The originals are left in place; returns how many profiles were copied.
+    importLegacyDogs: async () => {
+      const dogs = await getDocs(firestoreCollection(db, DOGS_COLLECTION));
+      for (const dog of dogs.docs) {
+        const days = await getDocs(firestoreCollection(db, DOGS_COLLECTION, dog.id, DAYS_COLLECTION));
+        await Promise.all(days.docs.map(d => setDoc(dayRef(dog.id, d.id), d.data())));
+        await setDoc(dogRef(dog.id), dog.data());
+      }
+      return dogs.size;
+    },
+
+    // --- Pantry ---
+    subscribePantry: (onChange, onError) =>
+      onSnapshot(pantryRef(), (snap) => onChange(snap.docs.map(d => ({ ...d.data(), id: d.id }))), onError),
+
+    savePantryItem: async ({ id, ...data }) => {
+      const ref = id ? doc(pantryRef(), id) : doc(pantryRef());
+      await setDoc(ref, data, { merge: true });
+      return ref.id;
+    },
+
+    deletePantryItem: (id) => deleteDoc(doc(pantryRef(), id)),
+
+    // Server-side increment: concurrent logging on two devices never loses a decrement
+    adjustStock: (id, delta) => updateDoc(doc(pantryRef(), id), { stock: increment(delta) }),
+
+    // --- Day documents ---
+    getDay: async (dogId, dateKey) => {
+      const snap = await getDoc(dayRef(dogId, dateKey));
+      return snap.exists() ? snap.data() : null;
+    },
+
+    setDay: async (dogId, dateKey, data) => {
+      const batch = writeBatch(db);
+      batch.set(dayRef(dogId, dateKey), data);
+      summarize(batch, dogId, dateKey, data);
+      await batch.commit();
+    },
+
+    updateDay: async (dogId, dateKey, data) => {
+      const ref = dayRef(dogId, dateKey);
+      await runTransaction(db, async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists()) throw new Error(`No document to update: ${dogId}/${dateKey}`);
+        tx.update(ref, data);
+        summarize(tx, dogId, dateKey, { ...snap.data(), ...data });
+      });
+    },
+
+    deleteDay: async (dogId, dateKey) => {
+      const batch = writeBatch(db);
+      batch.delete(dayRef(dogId, dateKey));
+      summarize(batch, dogId, dateKey, null);
+      await batch.commit();
+    },
+
+    // Read-modify-write in a transaction; fails (instead of queueing) while offline.
+    // `event` (optional) is recorded in the audit trail with the day before and after.
+    mutateDay: async (dogId, dateKey, mutate, event = null) => {
+      const ref = dayRef(dogId, dateKey);
+      await runTransaction(db, async (tx) => {
+        const snap = await tx.get(ref);
+        const before = snap.exists() ? snap.data() : null;
+        const data = mutate(before);
+        tx.set(ref, data);
+        summarize(tx, dogId, dateKey, data);
+        if (event) tx.set(doc(auditRef(dogId), event.id), { ...event, before, after: data });
+      });
+    },
+
+    subscribeDay: (dogId, dateKey, onChange, onError) =>
+      onSnapshot(dayRef(dogId, dateKey), (snap) => onChange(snap.exists() ? snap.data() : null), onError),
+
+    // All day documents with IDs between the two keys (inclusive), as { key, data }
+    listDays: async (dogId, fromKey, toKey) => {
+      const snap = await getDocs(query(
+        daysRef(dogId),
+        where(documentId(), '>=', fromKey),
+        where(documentId(), '<=', toKey)
+      ));
+      return snap.docs.map(d => ({ key: d.id, data: d.data() }));
+    },
+
+    // The day's audit events, in no particular order
+    listAuditEvents: async (dogId, dateKey) => {
+      const snap = await getDocs(query(auditRef(dogId), where('dateKey', '==', dateKey)));
+      return snap.docs.map(d => ({ ...d.data(), id: d.id }));
+    },
+
+    // --- Month summaries ---
+    getMonthSummary: async (dogId, monthKey) => {
+      const snap = await getDoc(monthRef(dogId, monthKey));
+      return snap.exists() ? snap.data() : null;
+    },
+
+    // Rebuilt from the day documents in a transaction: a day written in the meantime (which
+    // updates its own line of the summary) makes it start over instead of losing that line
+    rebuildMonthSummary: (dogId, monthKey, dateKeys) => runTransaction(db, async (tx) => {
+      const snaps = await Promise.all(dateKeys.map(key => tx.get(dayRef(dogId, key))));
+      const summary = buildMonthSummary(snaps.filter(s => s.exists()).map(s => ({ key: s.id, data: s.data() })));
+      tx.set(monthRef(dogId, monthKey), summary);
+      return summary;
+    }),
+  };
+};
@@ -0,0 +1,22 @@
+// src/storage/index.js
+import { db, isFirebaseConfigured } from '../firebase';
+import { createFirestoreRepository } from './firestoreRepository';
+import { createLocalRepository } from './localRepository';
+import { createOutbox } from './outbox';
+
+// REACT_APP_STORAGE_BACKEND=local forces the on-device backend even when Firebase is configured
+export const createRepository = (backend = process.env.REACT_APP_STORAGE_BACKEND) => {
+  if (backend !== 'local' && isFirebaseConfigured) {
+    return createFirestoreRepository(db);
+  }
+  if (backend !== 'local') {
+    console.warn('Firebase is not configured, falling back to local storage.');
+  }
+  return createLocalRepository();
+};
+
+const repository = createRepository();
+
+export const outbox = createOutbox(repository);
+
+export default repository;
@@ -0,0 +1,214 @@
+// src/storage/localRepository.js
+// Same interface as the Firestore repository, backed by localStorage. Used when no
+// Firebase config is present (tests, offline kiosk) or when explicitly selected.
+// There are no accounts here: the device is a household of one that can't be shared.
+import { isDateKey } from '../days';
+import { buildMonthSummary, monthKeyOf, summarizeDay } from '../calendar';
+import { t } from '../i18n';
+
+const PREFIX = 'diza';
+const DOGS_KEY = `${PREFIX}:dogs`;
+const PANTRY_KEY = `${PREFIX}:pantry`;
+const dayStorageKey = (dogId, dateKey) => `${PREFIX}:day:${dogId}:${dateKey}`;
+const monthStorageKey = (dogId, monthKey) => `${PREFIX}:month:${dogId}:${monthKey}`;
+const auditStorageKey = (dogId, dateKey) => `${PREFIX}:audit:${dogId}:${dateKey}`;
+
+const LOCAL_HOUSEHOLD_ID = 'local';
+
+const sharingUnavailable = async () => {
+  throw new Error(t('household.sharingUnavailable'));
+};
+
+const clone = (value) => (value == null ? null : JSON.parse(JSON.stringify(value)));
+
+export const createLocalRepository = (storage = window.localStorage) => {
+  const listeners = new Map();
+
+  const read = (key) => {
+    const raw = storage.getItem(key);
+    if (!raw) return null;
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      console.error(`Corrupt local data under ${key}, ignoring it.`, e);
+      return null;
+    }
+  };
+
+  const notify = (key) => {
+    (listeners.get(key) || []).forEach(fn => fn());
+  };
+
+  const write = (key, value) => {
+    storage.setItem(key, JSON.stringify(value));
+    notify(key);
+  };
+
+  const listen = (key, fn) => {
+    listeners.set(key, [...(listeners.get(key) || []), fn]);
+    fn();
+    return () => listeners.set(key, (listeners.get(key) || []).filter(l => l !== fn));
+  };
+
+  // Other tabs writing the same storage
+  if (typeof window !== 'undefined' && storage === window.localStorage) {
+    window.addEventListener('storage', (e) => {
+      if (e.key) notify(e.key);
+    });
+  }
+
+  const dayKeys = (dogId) => {
+    const prefix = dayStorageKey(dogId, '');
+    const keys = [];
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (key.startsWith(prefix)) keys.push(key.slice(prefix.length));
+    }
+    return keys;
+  };
+
+  // Keeps the day's line in its month summary in step with the day document
+  const summarize = (dogId, dateKey, data) => {
+    if (!isDateKey(dateKey)) return;
+    const key = monthStorageKey(dogId, monthKeyOf(dateKey));
+    const month = read(key) || {};
+    const { [dateKey]: previous, ...days } = month.days || {};
+    const summary = summarizeDay(data);
+    write(key, { ...month, days: summary ? { ...days, [dateKey]: summary } : days });
+  };
+
+  const writeDay = (dogId, dateKey, data) => {
+    write(dayStorageKey(dogId, dateKey), data);
+    summarize(dogId, dateKey, data);
+  };
+
+  const readPantry = () => read(PANTRY_KEY) || {};
+  const pantryList = () => Object.entries(readPantry()).map(([id, data]) => ({ ...data, id }));
+
+  const readDogs = () => read(DOGS_KEY) || {};
+  const dogList = () => Object.entries(readDogs()).map(([id, data]) => ({ ...data, id }));
+
+  return {
+    name: 'local',
+
+    // --- Households ---
+    setHousehold: () => {},
+
+    getUserHouseholdId: async () => LOCAL_HOUSEHOLD_ID,
+
+    createHousehold: async () => LOCAL_HOUSEHOLD_ID,
+
+    subscribeHousehold: (householdId, onChange) => {
+      onChange({
+        id: LOCAL_HOUSEHOLD_ID,
+        get name() { return t('auth.thisDevice'); },
+        ownerId: 'local',
+        memberIds: ['local'],
+        members: { local: { get name() { return t('auth.thisDevice'); }, email: '' } },
+        invitedEmails: [],
+      });
+      return () => {};
+    },
+
+    listInvites: async () => [],
+
+    inviteMember: sharingUnavailable,
+    cancelInvite: sharingUnavailable,
+    acceptInvite: sharingUnavailable,
+    removeMember: sharingUnavailable,
+    leaveHousehold: sharingUnavailable,
+
+    // --- Dog profiles ---
+    listDogs: async () => dogList(),
+
+    subscribeDogs: (onChange) => listen(DOGS_KEY, () => onChange(dogList())),
+
+    saveDog: async ({ id, ...data }) => {
+      const dogId = id || `dog-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+      const dogs = readDogs();
+      write(DOGS_KEY, { ...dogs, [dogId]: { ...dogs[dogId], ...data } });
+      return dogId;
+    },
+
+    legacyImportPending: async () => false,
+
+    finishLegacyImport: async () => {},
+
+    importLegacyDays: async () => {},
+
+    importLegacyDogs: async () => 0,
+
+    // --- Pantry ---
+    subscribePantry: (onChange) => listen(PANTRY_KEY, () => onChange(pantryList())),
+
+    savePantryItem: async ({ id, ...data }) => {
+      const itemId = id || `food-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+      const pantry = readPantry();
+      write(PANTRY_KEY, { ...pantry, [itemId]: { ...pantry[itemId], ...data } });
+      return itemId;
+    },
+
+    deletePantryItem: async (id) => {
+      const { [id]: removed, ...rest } = readPantry();
+      write(PANTRY_KEY, rest);
+    },
+
+    adjustStock: async (id, delta) => {
+      const pantry = readPantry();
+      if (!pantry[id]) return;
+      write(PANTRY_KEY, { ...pantry, [id]: { ...pantry[id], stock: (Number(pantry[id].stock) || 0) + delta } });
+    },
+
+    // --- Day documents ---
+    getDay: async (dogId, dateKey) => clone(read(dayStorageKey(dogId, dateKey))),
+
+    setDay: async (dogId, dateKey, data) => writeDay(dogId, dateKey, data),
+
+    updateDay: async (dogId, dateKey, data) => {
+      const key = dayStorageKey(dogId, dateKey);
+      const current = read(key);
+      if (!current) throw new Error(`No document to update: ${dogId}/${dateKey}`);
+      writeDay(dogId, dateKey, { ...current, ...data });
+    },
+
+    deleteDay: async (dogId, dateKey) => {
+      const key = dayStorageKey(dogId, dateKey);
+      storage.removeItem(key);
+      notify(key);
+      summarize(dogId, dateKey, null);
+    },
+
+    // `event` (optional) is recorded in the day's audit trail with the day before and after
+    mutateDay: async (dogId, dateKey, mutate, event = null) => {
+      const before = clone(read(dayStorageKey(dogId, dateKey)));
+      const after = mutate(clone(before));
+      writeDay(dogId, dateKey, after);
+      if (event) {
+        const key = auditStorageKey(dogId, dateKey);
+        write(key, [...(read(key) || []).filter(e => e.id !== event.id), { ...event, before, after: clone(after) }]);
+      }
+    },
+
+    subscribeDay: (dogId, dateKey, onChange) => {
+      const key = dayStorageKey(dogId, dateKey);
+      return listen(key, () => onChange(clone(read(key))));
+    },
+
+    listDays: async (dogId, fromKey, toKey) =>
+      dayKeys(dogId)
+        .filter(k => k >= fromKey && k <= toKey)
+        .sort()
+        .map(key => ({ key, data: clone(read(dayStorageKey(dogId, key))) })),
+
+    listAuditEvents: async (dogId, dateKey) => clone(read(auditStorageKey(dogId, dateKey))) || [],
+
+    // --- Month summaries (see calendar.js) ---
+    getMonthSummary: async (dogId, monthKey) => clone(read(monthStorageKey(dogId, monthKey))),
+
+    rebuildMonthSummary: async (dogId, monthKey, dateKeys) => {
+      const summary = buildMonthSummary(dateKeys.map(key => ({ key, data: read(dayStorageKey(dogId, key)) })));
+      write(monthStorageKey(dogId, monthKey), summary);
+      return clone(summary);
+    },
+  };
+};
@@ -0,0 +1,79 @@
+import { createLocalRepository } from './localRepository';
+
+beforeEach(() => localStorage.clear());
+
+test('stores and updates day documents per dog', async () => {
+  const repo = createLocalRepository();
+  await repo.setDay('diza', 'main', { walks: [], meals: [], snacks: [] });
+  await repo.updateDay('diza', 'main', { walks: [{ time: '2025-01-01T08:00:00.000Z' }] });
+
+  expect(await repo.getDay('diza', 'main')).toEqual({
+    walks: [{ time: '2025-01-01T08:00:00.000Z' }], meals: [], snacks: [],
+  });
+  expect(await repo.getDay('other', 'main')).toBeNull();
+});
+
+test('keeps the month summary in step with day writes', async () => {
+  const repo = createLocalRepository();
+  await repo.setDay('diza', '2025-01-02', { walks: [{ time: new Date(2025, 0, 2, 7, 5).toISOString() }] });
+  await repo.mutateDay('diza', '2025-01-03', () => ({ meals: [{ time: new Date(2025, 0, 3, 8, 0).toISOString(), weight: 50 }] }));
+  await repo.setDay('diza', 'main', { walks: [{ time: 'x' }] });
+
+  expect((await repo.getMonthSummary('diza', '2025-01')).days).toEqual({
+    '2025-01-02': { walks: 1, accidents: 0, meals: 0, snacks: 0, walkTimes: ['07:05'], mealTimes: [] },
+    '2025-01-03': { walks: 0, accidents: 0, meals: 1, snacks: 0, walkTimes: [], mealTimes: ['08:00'] },
+  });
+
+  await repo.deleteDay('diza', '2025-01-02');
+  expect(Object.keys((await repo.getMonthSummary('diza', '2025-01')).days)).toEqual(['2025-01-03']);
+});
+
+test('lists the day documents within a date range', async () => {
+  const repo = createLocalRepository();
+  for (const key of ['2025-01-01', '2025-01-03', '2025-01-02', '2025-01-05']) {
+    await repo.setDay('diza', key, { walks: [], key });
+  }
+  await repo.setDay('other', '2025-01-02', { walks: [] });
+
+  expect(await repo.listDays('diza', '2025-01-02', '2025-01-04')).toEqual([
+    { key: '2025-01-02', data: { walks: [], key: '2025-01-02' } },
+    { key: '2025-01-03', data: { walks: [], key: '2025-01-03' } },
+  ]);
+});
+
+test('notifies day subscribers on writes', async () => {
+  const repo = createLocalRepository();
+  const onChange = jest.fn();
+  const unsub = repo.subscribeDay('diza', 'main', onChange);
+  expect(onChange).toHaveBeenLastCalledWith(null);
+
+  await repo.setDay('diza', 'main', { walks: [] });
+  expect(onChange).toHaveBeenLastCalledWith({ walks: [] });
+
+  unsub();
+  await repo.setDay('diza', 'main', { walks: [{ time: 'x' }] });
+  expect(onChange).toHaveBeenCalledTimes(2);
+});
+
+test('creates and lists dog profiles', async () => {
+  const repo = createLocalRepository();
+  await repo.saveDog({ id: 'diza', name: 'Diza' });
+  const id = await repo.saveDog({ name: 'Rex' });
+
+  const dogs = await repo.listDogs();
+  expect(dogs.map(d => d.name).sort()).toEqual(['Diza', 'Rex']);
+  expect(dogs.find(d => d.name === 'Rex').id).toBe(id);
+});
+
+test('keeps pantry items and adjusts their stock', async () => {
+  const repo = createLocalRepository();
+  const onChange = jest.fn();
+  repo.subscribePantry(onChange);
+  const id = await repo.savePantryItem({ name: 'Kibble', unit: 'g', stock: 1000 });
+
+  await repo.adjustStock(id, -120);
+  expect(onChange).toHaveBeenLastCalledWith([{ id, name: 'Kibble', unit: 'g', stock: 880 }]);
+
+  await repo.deletePantryItem(id);
+  expect(onChange).toHaveBeenLastCalledWith([]);
+});
@@ -0,0 +1,222 @@
+// src/storage/outbox.js
+// Persistent queue of entry changes. Every tap is stored locally first and replayed
+// against the repository when it is reachable. Changes are recorded as operations on
+// single entries (not whole arrays), so replaying them merges with whatever other
+// devices wrote in the meantime instead of overwriting it.
+//
+// Changes belong to the household that was selected when they were queued and are only
+// replayed (and shown) while that household is selected again: dog IDs like the default
+// 'diza' are the same in every household. Changes queued before households have none and
+// go to whichever household is selected.
+//
+// Every replayed change is also recorded as an audit event (see audit.js). The event ID is
+// the change ID, so a change replayed twice is still recorded once.
+
+import { ENTRY_KINDS, createEntryId, isSameEntry, normalizeDay } from '../entries';
+import { LEGACY_MAIN_KEY, dateKeyForEntry, formatDateToKey } from '../days';
+
+const OUTBOX_KEY = 'diza:outbox';
+const RETRY_INTERVAL = 30000;
+
+// Errors that will never succeed on retry; the change is dropped instead of blocking the queue.
+// Everything else (e.g. 'failed-precondition' from a transaction that raced another device)
+// is retried.
+const PERMANENT_ERROR_CODES = ['permission-denied', 'invalid-argument'];
+
+// Changes of several entries at once, as { ids } or { entries } per kind. A move between days
+// is a 'move-in' on the new day followed by a 'move-out' on the old one, so a move cut short
+// (offline, closed tab) leaves the entry on both days rather than on neither.
+const REMOVING_ACTIONS = ['reset', 'remove-many', 'move-out'];
+const ADDING_ACTIONS = ['restore', 'move-in', 'copy'];
+
+// Changes address entries by ID. Changes queued before entries had IDs carry the
+// entry itself ('entry' / 'previous') and are matched by content instead.
+const findEntry = (list, change) => {
+  if (change.entryId) return list.findIndex(e => e.id === change.entryId);
+  const target = change.previous !== undefined ? change.previous : change.entry;
+  return list.findIndex(e => isSameEntry(e, target));
+};
+
+// Applies one queued change to a day document and returns the new document
+export const applyChange = (day, change) => {
+  const next = normalizeDay(day || {});
+  const { kind, action } = change;
+
+  // Entries taken off the day: a reset, a bulk delete or the old day of a move. Only what
+  // the user saw is removed; entries logged elsewhere since then survive.
+  if (REMOVING_ACTIONS.includes(action)) {
+    ENTRY_KINDS.forEach(k => {
+      const ids = (change.ids && change.ids[k]) || [];
+      const legacy = (change.entries && change.entries[k]) || [];
+      next[k] = next[k].filter(e => !ids.includes(e.id) && !legacy.some(r => isSameEntry(r, e)));
+    });
+    return next;
+  }
+
+  // Entries put on the day: undo of a delete or reset, the new day of a move, or copies from
+  // another day. Entries that already are there are left alone.
+  if (ADDING_ACTIONS.includes(action)) {
+    ENTRY_KINDS.forEach(k => {
+      const missing = ((change.entries && change.entries[k]) || []).filter(e => !next[k].some(x => x.id === e.id));
+      next[k] = [...next[k], ...missing];
+    });
+    return next;
+  }
+
+  // An earlier version of the day from its change history
+  if (action === 'replace') {
+    const version = normalizeDay(change.day || {});
+    ENTRY_KINDS.forEach(k => { next[k] = version[k]; });
+    return next;
+  }
+
+  const list = next[kind].slice();
+
+  if (action === 'add') {
+    const exists = change.entry.id
+      ? list.some(e => e.id === change.entry.id)
+      : list.some(e => isSameEntry(e, change.entry));
+    if (!exists) list.push(change.entry.id ? change.entry : { ...change.entry, id: createEntryId() });
+  } else {
+    const index = findEntry(list, change);
+    // Entry deleted on another device in the meantime: the delete wins
+    if (index !== -1 && action === 'edit') {
+      list[index] = change.changes
+        ? { ...list[index], ...change.changes }
+        : { ...change.entry, id: list[index].id };
+    } else if (index !== -1 && action === 'remove') {
+      list.splice(index, 1);
+    }
+  }
+
+  next[kind] = list;
+  return next;
+};
+
+// Changes queued against the old rolling 'main' document go to the day they belong to
+const resolveDateKey = (change) => {
+  if (change.dateKey !== LEGACY_MAIN_KEY) return change.dateKey;
+  return change.action === 'add' ? dateKeyForEntry(change.entry) : formatDateToKey(new Date(change.createdAt));
+};
+
+const auditEvent = (change, dateKey) => ({
+  id: change.id,
+  dateKey,
+  kind: change.kind || null,
+  action: change.action,
+  entryId: change.entryId || change.entry?.id || null,
+  // The rules only accept events recorded as the signed-in user's own uid
+  by: change.by?.uid || null,
+  byName: change.by?.name || null,
+  at: change.createdAt,
+  // The other day of a move or copy
+  ...(change.from && { from: change.from }),
+  ...(change.to && { to: change.to }),
+});
+
+export const createOutbox = (repository, storage = window.localStorage) => {
+  let flushing = null;
+  let retryTimer = null;
+  let householdId = null;
+  const listeners = new Set();
+
+  const load = () => {
+    try {
+      return JSON.parse(storage.getItem(OUTBOX_KEY)) || [];
+    } catch (e) {
+      return [];
+    }
+  };
+
+  const queued = () => load().filter(c => (c.householdId ?? householdId) === householdId);
+
+  const save = (changes) => {
+    storage.setItem(OUTBOX_KEY, JSON.stringify(changes));
+    listeners.forEach(fn => fn(queued()));
+  };
+
+  const remove = (id) => save(load().filter(c => c.id !== id));
+
+  const applyPending = (dogId, dateKey, day) =>
+    queued()
+      .filter(c => c.dogId === dogId && resolveDateKey(c) === dateKey)
+      .reduce(applyChange, normalizeDay(day));
+
+  const scheduleRetry = () => {
+    if (retryTimer) return;
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      flush();
+    }, RETRY_INTERVAL);
+  };
+
+  const flush = () => {
+    if (flushing) return flushing;
+
+    // Changes enqueued while flushing are picked up by the same loop. Replaying a
+    // change twice (e.g. from two tabs) is harmless because applyChange is idempotent.
+    flushing = (async () => {
+      while (queued().length > 0) {
+        const change = queued()[0];
+        try {
+          const dateKey = resolveDateKey(change);
+          await repository.mutateDay(change.dogId, dateKey, (day) => applyChange(day, change), auditEvent(change, dateKey));
+          remove(change.id);
+        } catch (error) {
+          if (PERMANENT_ERROR_CODES.includes(error.code)) {
+            console.error('Dropping change that cannot be synced:', change, error);
+            remove(change.id);
+            continue;
+          }
+          console.warn('Sync paused, will retry:', error.message);
+          scheduleRetry();
+          break;
+        }
+      }
+    })().finally(() => {
+      flushing = null;
+    });
+
+    return flushing;
+  };
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('online', () => flush());
+  }
+
+  return {
+    // Returns as soon as the change is stored locally; syncing happens in the background
+    enqueue: (change) => {
+      save([...load(), { householdId, ...change, id: createEntryId(), createdAt: new Date().toISOString() }]);
+      flush();
+    },
+
+    flush,
+
+    setHousehold: (id) => {
+      householdId = id;
+      listeners.forEach(fn => fn(queued()));
+    },
+
+    pending: () => queued(),
+
+    // Overlay not-yet-synced changes on a day document read from the repository
+    applyPending,
+
+    // The same for days read with repository.listDays, plus the days in the range that so far
+    // only exist in the outbox
+    applyPendingToDays: (dogId, days, fromKey, toKey) => {
+      const stored = Object.fromEntries(days.map(({ key, data }) => [key, data]));
+      const pendingKeys = queued().filter(c => c.dogId === dogId).map(resolveDateKey);
+      return [...new Set([...Object.keys(stored), ...pendingKeys.filter(key => key >= fromKey && key <= toKey)])]
+        .sort()
+        .map(key => ({ key, data: applyPending(dogId, key, stored[key] ?? null) }));
+    },
+
+    subscribe: (fn) => {
+      listeners.add(fn);
+      fn(queued());
+      return () => listeners.delete(fn);
+    },
+  };
+};
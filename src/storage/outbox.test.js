@@ -0,0 +1,184 @@
+import { applyChange, createOutbox } from './outbox';
+import { createLocalRepository } from './localRepository';
+
+beforeEach(() => localStorage.clear());
+afterEach(() => jest.restoreAllMocks());
+
+const walk = (id, time) => ({ id, time });
+
+test('replayed changes merge with entries written by other devices', () => {
+  const server = { walks: [walk('a', '08:00'), walk('b', '09:00'), walk('c', '10:00')], meals: [], snacks: [] };
+
+  const added = applyChange(server, { kind: 'walks', action: 'add', entry: walk('d', '11:00') });
+  const edited = applyChange(added, { kind: 'walks', action: 'edit', entryId: 'b', changes: { time: '09:30' } });
+  const removed = applyChange(edited, { kind: 'walks', action: 'remove', entryId: 'a' });
+
+  expect(removed.walks).toEqual([walk('b', '09:30'), walk('c', '10:00'), walk('d', '11:00')]);
+});
+
+test('edits of entries deleted elsewhere are skipped and adds are not duplicated', () => {
+  const server = { walks: [walk('a', '08:00')], meals: [], snacks: [] };
+
+  const edited = applyChange(server, { kind: 'walks', action: 'edit', entryId: 'gone', changes: { time: '09:30' } });
+  expect(edited.walks).toEqual([walk('a', '08:00')]);
+
+  const added = applyChange(server, { kind: 'walks', action: 'add', entry: walk('a', '08:00') });
+  expect(added.walks).toEqual([walk('a', '08:00')]);
+});
+
+test('concurrent edits to different fields of the same entry both survive', () => {
+  const server = { walks: [], meals: [], snacks: [{ id: 's', time: '08:00', type: 'Chew', quantity: 1 }] };
+
+  const first = applyChange(server, { kind: 'snacks', action: 'edit', entryId: 's', changes: { quantity: 2 } });
+  const second = applyChange(first, { kind: 'snacks', action: 'edit', entryId: 's', changes: { time: '08:15' } });
+
+  expect(second.snacks).toEqual([{ id: 's', time: '08:15', type: 'Chew', quantity: 2 }]);
+});
+
+test('reset only removes the entries that were on screen', () => {
+  const server = { walks: [walk('a', '08:00'), walk('b', '12:00')], meals: [{ id: 'm', time: '08:10', weight: 50 }], snacks: [] };
+  const reset = applyChange(server, { action: 'reset', ids: { walks: ['a'], meals: ['m'], snacks: [] } });
+  expect(reset).toEqual({ walks: [walk('b', '12:00')], meals: [], snacks: [], training: [], health: [] });
+});
+
+test('moves, copies and bulk deletes touch only the entries they name', () => {
+  const from = { walks: [walk('a', '08:00'), walk('b', '09:00')], meals: [], snacks: [] };
+  const to = { walks: [walk('c', '07:00')], meals: [], snacks: [] };
+
+  const movedIn = applyChange(to, { action: 'move-in', entries: { walks: [walk('a', '08:00')] }, from: '2025-05-09' });
+  expect(applyChange(movedIn, { action: 'move-in', entries: { walks: [walk('a', '08:00')] } }).walks.map(w => w.id)).toEqual(['c', 'a']);
+  expect(applyChange(from, { action: 'move-out', ids: { walks: ['a'] }, to: '2025-05-10' }).walks.map(w => w.id)).toEqual(['b']);
+
+  expect(applyChange(to, { action: 'copy', entries: { walks: [walk('a2', '08:00')] } }).walks.map(w => w.id)).toEqual(['c', 'a2']);
+  expect(applyChange(from, { action: 'remove-many', ids: { walks: ['a', 'b'] } }).walks).toEqual([]);
+});
+
+test('legacy entries without IDs get stable IDs and can still be addressed by content', () => {
+  const server = { walks: ['2025-01-01T08:00:00.000Z', { time: '2025-01-01T09:00:00.000Z' }], meals: [], snacks: [] };
+
+  const first = applyChange(server, { kind: 'meals', action: 'add', entry: { id: 'm', time: 'x', weight: 1 } });
+  const again = applyChange(server, { kind: 'meals', action: 'add', entry: { id: 'm', time: 'x', weight: 1 } });
+  expect(first.walks.map(w => w.id)).toEqual(again.walks.map(w => w.id));
+  expect(first.walks[0].time).toBe('2025-01-01T08:00:00.000Z');
+
+  // Queued before entries had IDs
+  const removed = applyChange(server, { kind: 'walks', action: 'remove', entry: { time: '2025-01-01T09:00:00.000Z' } });
+  expect(removed.walks.map(w => w.time)).toEqual(['2025-01-01T08:00:00.000Z']);
+});
+
+test('keeps changes queued while the repository is unreachable', async () => {
+  jest.useFakeTimers();
+  const repository = createLocalRepository();
+  const realMutate = repository.mutateDay;
+  repository.mutateDay = jest.fn().mockRejectedValue(Object.assign(new Error('offline'), { code: 'unavailable' }));
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  const outbox = createOutbox(repository);
+  outbox.enqueue({ dogId: 'diza', dateKey: '2025-01-15', kind: 'walks', action: 'add', entry: walk('a', '2025-01-15T08:00:00.000Z') });
+  await outbox.flush();
+
+  expect(outbox.pending()).toHaveLength(1);
+  expect(outbox.applyPending('diza', '2025-01-15', null).walks).toEqual([walk('a', '2025-01-15T08:00:00.000Z')]);
+
+  repository.mutateDay = realMutate;
+  await outbox.flush();
+
+  expect(outbox.pending()).toHaveLength(0);
+  expect((await repository.getDay('diza', '2025-01-15')).walks).toEqual([walk('a', '2025-01-15T08:00:00.000Z')]);
+  jest.useRealTimers();
+});
+
+test('days read from the repository get the queued changes, plus days only the outbox has', async () => {
+  const repository = createLocalRepository();
+  repository.mutateDay = jest.fn().mockRejectedValue(Object.assign(new Error('offline'), { code: 'unavailable' }));
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  await repository.setDay('diza', '2025-01-14', { walks: [walk('a', '2025-01-14T08:00:00.000Z')] });
+
+  const outbox = createOutbox(repository);
+  outbox.enqueue({ dogId: 'diza', dateKey: '2025-01-14', kind: 'walks', action: 'add', entry: walk('b', '2025-01-14T12:00:00.000Z') });
+  outbox.enqueue({ dogId: 'diza', dateKey: '2025-01-16', kind: 'walks', action: 'add', entry: walk('c', '2025-01-16T08:00:00.000Z') });
+  outbox.enqueue({ dogId: 'diza', dateKey: '2025-02-01', kind: 'walks', action: 'add', entry: walk('d', '2025-02-01T08:00:00.000Z') });
+  outbox.enqueue({ dogId: 'rex', dateKey: '2025-01-15', kind: 'walks', action: 'add', entry: walk('e', '2025-01-15T08:00:00.000Z') });
+  await outbox.flush();
+
+  const days = outbox.applyPendingToDays('diza', await repository.listDays('diza', '2025-01-01', '2025-01-31'), '2025-01-01', '2025-01-31');
+  expect(days.map(({ key, data }) => [key, data.walks.map(w => w.id)])).toEqual([['2025-01-14', ['a', 'b']], ['2025-01-16', ['c']]]);
+});
+
+test('only changes the repository refuses for good are dropped', async () => {
+  jest.useFakeTimers();
+  const repository = createLocalRepository();
+  repository.mutateDay = jest.fn().mockRejectedValue(Object.assign(new Error('contention'), { code: 'failed-precondition' }));
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  const outbox = createOutbox(repository);
+  outbox.enqueue({ dogId: 'diza', dateKey: '2025-01-15', kind: 'walks', action: 'add', entry: walk('a', '2025-01-15T08:00:00.000Z') });
+  await outbox.flush();
+  expect(outbox.pending()).toHaveLength(1);
+
+  repository.mutateDay = jest.fn().mockRejectedValue(Object.assign(new Error('denied'), { code: 'permission-denied' }));
+  await outbox.flush();
+  expect(outbox.pending()).toHaveLength(0);
+  jest.useRealTimers();
+});
+
+test('changes are only replayed into the household they were queued in', async () => {
+  const repository = createLocalRepository();
+  const realMutate = repository.mutateDay;
+  repository.mutateDay = jest.fn().mockRejectedValue(Object.assign(new Error('offline'), { code: 'unavailable' }));
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  const outbox = createOutbox(repository);
+  outbox.setHousehold('home');
+  outbox.enqueue({ dogId: 'diza', dateKey: '2025-01-15', kind: 'walks', action: 'add', entry: walk('a', '2025-01-15T08:00:00.000Z') });
+  await outbox.flush();
+  expect(outbox.pending().map(c => c.householdId)).toEqual(['home']);
+
+  // Signed in to another household with its own 'diza'
+  repository.mutateDay = realMutate;
+  outbox.setHousehold('friends');
+  await outbox.flush();
+  expect(outbox.pending()).toEqual([]);
+  expect(outbox.applyPendingToDays('diza', [], '2025-01-01', '2025-01-31')).toEqual([]);
+  expect(await repository.getDay('diza', '2025-01-15')).toBeNull();
+
+  outbox.setHousehold('home');
+  await outbox.flush();
+  expect((await repository.getDay('diza', '2025-01-15')).walks.map(w => w.id)).toEqual(['a']);
+});
+
+test('changes queued against the old main document land on the day of the entry', async () => {
+  const repository = createLocalRepository();
+  const outbox = createOutbox(repository);
+  outbox.enqueue({ dogId: 'diza', dateKey: 'main', kind: 'walks', action: 'add', entry: walk('a', '2025-01-14T23:30:00.000Z') });
+  await outbox.flush();
+
+  expect(await repository.getDay('diza', 'main')).toBeNull();
+  expect((await repository.getDay('diza', '2025-01-15')).walks.map(w => w.id)).toEqual(['a']);
+});
+
+test('undo puts entries back once and a restored version replaces the entries', () => {
+  const server = { walks: [walk('b', '12:00')], meals: [], snacks: [] };
+
+  const restored = applyChange(server, { action: 'restore', entries: { walks: [walk('a', '08:00'), walk('b', '12:00')] } });
+  expect(restored.walks).toEqual([walk('b', '12:00'), walk('a', '08:00')]);
+
+  const replaced = applyChange(restored, { action: 'replace', day: { walks: [walk('a', '08:00')], meals: [{ id: 'm', time: '08:10', weight: 50 }] } });
+  expect(replaced).toEqual({ walks: [walk('a', '08:00')], meals: [{ id: 'm', time: '08:10', weight: 50 }], snacks: [], training: [], health: [] });
+});
+
+test('replayed changes are recorded once in the audit trail with the day around them', async () => {
+  const repository = createLocalRepository();
+  const outbox = createOutbox(repository);
+  const by = { uid: 'u1', name: 'Anna' };
+  outbox.enqueue({ dogId: 'diza', dateKey: '2025-01-15', kind: 'walks', action: 'add', entry: walk('a', '08:00'), by });
+  outbox.enqueue({ dogId: 'diza', dateKey: '2025-01-15', kind: 'walks', action: 'remove', entryId: 'a', by });
+  await outbox.flush();
+
+  const events = await repository.listAuditEvents('diza', '2025-01-15');
+  expect(events.map(e => [e.action, e.entryId, e.by, e.byName])).toEqual([['add', 'a', 'u1', 'Anna'], ['remove', 'a', 'u1', 'Anna']]);
+  expect(events[1].before.walks).toEqual([walk('a', '08:00')]);
+  expect(events[1].after.walks).toEqual([]);
+  expect(await repository.listAuditEvents('diza', '2025-01-16')).toEqual([]);
+});
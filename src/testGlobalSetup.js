@@ -0,0 +1,5 @@
+// Runs once before the test workers start. Date logic is tested in the kiosk's own
+// timezone so midnight and DST cases are deterministic on every machine.
+module.exports = async () => {
+  process.env.TZ = 'Europe/Stockholm';
+};
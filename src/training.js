@@ -0,0 +1,99 @@
+// src/training.js
+// Training sessions and how each command is coming along. A session is a 'training' entry
+// (see ENTRY_KINDS in entries.js):
+//
+//   { id, time, command: 'sit', reps: 10, successes: 8 }      plus an optional `note`
+//
+// `command` is one of COMMANDS or whatever the household typed in. Progress is worked out
+// per command and week (Monday to Sunday) from the entries alone; nothing else is stored.
+import repository, { outbox } from './storage';
+import { normalizeDay } from './entries';
+import { addDaysToKey, dateKeyForEntry, parseDateKey } from './days';
+import { t } from './i18n';
+
+export const COMMANDS = ['sit', 'stay', 'recall', 'loose-leash'];
+
+// Weeks shown in the progress view
+export const PROGRESS_WEEKS = 8;
+
+// A command's level comes from its success rate over the last RECENT_WEEKS weeks it was
+// practised. Mastered also needs that many weeks of practice, so one good day isn't enough.
+export const RECENT_WEEKS = 2;
+export const LEVELS = [
+  { id: 'mastered', rate: 0.9, reps: 30, weeks: RECENT_WEEKS },
+  { id: 'reliable', rate: 0.7, reps: 10, weeks: 1 },
+];
+export const LEARNING = 'learning';
+
+export const commandLabel = (command) =>
+  (COMMANDS.includes(command) ? t(`training.commands.${command}`) : command);
+
+export const successRate = (successes, reps) => (reps > 0 ? successes / reps : null);
+
+// Monday of the week a date key falls in
+export const weekStartKey = (key) => addDaysToKey(key, -((parseDateKey(key).getDay() + 6) % 7));
+
+// COMMANDS first, then the others the days contain, most practised first
+export const collectCommands = (days) => {
+  const counts = {};
+  days.forEach(day => (day?.training || []).forEach(session => {
+    const command = (session.command || '').trim();
+    if (command && !COMMANDS.includes(command)) counts[command] = (counts[command] || 0) + 1;
+  }));
+  return [...COMMANDS, ...Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b))];
+};
+
+export const trainingLevel = (weeks) => {
+  const recent = weeks.filter(week => week.reps > 0).slice(-RECENT_WEEKS);
+  const reps = recent.reduce((sum, week) => sum + week.reps, 0);
+  const rate = successRate(recent.reduce((sum, week) => sum + week.successes, 0), reps);
+  const level = LEVELS.find(l => rate >= l.rate && reps >= l.reps && recent.length >= l.weeks);
+  return level ? level.id : LEARNING;
+};
+
+// `days` is a list of { key, data } as returned by repository.listDays. Returns a row per
+// command practised, in COMMANDS order then by name, with `weeks` running oldest first:
+// [{ command, level, reps, successes, weeks: [{ key, reps, successes, rate }] }]
+export const commandProgress = (days, { toKey, weeks = PROGRESS_WEEKS }) => {
+  const lastWeek = weekStartKey(toKey);
+  const weekKeys = Array.from({ length: weeks }, (_, i) => addDaysToKey(lastWeek, (i - weeks + 1) * 7));
+
+  const byCommand = {};
+  days.forEach(({ data }) => (normalizeDay(data || {}).training || []).forEach(session => {
+    const command = (session.command || '').trim();
+    const reps = Number(session.reps) || 0;
+    const weekKey = weekStartKey(dateKeyForEntry(session));
+    if (!command || reps <= 0 || !weekKeys.includes(weekKey)) return;
+
+    byCommand[command] = byCommand[command] || {};
+    const week = byCommand[command][weekKey] || { reps: 0, successes: 0 };
+    byCommand[command][weekKey] = {
+      reps: week.reps + reps,
+      successes: week.successes + Math.min(reps, Number(session.successes) || 0),
+    };
+  }));
+
+  const order = (command) => (COMMANDS.includes(command) ? COMMANDS.indexOf(command) : COMMANDS.length);
+  return Object.keys(byCommand)
+    .sort((a, b) => order(a) - order(b) || a.localeCompare(b))
+    .map(command => {
+      const rows = weekKeys.map(key => {
+        const { reps, successes } = byCommand[command][key] || { reps: 0, successes: 0 };
+        return { key, reps, successes, rate: successRate(successes, reps) };
+      });
+      return {
+        command,
+        level: trainingLevel(rows),
+        reps: rows.reduce((sum, week) => sum + week.reps, 0),
+        successes: rows.reduce((sum, week) => sum + week.successes, 0),
+        weeks: rows,
+      };
+    });
+};
+
+// The progress view's weeks up to the one `todayKey` is in, with changes still in the outbox
+export const loadTrainingProgress = async (dogId, todayKey) => {
+  const fromKey = addDaysToKey(weekStartKey(todayKey), -(PROGRESS_WEEKS - 1) * 7);
+  const days = await repository.listDays(dogId, fromKey, todayKey);
+  return commandProgress(outbox.applyPendingToDays(dogId, days, fromKey, todayKey), { toKey: todayKey });
+};
@@ -0,0 +1,62 @@
+import { commandProgress, collectCommands, trainingLevel, weekStartKey, loadTrainingProgress } from './training';
+import repository, { outbox } from './storage';
+
+const at = (key, hour = 10) => {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(y, m - 1, d, hour).toISOString();
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+const session = (key, command, reps, successes) => ({ id: `${key}-${command}`, time: at(key), command, reps, successes });
+
+test('weeks start on Monday', () => {
+  expect(weekStartKey('2025-05-14')).toBe('2025-05-12');
+  expect(weekStartKey('2025-05-18')).toBe('2025-05-12');
+  expect(weekStartKey('2025-05-12')).toBe('2025-05-12');
+});
+
+test('progress adds up each command per week, oldest week first', () => {
+  const days = [
+    { key: '2025-05-06', data: { training: [session('2025-05-06', 'sit', 10, 6)] } },
+    { key: '2025-05-13', data: { training: [session('2025-05-13', 'sit', 10, 9), session('2025-05-13', 'paw', 5, 1)] } },
+    { key: '2025-05-14', data: { training: [{ ...session('2025-05-14', 'sit', 10, 10), id: 'x' }] } },
+  ];
+  const progress = commandProgress(days, { toKey: '2025-05-14', weeks: 3 });
+
+  expect(progress.map(row => row.command)).toEqual(['sit', 'paw']);
+  expect(progress[0].weeks).toEqual([
+    { key: '2025-04-28', reps: 0, successes: 0, rate: null },
+    { key: '2025-05-05', reps: 10, successes: 6, rate: 0.6 },
+    { key: '2025-05-12', reps: 20, successes: 19, rate: 0.95 },
+  ]);
+  expect(progress[0]).toEqual(expect.objectContaining({ reps: 30, successes: 25, level: 'reliable' }));
+  expect(progress[1].level).toBe('learning');
+});
+
+test('mastered takes a high rate over two weeks of practice', () => {
+  const week = (reps, successes) => ({ reps, successes });
+  expect(trainingLevel([week(20, 19), week(0, 0), week(20, 19)])).toBe('mastered');
+  expect(trainingLevel([week(40, 38)])).toBe('reliable');
+  expect(trainingLevel([week(20, 10), week(20, 19)])).toBe('reliable');
+  expect(trainingLevel([week(5, 5)])).toBe('learning');
+  expect(trainingLevel([])).toBe('learning');
+});
+
+test('the form offers the usual commands first, then the household\'s own', () => {
+  const days = [
+    { training: [{ command: 'paw' }, { command: 'sit' }] },
+    { training: [{ command: 'spin' }, { command: 'spin' }, { command: ' ' }] },
+  ];
+  expect(collectCommands(days)).toEqual(['sit', 'stay', 'recall', 'loose-leash', 'spin', 'paw']);
+});
+
+test('a session logged offline counts towards the week straight away', async () => {
+  localStorage.clear();
+  jest.spyOn(repository, 'mutateDay').mockRejectedValue(Object.assign(new Error('offline'), { code: 'unavailable' }));
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  outbox.enqueue({ dogId: 'diza', dateKey: '2025-05-14', kind: 'training', action: 'add', entry: session('2025-05-14', 'sit', 10, 9) });
+  const [sit] = await loadTrainingProgress('diza', '2025-05-14');
+  expect(sit.weeks[sit.weeks.length - 1]).toEqual(expect.objectContaining({ key: '2025-05-12', reps: 10, successes: 9 }));
+});
@@ -0,0 +1,107 @@
+// src/weather/conditions.js
+// What the providers' responses are reduced to, and the helpers built on it. Current
+// weather and every forecast slot have the same shape:
+//
+//   { time, temp, icon, description, humidity, wind, pop (0-1), precipitation (mm), hours }
+//
+// `icon` uses OpenWeatherMap's codes ('10d'), `hours` is how long a forecast slot lasts.
+// The location is per device (like the alert settings), since it is where the screen -
+// and whoever logs the walk - actually is.
+
+const LOCATION_KEY = 'diza:location';
+
+export const DEFAULT_LOCATION = { name: 'Mölndal', country: 'SE', lat: 57.65, lon: 12.03 };
+
+// Slots shown in the forecast strip
+export const FORECAST_SLOTS = 8;
+
+// A slot counts as dry below this chance of precipitation
+const DRY_MAX_POP = 0.3;
+
+// Walks are only stamped with weather observed this close to when they ended
+const STAMP_MAX_AGE_MS = 90 * 60 * 1000;
+
+// Maps OpenWeatherMap icons to weather emojis, with night mode check
+export const getWeatherEmoji = (icon) => {
+  if (!icon) return '❓';
+  const isNight = icon.endsWith('n');
+  const code = icon.slice(0, 2);
+
+  if (code === '01') return isNight ? '🌙' : '☀️';
+  if (code === '02') return isNight ? '☁️' : '🌤️';
+  if (code === '03') return '☁️';
+  if (code === '04') return '🌥️';
+  if (code === '09') return '🌧️';
+  if (code === '10') return '🌦️';
+  if (code === '11') return '🌩️';
+  if (code === '13') return '❄️';
+  if (code === '50') return '🌫️';
+  return '❓';
+};
+
+// --- Location ---
+export const formatLocation = (location) =>
+  [location.name, location.state, location.country].filter(Boolean).join(', ');
+
+const validCoordinates = (lat, lon) =>
+  Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+
+export const loadLocation = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(LOCATION_KEY));
+    return stored && validCoordinates(stored.lat, stored.lon) ? stored : DEFAULT_LOCATION;
+  } catch (e) {
+    return DEFAULT_LOCATION;
+  }
+};
+
+export const storeLocation = (location) => localStorage.setItem(LOCATION_KEY, JSON.stringify(location));
+
+// "57.65, 12.03" (or separated by a space) -> { lat, lon }, or null
+export const parseCoordinates = (text) => {
+  const match = String(text).trim().match(/^(-?\d+(?:\.\d+)?)\s*[,\s]\s*(-?\d+(?:\.\d+)?)$/);
+  if (!match) return null;
+  const [lat, lon] = [Number(match[1]), Number(match[2])];
+  return validCoordinates(lat, lon) ? { lat, lon } : null;
+};
+
+export const coordinatesLocation = ({ lat, lon }) => ({ name: `${lat.toFixed(2)}, ${lon.toFixed(2)}`, lat, lon });
+
+// --- Walk planning ---
+const WET_ICONS = ['09', '10', '11', '13'];
+
+export const isDry = (slot) =>
+  (slot.pop ?? 0) < DRY_MAX_POP && !(slot.precipitation > 0) && !WET_ICONS.includes(slot.icon.slice(0, 2));
+
+const slotEnd = (slot) => new Date(slot.time).getTime() + (slot.hours || 1) * 60 * 60 * 1000;
+
+// Forecast slots that haven't ended yet
+export const upcomingSlots = (slots, now = new Date()) => slots.filter(s => slotEnd(s) > now.getTime());
+
+// First run of consecutive dry slots that hasn't ended yet: { from, to } (ISO), or null
+export const findDryWindow = (slots, now = new Date()) => {
+  const upcoming = upcomingSlots(slots, now);
+  const start = upcoming.findIndex(isDry);
+  if (start === -1) return null;
+
+  let end = start;
+  while (end + 1 < upcoming.length && isDry(upcoming[end + 1])) end++;
+  const from = new Date(Math.max(new Date(upcoming[start].time).getTime(), now.getTime()));
+  return { from: from.toISOString(), to: new Date(slotEnd(upcoming[end])).toISOString() };
+};
+
+export const overlapsWindow = (slot, window) =>
+  Boolean(window) && new Date(slot.time) < new Date(window.to) && slotEnd(slot) > new Date(window.from).getTime();
+
+// Compact copy of the conditions stored on a walk, or null when the latest observation
+// is too far from the walk's time to say what it was like
+export const weatherStamp = (conditions, time) => {
+  if (!conditions) return null;
+  if (Math.abs(new Date(time) - new Date(conditions.time)) > STAMP_MAX_AGE_MS) return null;
+  return {
+    temp: Math.round(conditions.temp),
+    icon: conditions.icon,
+    description: conditions.description,
+    ...(conditions.wind != null && { wind: conditions.wind }),
+  };
+};
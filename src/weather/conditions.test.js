@@ -0,0 +1,48 @@
+import { findDryWindow, upcomingSlots, overlapsWindow, weatherStamp, parseCoordinates, getWeatherEmoji } from './conditions';
+
+const slot = (hour, { icon = '01d', pop = 0, precipitation = 0 } = {}) => ({
+  time: new Date(2025, 4, 10, hour).toISOString(),
+  temp: 12.4,
+  icon,
+  description: 'test',
+  humidity: 70,
+  wind: 3,
+  pop,
+  precipitation,
+  hours: 3,
+});
+
+const forecast = [
+  slot(9, { icon: '10d', pop: 0.8, precipitation: 1.2 }),
+  slot(12, { pop: 0.5 }),
+  slot(15, { icon: '03d', pop: 0.1 }),
+  slot(18, { icon: '04d' }),
+  slot(21, { icon: '09n', pop: 0.9 }),
+];
+
+test('finds the next run of dry slots', () => {
+  const window = findDryWindow(forecast, new Date(2025, 4, 10, 10));
+  expect(window).toEqual({ from: new Date(2025, 4, 10, 15).toISOString(), to: new Date(2025, 4, 10, 21).toISOString() });
+  expect(overlapsWindow(forecast[2], window)).toBe(true);
+  expect(overlapsWindow(forecast[4], window)).toBe(false);
+
+  // Already inside the window: it starts now
+  expect(findDryWindow(forecast, new Date(2025, 4, 10, 16)).from).toBe(new Date(2025, 4, 10, 16).toISOString());
+  expect(findDryWindow(forecast.slice(4), new Date(2025, 4, 10, 16))).toBeNull();
+  expect(upcomingSlots(forecast, new Date(2025, 4, 10, 16)).map(s => s.icon)).toEqual(['03d', '04d', '09n']);
+});
+
+test('walks are stamped only with recent conditions', () => {
+  const [conditions] = forecast;
+  expect(weatherStamp(conditions, new Date(2025, 4, 10, 10))).toEqual({ temp: 12, icon: '10d', description: 'test', wind: 3 });
+  expect(weatherStamp(conditions, new Date(2025, 4, 10, 12))).toBeNull();
+  expect(weatherStamp(null, new Date())).toBeNull();
+});
+
+test('reads coordinates and maps icons', () => {
+  expect(parseCoordinates(' 57.65, 12.03 ')).toEqual({ lat: 57.65, lon: 12.03 });
+  expect(parseCoordinates('-33.9 151.2')).toEqual({ lat: -33.9, lon: 151.2 });
+  expect(parseCoordinates('Mölndal')).toBeNull();
+  expect(parseCoordinates('95, 10')).toBeNull();
+  expect(getWeatherEmoji('09n')).toBe('🌧️');
+});
@@ -0,0 +1,20 @@
+// src/weather/index.js
+import { createOpenWeatherMapProvider } from './openWeatherMapProvider';
+import { createOpenMeteoProvider } from './openMeteoProvider';
+import { createWeatherService } from './service';
+
+export * from './conditions';
+
+// OpenWeatherMap when there is an API key, always with Open-Meteo (keyless) behind it.
+// REACT_APP_WEATHER_PROVIDER=open-meteo skips OpenWeatherMap even with a key.
+export const createProviders = (
+  apiKey = process.env.REACT_APP_WEATHER_API_KEY,
+  preferred = process.env.REACT_APP_WEATHER_PROVIDER,
+) => [
+  ...(apiKey && preferred !== 'open-meteo' ? [createOpenWeatherMapProvider(apiKey)] : []),
+  createOpenMeteoProvider(),
+];
+
+const weatherService = createWeatherService(createProviders());
+
+export default weatherService;
@@ -0,0 +1,86 @@
+// src/weather/openMeteoProvider.js
+// Open-Meteo: free and keyless, so the dashboard has weather without any setup and a
+// fallback when OpenWeatherMap fails. WMO weather codes are mapped onto OpenWeatherMap's
+// icon codes so the rest of the app only knows one set. The API has no text, so the
+// descriptions are ours, in English and Swedish.
+import axios from 'axios';
+
+const FORECAST_URL = 'https://api.open-meteo.com/v1/forecast';
+const GEOCODING_URL = 'https://geocoding-api.open-meteo.com/v1/search';
+
+// WMO code -> [OpenWeatherMap icon (without d/n), description per language]
+const WMO_CODES = [
+  [[0], '01', { en: 'clear sky', sv: 'klart' }],
+  [[1], '02', { en: 'mainly clear', sv: 'mestadels klart' }],
+  [[2], '03', { en: 'partly cloudy', sv: 'växlande molnighet' }],
+  [[3], '04', { en: 'overcast', sv: 'mulet' }],
+  [[45, 48], '50', { en: 'fog', sv: 'dimma' }],
+  [[51, 53, 55, 56, 57], '09', { en: 'drizzle', sv: 'duggregn' }],
+  [[61, 63, 65, 66, 67], '10', { en: 'rain', sv: 'regn' }],
+  [[71, 73, 75, 77, 85, 86], '13', { en: 'snow', sv: 'snö' }],
+  [[80, 81, 82], '09', { en: 'rain showers', sv: 'regnskurar' }],
+  [[95, 96, 99], '11', { en: 'thunderstorm', sv: 'åska' }],
+];
+
+const UNKNOWN = { en: 'unknown', sv: 'okänt' };
+
+export const describeWeatherCode = (code, isDay = true, language = 'en') => {
+  const [, icon, descriptions] = WMO_CODES.find(([codes]) => codes.includes(code)) || [null, '', UNKNOWN];
+  return { icon: icon && `${icon}${isDay ? 'd' : 'n'}`, description: descriptions[language] || descriptions.en };
+};
+
+const unixToISO = (seconds) => new Date(seconds * 1000).toISOString();
+
+export const parseCurrentWeather = ({ current }, language) => ({
+  time: unixToISO(current.time),
+  temp: current.temperature_2m,
+  ...describeWeatherCode(current.weather_code, current.is_day === 1, language),
+  humidity: current.relative_humidity_2m,
+  wind: current.wind_speed_10m ?? null,
+  pop: null,
+  precipitation: current.precipitation || 0,
+  hours: 1,
+});
+
+export const parseForecast = ({ hourly }, language) => hourly.time.map((time, i) => ({
+  time: unixToISO(time),
+  temp: hourly.temperature_2m[i],
+  ...describeWeatherCode(hourly.weather_code[i], hourly.is_day[i] === 1, language),
+  humidity: hourly.relative_humidity_2m?.[i] ?? null,
+  wind: hourly.wind_speed_10m?.[i] ?? null,
+  pop: hourly.precipitation_probability[i] == null ? null : hourly.precipitation_probability[i] / 100,
+  precipitation: hourly.precipitation[i] || 0,
+  hours: 1,
+}));
+
+export const createOpenMeteoProvider = (http = axios) => {
+  const params = (location, extra) => ({
+    latitude: location.lat,
+    longitude: location.lon,
+    wind_speed_unit: 'ms',
+    timeformat: 'unixtime',
+    ...extra,
+  });
+
+  return {
+    id: 'open-meteo',
+
+    getCurrent: async (location, language) => parseCurrentWeather((await http.get(FORECAST_URL, {
+      params: params(location, { current: 'temperature_2m,relative_humidity_2m,weather_code,wind_speed_10m,precipitation,is_day' }),
+    })).data, language),
+
+    getForecast: async (location, language) => parseForecast((await http.get(FORECAST_URL, {
+      params: params(location, {
+        hourly: 'temperature_2m,relative_humidity_2m,weather_code,wind_speed_10m,precipitation_probability,precipitation,is_day',
+        forecast_days: 2,
+      }),
+    })).data, language),
+
+    searchCities: async (query) => {
+      const response = await http.get(GEOCODING_URL, { params: { name: query, count: 5 } });
+      return (response.data.results || []).map(({ name, admin1, country_code, latitude, longitude }) => ({
+        name, state: admin1, country: country_code, lat: latitude, lon: longitude,
+      }));
+    },
+  };
+};
@@ -0,0 +1,43 @@
+// src/weather/openWeatherMapProvider.js
+// OpenWeatherMap: current weather, the free 3-hourly forecast and city search. Needs
+// REACT_APP_WEATHER_API_KEY. Descriptions are translated by the API (`lang`).
+import axios from 'axios';
+
+const API_BASE = 'https://api.openweathermap.org';
+
+const toConditions = (item, hours) => ({
+  time: new Date(item.dt * 1000).toISOString(),
+  temp: item.main.temp,
+  icon: item.weather[0]?.icon || '',
+  description: item.weather[0]?.description || '',
+  humidity: item.main.humidity,
+  wind: item.wind?.speed ?? null,
+  pop: item.pop ?? null,
+  precipitation: (item.rain?.['1h'] ?? item.rain?.['3h'] ?? 0) + (item.snow?.['1h'] ?? item.snow?.['3h'] ?? 0),
+  hours,
+});
+
+export const parseCurrentWeather = (data) => toConditions(data, 1);
+
+export const parseForecast = (data) => data.list.map(item => toConditions(item, 3));
+
+export const createOpenWeatherMapProvider = (apiKey, http = axios) => {
+  const params = (location, language = 'en') => ({
+    lat: location.lat, lon: location.lon, appid: apiKey, units: 'metric', lang: language,
+  });
+
+  return {
+    id: 'openweathermap',
+
+    getCurrent: async (location, language) =>
+      parseCurrentWeather((await http.get(`${API_BASE}/data/2.5/weather`, { params: params(location, language) })).data),
+
+    getForecast: async (location, language) =>
+      parseForecast((await http.get(`${API_BASE}/data/2.5/forecast`, { params: params(location, language) })).data),
+
+    searchCities: async (query) => {
+      const response = await http.get(`${API_BASE}/geo/1.0/direct`, { params: { q: query, limit: 5, appid: apiKey } });
+      return response.data.map(({ name, state, country, lat, lon }) => ({ name, state, country, lat, lon }));
+    },
+  };
+};
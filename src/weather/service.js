@@ -0,0 +1,113 @@
+// src/weather/service.js
+// Asks the providers in order until one answers, keeps the last good response per
+// location in localStorage and backs off after failures. Callers can poll as often as
+// they like: the network is only used when the cached data is older than its max age
+// and no back-off is in effect. Every call resolves (never rejects) with
+//
+//   { data, fetchedAt, provider, stale, error }
+//
+// where `data` is the last good response (or null), `stale` is set when it could not be
+// refreshed in time, and `error` holds the last failure message. Descriptions come in the
+// requested language ('en', 'sv'), which is cached separately.
+
+const CACHE_PREFIX = 'diza:weather';
+
+export const MAX_AGE_MS = { current: 5 * 60 * 1000, forecast: 30 * 60 * 1000 };
+
+const BACKOFF_BASE_MS = 60 * 1000;
+const BACKOFF_MAX_MS = 30 * 60 * 1000;
+
+export const backoffDelay = (failures) => Math.min(BACKOFF_BASE_MS * 2 ** (failures - 1), BACKOFF_MAX_MS);
+
+export const createWeatherService = (providers, { storage = window.localStorage, now = () => Date.now() } = {}) => {
+  const failures = {};
+  const inFlight = {};
+
+  const cacheKey = (kind, location, language) =>
+    `${CACHE_PREFIX}:${kind}:${language}:${location.lat.toFixed(2)},${location.lon.toFixed(2)}`;
+
+  const readCache = (key) => {
+    try {
+      return JSON.parse(storage.getItem(key));
+    } catch (e) {
+      return null;
+    }
+  };
+
+  const writeCache = (key, entry) => {
+    try {
+      storage.setItem(key, JSON.stringify(entry));
+    } catch (e) {
+      // Storage full or disabled: the data just isn't kept across reloads
+    }
+  };
+
+  const fromCache = (cached, extra) => ({
+    data: cached?.data ?? null,
+    fetchedAt: cached?.fetchedAt ?? null,
+    provider: cached?.provider ?? null,
+    ...extra,
+  });
+
+  const fetchFromProviders = async (kind, location, language, key) => {
+    const method = kind === 'current' ? 'getCurrent' : 'getForecast';
+    const errors = [];
+    for (const provider of providers) {
+      try {
+        const data = await provider[method](location, language);
+        const entry = { data, fetchedAt: now(), provider: provider.id };
+        writeCache(key, entry);
+        delete failures[key];
+        return fromCache(entry, { stale: false, error: null });
+      } catch (error) {
+        console.warn(`Weather from ${provider.id} failed:`, error.message);
+        errors.push(`${provider.id}: ${error.message}`);
+      }
+    }
+
+    const count = (failures[key]?.count || 0) + 1;
+    const error = errors.join('; ') || 'No weather provider configured';
+    failures[key] = { count, retryAt: now() + backoffDelay(count), error };
+    return fromCache(readCache(key), { stale: true, error });
+  };
+
+  const get = (kind, location, language) => {
+    const key = cacheKey(kind, location, language);
+    const cached = readCache(key);
+    const failure = failures[key];
+
+    if (cached && now() - cached.fetchedAt < MAX_AGE_MS[kind]) {
+      return Promise.resolve(fromCache(cached, { stale: false, error: null }));
+    }
+    if (failure && now() < failure.retryAt) {
+      return Promise.resolve(fromCache(cached, { stale: true, error: failure.error }));
+    }
+    if (!inFlight[key]) {
+      inFlight[key] = fetchFromProviders(kind, location, language, key).finally(() => { delete inFlight[key]; });
+    }
+    return inFlight[key];
+  };
+
+  return {
+    getCurrent: (location, language = 'en') => get('current', location, language),
+
+    getForecast: (location, language = 'en') => get('forecast', location, language),
+
+    // The first provider that finds anything wins
+    searchCities: async (query) => {
+      let answered = false;
+      let lastError = null;
+      for (const provider of providers) {
+        try {
+          const results = await provider.searchCities(query);
+          if (results.length > 0) return results;
+          answered = true;
+        } catch (error) {
+          lastError = error;
+        }
+      }
+      if (lastError && !answered) throw lastError;
+      return [];
+    },
+  };
+};
@@ -0,0 +1,136 @@
+import { createWeatherService, backoffDelay } from './service';
+import { createOpenWeatherMapProvider } from './openWeatherMapProvider';
+import { createOpenMeteoProvider } from './openMeteoProvider';
+
+const location = { name: 'Mölndal', lat: 57.65, lon: 12.03 };
+const unix = (hour) => new Date(2025, 4, 10, hour).getTime() / 1000;
+
+const owmCurrent = {
+  dt: unix(10),
+  main: { temp: 14.6, humidity: 80 },
+  weather: [{ icon: '10d', description: 'light rain' }],
+  wind: { speed: 4.1 },
+  rain: { '1h': 0.3 },
+};
+
+const openMeteoCurrent = {
+  current: { time: unix(10), temperature_2m: 15.1, relative_humidity_2m: 75, weather_code: 2, wind_speed_10m: 3.5, precipitation: 0, is_day: 1 },
+};
+
+// Fake HTTP layer: answers by URL, or fails with the given error
+const fakeHttp = (responses) => ({
+  get: jest.fn(async (url) => {
+    const match = Object.keys(responses).find(part => url.includes(part));
+    const response = match && responses[match];
+    if (!response || response instanceof Error) throw response || new Error(`Unexpected ${url}`);
+    return { data: response };
+  }),
+});
+
+let clock;
+const setup = (providers) => {
+  clock = new Date(2025, 4, 10, 10, 5).getTime();
+  return createWeatherService(providers, { now: () => clock });
+};
+
+beforeEach(() => localStorage.clear());
+
+test('providers reduce their responses to the same conditions', async () => {
+  const http = fakeHttp({ openweathermap: owmCurrent, 'open-meteo': openMeteoCurrent });
+
+  expect(await createOpenWeatherMapProvider('key', http).getCurrent(location)).toEqual({
+    time: new Date(unix(10) * 1000).toISOString(),
+    temp: 14.6,
+    icon: '10d',
+    description: 'light rain',
+    humidity: 80,
+    wind: 4.1,
+    pop: null,
+    precipitation: 0.3,
+    hours: 1,
+  });
+  expect(await createOpenMeteoProvider(http).getCurrent(location)).toEqual(expect.objectContaining({
+    temp: 15.1, icon: '03d', description: 'partly cloudy', humidity: 75, wind: 3.5,
+  }));
+  expect(http.get).toHaveBeenCalledWith(expect.stringContaining('openweathermap'), {
+    params: { lat: 57.65, lon: 12.03, appid: 'key', units: 'metric', lang: 'en' },
+  });
+});
+
+test('Open-Meteo hourly forecast becomes one-hour slots', async () => {
+  const http = fakeHttp({
+    'open-meteo': {
+      hourly: {
+        time: [unix(10), unix(11)],
+        temperature_2m: [14, 15],
+        weather_code: [61, 0],
+        precipitation_probability: [90, 10],
+        precipitation: [1.5, 0],
+        is_day: [1, 0],
+      },
+    },
+  });
+  const slots = await createOpenMeteoProvider(http).getForecast(location);
+  expect(slots.map(s => [s.icon, s.pop, s.precipitation, s.hours])).toEqual([['10d', 0.9, 1.5, 1], ['01n', 0.1, 0, 1]]);
+});
+
+test('falls back to the next provider and caches the answer', async () => {
+  const http = fakeHttp({ openweathermap: new Error('401'), 'open-meteo': openMeteoCurrent });
+  const service = setup([createOpenWeatherMapProvider('bad-key', http), createOpenMeteoProvider(http)]);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  const result = await service.getCurrent(location);
+  expect(result).toEqual(expect.objectContaining({ provider: 'open-meteo', stale: false, error: null, fetchedAt: clock }));
+  expect(result.data.temp).toBe(15.1);
+
+  // Served from the cache (also after a reload) until it is due for a refresh
+  http.get.mockClear();
+  const reloaded = createWeatherService([createOpenMeteoProvider(http)], { now: () => clock + 60 * 1000 });
+  expect((await reloaded.getCurrent(location)).data.temp).toBe(15.1);
+  expect(http.get).not.toHaveBeenCalled();
+  console.warn.mockRestore();
+});
+
+test('failures keep the last good data, marked stale, and back off', async () => {
+  const responses = { 'open-meteo': openMeteoCurrent };
+  const http = fakeHttp(responses);
+  const service = setup([createOpenMeteoProvider(http)]);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  await service.getCurrent(location);
+  responses['open-meteo'] = new Error('Network Error');
+  clock += 10 * 60 * 1000;
+
+  const failed = await service.getCurrent(location);
+  expect(failed).toEqual(expect.objectContaining({ stale: true, error: 'open-meteo: Network Error' }));
+  expect(failed.data.temp).toBe(15.1);
+
+  // No new request until the back-off has passed
+  http.get.mockClear();
+  clock += backoffDelay(1) - 1000;
+  expect((await service.getCurrent(location)).stale).toBe(true);
+  expect(http.get).not.toHaveBeenCalled();
+
+  responses['open-meteo'] = openMeteoCurrent;
+  clock += 1000;
+  expect(await service.getCurrent(location)).toEqual(expect.objectContaining({ stale: false, error: null }));
+  expect(backoffDelay(3)).toBe(4 * backoffDelay(1));
+  expect(backoffDelay(20)).toBe(30 * 60 * 1000);
+  console.warn.mockRestore();
+});
+
+test('without any data a failure still resolves, with an error', async () => {
+  const http = fakeHttp({});
+  const service = setup([createOpenMeteoProvider(http)]);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  expect(await service.getForecast(location)).toEqual(expect.objectContaining({ data: null, stale: true }));
+  console.warn.mockRestore();
+});
+
+test('Open-Meteo descriptions follow the requested language', async () => {
+  const http = fakeHttp({ 'open-meteo': openMeteoCurrent });
+
+  expect(await createOpenMeteoProvider(http).getCurrent(location, 'sv')).toEqual(expect.objectContaining({
+    icon: '03d', description: 'växlande molnighet',
+  }));
+});